@@ -0,0 +1,434 @@
+import _ from 'lodash';
+import os from 'os';
+import fs from 'fs-extra';
+import path from 'path';
+import log from 'electron-log';
+import moment from 'moment';
+import archiver from 'archiver';
+import yauzl from 'yauzl';
+
+import { displayError } from './error';
+import {
+  readReplayLibrary, reloadLibrary, checkRootFolderFound, loadEndStates,
+} from './fileLoader';
+import { hashFile, getReplaySizes } from './duplicates';
+import { isCompressedReplay, decompressReplay } from '../utils/replayCompression';
+import {
+  MANIFEST_FILE_NAME, getArchiveFileNames, getPlayerAliases, buildReplayManifest,
+} from '../utils/replayExport';
+
+const { dialog } = require('electron').remote;
+
+export const EXPORT_START = 'EXPORT_START';
+export const EXPORT_PROGRESS = 'EXPORT_PROGRESS';
+export const EXPORT_COMPLETE = 'EXPORT_COMPLETE';
+export const CLEAR_EXPORT = 'CLEAR_EXPORT';
+export const SET_IMPORT_ARCHIVE = 'SET_IMPORT_ARCHIVE';
+export const IMPORT_START = 'IMPORT_START';
+export const IMPORT_PROGRESS = 'IMPORT_PROGRESS';
+export const IMPORT_COMPLETE = 'IMPORT_COMPLETE';
+export const CLEAR_IMPORT = 'CLEAR_IMPORT';
+
+const EXPORT_JOB_GROUP = 'archives-export';
+const IMPORT_JOB_GROUP = 'archives-import';
+
+// Incremented when an export starts or gets cancelled so that a cancelled export stops writing
+let currentExportId = 0;
+let currentArchive = null;
+
+/**
+ * Writes the files into a zip archive together with a manifest describing every game. When
+ * anonymizing, the replays are rewritten in the parser pool before going into the archive.
+ */
+export function exportReplays(files, anonymize) {
+  return async (dispatch, getState) => {
+    const exportPath = dialog.showSaveDialog({
+      title: "Export Replays",
+      defaultPath: `replays_${moment().format('YYYYMMDD_HHmmss')}.zip`,
+      filters: [{ name: "Zip Archives", extensions: ['zip'] }],
+    });
+    if (!exportPath) {
+      return;
+    }
+
+    currentExportId += 1;
+    const exportId = currentExportId;
+    const replayParser = getState().fileLoader.replayParser;
+
+    dispatch({
+      type: EXPORT_START,
+      payload: {
+        numFiles: files.length,
+      },
+    });
+
+    const archive = archiver('zip');
+    currentArchive = archive;
+    archive.on('progress', progress => {
+      if (exportId !== currentExportId) {
+        return;
+      }
+
+      dispatch({
+        type: EXPORT_PROGRESS,
+        payload: {
+          numProcessed: Math.min(progress.entries.processed, files.length),
+        },
+      });
+    });
+
+    const output = fs.createWriteStream(exportPath);
+    const writeComplete = new Promise((resolve, reject) => {
+      output.on('close', resolve);
+      output.on('error', reject);
+      archive.on('error', reject);
+    });
+    archive.pipe(output);
+
+    const archiveNames = getArchiveFileNames(files);
+    const playerAliases = anonymize ? getPlayerAliases(files) : null;
+    let tempFolderPath = null;
+
+    try {
+      const needsTempFolder = anonymize || _.some(files, file => isCompressedReplay(file.fullPath));
+      if (needsTempFolder) {
+        tempFolderPath = await fs.mkdtemp(path.join(os.tmpdir(), 'slippi-export-'));
+      }
+
+      if (anonymize) {
+        await Promise.all(files.map(async (file, index) => {
+          const anonymizedPath = path.join(tempFolderPath, archiveNames[index]);
+          const result = await replayParser.anonymize(
+            file.fullPath, anonymizedPath, playerAliases[index], EXPORT_JOB_GROUP
+          );
+          if (result && exportId === currentExportId) {
+            archive.file(anonymizedPath, { name: archiveNames[index] });
+          }
+        }));
+      } else {
+        // Archives go out uncompressed, compressed replays are extracted one at a time
+        await files.reduce(async (previous, file, index) => {
+          await previous;
+          if (exportId !== currentExportId) {
+            return;
+          }
+
+          let filePath = file.fullPath;
+          if (isCompressedReplay(filePath)) {
+            filePath = path.join(tempFolderPath, archiveNames[index]);
+            await decompressReplay(file.fullPath, filePath);
+          }
+          archive.file(filePath, { name: archiveNames[index] });
+        }, Promise.resolve());
+      }
+
+      if (exportId !== currentExportId) {
+        throw new Error("Export was cancelled");
+      }
+
+      // The manifest says who won each game
+      const manifestFiles = await loadEndStates(files, EXPORT_JOB_GROUP, dispatch, getState);
+      if (exportId !== currentExportId) {
+        throw new Error("Export was cancelled");
+      }
+
+      const manifest = buildReplayManifest(manifestFiles, archiveNames, playerAliases);
+      archive.append(JSON.stringify(manifest, null, 2), { name: MANIFEST_FILE_NAME });
+      archive.finalize();
+      await writeComplete;
+
+      // Aborting the archive closes the output as well
+      if (exportId !== currentExportId) {
+        throw new Error("Export was cancelled");
+      }
+
+      dispatch({
+        type: EXPORT_COMPLETE,
+        payload: {
+          exportPath: exportPath,
+        },
+      });
+    } catch (err) {
+      replayParser.cancel(EXPORT_JOB_GROUP);
+      archive.abort();
+      output.destroy();
+      await fs.remove(exportPath).catch(() => null);
+
+      if (exportId === currentExportId) {
+        log.error(`Failed to export replays to ${exportPath}`, err);
+        dispatch({
+          type: CLEAR_EXPORT,
+        });
+        dispatch(displayError('fileLoader-global', `Failed to export replays: ${err.message}`));
+      }
+    } finally {
+      if (tempFolderPath) {
+        await fs.remove(tempFolderPath).catch(() => null);
+      }
+      if (currentArchive === archive) {
+        currentArchive = null;
+      }
+    }
+  };
+}
+
+export function cancelExport() {
+  return (dispatch, getState) => {
+    currentExportId += 1;
+    getState().fileLoader.replayParser.cancel(EXPORT_JOB_GROUP);
+    if (currentArchive) {
+      currentArchive.abort();
+    }
+
+    dispatch({
+      type: CLEAR_EXPORT,
+    });
+  };
+}
+
+export function clearExport() {
+  return {
+    type: CLEAR_EXPORT,
+  };
+}
+
+export function browseImportArchive() {
+  return (dispatch, getState) => {
+    if (!checkRootFolderFound(dispatch, getState)) {
+      return;
+    }
+
+    const paths = dialog.showOpenDialog({
+      title: "Import Replays",
+      properties: ['openFile'],
+      filters: [{ name: "Zip Archives", extensions: ['zip'] }],
+    }) || [];
+
+    const archivePath = paths[0];
+    if (!archivePath) {
+      return;
+    }
+
+    dispatch(setImportArchive(archivePath));
+  };
+}
+
+export function setImportArchive(archivePath) {
+  return {
+    type: SET_IMPORT_ARCHIVE,
+    payload: {
+      archivePath: archivePath,
+    },
+  };
+}
+
+/**
+ * Extracts the replays in an archive into a folder under the replay root. Files that are already
+ * in the library are skipped and files that can't be read as a game are rejected, everything
+ * else gets moved into place.
+ */
+export function importArchive(archivePath, subfolderPath) {
+  return async (dispatch, getState) => {
+    if (!checkRootFolderFound(dispatch, getState)) {
+      dispatch({
+        type: CLEAR_IMPORT,
+      });
+      return;
+    }
+
+    const { rootFolderPath, replayIndex, replayParser } = getState().fileLoader;
+    const destinationPath = path.resolve(rootFolderPath, subfolderPath);
+    const relativePath = path.relative(rootFolderPath, destinationPath);
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      dispatch({
+        type: CLEAR_IMPORT,
+      });
+      dispatch(displayError('fileLoader-global', "Replays can only be imported into the replay root folder"));
+      return;
+    }
+
+    dispatch({
+      type: IMPORT_START,
+    });
+
+    const imported = [];
+    const skipped = [];
+    const rejected = [];
+    let tempFolderPath = null;
+
+    try {
+      tempFolderPath = await fs.mkdtemp(path.join(os.tmpdir(), 'slippi-import-'));
+      const extractedFiles = await extractReplays(archivePath, tempFolderPath);
+      dispatch({
+        type: IMPORT_PROGRESS,
+        payload: {
+          numFiles: extractedFiles.length,
+          numProcessed: 0,
+        },
+      });
+
+      // Only library files of the same size as an imported one can have the same contents
+      const library = await readReplayLibrary(IMPORT_JOB_GROUP, getState);
+      const librarySizesByPath = await getReplaySizes(library.files);
+      const importedSizes = new Set(extractedFiles.map(file => file.size));
+      const libraryHashes = new Set();
+      const importedHashes = new Set();
+      const filesToHash = library.files.filter(file => importedSizes.has(librarySizesByPath[file.fullPath]));
+      await filesToHash.reduce(async (previous, file) => {
+        await previous;
+        try {
+          libraryHashes.add(await hashFile(file.fullPath));
+        } catch (err) {
+          log.warn(`Failed to hash file: ${file.fullPath}`);
+        }
+      }, Promise.resolve());
+
+      // One file at a time so that duplicates within the archive are caught and names don't clash
+      await fs.ensureDir(destinationPath);
+      await replayIndex.loadFolder(destinationPath);
+      await extractedFiles.reduce(async (previous, file, index) => {
+        await previous;
+
+        const hash = await hashFile(file.extractedPath);
+        if (libraryHashes.has(hash)) {
+          skipped.push({
+            fileName: file.entryName,
+            reason: "Already in the library",
+          });
+        } else if (importedHashes.has(hash)) {
+          skipped.push({
+            fileName: file.entryName,
+            reason: "Appears more than once in the archive",
+          });
+        } else {
+          const record = await replayParser.parseHeader(file.extractedPath, IMPORT_JOB_GROUP);
+          if (!record || record.hasError) {
+            rejected.push({
+              fileName: file.entryName,
+              reason: record ? record.errorMessage : "Could not be read",
+            });
+          } else {
+            const importedPath = await getAvailablePath(path.join(destinationPath, file.fileName));
+            await fs.move(file.extractedPath, importedPath);
+            const fileStats = await fs.stat(importedPath);
+            replayIndex.setRecord(importedPath, fileStats, record);
+
+            importedHashes.add(hash);
+            imported.push({
+              fileName: file.entryName,
+              importedPath: importedPath,
+            });
+          }
+        }
+
+        dispatch({
+          type: IMPORT_PROGRESS,
+          payload: {
+            numFiles: extractedFiles.length,
+            numProcessed: index + 1,
+          },
+        });
+      }, Promise.resolve());
+
+      await replayIndex.saveFolder(destinationPath);
+    } catch (err) {
+      log.error(`Failed to import replays from ${archivePath}`, err);
+      dispatch({
+        type: CLEAR_IMPORT,
+      });
+      dispatch(displayError('fileLoader-global', `Failed to import replays: ${err.message}`));
+      return;
+    } finally {
+      if (tempFolderPath) {
+        await fs.remove(tempFolderPath).catch(() => null);
+      }
+    }
+
+    dispatch({
+      type: IMPORT_COMPLETE,
+      payload: {
+        report: {
+          destinationPath: destinationPath,
+          imported: imported,
+          skipped: skipped,
+          rejected: rejected,
+        },
+      },
+    });
+
+    if (imported.length > 0) {
+      // The destination folder may be new
+      await reloadLibrary()(dispatch, getState);
+    }
+  };
+}
+
+export function clearImport() {
+  return {
+    type: CLEAR_IMPORT,
+  };
+}
+
+/**
+ * Extracts the .slp files of an archive into a folder. Archives can hold folders of their own but
+ * only the file names are kept, which also keeps entries from escaping the folder.
+ */
+function extractReplays(archivePath, folderPath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(archivePath, { lazyEntries: true }, (err, zipFile) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      const extractedFiles = [];
+      zipFile.on('error', reject);
+      zipFile.on('end', () => resolve(extractedFiles));
+      zipFile.on('entry', entry => {
+        const fileName = path.basename(entry.fileName);
+        if (entry.fileName.endsWith('/') || path.extname(fileName).toLowerCase() !== '.slp') {
+          zipFile.readEntry();
+          return;
+        }
+
+        // Different folders in the archive can hold files with the same name
+        const extractedPath = path.join(folderPath, `${extractedFiles.length}_${fileName}`);
+        zipFile.openReadStream(entry, (streamErr, readStream) => {
+          if (streamErr) {
+            reject(streamErr);
+            return;
+          }
+
+          const writeStream = fs.createWriteStream(extractedPath);
+          writeStream.on('error', reject);
+          writeStream.on('close', () => {
+            extractedFiles.push({
+              entryName: entry.fileName,
+              fileName: fileName,
+              extractedPath: extractedPath,
+              size: entry.uncompressedSize,
+            });
+            zipFile.readEntry();
+          });
+          readStream.on('error', reject);
+          readStream.pipe(writeStream);
+        });
+      });
+
+      zipFile.readEntry();
+    });
+  });
+}
+
+async function getAvailablePath(fullPath) {
+  const extension = path.extname(fullPath);
+  const basePath = fullPath.slice(0, -extension.length);
+
+  let availablePath = fullPath;
+  // eslint-disable-next-line no-await-in-loop
+  for (let i = 2; await fs.pathExists(availablePath); i += 1) {
+    availablePath = `${basePath}_${i}${extension}`;
+  }
+
+  return availablePath;
+}
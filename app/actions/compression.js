@@ -0,0 +1,138 @@
+import fs from 'fs-extra';
+import path from 'path';
+import log from 'electron-log';
+
+import { displayError } from './error';
+import { readReplayLibrary, saveMovedReplays, reloadLibrary } from './fileLoader';
+import { compressReplay, isCompressedReplay } from '../utils/replayCompression';
+
+export const COMPRESSION_LOAD_START = 'COMPRESSION_LOAD_START';
+export const COMPRESSION_LOAD_COMPLETE = 'COMPRESSION_LOAD_COMPLETE';
+export const COMPRESSION_START = 'COMPRESSION_START';
+export const COMPRESSION_PROGRESS = 'COMPRESSION_PROGRESS';
+export const COMPRESSION_COMPLETE = 'COMPRESSION_COMPLETE';
+export const CLEAR_COMPRESSION = 'CLEAR_COMPRESSION';
+
+const COMPRESSION_JOB_GROUP = 'compression';
+
+// Incremented whenever a run starts or gets cancelled so that a cancelled run stops after the
+// file it's on
+let currentCompressionId = 0;
+
+/**
+ * Reads the library so that the replays to compress can be picked by age. Compressed replays and
+ * replays that can't be read are left out.
+ */
+export function loadCompressionCandidates() {
+  return async (dispatch, getState) => {
+    currentCompressionId += 1;
+    const compressionId = currentCompressionId;
+    dispatch({
+      type: COMPRESSION_LOAD_START,
+    });
+
+    let files = [];
+    try {
+      const library = await readReplayLibrary(COMPRESSION_JOB_GROUP, getState);
+      files = library.files.filter(file => !file.hasError && !isCompressedReplay(file.fullPath));
+    } catch (err) {
+      log.error("Failed to read the replay library", err);
+      dispatch(displayError('fileLoader-global', "Failed to read the replay library"));
+    }
+
+    if (compressionId !== currentCompressionId) {
+      return;
+    }
+
+    dispatch({
+      type: COMPRESSION_LOAD_COMPLETE,
+      payload: {
+        files: files,
+      },
+    });
+  };
+}
+
+export function compressReplays(files) {
+  return async (dispatch, getState) => {
+    currentCompressionId += 1;
+    const compressionId = currentCompressionId;
+    const { replayIndex, replayAnnotations } = getState().fileLoader;
+
+    dispatch({
+      type: COMPRESSION_START,
+      payload: {
+        numFiles: files.length,
+      },
+    });
+
+    let numCompressed = 0;
+    let numFailed = 0;
+    let originalSize = 0;
+    let compressedSize = 0;
+
+    // One file at a time, compressing a whole library at once would swamp the disk
+    await files.reduce(async (previous, file, index) => {
+      await previous;
+      if (compressionId !== currentCompressionId) {
+        return;
+      }
+
+      try {
+        const result = await compressReplay(file.fullPath);
+
+        // The game hasn't changed so the indexed record carries over to the compressed file
+        await replayIndex.loadFolder(path.dirname(file.fullPath));
+        const fileStats = await fs.stat(result.compressedPath);
+        replayIndex.removeRecord(file.fullPath);
+        replayIndex.setRecord(result.compressedPath, fileStats, file.game.record);
+        replayAnnotations.move(file.fullPath, result.compressedPath);
+        await getState().playlists.replayPlaylists.move(file.fullPath, result.compressedPath);
+
+        numCompressed += 1;
+        originalSize += result.originalSize;
+        compressedSize += result.compressedSize;
+      } catch (err) {
+        log.error(`Failed to compress ${file.fullPath}`, err);
+        numFailed += 1;
+      }
+
+      dispatch({
+        type: COMPRESSION_PROGRESS,
+        payload: {
+          numProcessed: index + 1,
+        },
+      });
+    }, Promise.resolve());
+
+    await saveMovedReplays(dispatch, getState);
+
+    if (compressionId === currentCompressionId) {
+      dispatch({
+        type: COMPRESSION_COMPLETE,
+        payload: {
+          report: {
+            numCompressed: numCompressed,
+            numFailed: numFailed,
+            originalSize: originalSize,
+            compressedSize: compressedSize,
+          },
+        },
+      });
+    }
+
+    if (numCompressed > 0) {
+      await reloadLibrary()(dispatch, getState);
+    }
+  };
+}
+
+export function clearCompression() {
+  return (dispatch, getState) => {
+    currentCompressionId += 1;
+    getState().fileLoader.replayParser.cancel(COMPRESSION_JOB_GROUP);
+    dispatch({
+      type: CLEAR_COMPRESSION,
+    });
+  };
+}
@@ -0,0 +1,120 @@
+import _ from 'lodash';
+import fs from 'fs-extra';
+import log from 'electron-log';
+
+import { displayError } from './error';
+import { isReplayInProgress } from './fileLoader';
+import { needsDiagnosis, getRepairedFilePath } from '../utils/replayDiagnostics';
+
+export const DIAGNOSE_START = 'DIAGNOSE_START';
+export const DIAGNOSE_FILE_COMPLETE = 'DIAGNOSE_FILE_COMPLETE';
+export const DIAGNOSE_COMPLETE = 'DIAGNOSE_COMPLETE';
+export const REPAIR_START = 'REPAIR_START';
+export const REPAIR_COMPLETE = 'REPAIR_COMPLETE';
+
+const DIAGNOSE_JOB_GROUP = 'diagnostics';
+
+/**
+ * Works out what is wrong with every corrupt or unfinished replay in the current file list. Files
+ * are checked in the parser pool since a damaged file still has to be read in full.
+ */
+export function diagnoseReplays() {
+  return async (dispatch, getState) => {
+    const replayParser = getState().fileLoader.replayParser;
+    replayParser.cancel(DIAGNOSE_JOB_GROUP);
+
+    const candidates = _.filter(getState().fileLoader.scannedFiles, needsDiagnosis);
+    const files = await filterFinishedFiles(candidates);
+    dispatch({
+      type: DIAGNOSE_START,
+      payload: {
+        files: files,
+      },
+    });
+
+    await Promise.all(files.map(async file => {
+      let result;
+      try {
+        result = await replayParser.diagnose(file.fullPath, DIAGNOSE_JOB_GROUP);
+      } catch (err) {
+        log.error(`Failed to diagnose file: ${file.fullPath}`, err);
+        result = {
+          problems: [{
+            code: 'unreadable',
+            detail: err.message,
+          }],
+          lastFrame: null,
+          canRepair: false,
+        };
+      }
+
+      if (!result) {
+        // A newer run took over
+        return;
+      }
+
+      dispatch({
+        type: DIAGNOSE_FILE_COMPLETE,
+        payload: {
+          fullPath: file.fullPath,
+          result: result,
+        },
+      });
+    }));
+
+    dispatch({
+      type: DIAGNOSE_COMPLETE,
+    });
+  };
+}
+
+async function filterFinishedFiles(files) {
+  // A file without metadata could have started recording since the folder was read, those get
+  // left alone until the writer is done with them
+  const isFinished = await Promise.all(files.map(async file => {
+    try {
+      const fileStats = await fs.stat(file.fullPath);
+      return !isReplayInProgress({
+        hasError: file.hasError,
+        metadata: file.game.getMetadata(),
+      }, fileStats);
+    } catch (err) {
+      log.warn(`Failed to check if file is still being written: ${file.fullPath}`);
+      return false;
+    }
+  }));
+
+  return _.filter(files, (file, index) => isFinished[index]);
+}
+
+export function repairFile(file) {
+  return async (dispatch, getState) => {
+    const replayParser = getState().fileLoader.replayParser;
+    const outputPath = getRepairedFilePath(file.fullPath);
+
+    dispatch({
+      type: REPAIR_START,
+      payload: {
+        fullPath: file.fullPath,
+      },
+    });
+
+    // The folder watcher picks up the repaired copy on its own if it's in the folder being viewed
+    let repairedPath = null;
+    try {
+      const result = await replayParser.repair(file.fullPath, outputPath, DIAGNOSE_JOB_GROUP);
+      repairedPath = result ? result.outputPath : null;
+    } catch (err) {
+      log.error(`Failed to repair file: ${file.fullPath}`, err);
+      dispatch(displayError('diagnostics-global', `Failed to repair ${file.fileName}: ${err.message}`));
+    }
+
+    dispatch({
+      type: REPAIR_COMPLETE,
+      payload: {
+        fullPath: file.fullPath,
+        repairedPath: repairedPath,
+      },
+    });
+  };
+}
@@ -0,0 +1,184 @@
+import _ from 'lodash';
+import crypto from 'crypto';
+import log from 'electron-log';
+
+import { readReplayLibrary, deleteSelections } from './fileLoader';
+import { displayError } from './error';
+import { findDuplicateGroups } from '../utils/replayDuplicates';
+import { getReplaySize, createReplayReadStream } from '../utils/replayCompression';
+
+export const DUPLICATE_SCAN_START = 'DUPLICATE_SCAN_START';
+export const DUPLICATE_SCAN_PROGRESS = 'DUPLICATE_SCAN_PROGRESS';
+export const DUPLICATE_SCAN_COMPLETE = 'DUPLICATE_SCAN_COMPLETE';
+export const DUPLICATES_TRASHED = 'DUPLICATES_TRASHED';
+export const CLEAR_DUPLICATES = 'CLEAR_DUPLICATES';
+
+const DUPLICATE_JOB_GROUP = 'duplicates-scan';
+const PROGRESS_DISPATCH_INTERVAL_MS = 500;
+
+// Incremented every time a scan starts or gets cleared so that an older scan knows to stop
+let currentScanId = 0;
+
+export function scanDuplicates() {
+  return async (dispatch, getState) => {
+    currentScanId += 1;
+    const scanId = currentScanId;
+    const isStale = () => scanId !== currentScanId;
+
+    dispatch({
+      type: DUPLICATE_SCAN_START,
+    });
+
+    let groups;
+    try {
+      const library = await readReplayLibrary(DUPLICATE_JOB_GROUP, getState);
+      if (isStale()) {
+        return;
+      }
+
+      // Files can only have the same content if they have the same size, no point hashing the rest
+      const sizesByPath = await getReplaySizes(library.files);
+      if (isStale()) {
+        return;
+      }
+
+      const filesBySize = _.groupBy(library.files, file => sizesByPath[file.fullPath]);
+      const filesToHash = _.flatten(_.values(filesBySize).filter(sameSize => sameSize.length > 1));
+
+      let numHashed = 0;
+      const dispatchProgress = _.throttle(() => {
+        if (isStale()) {
+          return;
+        }
+
+        dispatch({
+          type: DUPLICATE_SCAN_PROGRESS,
+          payload: {
+            numHashed: numHashed,
+            numToHash: filesToHash.length,
+          },
+        });
+      }, PROGRESS_DISPATCH_INTERVAL_MS);
+
+      // Hash one file at a time, reading a whole library at once would swamp the disk
+      const hashesByPath = {};
+      await filesToHash.reduce(async (previous, file) => {
+        await previous;
+        if (isStale()) {
+          return;
+        }
+
+        try {
+          hashesByPath[file.fullPath] = await hashFile(file.fullPath);
+        } catch (err) {
+          log.warn(`Failed to hash file: ${file.fullPath}`);
+        }
+
+        numHashed += 1;
+        dispatchProgress();
+      }, Promise.resolve());
+      dispatchProgress.cancel();
+
+      groups = findDuplicateGroups(library.files, hashesByPath);
+    } catch (err) {
+      log.error("Failed to scan for duplicate replays", err);
+      if (!isStale()) {
+        dispatch({
+          type: CLEAR_DUPLICATES,
+        });
+        dispatch(displayError('duplicates-global', "Failed to scan the replay library for duplicates"));
+      }
+      return;
+    }
+
+    if (isStale()) {
+      return;
+    }
+
+    dispatch({
+      type: DUPLICATE_SCAN_COMPLETE,
+      payload: {
+        groups: groups,
+      },
+    });
+  };
+}
+
+/**
+ * Keeps one file of each given group and trashes the rest. Takes a map of group key to the full
+ * path of the file to keep.
+ */
+export function trashDuplicates(keepPathsByGroup) {
+  return async (dispatch, getState) => {
+    const groups = getState().duplicates.groups.filter(group => _.has(keepPathsByGroup, group.key));
+    const filesToTrash = _.flatMap(groups, group => (
+      group.files.filter(file => file.fullPath !== keepPathsByGroup[group.key])
+    ));
+
+    let deletedPaths = [];
+    try {
+      deletedPaths = await deleteSelections(filesToTrash)(dispatch, getState);
+    } catch (err) {
+      log.error("Failed to trash duplicate replays", err);
+    }
+
+    // Groups with a copy that couldn't be deleted stay in the list so they can be tried again
+    const deleted = new Set(deletedPaths);
+    const trashedGroups = groups.filter(group => group.files.every(file => (
+      file.fullPath === keepPathsByGroup[group.key] || deleted.has(file.fullPath)
+    )));
+
+    dispatch({
+      type: DUPLICATES_TRASHED,
+      payload: {
+        groupKeys: trashedGroups.map(group => group.key),
+      },
+    });
+
+    const numFailed = groups.length - trashedGroups.length;
+    if (numFailed > 0) {
+      dispatch(displayError(
+        'duplicates-global',
+        `Failed to trash the extra copies of ${numFailed} game(s), check the logs for details`,
+      ));
+    }
+  };
+}
+
+export function clearDuplicates() {
+  return (dispatch, getState) => {
+    currentScanId += 1;
+    getState().fileLoader.replayParser.cancel(DUPLICATE_JOB_GROUP);
+    dispatch({
+      type: CLEAR_DUPLICATES,
+    });
+  };
+}
+
+// Hashes what's in the replay so that a compressed copy matches the original it came from
+export function hashFile(fullPath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha1');
+    const stream = createReplayReadStream(fullPath);
+    stream.on('error', reject);
+    stream.on('data', chunk => hash.update(chunk));
+    stream.on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Sizes of what's in the replays rather than of the files, one at a time since compressed replays
+// have to be opened to get theirs
+export async function getReplaySizes(files) {
+  const sizesByPath = {};
+  await files.reduce(async (previous, file) => {
+    await previous;
+    try {
+      sizesByPath[file.fullPath] = await getReplaySize(file.fullPath, file.fileSize);
+    } catch (err) {
+      log.warn(`Failed to read the size of file: ${file.fullPath}`);
+      sizesByPath[file.fullPath] = file.fileSize;
+    }
+  }, Promise.resolve());
+
+  return sizesByPath;
+}
@@ -1,12 +1,26 @@
 import _ from 'lodash';
-import fs from 'fs';
+import fs from 'fs-extra';
 import path from 'path';
-import SlippiGame from '@slippi/slippi-js';
-import { shell } from 'electron';
+import log from 'electron-log';
 import * as timeUtils from '../utils/time';
+import { matchesReplayFilters, hasActiveReplayFilters } from '../utils/replayFilters';
+import { sortReplayFiles, tableNeedsEndStates } from '../utils/replayColumns';
+import {
+  getVisibilityRules, getHiddenReason, isRuleAlwaysOn, rulesNeedEndStates,
+} from '../utils/replayVisibility';
+import { planRenames, RenameStatus } from '../utils/replayFileNames';
+import { MoveStatus } from '../utils/replayOrganizer';
+import {
+  getRecycleSettings, getClipSettings, getReplayRoots, findReplayRoot,
+} from '../utils/settings';
+import { isReplayFileName } from '../utils/replayCompression';
+import { padClip } from '../utils/clips';
 
+import { IndexedGame } from '../domain/ReplayIndex';
+import { RECYCLE_FOLDER_NAME } from '../domain/ReplayRecycleBin';
 import { displayError } from './error';
 import { gameProfileLoad } from './game';
+import { loadPlaylists } from './playlists';
 
 const electronSettings = require('electron-settings');
 
@@ -15,50 +29,92 @@ export const CHANGE_FOLDER_SELECTION = 'CHANGE_FOLDER_SELECTION';
 export const LOAD_FILES_IN_FOLDER = 'LOAD_FILES_IN_FOLDER';
 export const SET_STATS_GAME_PAGE = 'SET_STATS_GAME_PAGE';
 export const STORE_SCROLL_POSITION = 'STORE_SCROLL_POSITION';
-export const STORE_FILE_LOAD_STATE = 'STORE_FILE_LOAD_STATE';
 export const SET_FILTER_REPLAYS = 'SET_FILTER_REPLAYS';
 export const DELETE_FILE = 'DELETE_FILE';
+export const UPDATE_FILES_IN_FOLDER = 'UPDATE_FILES_IN_FOLDER';
+export const SET_FOLDER_EXPANDED = 'SET_FOLDER_EXPANDED';
+export const SET_REPLAY_FILTERS = 'SET_REPLAY_FILTERS';
+export const SET_TABLE_LAYOUT = 'SET_TABLE_LAYOUT';
+export const ANNOTATIONS_UPDATED = 'ANNOTATIONS_UPDATED';
+export const SET_RENAME_PREVIEW = 'SET_RENAME_PREVIEW';
+export const CLEAR_RENAME_PREVIEW = 'CLEAR_RENAME_PREVIEW';
+export const SET_ORGANIZE_TEMPLATE = 'SET_ORGANIZE_TEMPLATE';
+export const SET_ORGANIZE_STATE = 'SET_ORGANIZE_STATE';
+export const CLEAR_ORGANIZE_STATE = 'CLEAR_ORGANIZE_STATE';
+export const SET_PENDING_DELETION = 'SET_PENDING_DELETION';
+export const CLEAR_PENDING_DELETION = 'CLEAR_PENDING_DELETION';
 
-export const MIN_GAME_LENGTH_SECONDS = 30;
-const MIN_GAME_LENGTH_FRAMES = MIN_GAME_LENGTH_SECONDS * 60;
+const SCAN_JOB_GROUP = 'fileLoader-scan';
+const WATCH_JOB_GROUP = 'fileLoader-watch';
+const ORGANIZE_JOB_GROUP = 'fileLoader-organize';
+const RENAME_JOB_GROUP = 'fileLoader-rename';
+const END_STATE_JOB_GROUP = 'fileLoader-endState';
+const PROGRESS_DISPATCH_INTERVAL_MS = 500;
+
+// Files without metadata that were modified more recently than this are assumed to still be
+// getting written to. They get checked again after the recheck delay.
+const IN_PROGRESS_TIMEOUT_MS = 30000;
+const IN_PROGRESS_RECHECK_MS = 10000;
+
+// How long a delete can be undone for before the files are sent on from the recycle bin
+const UNDO_DELETE_TIMEOUT_MS = 10000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Incremented every time a folder scan starts so that older scans know to stop dispatching
+let currentScanId = 0;
+
+// Same idea for rename previews, typing in the template kicks off a new preview on every change
+let currentRenamePreviewId = 0;
+
+// Incremented whenever organizing starts or gets cancelled so that a cancelled read of the library
+// doesn't open back up
+let currentOrganizeId = 0;
+
+// End states that are being worked out by replay path, so that asking for a replay again while
+// that's going on doesn't queue it up twice
+const endStateLoads = {};
+
+// Only the most recent delete can be undone, this holds its recycle bin batch, the deleted files
+// and the timer that finishes it off
+let pendingDeletion = null;
 
 export function loadRootFolder() {
   return async (dispatch, getState) => {
-    const rootFolderPath = electronSettings.get('settings.rootSlpPath');
-    if (!rootFolderPath) {
+    const rootSlpPath = electronSettings.get('settings.rootSlpPath');
+    const roots = getReplayRoots(rootSlpPath, electronSettings.get('settings.extraReplayRoots'));
+
+    // Roots that can't be found are left out, an unplugged drive shouldn't hide the other roots
+    const isFound = await Promise.all(roots.map(root => (
+      fs.stat(root.fullPath).then(stats => stats.isDirectory(), () => false)
+    )));
+    const rootFolders = roots.filter((root, index) => isFound[index]);
+    if (rootFolders.length === 0) {
       dispatch({
         type: LOAD_ROOT_FOLDER,
         payload: {
           folderFound: false,
         },
       });
+      return;
     }
 
-    if (rootFolderPath === getState().fileLoader.rootFolderPath) {
+    // Annotations, organizing and imports belong to the replay root directory. When it's missing
+    // they're turned off instead of landing in one of the other roots
+    const rootFolderPath = _.some(rootFolders, { fullPath: rootSlpPath }) ? rootSlpPath : "";
+    const fileLoaderState = getState().fileLoader;
+    if (
+      _.isEqual(rootFolders, fileLoaderState.rootFolders) &&
+      rootFolderPath === fileLoaderState.rootFolderPath
+    ) {
       // Reload the currently selected folder even if the root hasn't changed, the loadRootFolder
       // function only gets called when entering the fileLoader component from the main menu and
       // we want to support returning to the fileLoader from the main menu to update the files
       // in the list
-      await changeFolderSelection(getState().fileLoader.selectedFolderFullPath)(dispatch, getState);
-      return;
-    }
-
-    const folderFound = await new Promise((resolve, reject) => {
-      fs.stat(rootFolderPath, (err, stats) => {
-        if (err) {
-          reject(err);
-        }
-        resolve(stats);
-      });
-    }).then(stats => stats.isDirectory(), () => false);
-
-    if (!folderFound) {
-      dispatch({
-        type: LOAD_ROOT_FOLDER,
-        payload: {
-          folderFound: false,
-        },
-      });
+      if (fileLoaderState.isRecursive) {
+        await showAllReplays()(dispatch, getState);
+      } else {
+        await changeFolderSelection(fileLoaderState.selectedFolderFullPath)(dispatch, getState);
+      }
       return;
     }
 
@@ -66,63 +122,108 @@ export function loadRootFolder() {
       type: LOAD_ROOT_FOLDER,
       payload: {
         folderFound: true,
+        rootFolders: rootFolders,
         rootFolderPath: rootFolderPath,
-        rootFolderName: path.basename(rootFolderPath),
       },
     });
 
+    await getState().fileLoader.replayAnnotations.load(rootFolderPath || null);
+    dispatchAnnotations(dispatch, getState);
+
+    cleanUpRecycleBin(getState).catch(err => {
+      log.error("Failed to clean up the recycle bin", err);
+    });
+
+    const browsePath = getBrowseRootPath(getState().fileLoader);
     dispatch({
       type: CHANGE_FOLDER_SELECTION,
       payload: {
-        folderPath: rootFolderPath,
+        folderPath: browsePath,
       },
     });
 
-    // Had to add this wait here otherwise the loading screen would not show
-    await wait(10); // eslint-disable-line
+    await scanFolder(browsePath, dispatch, getState);
+  };
+}
+
+// The replay root directory, or the first root that was found when it's missing
+function getBrowseRootPath(fileLoaderState) {
+  return fileLoaderState.rootFolderPath || _.get(fileLoaderState.rootFolders, [0, 'fullPath'], "");
+}
+
+/**
+ * Whether the replay root directory was found, showing an error when it wasn't. Has to be checked
+ * before anything that writes into it.
+ */
+export function checkRootFolderFound(dispatch, getState) {
+  if (getState().fileLoader.rootFolderPath) {
+    return true;
+  }
 
-    const filesAndFolders = await loadFilesInFolder(rootFolderPath);
-    const [unfilteredFiles, allFiles] = processFiles(filesAndFolders[0]);
+  dispatch(displayError(
+    'fileLoader-global',
+    "The replay root folder could not be found, check that its drive is connected or pick it again in the settings",
+  ));
+  return false;
+}
 
+export function changeFolderSelection(folder) {
+  return async (dispatch, getState) => {
     dispatch({
-      type: LOAD_FILES_IN_FOLDER,
+      type: CHANGE_FOLDER_SELECTION,
       payload: {
-        files: unfilteredFiles,
-        allFiles: allFiles,
-        folders: filesAndFolders[1],
-        numErroredFiles: filesAndFolders[0].length - allFiles.length,
-        numDurationFilteredFiles: allFiles.length - unfilteredFiles.length,
-        numFilteredFiles: filesAndFolders[0].length - unfilteredFiles.length,
+        folderPath: folder,
       },
     });
+
+    const currentPath = getState().fileLoader.selectedFolderFullPath;
+    await scanFolder(currentPath, dispatch, getState);
   };
 }
 
-export function changeFolderSelection(folder) {
+export function showAllReplays() {
   return async (dispatch, getState) => {
+    const browsePath = getBrowseRootPath(getState().fileLoader);
     dispatch({
       type: CHANGE_FOLDER_SELECTION,
       payload: {
-        folderPath: folder,
+        folderPath: browsePath,
+        isRecursive: true,
       },
     });
 
-    // Had to add this wait here otherwise the loading screen would not show
-    await wait(10); // eslint-disable-line
+    await scanFolder(browsePath, dispatch, getState);
+  };
+}
+
+export function toggleFolderExpanded(folder) {
+  return async (dispatch) => {
+    if (folder.expanded) {
+      dispatch({
+        type: SET_FOLDER_EXPANDED,
+        payload: {
+          folderPath: folder.fullPath,
+          expanded: false,
+        },
+      });
+      return;
+    }
 
-    const currentPath = getState().fileLoader.selectedFolderFullPath;
-    const filesAndFolders = await loadFilesInFolder(currentPath);
-    const [unfilteredFiles, allFiles] = processFiles(filesAndFolders[0]);
+    // Always re-read the sub-directories when expanding so that the counts are up to date
+    let listing;
+    try {
+      listing = await readFolder(folder.fullPath);
+    } catch (err) {
+      log.error(`Failed to read folder: ${folder.fullPath}`, err);
+      return;
+    }
 
     dispatch({
-      type: LOAD_FILES_IN_FOLDER,
+      type: SET_FOLDER_EXPANDED,
       payload: {
-        files: unfilteredFiles,
-        allFiles: allFiles,
-        folders: filesAndFolders[1],
-        numErroredFiles: filesAndFolders[0].length - allFiles.length,
-        numDurationFilteredFiles: allFiles.length - unfilteredFiles.length,
-        numFilteredFiles: filesAndFolders[0].length - unfilteredFiles.length,
+        folderPath: folder.fullPath,
+        expanded: true,
+        folders: listing.folders,
       },
     });
   };
@@ -137,15 +238,7 @@ export function storeScrollPosition(position) {
   };
 }
 
-export function storeFileLoadState(fileLoadState) {
-  return {
-    type: STORE_FILE_LOAD_STATE,
-    payload: {
-      fileLoadState: fileLoadState,
-    },
-  };
-}
-
+// A file can carry a clip of the frames to play instead of the whole game
 export function playFile(file) {
   return async (dispatch, getState) => {
     const filePath = file.fullPath;
@@ -155,7 +248,8 @@ export function playFile(file) {
     }
 
     const dolphinManager = getState().fileLoader.dolphinManager;
-    dolphinManager.playFile(filePath).catch((err) => {
+    const clip = file.clip ? padClip(file.clip, getClipSettings(getState().settings.settings.clipPlayback)) : null;
+    dolphinManager.playFile(filePath, true, clip).catch((err) => {
       const errorAction = displayError(
         'fileLoader-global',
         err.message,
@@ -172,8 +266,14 @@ export function queueFiles(files) {
       return;
     }
 
+    // Clips play back to back, each with the lead-in and lead-out around it
+    const clipSettings = getClipSettings(getState().settings.settings.clipPlayback);
+    const queuedFiles = files.map(file => (
+      file.clip ? { ...file, clip: padClip(file.clip, clipSettings) } : file
+    ));
+
     const dolphinManager = getState().fileLoader.dolphinManager;
-    dolphinManager.queueFiles(files).catch(err => {
+    dolphinManager.queueFiles(queuedFiles).catch(err => {
       const errorAction = displayError(
         'fileLoader-global',
         err.message,
@@ -188,6 +288,10 @@ export function setStatsGamePage(index) {
   return (dispatch, getState) => {
     const state = getState().fileLoader;
     const files = (state.filterReplays ? state.files : state.allFiles) || [];
+    if (files.length === 0) {
+      return;
+    }
+
     let statsGameIndex = index;
     if (statsGameIndex >= files.length) {
       statsGameIndex = 0;
@@ -201,29 +305,115 @@ export function setStatsGamePage(index) {
       type: SET_STATS_GAME_PAGE,
       payload: { statsGameIndex: statsGameIndex },
     });
-    gameProfileLoad(files[statsGameIndex].game)(dispatch);
+    // Files only hold the indexed header information so load the full game from its path
+    gameProfileLoad(files[statsGameIndex].fullPath)(dispatch, getState);
   };
 }
 
+// Resolves with the paths of the replays that made it into the recycle bin
 export function deleteSelections(selections) {
-  return (dispatch, getState) => {
+  return async (dispatch, getState) => {
+    await finishPendingDeletion(dispatch, getState);
+
+    const { replayRecycleBin, rootFolders } = getState().fileLoader;
+    const fullPaths = selections.map(selection => selection.fullPath);
+    const batch = await replayRecycleBin.recycle(fullPaths, rootFolders);
+    const numFailed = selections.length - batch.entries.length;
+    if (numFailed > 0) {
+      const errorAction = displayError(
+        'fileLoader-global',
+        `Failed to delete ${numFailed} replay(s), check the logs for details`,
+      );
+      dispatch(errorAction);
+    }
+
     const tempStore = getState().fileLoader;
-    const filesToRender = _.without(tempStore.fileLoadState.filesToRender, ...selections);
-    const files = _.without(tempStore.files, ...selections);
-    const allFiles = _.without(tempStore.allFiles, ...selections);
-    _.each(selections, (selection) => {
-      shell.moveItemToTrash(selection.fullPath);
-    });
-    tempStore.filesToRender = filesToRender;
-    tempStore.filesOffset = filesToRender.length;
+
+    // Folders can have tens of thousands of files so avoid searching the selection for each one.
+    // Compared by path since the selection may come from somewhere other than the folder scan
+    const deleted = new Set(batch.entries.map(entry => entry.originalPath));
+    const isNotDeleted = file => !deleted.has(file.fullPath);
+    const scannedFiles = tempStore.scannedFiles.filter(isNotDeleted);
+    const files = tempStore.files.filter(isNotDeleted);
+    const allFiles = tempStore.allFiles.filter(isNotDeleted);
     dispatch({
       type: DELETE_FILE,
       payload: {
-        fileLoadState: tempStore,
+        scannedFiles: scannedFiles,
         files: files,
         allFiles: allFiles,
       },
     });
+
+    if (deleted.size === 0) {
+      return [];
+    }
+
+    const deletedFiles = selections.filter(selection => deleted.has(selection.fullPath));
+    pendingDeletion = {
+      batch: batch,
+      files: deletedFiles,
+      timer: setTimeout(() => {
+        finishPendingDeletion(dispatch, getState).catch(err => {
+          log.error("Failed to finish deleting replays", err);
+        });
+      }, UNDO_DELETE_TIMEOUT_MS),
+    };
+
+    dispatch({
+      type: SET_PENDING_DELETION,
+      payload: {
+        pendingDeletion: {
+          id: batch.id,
+          numFiles: deletedFiles.length,
+          totalSize: _.sumBy(deletedFiles, file => file.fileSize || 0),
+        },
+      },
+    });
+
+    return Array.from(deleted);
+  };
+}
+
+export function undoDelete() {
+  return async (dispatch, getState) => {
+    if (!pendingDeletion) {
+      return;
+    }
+
+    const { batch, files, timer } = pendingDeletion;
+    clearTimeout(timer);
+    pendingDeletion = null;
+    dispatch({
+      type: CLEAR_PENDING_DELETION,
+    });
+
+    const { replayIndex, replayRecycleBin } = getState().fileLoader;
+    const restoredPaths = new Set(await replayRecycleBin.restore(batch));
+    const restoredFiles = files.filter(file => restoredPaths.has(file.fullPath));
+
+    // The watcher dropped the indexed records when the files went away, put them back so that the
+    // restored files don't have to be parsed again
+    await Promise.all(restoredFiles.map(async file => {
+      await replayIndex.loadFolder(path.dirname(file.fullPath));
+      const fileStats = await fs.stat(file.fullPath);
+      replayIndex.setRecord(file.fullPath, fileStats, file.game.record);
+    }));
+    const folderPaths = _.uniq(restoredFiles.map(file => path.dirname(file.fullPath)));
+    await Promise.all(folderPaths.map(folderPath => replayIndex.saveFolder(folderPath)));
+
+    const filesInView = restoredFiles.filter(file => isFileInView(file.fullPath, getState().fileLoader));
+    const numPendingFiles = getState().fileLoader.numPendingFiles;
+    updateScannedFiles(filesInView, [], numPendingFiles, dispatch, getState);
+
+    const numFailed = files.length - restoredFiles.length;
+    if (numFailed > 0) {
+      const errorAction = displayError(
+        'fileLoader-global',
+        `Failed to restore ${numFailed} replay(s), check the logs for details`,
+      );
+      dispatch(errorAction);
+    }
   };
 }
 
@@ -236,124 +426,984 @@ export function setFilterReplays(val) {
   }
 }
 
-async function loadFilesInFolder(folderPath) {
-  const readdirPromise = new Promise((resolve, reject) => {
-    fs.readdir(folderPath, { withFileTypes: true }, (err, dirents) => {
-      if (err) {
-        reject(err);
+export function setReplayFilters(replayFilters) {
+  return (dispatch, getState) => {
+    const scannedFiles = getState().fileLoader.scannedFiles || [];
+    const options = getFilesPayloadOptions(getState(), { replayFilters: replayFilters });
+    dispatch({
+      type: SET_REPLAY_FILTERS,
+      payload: {
+        ...generateFilesPayload(scannedFiles, options),
+        replayFilters: replayFilters,
+      },
+    });
+  };
+}
+
+export function setTableLayout(tableLayout) {
+  return (dispatch, getState) => {
+    const scannedFiles = getState().fileLoader.scannedFiles || [];
+    const options = getFilesPayloadOptions(getState(), { tableLayout: tableLayout });
+    dispatch({
+      type: SET_TABLE_LAYOUT,
+      payload: {
+        ...generateFilesPayload(scannedFiles, options),
+        tableLayout: tableLayout,
+      },
+    });
+
+    loadShownEndStates(scannedFiles, dispatch, getState);
+  };
+}
+
+export function updateAnnotation(fullPath, changes) {
+  return async (dispatch, getState) => {
+    if (!checkRootFolderFound(dispatch, getState)) {
+      return;
+    }
+
+    await getState().fileLoader.replayAnnotations.update(fullPath, changes);
+    dispatchAnnotations(dispatch, getState);
+
+    // Tag and favorite filters depend on the annotations so the lists have to be regenerated
+    if (hasActiveReplayFilters(getState().fileLoader.replayFilters)) {
+      const numPendingFiles = getState().fileLoader.numPendingFiles;
+      updateScannedFiles([], [], numPendingFiles, dispatch, getState);
+    }
+  };
+}
+
+export function previewRename(files, template) {
+  return async (dispatch, getState) => {
+    currentRenamePreviewId += 1;
+    const previewId = currentRenamePreviewId;
+
+    // Winners come from the end state which isn't part of the header
+    const renamedFiles = _.includes(template, '{winner}') ?
+      await loadEndStates(files, RENAME_JOB_GROUP, dispatch, getState) : files;
+
+    // Collisions with files outside of the selection are detected by listing the target folders
+    const folderPaths = _.uniq(files.map(file => path.dirname(file.fullPath)));
+    const listings = await Promise.all(folderPaths.map(async folderPath => {
+      try {
+        const fileNames = await fs.readdir(folderPath);
+        return fileNames.map(fileName => path.join(folderPath, fileName));
+      } catch (err) {
+        log.warn(`Failed to list folder for rename preview: ${folderPath}`);
+        return [];
       }
-      resolve(dirents);
+    }));
+
+    if (previewId !== currentRenamePreviewId) {
+      return;
+    }
+
+    dispatch({
+      type: SET_RENAME_PREVIEW,
+      payload: {
+        template: template,
+        renames: planRenames(renamedFiles, template, _.flatten(listings)),
+      },
     });
-  });
+  };
+}
 
-  const filesPromise = readdirPromise.then(dirents => (
-    dirents.filter(dirent => (
-      dirent.isFile()
-    )).map(dirent => (
-      dirent.name
-    )).filter(fileName => (
-      // Filter for all .slp files
-      path.extname(fileName) === ".slp"
-    )).map(fileName => {
-      // Compute header information for display
-      const fullPath = path.join(folderPath, fileName);
-      let game = null;
-      let hasError = false;
-      let lastFrame = null;
-
-      // Pre-load settings here
+export function cancelRename() {
+  currentRenamePreviewId += 1;
+  return {
+    type: CLEAR_RENAME_PREVIEW,
+  };
+}
+
+export function applyRename() {
+  return async (dispatch, getState) => {
+    const renamePreview = getState().fileLoader.renamePreview;
+    if (!renamePreview) {
+      return;
+    }
+
+    // Targets are unique and didn't exist during the preview, so the renames can't interfere
+    // with each other and can all run at once
+    const renames = renamePreview.renames.filter(rename => rename.status === RenameStatus.OK);
+    const results = await Promise.all(renames.map(async rename => {
       try {
-        game = new SlippiGame(fullPath);
+        const record = rename.file.game.record;
+        const fileStats = await moveReplay(rename.oldPath, rename.newPath, record, getState);
+        return createFile(rename.newPath, record, fileStats);
+      } catch (err) {
+        log.error(`Failed to rename ${rename.oldPath}`, err);
+        return null;
+      }
+    }));
 
-        // Preload settings
-        const settings = game.getSettings();
-        if (_.isEmpty(settings.players)) {
-          throw new Error("Game settings could not be properly loaded.");
-        }
+    await saveMovedReplays(dispatch, getState);
+
+    const renamedFiles = _.compact(results);
+    const renamedPaths = renames.filter((rename, i) => results[i]).map(rename => rename.oldPath);
+    const numPendingFiles = getState().fileLoader.numPendingFiles;
+    updateScannedFiles(renamedFiles, renamedPaths, numPendingFiles, dispatch, getState);
+
+    dispatch(cancelRename());
+
+    const failedFileNames = renames.filter((rename, i) => !results[i]).map(rename => (
+      rename.file.fileName
+    ));
+    if (failedFileNames.length > 0) {
+      const errorAction = displayError(
+        'fileLoader-global',
+        `Failed to rename ${failedFileNames.length} replay(s): ${failedFileNames.join(", ")}`,
+      );
+      dispatch(errorAction);
+    }
+  };
+}
+
+export function setOrganizeTemplate(template) {
+  return {
+    type: SET_ORGANIZE_TEMPLATE,
+    payload: {
+      template: template,
+    },
+  };
+}
+
+export function prepareOrganize() {
+  return async (dispatch, getState) => {
+    currentOrganizeId += 1;
+    const organizeId = currentOrganizeId;
+    const isStale = () => organizeId !== currentOrganizeId;
+    if (!checkRootFolderFound(dispatch, getState)) {
+      return;
+    }
 
-        // Preload metadata
-        const metadata = game.getMetadata();
-        if (metadata && metadata.lastFrame !== undefined) {
-          lastFrame = metadata.lastFrame;
+    const { rootFolderPath, organizeJournal } = getState().fileLoader;
+    dispatch({
+      type: SET_ORGANIZE_STATE,
+      payload: {
+        isLoading: true,
+      },
+    });
+
+    let library;
+    try {
+      // Replays get organized into the replay root directory so the other roots are left alone
+      await organizeJournal.load();
+      library = await readReplayLibrary(ORGANIZE_JOB_GROUP, getState, [rootFolderPath]);
+    } catch (err) {
+      log.error("Failed to read replay library for organizing", err);
+      if (!isStale()) {
+        dispatch({
+          type: CLEAR_ORGANIZE_STATE,
+        });
+        dispatch(displayError('fileLoader-global', "Failed to read the replay library"));
+      }
+      return;
+    }
+
+    if (isStale()) {
+      return;
+    }
+
+    dispatch({
+      type: SET_ORGANIZE_STATE,
+      payload: {
+        isLoading: false,
+        files: library.files,
+        existingPaths: library.fullPaths,
+        lastOperation: organizeJournal.getLastOperation(rootFolderPath),
+      },
+    });
+  };
+}
+
+/**
+ * Reads every replay under the root folders, or just the given ones, whatever folder is currently
+ * selected. Anything that isn't in the index yet gets parsed the same way a folder scan would,
+ * replays that are still being written are left out.
+ */
+export async function readReplayLibrary(jobGroup, getState, rootFolderPaths) {
+  const { rootFolders, replayIndex, replayParser } = getState().fileLoader;
+  const listings = await readFolderTrees(rootFolderPaths || _.map(rootFolders, 'fullPath'));
+  await Promise.all(listings.map(listing => replayIndex.loadFolder(listing.folderPath)));
+  const fullPaths = _.flatMap(listings, listing => (
+    listing.fileNames.map(fileName => path.join(listing.folderPath, fileName))
+  ));
+
+  const files = await Promise.all(fullPaths.map(async fullPath => {
+    const fileStats = await statListedFile(fullPath);
+    if (!fileStats) {
+      return null;
+    }
+
+    let record = replayIndex.getRecord(fullPath, fileStats);
+    if (!record) {
+      try {
+        record = await replayParser.parseHeader(fullPath, jobGroup);
+      } catch (err) {
+        record = {
+          hasError: true,
+          errorMessage: err.message,
+        };
+      }
+
+      if (!record || isReplayInProgress(record, fileStats)) {
+        // Either cancelled or still being written
+        return null;
+      }
+
+      if (!record.hasError) {
+        replayIndex.setRecord(fullPath, fileStats, record);
+      }
+    }
+
+    return createFile(fullPath, record, fileStats);
+  }));
+
+  listings.forEach(listing => replayIndex.saveFolder(listing.folderPath));
+
+  return {
+    fullPaths: fullPaths,
+    files: _.compact(files),
+  };
+}
+
+/**
+ * Starts over with a fresh folder tree, for after folders have been added or removed under the
+ * roots. Goes back to the root folder unless all replays were being shown.
+ */
+export function reloadLibrary() {
+  return async (dispatch, getState) => {
+    const { rootFolders, rootFolderPath, isRecursive } = getState().fileLoader;
+    dispatch({
+      type: LOAD_ROOT_FOLDER,
+      payload: {
+        folderFound: true,
+        rootFolders: rootFolders,
+        rootFolderPath: rootFolderPath,
+      },
+    });
+
+    if (isRecursive) {
+      await showAllReplays()(dispatch, getState);
+    } else {
+      await changeFolderSelection(getBrowseRootPath(getState().fileLoader))(dispatch, getState);
+    }
+  };
+}
+
+export function cancelOrganize() {
+  return (dispatch, getState) => {
+    currentOrganizeId += 1;
+    getState().fileLoader.replayParser.cancel(ORGANIZE_JOB_GROUP);
+    dispatch({
+      type: CLEAR_ORGANIZE_STATE,
+    });
+  };
+}
+
+export function applyOrganize(moves) {
+  return async (dispatch, getState) => {
+    if (!checkRootFolderFound(dispatch, getState)) {
+      return;
+    }
+
+    const { rootFolderPath, organizeJournal, organizeTemplate } = getState().fileLoader;
+    dispatch({
+      type: SET_ORGANIZE_STATE,
+      payload: {
+        isApplying: true,
+      },
+    });
+
+    const plannedMoves = moves.filter(move => move.status === MoveStatus.OK).map(move => ({
+      from: move.oldPath,
+      to: move.newPath,
+    }));
+    const completedMoves = await moveReplays(plannedMoves, dispatch, getState);
+
+    if (completedMoves.length > 0) {
+      await organizeJournal.record({
+        rootFolderPath: rootFolderPath,
+        template: organizeTemplate,
+        createdAt: new Date().toISOString(),
+        moves: completedMoves,
+      });
+    }
+
+    await finishOrganize(plannedMoves.length - completedMoves.length, "move", dispatch, getState);
+  };
+}
+
+export function undoOrganize() {
+  return async (dispatch, getState) => {
+    if (!checkRootFolderFound(dispatch, getState)) {
+      return;
+    }
+
+    const { rootFolderPath, organizeJournal } = getState().fileLoader;
+    const operation = organizeJournal.getLastOperation(rootFolderPath);
+    if (!operation) {
+      return;
+    }
+
+    dispatch({
+      type: SET_ORGANIZE_STATE,
+      payload: {
+        isApplying: true,
+      },
+    });
+
+    const plannedMoves = operation.moves.map(move => ({
+      from: move.to,
+      to: move.from,
+    }));
+    const completedMoves = await moveReplays(plannedMoves, dispatch, getState);
+    const restoredPaths = new Set(completedMoves.map(move => move.from));
+    await organizeJournal.removeMoves(operation.moves.filter(move => restoredPaths.has(move.to)));
+
+    await finishOrganize(
+      plannedMoves.length - completedMoves.length, "restore", dispatch, getState,
+      "Undo can be tried again for the replays that were left in place.",
+    );
+  };
+}
+
+async function moveReplays(moves, dispatch, getState) {
+  const results = await Promise.all(moves.map(async move => {
+    try {
+      await moveReplay(move.from, move.to, null, getState);
+      return true;
+    } catch (err) {
+      log.error(`Failed to move ${move.from} to ${move.to}`, err);
+      return false;
+    }
+  }));
+
+  const completedMoves = moves.filter((move, i) => results[i]);
+  await saveMovedReplays(dispatch, getState);
+  await removeEmptyFolders(completedMoves.map(move => path.dirname(move.from)), getState);
+
+  return completedMoves;
+}
+
+async function finishOrganize(numFailed, verb, dispatch, getState, failureNote) {
+  dispatch({
+    type: CLEAR_ORGANIZE_STATE,
+  });
+
+  // Folders have been created and removed all over the place, start over with a fresh tree
+  await reloadLibrary()(dispatch, getState);
+
+  if (numFailed > 0) {
+    const errorAction = displayError(
+      'fileLoader-global',
+      _.compact([
+        `Failed to ${verb} ${numFailed} replay(s), check the logs for details.`,
+        failureNote,
+      ]).join(" "),
+    );
+    dispatch(errorAction);
+  }
+}
+
+async function moveReplay(fromPath, toPath, record, getState) {
+  const { replayIndex, replayAnnotations } = getState().fileLoader;
+
+  // Never overwrite, the target might have shown up since the move was planned
+  if (await isOtherFile(toPath, fromPath)) {
+    throw new Error(`${toPath} already exists`);
+  }
+
+  await fs.ensureDir(path.dirname(toPath));
+  await fs.rename(fromPath, toPath);
+  const fileStats = await fs.stat(toPath);
+
+  // Renaming keeps the size and modification time so the indexed record is still good
+  await replayIndex.loadFolder(path.dirname(fromPath));
+  await replayIndex.loadFolder(path.dirname(toPath));
+  const movedRecord = record || replayIndex.getRecord(fromPath, fileStats);
+  replayIndex.removeRecord(fromPath);
+  if (movedRecord) {
+    replayIndex.setRecord(toPath, fileStats, movedRecord);
+  }
+
+  replayAnnotations.move(fromPath, toPath);
+  await getState().playlists.replayPlaylists.move(fromPath, toPath);
+  return fileStats;
+}
+
+// On case insensitive file systems a rename that only changes the case finds the replay itself
+async function isOtherFile(toPath, fromPath) {
+  if (!(await fs.pathExists(toPath))) {
+    return false;
+  }
+
+  if (toPath.toLowerCase() !== fromPath.toLowerCase()) {
+    return true;
+  }
+
+  const [toStats, fromStats] = await Promise.all([fs.stat(toPath), fs.stat(fromPath)]);
+  return toStats.ino !== fromStats.ino || toStats.dev !== fromStats.dev;
+}
+
+export async function saveMovedReplays(dispatch, getState) {
+  const { replayIndex, replayAnnotations } = getState().fileLoader;
+
+  // Destination folders are saved too since saveFolder skips anything that hasn't changed
+  const folderPaths = _.keys(replayIndex.folders);
+  await Promise.all(folderPaths.map(folderPath => replayIndex.saveFolder(folderPath)));
+  await replayAnnotations.save();
+  dispatchAnnotations(dispatch, getState);
+
+  await getState().playlists.replayPlaylists.save();
+  await loadPlaylists()(dispatch, getState);
+}
+
+async function removeEmptyFolders(folderPaths, getState) {
+  const rootFolderPath = getState().fileLoader.rootFolderPath;
+  if (!rootFolderPath) {
+    return;
+  }
+
+  // Go deepest first so that parents that only contained empty folders can be removed as well
+  const sortedPaths = _.sortBy(_.uniq(folderPaths), folderPath => -folderPath.length);
+  await sortedPaths.reduce(async (previous, folderPath) => {
+    await previous;
+
+    let currentPath = folderPath;
+    while (currentPath !== rootFolderPath && currentPath.startsWith(rootFolderPath)) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const entries = await fs.readdir(currentPath);
+        if (entries.length > 0) {
+          return;
         }
+
+        // eslint-disable-next-line no-await-in-loop
+        await fs.rmdir(currentPath);
       } catch (err) {
-        console.log(`Failed to parse file: ${fullPath}`);
-        console.log(err);
-        hasError = true;
+        return;
       }
 
-      const startTime = timeUtils.fileToDateAndTime(game, fileName, fullPath);
+      currentPath = path.dirname(currentPath);
+    }
+  }, Promise.resolve());
+}
 
-      return {
-        fullPath: fullPath,
-        fileName: fileName,
-        startTime: startTime,
-        game: game,
-        hasError: hasError,
-        lastFrame: lastFrame,
-      };
-    })
+async function finishPendingDeletion(dispatch, getState) {
+  if (!pendingDeletion) {
+    return;
+  }
+
+  const { batch, timer } = pendingDeletion;
+  clearTimeout(timer);
+  pendingDeletion = null;
+  dispatch({
+    type: CLEAR_PENDING_DELETION,
+  });
+
+  const recycleSettings = getRecycleSettings(getState().settings.settings.replayRecycling);
+  if (!recycleSettings.keepDeletedReplays) {
+    await getState().fileLoader.replayRecycleBin.moveToTrash(batch);
+  }
+}
+
+async function cleanUpRecycleBin(getState) {
+  const replayRecycleBin = getState().fileLoader.replayRecycleBin;
+  const recycleSettings = getRecycleSettings(getState().settings.settings.replayRecycling);
+  const expiresBefore = Date.now() - (recycleSettings.retentionDays * DAY_MS);
+
+  // Batches left over when the app closed before the undo ran out get sent on now. Whatever the OS
+  // trash didn't take is kept around for the retention period as well
+  const batches = await replayRecycleBin.loadBatches(getState().fileLoader.rootFolders);
+  await Promise.all(batches.map(async batch => {
+    if (pendingDeletion && pendingDeletion.batch.id === batch.id) {
+      return;
+    }
+
+    if (new Date(batch.deletedAt).getTime() < expiresBefore) {
+      await replayRecycleBin.removeBatch(batch);
+    } else if (!recycleSettings.keepDeletedReplays) {
+      await replayRecycleBin.moveToTrash(batch);
+    }
+  }));
+}
+
+function dispatchAnnotations(dispatch, getState) {
+  const replayAnnotations = getState().fileLoader.replayAnnotations;
+  dispatch({
+    type: ANNOTATIONS_UPDATED,
+    payload: {
+      annotations: { ...replayAnnotations.entries },
+      allTags: replayAnnotations.getAllTags(),
+    },
+  });
+}
+
+async function scanFolder(folderPath, dispatch, getState) {
+  currentScanId += 1;
+  const scanId = currentScanId;
+  const isStale = () => scanId !== currentScanId;
+
+  const { replayIndex, replayParser, folderWatcher, isRecursive, rootFolders } = getState().fileLoader;
+
+  // Anything still being parsed for a previous scan is no longer needed
+  replayParser.cancel(SCAN_JOB_GROUP);
+  replayParser.cancel(WATCH_JOB_GROUP);
+  replayParser.cancel(END_STATE_JOB_GROUP);
+
+  // Showing all replays is the only recursive view, every folder beneath each of the roots is
+  // included in the list. The selected folder is the first root so its listing still comes first
+  const folderPaths = isRecursive ? _.map(rootFolders, 'fullPath') : [folderPath];
+  const listings = isRecursive ? await readFolderTrees(folderPaths) : [await readFolder(folderPath)];
+  await Promise.all(listings.map(listing => replayIndex.loadFolder(listing.folderPath)));
+  if (isStale()) {
+    return;
+  }
+
+  // Start watching right away so that we don't miss files written while the scan is running
+  watchFolders(folderPaths, isRecursive, dispatch, getState);
+
+  // Forget about any indexed files that have been removed since the last visit
+  listings.forEach(listing => replayIndex.prune(listing.folderPath, listing.fileNames));
+
+  const fullPaths = _.flatMap(listings, listing => (
+    listing.fileNames.map(fileName => path.join(listing.folderPath, fileName))
   ));
 
-  const foldersPromise = readdirPromise.then(dirents => (
-    dirents.filter(dirent => (
-      dirent.isDirectory()
-    )).map(dirent => {
-      const folderName = dirent.name;
-      const fullPath = path.join(folderPath, folderName);
-      return {
+  // Files with an up to date record in the index can be shown right away, everything else has
+  // to go through the parser pool first
+  const files = [];
+  const filesToParse = [];
+  await Promise.all(fullPaths.map(async fullPath => {
+    const fileStats = await statListedFile(fullPath);
+    if (!fileStats) {
+      return;
+    }
+
+    const record = replayIndex.getRecord(fullPath, fileStats);
+    if (record) {
+      files.push(createFile(fullPath, record, fileStats));
+    } else {
+      filesToParse.push({
         fullPath: fullPath,
-        folderName: folderName,
-        expanded: true,
-        subDirectories: [],
+        fileStats: fileStats,
+      });
+    }
+  }));
+
+  if (isStale()) {
+    return;
+  }
+
+  let numPendingFiles = filesToParse.length;
+  dispatch({
+    type: LOAD_FILES_IN_FOLDER,
+    payload: {
+      ...generateFilesPayload(files, getFilesPayloadOptions(getState())),
+      scannedFiles: files,
+      folders: listings[0].folders,
+      replayCount: listings[0].fileNames.length,
+      numPendingFiles: numPendingFiles,
+    },
+  });
+
+  // Rows get streamed into the list as they are parsed but we don't want to re-sort the whole
+  // folder for every single file
+  let parsedFiles = [];
+  const dispatchProgress = _.throttle(() => {
+    if (isStale()) {
+      return;
+    }
+
+    updateScannedFiles(parsedFiles, [], numPendingFiles, dispatch, getState);
+    parsedFiles = [];
+  }, PROGRESS_DISPATCH_INTERVAL_MS);
+
+  await Promise.all(filesToParse.map(async ({ fullPath, fileStats }) => {
+    let record = null;
+    let didParserFail = false;
+    try {
+      record = await replayParser.parseHeader(fullPath, SCAN_JOB_GROUP);
+    } catch (err) {
+      log.error(`Failed to parse file: ${fullPath}`, err);
+      didParserFail = true;
+      record = {
+        hasError: true,
+        errorMessage: err.message,
       };
-    })
-  ));
+    }
 
-  return Promise.all([filesPromise, foldersPromise]);
-}
+    if (!record || isStale()) {
+      // Scan was cancelled
+      return;
+    }
+
+    numPendingFiles -= 1;
+    if (isReplayInProgress(record, fileStats)) {
+      // Leave it to the watcher to add this file once it's done being written
+      folderWatcher.checkLater(fullPath, IN_PROGRESS_RECHECK_MS);
+    } else {
+      if (!didParserFail) {
+        // Don't index parser failures, the file itself might be fine next time
+        replayIndex.setRecord(fullPath, fileStats, record);
+      }
+      parsedFiles.push(createFile(fullPath, record, fileStats));
+    }
 
-async function wait(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+    dispatchProgress();
+  }));
+
+  dispatchProgress.flush();
+  listings.forEach(listing => replayIndex.saveFolder(listing.folderPath));
+
+  if (!isStale()) {
+    loadShownEndStates(getState().fileLoader.scannedFiles, dispatch, getState);
+  }
 }
 
-function processFiles(files) {
-  let goodFiles = files;
+/**
+ * Works out the end state of every file that doesn't have one yet in the parser pool. The end
+ * states are added to the index and the file list, and the files come back with them filled in.
+ * Cancelled jobs leave their file as it was.
+ */
+export async function loadEndStates(files, jobGroup, dispatch, getState) {
+  const { replayIndex } = getState().fileLoader;
 
-  goodFiles = goodFiles.filter(file => {
-    if (file.hasError) {
-      // This will occur if an error was encountered while parsing
-      return false;
+  let loadedEndStates = {};
+  const dispatchProgress = _.throttle(() => {
+    // Files that were dropped from the list in the meantime aren't put back in
+    const shownFiles = _.compact(getState().fileLoader.scannedFiles.map(file => (
+      _.has(loadedEndStates, file.fullPath) ? addEndState(file, loadedEndStates[file.fullPath]) : null
+    )));
+    loadedEndStates = {};
+    if (shownFiles.length > 0) {
+      const numPendingFiles = getState().fileLoader.numPendingFiles;
+      updateScannedFiles(shownFiles, [], numPendingFiles, dispatch, getState);
     }
+  }, PROGRESS_DISPATCH_INTERVAL_MS);
 
-    const settings = file.game.getSettings() || {};
-    if (!settings.stageId) {
-      // I know that right now if you play games from debug mode it make some
-      // weird replay files... this should filter those out
-      return false;
+  // The files passed in can be older than the ones in the list, like the ones of a selection
+  const scannedFilesByPath = _.keyBy(getState().fileLoader.scannedFiles, 'fullPath');
+  const results = await Promise.all(files.map(async file => {
+    const scannedFile = scannedFilesByPath[file.fullPath];
+    if (file.game.isEndStateLoaded()) {
+      return file;
     }
 
-    return true;
+    if (scannedFile && scannedFile.game.isEndStateLoaded()) {
+      return scannedFile;
+    }
+
+    const endState = await getEndStateLoad(file.fullPath, jobGroup, getState);
+    if (endState === undefined) {
+      // Cancelled
+      return file;
+    }
+
+    loadedEndStates[file.fullPath] = endState;
+    dispatchProgress();
+    return addEndState(file, endState);
+  }));
+
+  dispatchProgress.flush();
+  const folderPaths = _.uniq(files.map(file => path.dirname(file.fullPath)));
+  await Promise.all(folderPaths.map(folderPath => replayIndex.saveFolder(folderPath)));
+
+  return results;
+}
+
+// Resolves with null when the end of the game couldn't be read and undefined when cancelled
+function getEndStateLoad(fullPath, jobGroup, getState) {
+  if (endStateLoads[fullPath]) {
+    return endStateLoads[fullPath];
+  }
+
+  const { replayIndex, replayParser } = getState().fileLoader;
+  const load = replayParser.computeEndState(fullPath, jobGroup).then(endState => {
+    if (!endState) {
+      return undefined;
+    }
+
+    replayIndex.updateRecord(fullPath, {
+      endState: endState,
+    });
+    return endState;
+  }, err => {
+    // Not indexed so that it gets another try next time
+    log.warn(`Failed to read the end of the game: ${fullPath}`, err);
+    return null;
+  }).then(endState => {
+    delete endStateLoads[fullPath];
+    return endState;
   });
 
-  let filteredFiles = goodFiles.filter(file => {
-    const metadata = file.game.getMetadata() || {};
-    const totalFrames = metadata.lastFrame || MIN_GAME_LENGTH_FRAMES + 1;
-    return totalFrames > MIN_GAME_LENGTH_FRAMES;
-  })
+  endStateLoads[fullPath] = load;
+  return load;
+}
+
+function addEndState(file, endState) {
+  return {
+    ...file,
+    game: new IndexedGame(file.fullPath, {
+      ...file.game.record,
+      endState: endState,
+    }),
+  };
+}
 
-  goodFiles = _.orderBy(
-    goodFiles,
-    ['startTime', 'fileName'],
-    ['desc', 'desc']
+export function loadFileEndStates(files) {
+  return (dispatch, getState) => (
+    loadEndStates(files, END_STATE_JOB_GROUP, dispatch, getState)
   );
+}
+
+// Reading the end of every game is only worth it when a column, visibility rule or the set
+// grouping shows it
+function loadShownEndStates(files, dispatch, getState) {
+  const options = getFilesPayloadOptions(getState());
+  if (!tableNeedsEndStates(options.tableLayout) && !rulesNeedEndStates(options.visibilityRules)) {
+    return;
+  }
+
+  loadEndStates(files, END_STATE_JOB_GROUP, dispatch, getState).catch(err => {
+    log.error("Failed to load end states", err);
+  });
+}
+
+// Files can be removed or locked between listing a folder and reading them, those are left out
+// instead of failing the whole read
+async function statListedFile(fullPath) {
+  try {
+    return await fs.stat(fullPath);
+  } catch (err) {
+    log.warn(`Failed to read ${fullPath}, leaving it out`, err);
+    return null;
+  }
+}
+
+function watchFolders(folderPaths, isRecursive, dispatch, getState) {
+  const { replayIndex, folderWatcher } = getState().fileLoader;
+
+  folderWatcher.removeAllListeners();
+  folderWatcher.watch(folderPaths, isRecursive);
+
+  folderWatcher.on('change', (fullPath, fileStats) => {
+    updateWatchedFile(fullPath, fileStats, dispatch, getState).catch(err => {
+      log.error(`Failed to update watched file: ${fullPath}`, err);
+    });
+  });
+
+  folderWatcher.on('remove', fullPath => {
+    replayIndex.removeRecord(fullPath);
+    replayIndex.saveFolder(path.dirname(fullPath));
+
+    const numPendingFiles = getState().fileLoader.numPendingFiles;
+    updateScannedFiles([], [fullPath], numPendingFiles, dispatch, getState);
+  });
+}
+
+async function updateWatchedFile(fullPath, fileStats, dispatch, getState) {
+  const { replayIndex, replayParser, folderWatcher } = getState().fileLoader;
+  const folderPath = path.dirname(fullPath);
+
+  // Files in sub-directories come from a recursive watch, their folder index might not be loaded
+  await replayIndex.loadFolder(folderPath);
+
+  let record = replayIndex.getRecord(fullPath, fileStats);
+  if (!record) {
+    record = await replayParser.parseHeader(fullPath, WATCH_JOB_GROUP);
+    if (!record) {
+      // Folder selection changed while parsing
+      return;
+    }
+
+    if (isReplayInProgress(record, fileStats)) {
+      // Don't show files that are still being written as corrupt, check back on them later in
+      // case the writer never finishes the file
+      folderWatcher.checkLater(fullPath, IN_PROGRESS_RECHECK_MS);
+      return;
+    }
+
+    replayIndex.setRecord(fullPath, fileStats, record);
+    replayIndex.saveFolder(folderPath);
+  }
+
+  if (!isFileInView(fullPath, getState().fileLoader)) {
+    return;
+  }
+
+  const file = createFile(fullPath, record, fileStats);
+  const numPendingFiles = getState().fileLoader.numPendingFiles;
+  updateScannedFiles([file], [], numPendingFiles, dispatch, getState);
+  loadShownEndStates([file], dispatch, getState);
+}
+
+function updateScannedFiles(changedFiles, removedPaths, numPendingFiles, dispatch, getState) {
+  const changedPaths = new Set(removedPaths.concat(changedFiles.map(file => file.fullPath)));
+  const scannedFiles = _.reject(getState().fileLoader.scannedFiles, file => (
+    changedPaths.has(file.fullPath)
+  )).concat(changedFiles);
+
+  dispatch({
+    type: UPDATE_FILES_IN_FOLDER,
+    payload: {
+      ...generateFilesPayload(scannedFiles, getFilesPayloadOptions(getState())),
+      scannedFiles: scannedFiles,
+      numPendingFiles: numPendingFiles,
+    },
+  });
+}
+
+function isFileInView(fullPath, state) {
+  if (state.isRecursive) {
+    return !!findReplayRoot(state.rootFolders, fullPath);
+  }
+
+  return path.dirname(fullPath) === state.selectedFolderFullPath;
+}
+
+export function isReplayInProgress(record, fileStats) {
+  // Metadata only gets written once the writer is done with the file (SlpFileWriter's
+  // FILE_COMPLETE), so a recently modified file without it is most likely still being recorded
+  const isRecentlyModified = Date.now() - fileStats.mtimeMs < IN_PROGRESS_TIMEOUT_MS;
+  return isRecentlyModified && (record.hasError || _.isEmpty(record.metadata));
+}
+
+async function readFolder(folderPath) {
+  const dirents = await fs.readdir(folderPath, { withFileTypes: true });
+  const fileNames = filterReplayFileNames(dirents);
+
+  // Deleted replays are held in the root folders, they aren't part of the library anymore
+  const folders = await Promise.all(dirents.filter(dirent => (
+    dirent.isDirectory() && dirent.name !== RECYCLE_FOLDER_NAME
+  )).map(async dirent => {
+    const folderName = dirent.name;
+    const fullPath = path.join(folderPath, folderName);
+
+    // Count the replays in each sub-directory for display in the folder browser
+    let replayCount = 0;
+    try {
+      const subDirents = await fs.readdir(fullPath, { withFileTypes: true });
+      replayCount = filterReplayFileNames(subDirents).length;
+    } catch (err) {
+      log.warn(`Failed to count replays in folder: ${fullPath}`);
+    }
+
+    return {
+      fullPath: fullPath,
+      folderName: folderName,
+      expanded: false,
+      replayCount: replayCount,
+      subDirectories: [],
+    };
+  }));
+
+  return {
+    folderPath: folderPath,
+    fileNames: fileNames,
+    folders: folders,
+  };
+}
+
+async function readFolderTree(folderPath) {
+  const listing = await readFolder(folderPath);
+  const subListings = await Promise.all(listing.folders.map(folder => (
+    readFolderTree(folder.fullPath)
+  )));
+
+  return [listing, ..._.flatten(subListings)];
+}
+
+async function readFolderTrees(folderPaths) {
+  const listings = await Promise.all(folderPaths.map(folderPath => readFolderTree(folderPath)));
+
+  // A root can be inside of another root, its folders shouldn't be listed twice
+  return _.uniqBy(_.flatten(listings), 'folderPath');
+}
 
-  filteredFiles = _.orderBy(
-    filteredFiles,
-    ['startTime', 'fileName'],
-    ['desc', 'desc']
+function filterReplayFileNames(dirents) {
+  return dirents.filter(dirent => (
+    dirent.isFile()
+  )).map(dirent => (
+    dirent.name
+  )).filter(fileName => (
+    // Filter for all replay files, compressed or not
+    isReplayFileName(fileName)
+  ));
+}
+
+function createFile(fullPath, record, fileStats) {
+  const fileName = path.basename(fullPath);
+  const game = new IndexedGame(fullPath, record);
+  const startTime = timeUtils.fileToDateAndTime(game, fileName, fullPath);
+
+  return {
+    fullPath: fullPath,
+    fileName: fileName,
+    startTime: startTime,
+    game: game,
+    hasError: record.hasError,
+    lastFrame: record.lastFrame,
+    fileSize: fileStats.size,
+  };
+}
+
+function getFilesPayloadOptions(state, overrides) {
+  return {
+    replayFilters: state.fileLoader.replayFilters,
+    tableLayout: state.fileLoader.tableLayout,
+    replayAnnotations: state.fileLoader.replayAnnotations,
+    visibilityRules: getVisibilityRules(state.settings.settings.replayVisibilityRules),
+    ...overrides,
+  };
+}
+
+function generateFilesPayload(files, options) {
+  const { replayFilters, tableLayout, replayAnnotations, visibilityRules } = options;
+  const [visibleFiles, goodFiles, hiddenCounts] = processFiles(files, visibilityRules);
+
+  // Search filters are applied on top of the visibility rules so that showing the hidden files
+  // doesn't lose the search
+  const isMatch = file => (
+    matchesReplayFilters(file, replayFilters, replayAnnotations.get(file.fullPath))
   );
+  const allFiles = sortReplayFiles(goodFiles.filter(isMatch), tableLayout);
+
+  return {
+    files: sortReplayFiles(visibleFiles.filter(isMatch), tableLayout),
+    allFiles: allFiles,
+    hiddenCounts: hiddenCounts,
+    numErroredFiles: _.filter(files, 'hasError').length,
+    numFilteredFiles: files.length - visibleFiles.length,
+    numSearchFilteredFiles: goodFiles.length - allFiles.length,
+  };
+}
+
+function processFiles(files, visibilityRules) {
+  const visibleFiles = [];
+  const goodFiles = [];
+  const hiddenCounts = {};
+
+  files.forEach(file => {
+    if (file.hasError) {
+      // This will occur if an error was encountered while parsing
+      return;
+    }
+
+    const hiddenReason = getHiddenReason(file, visibilityRules);
+    if (!hiddenReason) {
+      visibleFiles.push(file);
+      goodFiles.push(file);
+      return;
+    }
+
+    hiddenCounts[hiddenReason] = (hiddenCounts[hiddenReason] || 0) + 1;
+    if (!isRuleAlwaysOn(hiddenReason)) {
+      // These can still be shown if the user asks for it
+      goodFiles.push(file);
+    }
+  });
 
-  // Filter out files that were shorter than 30 seconds
-  return [filteredFiles, goodFiles];
+  return [visibleFiles, goodFiles, hiddenCounts];
 }
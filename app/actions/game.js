@@ -1,23 +1,35 @@
 import _ from 'lodash';
-import SlippiGame from '@slippi/slippi-js';
 import log from 'electron-log';
 
+import { IndexedGame } from '../domain/ReplayIndex';
+
 export const GAME_LOAD_START = 'GAME_LOAD_START'
 export const GAME_LOAD_COMPLETE = 'GAME_LOAD_COMPLETE';
 
+const GAME_PROFILE_JOB_GROUP = 'game-profile';
+
+// Incremented on every load so that quickly paging through games only shows the last one
+let currentLoadId = 0;
+
 export function gameProfileLoad(gameOrPath) {
-  return async (dispatch) => {
+  return async (dispatch, getState) => {
+    currentLoadId += 1;
+    const loadId = currentLoadId;
+
     dispatch({
       type: GAME_LOAD_START,
       payload: {},
     });
 
-    // Had to add this wait here otherwise the loading screen would not show
-    const wait = ms => new Promise((resolve) => setTimeout(resolve, ms));
-    await wait(10); // eslint-disable-line
+    // Stats for a game we navigated away from are no longer needed
+    const replayParser = getState().fileLoader.replayParser;
+    replayParser.cancel(GAME_PROFILE_JOB_GROUP);
 
     // Load game information asynchronously
-    const game = await loadGame(gameOrPath);
+    const game = await loadGame(gameOrPath, replayParser);
+    if (loadId !== currentLoadId) {
+      return;
+    }
 
     dispatch({
       type: GAME_LOAD_COMPLETE,
@@ -28,20 +40,26 @@ export function gameProfileLoad(gameOrPath) {
   };
 }
 
-async function loadGame(gameOrPath) {
+async function loadGame(gameOrPath, replayParser) {
   let gameToLoad = gameOrPath;
-  if (_.isString(gameOrPath)) {
-    // If string passed in, create SlippiGame
-    gameToLoad = new SlippiGame(gameOrPath);
-  }
-
-  let settings, stats;
+  let settings, stats, metadata;
 
   // Generate data here so that maybe we can add a loading state
   try {
+    if (_.isString(gameOrPath)) {
+      // If string passed in, compute the stats in the parser pool
+      const parsed = await replayParser.computeStats(gameOrPath, GAME_PROFILE_JOB_GROUP);
+      if (!parsed) {
+        // Load was cancelled
+        return null;
+      }
+
+      gameToLoad = new IndexedGame(gameOrPath, parsed);
+    }
+
     settings = gameToLoad.getSettings();
     stats = gameToLoad.getStats();
-    gameToLoad.getMetadata();
+    metadata = gameToLoad.getMetadata();
   } catch (err) {
     log.error(`Error loading replay file\n`, err);
     return null;
@@ -52,6 +70,7 @@ async function loadGame(gameOrPath) {
   // would call the get functions or we would create an object that wraps the result.
   gameToLoad.settings = settings;
   gameToLoad.stats = stats;
+  gameToLoad.metadata = metadata;
 
   return gameToLoad;
 }
@@ -0,0 +1,87 @@
+import log from 'electron-log';
+
+import { displayError } from './error';
+import { IndexedGame } from '../domain/ReplayIndex';
+import { findHighlights as findGameHighlights } from '../utils/highlights';
+
+export const HIGHLIGHTS_SCAN_START = 'HIGHLIGHTS_SCAN_START';
+export const HIGHLIGHTS_SCAN_PROGRESS = 'HIGHLIGHTS_SCAN_PROGRESS';
+export const HIGHLIGHTS_SCAN_COMPLETE = 'HIGHLIGHTS_SCAN_COMPLETE';
+export const CLEAR_HIGHLIGHTS = 'CLEAR_HIGHLIGHTS';
+
+const HIGHLIGHTS_JOB_GROUP = 'highlights';
+
+// Incremented whenever a scan starts or gets cleared so that results of an old scan are dropped
+let currentScanId = 0;
+
+/**
+ * Computes the stats of every file in the parser pool and collects the conversions that meet the
+ * criteria. Files that can't be read are left out of the reel.
+ */
+export function findHighlights(files, criteria) {
+  return async (dispatch, getState) => {
+    currentScanId += 1;
+    const scanId = currentScanId;
+    const replayParser = getState().fileLoader.replayParser;
+    replayParser.cancel(HIGHLIGHTS_JOB_GROUP);
+
+    dispatch({
+      type: HIGHLIGHTS_SCAN_START,
+      payload: {
+        numFiles: files.length,
+      },
+    });
+
+    let numScanned = 0;
+    let numFailed = 0;
+    const highlightsByFile = await Promise.all(files.map(async file => {
+      let highlights = [];
+      try {
+        const parsed = await replayParser.computeStats(file.fullPath, HIGHLIGHTS_JOB_GROUP);
+        if (parsed) {
+          highlights = findGameHighlights(file, new IndexedGame(file.fullPath, parsed), criteria);
+        }
+      } catch (err) {
+        log.error(`Failed to compute stats of ${file.fullPath}`, err);
+        numFailed += 1;
+      }
+
+      numScanned += 1;
+      if (scanId === currentScanId) {
+        dispatch({
+          type: HIGHLIGHTS_SCAN_PROGRESS,
+          payload: {
+            numScanned: numScanned,
+          },
+        });
+      }
+
+      return highlights;
+    }));
+
+    if (scanId !== currentScanId) {
+      return;
+    }
+
+    if (numFailed > 0) {
+      dispatch(displayError('fileLoader-global', `${numFailed} replay(s) could not be read for highlights`));
+    }
+
+    dispatch({
+      type: HIGHLIGHTS_SCAN_COMPLETE,
+      payload: {
+        highlights: [].concat(...highlightsByFile),
+      },
+    });
+  };
+}
+
+export function clearHighlights() {
+  return (dispatch, getState) => {
+    currentScanId += 1;
+    getState().fileLoader.replayParser.cancel(HIGHLIGHTS_JOB_GROUP);
+    dispatch({
+      type: CLEAR_HIGHLIGHTS,
+    });
+  };
+}
@@ -0,0 +1,275 @@
+import _ from 'lodash';
+import fs from 'fs-extra';
+import path from 'path';
+import log from 'electron-log';
+
+import { displayError } from './error';
+import {
+  getQueueEntry, buildQueueJson, parseQueueJson, addQueueEntries, moveQueueEntry,
+} from '../utils/playlists';
+import { padClip } from '../utils/clips';
+import { getClipSettings } from '../utils/settings';
+import {
+  isCompressedReplay, getExtractedReplayName, decompressReplay,
+} from '../utils/replayCompression';
+
+const { dialog } = require('electron').remote;
+
+export const PLAYLISTS_UPDATED = 'PLAYLISTS_UPDATED';
+export const SELECT_PLAYLIST = 'SELECT_PLAYLIST';
+
+const PLAYLIST_FILE_FILTERS = [{ name: "Replay Queues", extensions: ['json'] }];
+
+export function loadPlaylists() {
+  return async (dispatch, getState) => {
+    await getState().playlists.replayPlaylists.load();
+    dispatchPlaylists(dispatch, getState);
+  };
+}
+
+export function selectPlaylist(playlistId) {
+  return {
+    type: SELECT_PLAYLIST,
+    payload: {
+      playlistId: playlistId,
+    },
+  };
+}
+
+// Files are anything with a full path and a game, like the rows of the replay browser
+export function createPlaylist(name, files) {
+  return (dispatch, getState) => (
+    addPlaylist(name, getFileEntries(files || [], getState))(dispatch, getState)
+  );
+}
+
+function addPlaylist(name, entries) {
+  return async (dispatch, getState) => {
+    const replayPlaylists = getState().playlists.replayPlaylists;
+    await replayPlaylists.load();
+
+    const playlist = await replayPlaylists.create(name, addQueueEntries([], entries));
+    dispatchPlaylists(dispatch, getState);
+    dispatch(selectPlaylist(playlist.id));
+  };
+}
+
+export function renamePlaylist(playlistId, name) {
+  return async (dispatch, getState) => {
+    await getState().playlists.replayPlaylists.update(playlistId, {
+      name: name,
+    });
+    dispatchPlaylists(dispatch, getState);
+  };
+}
+
+export function deletePlaylist(playlistId) {
+  return async (dispatch, getState) => {
+    await getState().playlists.replayPlaylists.remove(playlistId);
+    dispatchPlaylists(dispatch, getState);
+  };
+}
+
+export function addToPlaylist(playlistId, files) {
+  return (dispatch, getState) => {
+    const newEntries = getFileEntries(files, getState);
+    return updateEntries(playlistId, entries => addQueueEntries(entries, newEntries))(dispatch, getState);
+  };
+}
+
+export function removeFromPlaylist(playlistId, index) {
+  return updateEntries(playlistId, entries => entries.filter((entry, i) => i !== index));
+}
+
+export function movePlaylistEntry(playlistId, fromIndex, toIndex) {
+  return updateEntries(playlistId, entries => moveQueueEntry(entries, fromIndex, toIndex));
+}
+
+function updateEntries(playlistId, getEntries) {
+  return async (dispatch, getState) => {
+    const replayPlaylists = getState().playlists.replayPlaylists;
+    await replayPlaylists.load();
+
+    const playlist = replayPlaylists.get(playlistId);
+    if (!playlist) {
+      return;
+    }
+
+    await replayPlaylists.update(playlistId, {
+      entries: getEntries(playlist.entries),
+    });
+    dispatchPlaylists(dispatch, getState);
+  };
+}
+
+/**
+ * Plays the playlist in Dolphin's queue mode. Replays that have been moved or deleted outside of
+ * the app since they were added are skipped.
+ */
+export function playPlaylist(playlistId) {
+  return async (dispatch, getState) => {
+    const playlist = getState().playlists.replayPlaylists.get(playlistId);
+    if (!playlist) {
+      return;
+    }
+
+    const entries = _.compact(await Promise.all(playlist.entries.map(findEntryReplay)));
+    const numMissing = playlist.entries.length - entries.length;
+    if (numMissing > 0) {
+      dispatch(displayError(
+        'playlists-global',
+        `${numMissing} replay(s) of ${playlist.name} could not be found and were skipped`,
+      ));
+    }
+
+    if (entries.length === 0) {
+      return;
+    }
+
+    const dolphinManager = getState().fileLoader.dolphinManager;
+    try {
+      await dolphinManager.playQueue(entries);
+    } catch (err) {
+      dispatch(displayError('playlists-global', err.message));
+    }
+  };
+}
+
+export function importPlaylist() {
+  return async (dispatch, getState) => {
+    const paths = dialog.showOpenDialog({
+      title: "Import Playlist",
+      properties: ['openFile'],
+      filters: PLAYLIST_FILE_FILTERS,
+    }) || [];
+
+    const filePath = paths[0];
+    if (!filePath) {
+      return;
+    }
+
+    let entries;
+    try {
+      entries = parseQueueJson(await fs.readJson(filePath));
+    } catch (err) {
+      log.error(`Failed to import playlist from ${filePath}`, err);
+      dispatch(displayError('playlists-global', `Failed to import playlist: ${err.message}`));
+      return;
+    }
+
+    const name = path.basename(filePath, path.extname(filePath));
+    await addPlaylist(name, entries)(dispatch, getState);
+  };
+}
+
+export function exportPlaylist(playlistId) {
+  return async (dispatch, getState) => {
+    const playlist = getState().playlists.replayPlaylists.get(playlistId);
+    if (!playlist) {
+      return;
+    }
+
+    const filePath = dialog.showSaveDialog({
+      title: "Export Playlist",
+      defaultPath: `${_.trim(playlist.name) || "playlist"}.json`,
+      filters: PLAYLIST_FILE_FILTERS,
+    });
+    if (!filePath) {
+      return;
+    }
+
+    let entries;
+    try {
+      entries = await getExportEntries(playlist.entries, filePath);
+      await fs.writeJson(filePath, buildQueueJson(entries), { spaces: 2 });
+    } catch (err) {
+      log.error(`Failed to export playlist to ${filePath}`, err);
+      dispatch(displayError('playlists-global', `Failed to export playlist: ${err.message}`));
+      return;
+    }
+
+    const numSkipped = playlist.entries.length - entries.length;
+    if (numSkipped > 0) {
+      dispatch(displayError(
+        'playlists-global',
+        `${numSkipped} compressed replay(s) of ${playlist.name} could not be extracted and were left out of the export`,
+      ));
+    }
+  };
+}
+
+/**
+ * Dolphin can't open compressed replays, so the exported queue points at uncompressed copies of
+ * them that get written to a folder next to the queue file. Replays that fail to extract are left
+ * out of the queue.
+ */
+async function getExportEntries(entries, filePath) {
+  const baseName = path.basename(filePath, path.extname(filePath));
+  const replaysFolderPath = path.join(path.dirname(filePath), `${baseName}_replays`);
+
+  // Clips of the same replay share its extracted copy
+  const extractions = {};
+  const exportEntries = await Promise.all(entries.map(async entry => {
+    const replayEntry = (await findEntryReplay(entry)) || entry;
+    if (!isCompressedReplay(replayEntry.path)) {
+      return replayEntry;
+    }
+
+    const outputPath = path.join(replaysFolderPath, getExtractedReplayName(replayEntry.path));
+    if (!extractions[outputPath]) {
+      extractions[outputPath] = extractReplay(replayEntry.path, outputPath);
+    }
+
+    const isExtracted = await extractions[outputPath];
+    return isExtracted ? { ...replayEntry, path: outputPath } : null;
+  }));
+
+  return _.compact(exportEntries);
+}
+
+async function extractReplay(compressedPath, outputPath) {
+  try {
+    await fs.ensureDir(path.dirname(outputPath));
+    await decompressReplay(compressedPath, outputPath);
+    return true;
+  } catch (err) {
+    log.error(`Failed to extract ${compressedPath} for export`, err);
+    await fs.remove(outputPath).catch(() => null);
+    return false;
+  }
+}
+
+// Entries that didn't follow their replay when it was compressed, like ones imported from a queue
+// file, still point at the uncompressed replay
+async function findEntryReplay(entry) {
+  if (await fs.pathExists(entry.path)) {
+    return entry;
+  }
+
+  const compressedPath = `${entry.path}.gz`;
+  if (!isCompressedReplay(entry.path) && await fs.pathExists(compressedPath)) {
+    return {
+      ...entry,
+      path: compressedPath,
+    };
+  }
+
+  return null;
+}
+
+// Clips are saved with the lead-in and lead-out they would play with right now
+function getFileEntries(files, getState) {
+  const clipSettings = getClipSettings(getState().settings.settings.clipPlayback);
+  return files.map(file => (
+    getQueueEntry(file.fullPath, file.game, file.clip ? padClip(file.clip, clipSettings) : null)
+  ));
+}
+
+function dispatchPlaylists(dispatch, getState) {
+  dispatch({
+    type: PLAYLISTS_UPDATED,
+    payload: {
+      playlists: getState().playlists.replayPlaylists.playlists,
+    },
+  });
+}
@@ -1,4 +1,5 @@
 import fs from 'fs-extra';
+import path from 'path';
 import _ from 'lodash';
 import crypto from 'crypto';
 import electronSettings from 'electron-settings';
@@ -14,6 +15,7 @@ export const ISO_VALIDATION_START = 'ISO_VALIDATION_START';
 export const ISO_VALIDATION_COMPLETE = 'ISO_VALIDATION_COMPLETE';
 export const SET_RESET_CONFIRM = 'SET_RESET_CONFIRM';
 export const RESETTING_DOLPHIN = 'RESETTING_DOLPHIN';
+export const UPDATE_SETTING = 'UPDATE_SETTING';
 
 async function wait(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
@@ -38,6 +40,35 @@ export function browseFolder(field) {
   };
 }
 
+export function browseReplayRoot() {
+  return (dispatch, getState) => {
+    const paths = dialog.showOpenDialog({
+      properties: [
+        'openDirectory',
+        'treatPackageAsDirectory',
+      ],
+    }) || [];
+
+    const folderPath = paths[0];
+    if (!folderPath) {
+      return;
+    }
+
+    const extraReplayRoots = getState().settings.settings.extraReplayRoots || [];
+    if (_.some(extraReplayRoots, { path: folderPath })) {
+      return;
+    }
+
+    dispatch(updateSetting('extraReplayRoots', [
+      ...extraReplayRoots,
+      {
+        name: path.basename(folderPath),
+        path: folderPath,
+      },
+    ]));
+  };
+}
+
 export function selectFolder(field, selectedPath) {
   return {
     type: SELECT_FOLDER,
@@ -48,6 +79,16 @@ export function selectFolder(field, selectedPath) {
   };
 }
 
+export function updateSetting(field, value) {
+  return {
+    type: UPDATE_SETTING,
+    payload: {
+      field: field,
+      value: value,
+    },
+  };
+}
+
 export function browseFile(field) {
   return (dispatch, getState) => {
     const files = dialog.showOpenDialog({
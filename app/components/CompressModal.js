@@ -0,0 +1,152 @@
+import _ from 'lodash';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, Form, Button, Progress, Message, Loader } from 'semantic-ui-react';
+
+import { formatFileSize } from '../utils/replayColumns';
+import { isOldReplay } from '../utils/replayCompression';
+
+/**
+ * Modal for compressing the replays older than a number of days. Compressed replays stay in the
+ * library and can still be browsed, viewed and played.
+ */
+export default class CompressModal extends Component {
+  static propTypes = {
+    compression: PropTypes.object.isRequired,
+    loadCompressionCandidates: PropTypes.func.isRequired,
+    compressReplays: PropTypes.func.isRequired,
+    clearCompression: PropTypes.func.isRequired,
+    onClose: PropTypes.func.isRequired,
+  };
+
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      olderThanDays: "90",
+    };
+  }
+
+  componentDidMount() {
+    this.props.loadCompressionCandidates();
+  }
+
+  onOlderThanDaysChange = (e, { value }) => {
+    this.setState({
+      olderThanDays: value,
+    });
+  };
+
+  getOldReplays() {
+    const olderThanDays = parseInt(this.state.olderThanDays, 10);
+    if (_.isNaN(olderThanDays) || olderThanDays < 0) {
+      return [];
+    }
+
+    return this.props.compression.files.filter(file => isOldReplay(file, olderThanDays));
+  }
+
+  compress = () => {
+    this.props.compressReplays(this.getOldReplays());
+  };
+
+  close = () => {
+    this.props.clearCompression();
+    this.props.onClose();
+  };
+
+  renderReport() {
+    const report = this.props.compression.report;
+    const savedSize = report.originalSize - report.compressedSize;
+    const savedPercent = report.originalSize > 0 ? Math.round((savedSize / report.originalSize) * 100) : 0;
+
+    return (
+      <Message success={report.numFailed === 0} warning={report.numFailed > 0}>
+        <Message.Header>Compression complete</Message.Header>
+        <p>
+          {`${report.numCompressed} replays compressed from ${formatFileSize(report.originalSize)} ` +
+            `to ${formatFileSize(report.compressedSize)}, saving ${formatFileSize(savedSize)} (${savedPercent}%)`}
+        </p>
+        {report.numFailed > 0 ? <p>{`${report.numFailed} replays could not be compressed`}</p> : null}
+      </Message>
+    );
+  }
+
+  renderContent() {
+    const compression = this.props.compression;
+    if (compression.report) {
+      return this.renderReport();
+    }
+
+    if (compression.isCompressing) {
+      return (
+        <Progress
+          value={compression.numCompressed}
+          total={compression.numToCompress}
+          progress="ratio"
+          indicating={true}
+        />
+      );
+    }
+
+    if (compression.isLoading) {
+      return <Loader active={true} inline="centered" content="Reading replays..." />;
+    }
+
+    const oldReplays = this.getOldReplays();
+    const totalSize = _.sumBy(oldReplays, file => file.fileSize || 0);
+    return (
+      <div>
+        <p>
+          {'Compressed replays take up a fraction of the space and can still be viewed and played, ' +
+            'they just take a moment longer to open'}
+        </p>
+        <Form>
+          <Form.Input
+            type="number"
+            min={0}
+            label="Compress replays played more than this many days ago"
+            value={this.state.olderThanDays}
+            onChange={this.onOlderThanDaysChange}
+          />
+        </Form>
+        <p>{`${oldReplays.length} replays (${formatFileSize(totalSize)}) will be compressed`}</p>
+      </div>
+    );
+  }
+
+  renderActions() {
+    const compression = this.props.compression;
+    if (compression.report) {
+      return <Button color="blue" onClick={this.close}>Done</Button>;
+    }
+
+    const isBusy = compression.isLoading || compression.isCompressing;
+    return [
+      <Button key="cancel" onClick={this.close}>Cancel</Button>,
+      <Button
+        key="compress"
+        color="blue"
+        disabled={isBusy || _.isEmpty(this.getOldReplays())}
+        loading={compression.isCompressing}
+        onClick={this.compress}
+      >
+        Compress
+      </Button>,
+    ];
+  }
+
+  render() {
+    return (
+      <Modal open={true} size="small" onClose={this.close} closeIcon={true}>
+        <Modal.Header>Compress old replays</Modal.Header>
+        <Modal.Content>
+          {this.renderContent()}
+        </Modal.Content>
+        <Modal.Actions>
+          {this.renderActions()}
+        </Modal.Actions>
+      </Modal>
+    );
+  }
+}
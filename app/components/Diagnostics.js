@@ -0,0 +1,174 @@
+import _ from 'lodash';
+import path from 'path';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Table, Button, Message, Loader, Icon, List } from 'semantic-ui-react';
+
+import styles from './Diagnostics.scss';
+import PageHeader from './common/PageHeader';
+import PageWrapper from './PageWrapper';
+import Scroller from './common/Scroller';
+import DismissibleMessage from './common/DismissibleMessage';
+import * as timeUtils from '../utils/time';
+import { formatFileSize } from '../utils/replayColumns';
+import { describeProblem } from '../utils/replayDiagnostics';
+import { getRootRelativePath } from '../utils/settings';
+
+export default class Diagnostics extends Component {
+  static propTypes = {
+    // diagnostics actions
+    diagnoseReplays: PropTypes.func.isRequired,
+    repairFile: PropTypes.func.isRequired,
+
+    // error actions
+    dismissError: PropTypes.func.isRequired,
+
+    // store data
+    history: PropTypes.object.isRequired,
+    store: PropTypes.object.isRequired,
+    rootFolders: PropTypes.arrayOf(PropTypes.object).isRequired,
+    errors: PropTypes.object.isRequired,
+    topNotifOffset: PropTypes.number.isRequired,
+  };
+
+  componentDidMount() {
+    this.props.diagnoseReplays();
+  }
+
+  componentWillUnmount() {
+    this.props.dismissError('diagnostics-global');
+  }
+
+  renderGlobalError() {
+    const errors = this.props.errors || {};
+    const errorKey = 'diagnostics-global';
+
+    const showGlobalError = errors.displayFlags[errorKey] || false;
+    const globalErrorMessage = errors.messages[errorKey] || '';
+    return (
+      <DismissibleMessage
+        error={true}
+        visible={showGlobalError}
+        icon="warning circle"
+        header="An error has occurred"
+        content={globalErrorMessage}
+        onDismiss={this.props.dismissError}
+        dismissParams={[errorKey]}
+      />
+    );
+  }
+
+  renderProblems(result) {
+    if (!result) {
+      return <Loader active={true} inline={true} size="mini" />;
+    }
+
+    if (_.isEmpty(result.problems)) {
+      return "No problems found, the file may have been fixed since it was scanned";
+    }
+
+    return (
+      <List bulleted={true} className={styles['problems']}>
+        {result.problems.map(problem => (
+          <List.Item key={problem.code}>{describeProblem(problem)}</List.Item>
+        ))}
+      </List>
+    );
+  }
+
+  renderRepair(file, result) {
+    const repair = this.props.store.repairs[file.fullPath] || {};
+    if (repair.repairedPath) {
+      return (
+        <span className={styles['repaired']}>
+          <Icon name="check" color="green" />
+          {`Saved as ${path.basename(repair.repairedPath)}`}
+        </span>
+      );
+    }
+
+    if (!result || !result.canRepair) {
+      return null;
+    }
+
+    const duration = timeUtils.convertFrameCountToDurationString(result.lastFrame);
+    return (
+      <Button
+        size="small"
+        loading={!!repair.isRepairing}
+        disabled={!!repair.isRepairing}
+        title={`Keeps the first ${duration} of the game`}
+        onClick={() => this.props.repairFile(file)}
+      >
+        <Icon name="wrench" />
+        Repair
+      </Button>
+    );
+  }
+
+  renderFileRow = file => {
+    const result = this.props.store.results[file.fullPath];
+    const relativePath = getRootRelativePath(this.props.rootFolders, file.fullPath);
+
+    return (
+      <Table.Row key={file.fullPath}>
+        <Table.Cell className={styles['file-path']}>{relativePath}</Table.Cell>
+        <Table.Cell collapsing={true}>{formatFileSize(file.fileSize)}</Table.Cell>
+        <Table.Cell>{this.renderProblems(result)}</Table.Cell>
+        <Table.Cell collapsing={true}>{this.renderRepair(file, result)}</Table.Cell>
+      </Table.Row>
+    );
+  };
+
+  renderContent() {
+    const files = this.props.store.files;
+    if (files.length === 0) {
+      return (
+        <Message info={true}>
+          <Message.Header>No damaged replays</Message.Header>
+          <p>Every replay in the selected folder could be read and was recorded to the end.</p>
+        </Message>
+      );
+    }
+
+    return (
+      <div>
+        <p className={styles['description']}>
+          {'Repairing a replay writes a copy next to it that stops at the last complete frame, ' +
+            'the original file is left untouched.'}
+        </p>
+        <Table basic="very" inverted={true} celled={true}>
+          <Table.Header>
+            <Table.Row>
+              <Table.HeaderCell>File</Table.HeaderCell>
+              <Table.HeaderCell>Size</Table.HeaderCell>
+              <Table.HeaderCell>Problems</Table.HeaderCell>
+              <Table.HeaderCell />
+            </Table.Row>
+          </Table.Header>
+          <Table.Body>
+            {files.map(this.renderFileRow)}
+          </Table.Body>
+        </Table>
+      </div>
+    );
+  }
+
+  render() {
+    return (
+      <PageWrapper history={this.props.history}>
+        <div className="main-padding">
+          <PageHeader
+            icon="stethoscope"
+            text="Damaged Replays"
+            history={this.props.history}
+          />
+          <Scroller topOffset={this.props.topNotifOffset}>
+            {this.renderGlobalError()}
+            {this.renderContent()}
+          </Scroller>
+        </div>
+      </PageWrapper>
+    );
+  }
+}
@@ -0,0 +1,256 @@
+import _ from 'lodash';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Table, Button, Header, Segment, Message, Loader, Label, Radio, Icon,
+} from 'semantic-ui-react';
+
+import styles from './Duplicates.scss';
+import PageHeader from './common/PageHeader';
+import PageWrapper from './PageWrapper';
+import Scroller from './common/Scroller';
+import DismissibleMessage from './common/DismissibleMessage';
+import * as timeUtils from '../utils/time';
+import { getPlayerNames, getCharacterNames, getStageName, formatFileSize } from '../utils/replayColumns';
+import { isTruncated } from '../utils/replayDuplicates';
+import { getRootRelativePath } from '../utils/settings';
+
+export default class Duplicates extends Component {
+  static propTypes = {
+    // duplicates actions
+    scanDuplicates: PropTypes.func.isRequired,
+    trashDuplicates: PropTypes.func.isRequired,
+
+    // error actions
+    dismissError: PropTypes.func.isRequired,
+
+    // store data
+    history: PropTypes.object.isRequired,
+    store: PropTypes.object.isRequired,
+    rootFolders: PropTypes.arrayOf(PropTypes.object).isRequired,
+    errors: PropTypes.object.isRequired,
+    topNotifOffset: PropTypes.number.isRequired,
+  };
+
+  constructor(props) {
+    super(props);
+
+    // Group key to the full path of the file to keep, when it isn't the most complete one
+    this.state = {
+      keepPaths: {},
+    };
+  }
+
+  componentDidMount() {
+    const store = this.props.store;
+    if (!store.isScanning && !store.hasScanned) {
+      this.props.scanDuplicates();
+    }
+  }
+
+  componentWillUnmount() {
+    this.props.dismissError('duplicates-global');
+  }
+
+  getKeepPath(group) {
+    return this.state.keepPaths[group.key] || group.files[0].fullPath;
+  }
+
+  setKeepPath(group, fullPath) {
+    this.setState(prevState => ({
+      keepPaths: {
+        ...prevState.keepPaths,
+        [group.key]: fullPath,
+      },
+    }));
+  }
+
+  rescan = () => {
+    this.setState({
+      keepPaths: {},
+    });
+    this.props.scanDuplicates();
+  };
+
+  trashGroup(group) {
+    this.props.trashDuplicates({
+      [group.key]: this.getKeepPath(group),
+    });
+  }
+
+  trashAll = () => {
+    const keepPathsByGroup = _.fromPairs(this.props.store.groups.map(group => (
+      [group.key, this.getKeepPath(group)]
+    )));
+    this.props.trashDuplicates(keepPathsByGroup);
+  };
+
+  renderGlobalError() {
+    const errors = this.props.errors || {};
+    const errorKey = 'duplicates-global';
+
+    const showGlobalError = errors.displayFlags[errorKey] || false;
+    const globalErrorMessage = errors.messages[errorKey] || '';
+    return (
+      <DismissibleMessage
+        error={true}
+        visible={showGlobalError}
+        icon="warning circle"
+        header="An error has occurred"
+        content={globalErrorMessage}
+        onDismiss={this.props.dismissError}
+        dismissParams={[errorKey]}
+      />
+    );
+  }
+
+  renderScanning() {
+    const store = this.props.store;
+    let text = "Reading replays...";
+    if (store.numToHash > 0) {
+      text = `Comparing files... ${store.numHashed} / ${store.numToHash}`;
+    }
+
+    return (
+      <Segment basic={true} className={styles['loader']}>
+        <Loader active={true} inline="centered" size="large" inverted={true}>
+          {text}
+        </Loader>
+      </Segment>
+    );
+  }
+
+  renderSummary() {
+    const groups = this.props.store.groups;
+    const redundantFiles = _.flatMap(groups, group => (
+      group.files.filter(file => file.fullPath !== this.getKeepPath(group))
+    ));
+    const redundantBytes = _.sumBy(redundantFiles, file => file.fileSize || 0);
+
+    return (
+      <div className={styles['summary']}>
+        <span>
+          {`${groups.length} games have copies, ${redundantFiles.length} files ` +
+            `(${formatFileSize(redundantBytes)}) can be sent to the trash`}
+        </span>
+        <div>
+          <Button basic={true} inverted={true} onClick={this.rescan}>
+            <Icon name="refresh" />
+            Rescan
+          </Button>
+          <Button color="blue" disabled={groups.length === 0} onClick={this.trashAll}>
+            <Icon name="trash alternate outline" />
+            Trash all extra copies
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  renderFileRow(group, file) {
+    const keepPath = this.getKeepPath(group);
+    const isKept = file.fullPath === keepPath;
+    const relativePath = getRootRelativePath(this.props.rootFolders, file.fullPath);
+
+    let completenessLabel = null;
+    if (file === group.files[0]) {
+      completenessLabel = <Label size="mini" color="green">Most complete</Label>;
+    } else if (isTruncated(file)) {
+      completenessLabel = <Label size="mini" color="orange">Truncated</Label>;
+    }
+
+    return (
+      <Table.Row key={file.fullPath} className={isKept ? null : styles['trashed']}>
+        <Table.Cell collapsing={true}>
+          <Radio
+            checked={isKept}
+            onChange={() => this.setKeepPath(group, file.fullPath)}
+          />
+        </Table.Cell>
+        <Table.Cell className={styles['file-path']}>{relativePath}</Table.Cell>
+        <Table.Cell collapsing={true}>{completenessLabel}</Table.Cell>
+        <Table.Cell collapsing={true}>
+          {file.lastFrame ? timeUtils.convertFrameCountToDurationString(file.lastFrame) : ""}
+        </Table.Cell>
+        <Table.Cell collapsing={true}>{formatFileSize(file.fileSize)}</Table.Cell>
+      </Table.Row>
+    );
+  }
+
+  renderGroup = group => {
+    const file = group.files[0];
+    const description = [
+      timeUtils.monthDayHourFormat(file.startTime),
+      getPlayerNames(file).join(" vs "),
+      getCharacterNames(file).join(" vs "),
+      getStageName(file),
+    ].filter(part => !!part).join(" · ");
+
+    return (
+      <Segment key={group.key} inverted={true} className={styles['group']}>
+        <div className={styles['group-header']}>
+          <Header as="h4" inverted={true}>
+            {description}
+            <Label size="mini" basic={true}>
+              {group.isExact ? "Identical files" : "Same game"}
+            </Label>
+          </Header>
+          <Button size="small" onClick={() => this.trashGroup(group)}>
+            Keep selected, trash the rest
+          </Button>
+        </div>
+        <Table basic="very" compact={true} inverted={true} size="small">
+          <Table.Body>
+            {group.files.map(groupFile => this.renderFileRow(group, groupFile))}
+          </Table.Body>
+        </Table>
+      </Segment>
+    );
+  };
+
+  renderContent() {
+    const store = this.props.store;
+    if (store.isScanning) {
+      return this.renderScanning();
+    }
+
+    if (!store.hasScanned) {
+      return null;
+    }
+
+    if (store.groups.length === 0) {
+      return (
+        <Message info={true}>
+          <Message.Header>No duplicates found</Message.Header>
+          <p>Every replay under the replay root folder is unique.</p>
+          <Button onClick={this.rescan}>Rescan</Button>
+        </Message>
+      );
+    }
+
+    return (
+      <div>
+        {this.renderSummary()}
+        {store.groups.map(this.renderGroup)}
+      </div>
+    );
+  }
+
+  render() {
+    return (
+      <PageWrapper history={this.props.history}>
+        <div className="main-padding">
+          <PageHeader
+            icon="clone outline"
+            text="Duplicate Replays"
+            history={this.props.history}
+          />
+          <Scroller topOffset={this.props.topNotifOffset}>
+            {this.renderGlobalError()}
+            {this.renderContent()}
+          </Scroller>
+        </div>
+      </PageWrapper>
+    );
+  }
+}
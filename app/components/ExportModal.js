@@ -0,0 +1,136 @@
+import _ from 'lodash';
+import path from 'path';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, Form, Button, Progress, Message } from 'semantic-ui-react';
+
+import { formatFileSize } from '../utils/replayColumns';
+
+const shell = require('electron').shell;
+
+/**
+ * Modal for exporting replays into a zip archive with a manifest, optionally with the player
+ * names and codes replaced.
+ */
+export default class ExportModal extends Component {
+  static propTypes = {
+    files: PropTypes.arrayOf(PropTypes.object).isRequired,
+    archives: PropTypes.object.isRequired,
+    exportReplays: PropTypes.func.isRequired,
+    cancelExport: PropTypes.func.isRequired,
+    clearExport: PropTypes.func.isRequired,
+    onClose: PropTypes.func.isRequired,
+  };
+
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      anonymize: false,
+    };
+  }
+
+  componentDidMount() {
+    this.props.clearExport();
+  }
+
+  onAnonymizeChange = (e, { checked }) => {
+    this.setState({
+      anonymize: checked,
+    });
+  };
+
+  export = () => {
+    this.props.exportReplays(this.props.files, this.state.anonymize);
+  };
+
+  close = () => {
+    if (this.props.archives.isExporting) {
+      this.props.cancelExport();
+    }
+    this.props.onClose();
+  };
+
+  showExport = () => {
+    shell.showItemInFolder(this.props.archives.exportPath);
+  };
+
+  renderContent() {
+    const archives = this.props.archives;
+    if (archives.exportPath) {
+      return (
+        <Message success={true}>
+          <Message.Header>Export complete</Message.Header>
+          <p>{`Saved to ${path.basename(archives.exportPath)}`}</p>
+        </Message>
+      );
+    }
+
+    if (archives.isExporting) {
+      return (
+        <Progress
+          value={archives.numFilesExported}
+          total={archives.numFilesToExport}
+          progress="ratio"
+          indicating={true}
+        />
+      );
+    }
+
+    const totalSize = _.sumBy(this.props.files, file => file.fileSize || 0);
+    return (
+      <div>
+        <p>
+          {`The ${this.props.files.length} replays (${formatFileSize(totalSize)}) are saved into ` +
+            'a zip archive along with a manifest of the players, characters, stage and result ' +
+            'of every game'}
+        </p>
+        <Form>
+          <Form.Checkbox
+            toggle={true}
+            label="Anonymize player names and codes"
+            checked={this.state.anonymize}
+            onChange={this.onAnonymizeChange}
+          />
+        </Form>
+      </div>
+    );
+  }
+
+  renderActions() {
+    const archives = this.props.archives;
+    if (archives.exportPath) {
+      return [
+        <Button key="show" onClick={this.showExport}>Show in folder</Button>,
+        <Button key="done" color="blue" onClick={this.close}>Done</Button>,
+      ];
+    }
+
+    return [
+      <Button key="cancel" onClick={this.close}>Cancel</Button>,
+      <Button
+        key="export"
+        color="blue"
+        disabled={archives.isExporting}
+        loading={archives.isExporting}
+        onClick={this.export}
+      >
+        Export
+      </Button>,
+    ];
+  }
+
+  render() {
+    return (
+      <Modal open={true} size="small" onClose={this.close} closeIcon={true}>
+        <Modal.Header>{`Export ${this.props.files.length} replays`}</Modal.Header>
+        <Modal.Content>
+          {this.renderContent()}
+        </Modal.Content>
+        <Modal.Actions>
+          {this.renderActions()}
+        </Modal.Actions>
+      </Modal>
+    );
+  }
+}
@@ -10,51 +10,130 @@ import {
   Segment,
   Message,
   Loader,
-  Visibility,
+  Dropdown,
+  Confirm,
 } from 'semantic-ui-react';
 import styles from './FileLoader.scss';
 import FileRow from './FileRow';
+import SetRow from './SetRow';
+import FilePreviewRow from './FilePreviewRow';
+import ReplayFilterBar from './ReplayFilterBar';
 import DismissibleMessage from './common/DismissibleMessage';
 import PageHeader from './common/PageHeader';
 import FolderBrowser from './common/FolderBrowser';
 import PageWrapper from './PageWrapper';
 import Scroller from './common/Scroller';
-import { MIN_GAME_LENGTH_SECONDS } from '../actions/fileLoader';
+import VirtualTableBody from './common/VirtualTableBody';
+import AnnotationEditor from './common/AnnotationEditor';
+import RenameModal from './RenameModal';
+import OrganizeModal from './OrganizeModal';
+import ExportModal from './ExportModal';
+import CompressModal from './CompressModal';
+import ShortcutHelp from './common/ShortcutHelp';
+import ImportModal from './ImportModal';
+import PlaylistMenu from './common/PlaylistMenu';
+import HighlightsModal from './HighlightsModal';
+import { hasActiveReplayFilters } from '../utils/replayFilters';
+import * as columnUtils from '../utils/replayColumns';
+import { getVisibilityRules, describeHiddenCounts, isRuleAlwaysOn } from '../utils/replayVisibility';
+import { groupReplaySets } from '../utils/replaySets';
+import { replayBrowserShortcuts, isShortcutEvent } from '../utils/keyboard';
 
-const GAME_BATCH_SIZE = 50;
+const SET_GAP_OPTIONS_MINUTES = [5, 10, 15, 30, 60];
 
 export default class FileLoader extends Component {
   static propTypes = {
     // fileLoader actions
     loadRootFolder: PropTypes.func.isRequired,
     changeFolderSelection: PropTypes.func.isRequired,
+    showAllReplays: PropTypes.func.isRequired,
+    toggleFolderExpanded: PropTypes.func.isRequired,
     playFile: PropTypes.func.isRequired,
     queueFiles: PropTypes.func.isRequired,
     storeScrollPosition: PropTypes.func.isRequired,
-    storeFileLoadState: PropTypes.func.isRequired,
     setStatsGamePage: PropTypes.func.isRequired,
     deleteSelections: PropTypes.func.isRequired,
+    undoDelete: PropTypes.func.isRequired,
     setFilterReplays: PropTypes.func.isRequired,
-    
+    setReplayFilters: PropTypes.func.isRequired,
+    setTableLayout: PropTypes.func.isRequired,
+    updateAnnotation: PropTypes.func.isRequired,
+    previewRename: PropTypes.func.isRequired,
+    applyRename: PropTypes.func.isRequired,
+    cancelRename: PropTypes.func.isRequired,
+    prepareOrganize: PropTypes.func.isRequired,
+    setOrganizeTemplate: PropTypes.func.isRequired,
+    applyOrganize: PropTypes.func.isRequired,
+    undoOrganize: PropTypes.func.isRequired,
+    cancelOrganize: PropTypes.func.isRequired,
+    loadFileEndStates: PropTypes.func.isRequired,
+
+    // archive actions
+    exportReplays: PropTypes.func.isRequired,
+    cancelExport: PropTypes.func.isRequired,
+    clearExport: PropTypes.func.isRequired,
+    browseImportArchive: PropTypes.func.isRequired,
+    setImportArchive: PropTypes.func.isRequired,
+    importArchive: PropTypes.func.isRequired,
+    clearImport: PropTypes.func.isRequired,
+
+    // compression actions
+    loadCompressionCandidates: PropTypes.func.isRequired,
+    compressReplays: PropTypes.func.isRequired,
+    clearCompression: PropTypes.func.isRequired,
+
+    // playlist actions
+    loadPlaylists: PropTypes.func.isRequired,
+    createPlaylist: PropTypes.func.isRequired,
+    addToPlaylist: PropTypes.func.isRequired,
+
+    // highlight actions
+    findHighlights: PropTypes.func.isRequired,
+    clearHighlights: PropTypes.func.isRequired,
+
     // error actions
     dismissError: PropTypes.func.isRequired,
 
     // store data
     history: PropTypes.object.isRequired,
     store: PropTypes.object.isRequired,
+    archives: PropTypes.object.isRequired,
+    compression: PropTypes.object.isRequired,
+    playlists: PropTypes.object.isRequired,
+    highlights: PropTypes.object.isRequired,
+    visibilityRules: PropTypes.object,
+    myConnectCodes: PropTypes.string,
     errors: PropTypes.object.isRequired,
     topNotifOffset: PropTypes.number.isRequired,
   };
 
+  static defaultProps = {
+    visibilityRules: {},
+    myConnectCodes: "",
+  };
+
   constructor(props) {
     super(props);
 
     this.state = {
       selections: [],
+      expandedSets: {},
+      previewPaths: {},
+      annotatingFile: null,
+      isRenaming: false,
+      isOrganizing: false,
+      isConfirmingDelete: false,
+      isExporting: false,
+      isCompressing: false,
+      isFindingHighlights: false,
+      isShowingShortcuts: false,
+      focusedRowIndex: null,
     };
   }
 
   componentDidMount() {
+    window.addEventListener('keydown', this.onKeyDown);
+
     if (this.props.history.action === "PUSH") {
       // The action when returning from the stats page is "POP". The action when coming from the
       // main menu is "PUSH". When coming from the main menu, we want to reload the files such that
@@ -77,25 +156,31 @@ export default class FileLoader extends Component {
   }
 
   componentDidUpdate(prevProps) {
-    const filesHaveLoaded = _.get(this.props, ['store', 'fileLoadState', 'hasLoaded'], false);
-    const prevFilesHaveLoaded = _.get(prevProps, ['store', 'fileLoadState', 'hasLoaded'], false);
-
-    if (!prevFilesHaveLoaded && filesHaveLoaded) {
-      const xPos = _.get(this.props.store, ['scrollPosition', 'x']) || 0;
-      const yPos = _.get(this.props.store, ['scrollPosition', 'y']) || 0;
+    // Every row is always part of the table now, so go back to the top whenever a different set
+    // of files is shown rather than leaving the list scrolled to some arbitrary position
+    const listKeys = ['selectedFolderFullPath', 'isRecursive', 'filterReplays', 'replayFilters'];
+    const prevStore = prevProps.store || {};
+    const store = this.props.store || {};
+    const listChanged = _.some(listKeys, key => prevStore[key] !== store[key]) ||
+      _.get(prevStore, ['tableLayout', 'sortColumn']) !== _.get(store, ['tableLayout', 'sortColumn']) ||
+      _.get(prevStore, ['tableLayout', 'sortDirection']) !== _.get(store, ['tableLayout', 'sortDirection']);
 
-      this.refTableScroll.scrollTo(xPos, yPos);
+    if (listChanged && this.refTableScroll) {
+      this.refTableScroll.scrollTo(0, 0);
+    }
 
-      // Clear scroll position so that if we browse to a different folder it doesn't try to restore
-      // the position that was saved on the current folder
-      this.props.storeScrollPosition({
-        x: 0,
-        y: 0,
+    if (listChanged && this.state.focusedRowIndex !== null) {
+      // The focused row would be some other replay now
+      // eslint-disable-next-line react/no-did-update-set-state
+      this.setState({
+        focusedRowIndex: null,
       });
     }
   }
 
   componentWillUnmount() {
+    window.removeEventListener('keydown', this.onKeyDown);
+
     this.props.storeScrollPosition({
       x: this.refTableScroll.scrollLeft,
       y: this.refTableScroll.scrollTop,
@@ -106,10 +191,162 @@ export default class FileLoader extends Component {
 
   refTableScroll = null;
 
+  refTableBody = null;
+
   setTableScrollRef = element => {
     this.refTableScroll = element;
   };
 
+  setTableBodyRef = element => {
+    this.refTableBody = element;
+  };
+
+  onKeyDown = e => {
+    if (!isShortcutEvent(e) || this.isModalOpen()) {
+      return;
+    }
+
+    // Keys are only swallowed when they did something, this keeps space and the arrow keys from
+    // scrolling the list on top of moving the focus
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    if (this.runShortcut(key)) {
+      e.preventDefault();
+    }
+  };
+
+  // Returns whether the key is a shortcut that could be carried out
+  runShortcut(key) {
+    const { rowCount, getRow } = this.getListRows();
+    const focusedRowIndex = this.state.focusedRowIndex;
+    const focusedRow = focusedRowIndex !== null && focusedRowIndex < rowCount ? getRow(focusedRowIndex) : null;
+    const focusedFile = focusedRow ? focusedRow.file : null;
+    const focusedSet = focusedRow ? focusedRow.set : null;
+    const previewFile = focusedRow ? focusedRow.file || focusedRow.previewFile : null;
+
+    switch (key) {
+    case 'ArrowDown':
+      return this.focusRow(focusedRowIndex === null ? 0 : focusedRowIndex + 1, rowCount);
+    case 'ArrowUp':
+      return this.focusRow(focusedRowIndex === null ? 0 : focusedRowIndex - 1, rowCount);
+    case 'Home':
+      return this.focusRow(0, rowCount);
+    case 'End':
+      return this.focusRow(rowCount - 1, rowCount);
+    case ' ':
+    case 'Enter':
+      if (focusedSet) {
+        this.toggleSetExpanded(focusedSet);
+      } else if (focusedFile && key === ' ') {
+        this.onSelect(focusedFile);
+      } else if (focusedFile) {
+        this.props.playFile(focusedFile);
+      }
+      return !!(focusedSet || focusedFile);
+    case 's':
+      if (focusedFile) {
+        this.viewStats(focusedRow.fileIndex);
+      }
+      return !!focusedFile;
+    case 'p':
+      if (previewFile) {
+        this.togglePreview(previewFile);
+      }
+      return !!previewFile;
+    case 'q':
+      if (this.state.selections.length > 0) {
+        this.queueFiles();
+      } else if (focusedSet) {
+        this.props.queueFiles(focusedSet.files);
+      }
+      return this.state.selections.length > 0 || !!focusedSet;
+    case 'Delete':
+    case 'Backspace':
+      return this.confirmDeleteFocused(focusedFile);
+    case 'Escape':
+      if (this.state.selections.length > 0) {
+        this.queueClear();
+      }
+      return this.state.selections.length > 0;
+    case '?':
+      this.showShortcuts();
+      return true;
+    default:
+      return false;
+    }
+  }
+
+  isModalOpen() {
+    const state = this.state;
+    return !!state.annotatingFile || state.isRenaming || state.isOrganizing ||
+      state.isConfirmingDelete || state.isExporting || state.isCompressing ||
+      state.isFindingHighlights || state.isShowingShortcuts || !!this.props.archives.importArchivePath;
+  }
+
+  focusRow(index, rowCount) {
+    if (rowCount === 0) {
+      return false;
+    }
+
+    const focusedRowIndex = _.clamp(index, 0, rowCount - 1);
+    this.setState({
+      focusedRowIndex: focusedRowIndex,
+    });
+
+    if (this.refTableBody) {
+      this.refTableBody.scrollToRow(focusedRowIndex);
+    }
+
+    return true;
+  }
+
+  viewStats(fileIndex) {
+    this.props.setStatsGamePage(fileIndex);
+    this.props.history.push("/game");
+  }
+
+  confirmDeleteFocused(focusedFile) {
+    if (this.state.selections.length > 0) {
+      this.showConfirmDelete();
+      return true;
+    }
+
+    if (!focusedFile) {
+      return false;
+    }
+
+    this.setState({
+      selections: [focusedFile],
+      isConfirmingDelete: true,
+    });
+    return true;
+  }
+
+  showShortcuts = () => {
+    this.setState({
+      isShowingShortcuts: true,
+    });
+  };
+
+  hideShortcuts = () => {
+    this.setState({
+      isShowingShortcuts: false,
+    });
+  };
+
+  renderShortcutHelp() {
+    if (!this.state.isShowingShortcuts) {
+      return null;
+    }
+
+    return (
+      <ShortcutHelp
+        title="Replay Browser Shortcuts"
+        shortcuts={replayBrowserShortcuts}
+        onClose={this.hideShortcuts}
+      />
+    );
+  }
+
   onSelect = selectedFile => {
     const newSelections = [];
 
@@ -150,15 +387,231 @@ export default class FileLoader extends Component {
         <Scroller topOffset={this.props.topNotifOffset - 85}>
           <FolderBrowser
             folders={store.folders}
-            rootFolderName={store.rootFolderName}
+            rootFolders={store.rootFolders}
             selectedFolderFullPath={store.selectedFolderFullPath}
+            isRecursive={store.isRecursive}
             changeFolderSelection={this.props.changeFolderSelection}
+            showAllReplays={this.props.showAllReplays}
+            toggleFolderExpanded={this.props.toggleFolderExpanded}
           />
+          {this.renderLibraryButtons()}
         </Scroller>
       </div>,
     ];
   }
 
+  openOrganizeModal = () => {
+    this.setState({
+      isOrganizing: true,
+    });
+  };
+
+  closeOrganizeModal = () => {
+    if (_.get(this.props.store, ['organizeState', 'isApplying'])) {
+      return;
+    }
+
+    this.props.cancelOrganize();
+    this.setState({
+      isOrganizing: false,
+    });
+  };
+
+  applyOrganize = async moves => {
+    await this.props.applyOrganize(moves);
+    this.onOrganizeFinished();
+  };
+
+  undoOrganize = async () => {
+    await this.props.undoOrganize();
+    this.onOrganizeFinished();
+  };
+
+  onOrganizeFinished() {
+    // Selected files may have been moved so they no longer point to anything
+    this.setState({
+      isOrganizing: false,
+      selections: [],
+    });
+  }
+
+  renderLibraryButtons() {
+    const store = this.props.store || {};
+    if (!store.folderFound) {
+      return null;
+    }
+
+    // Organizing and imports go into the replay root folder so they need it to be there
+    const isRootFolderMissing = !store.rootFolderPath;
+    return (
+      <div className={styles['library-buttons']}>
+        <Button
+          fluid={true}
+          basic={true}
+          inverted={true}
+          disabled={isRootFolderMissing}
+          onClick={this.openOrganizeModal}
+        >
+          <Icon name="sitemap" />
+          Organize
+        </Button>
+        <Link to="/duplicates">
+          <Button fluid={true} basic={true} inverted={true}>
+            <Icon name="clone outline" />
+            Find duplicates
+          </Button>
+        </Link>
+        <Link to="/playlists">
+          <Button fluid={true} basic={true} inverted={true}>
+            <Icon name="list ol" />
+            Playlists
+          </Button>
+        </Link>
+        <Link to="/diagnostics">
+          <Button fluid={true} basic={true} inverted={true}>
+            <Icon name="stethoscope" />
+            Diagnose replays
+          </Button>
+        </Link>
+        <Button
+          fluid={true}
+          basic={true}
+          inverted={true}
+          disabled={isRootFolderMissing}
+          onClick={this.props.browseImportArchive}
+        >
+          <Icon name="download" />
+          Import archive
+        </Button>
+        <Button fluid={true} basic={true} inverted={true} onClick={this.openCompressModal}>
+          <Icon name="compress" />
+          Compress old replays
+        </Button>
+        <Button fluid={true} basic={true} inverted={true} onClick={this.showShortcuts}>
+          <Icon name="keyboard outline" />
+          Keyboard shortcuts
+        </Button>
+      </div>
+    );
+  }
+
+  onDragOver = e => {
+    // Required for the drop event to fire instead of the window navigating to the file
+    e.preventDefault();
+  };
+
+  onDrop = e => {
+    e.preventDefault();
+
+    const store = this.props.store || {};
+    const file = _.first(e.dataTransfer.files);
+    if (!store.rootFolderPath || !file || !file.path.toLowerCase().endsWith('.zip')) {
+      return;
+    }
+
+    this.props.setImportArchive(file.path);
+  };
+
+  openCompressModal = () => {
+    this.setState({
+      isCompressing: true,
+    });
+  };
+
+  closeCompressModal = () => {
+    this.setState({
+      isCompressing: false,
+    });
+  };
+
+  openHighlightsModal = () => {
+    this.setState({
+      isFindingHighlights: true,
+    });
+  };
+
+  closeHighlightsModal = () => {
+    this.setState({
+      isFindingHighlights: false,
+    });
+  };
+
+  renderHighlightsModal() {
+    if (!this.state.isFindingHighlights) {
+      return null;
+    }
+
+    return (
+      <HighlightsModal
+        files={this.state.selections}
+        highlights={this.props.highlights}
+        playlists={this.props.playlists.playlists}
+        findHighlights={this.props.findHighlights}
+        clearHighlights={this.props.clearHighlights}
+        playFile={this.props.playFile}
+        queueFiles={this.props.queueFiles}
+        loadPlaylists={this.props.loadPlaylists}
+        createPlaylist={this.props.createPlaylist}
+        addToPlaylist={this.props.addToPlaylist}
+        onClose={this.closeHighlightsModal}
+      />
+    );
+  }
+
+  renderCompressModal() {
+    if (!this.state.isCompressing) {
+      return null;
+    }
+
+    return (
+      <CompressModal
+        compression={this.props.compression}
+        loadCompressionCandidates={this.props.loadCompressionCandidates}
+        compressReplays={this.props.compressReplays}
+        clearCompression={this.props.clearCompression}
+        onClose={this.closeCompressModal}
+      />
+    );
+  }
+
+  renderImportModal() {
+    const archives = this.props.archives;
+    if (!archives.importArchivePath) {
+      return null;
+    }
+
+    const store = this.props.store || {};
+    return (
+      <ImportModal
+        archives={archives}
+        rootFolderPath={store.rootFolderPath}
+        importArchive={this.props.importArchive}
+        clearImport={this.props.clearImport}
+      />
+    );
+  }
+
+  renderOrganizeModal() {
+    if (!this.state.isOrganizing) {
+      return null;
+    }
+
+    const store = this.props.store || {};
+    return (
+      <OrganizeModal
+        rootFolderPath={store.rootFolderPath}
+        template={store.organizeTemplate}
+        myConnectCodes={this.props.myConnectCodes}
+        organizeState={store.organizeState}
+        prepareOrganize={this.props.prepareOrganize}
+        setOrganizeTemplate={this.props.setOrganizeTemplate}
+        applyOrganize={this.applyOrganize}
+        undoOrganize={this.undoOrganize}
+        onClose={this.closeOrganizeModal}
+      />
+    );
+  }
+
   queueClear = () => {
     this.setState({
       selections: [],
@@ -198,32 +651,27 @@ export default class FileLoader extends Component {
     }
 
     // These are the number of files that were initially removed probably because they're corrupted
-    const errorFileCount = _.get(store, 'numErroredFiles');
-    const durationFilterCount = _.get(store, 'numDurationFilteredFiles');
+    const errorFileCount = _.get(store, 'numErroredFiles') || 0;
     const totalFilteredCount = _.get(store, 'numFilteredFiles');
     if (totalFilteredCount === 0) {
       return null;
     }
 
-    let contentText =
-      `Replays shorter than ${MIN_GAME_LENGTH_SECONDS} seconds are automatically filtered.`;
-
+    const hiddenCounts = store.hiddenCounts || {};
+    const visibilityRules = getVisibilityRules(this.props.visibilityRules);
+    const reasons = describeHiddenCounts(hiddenCounts, visibilityRules);
     if (errorFileCount > 0) {
-      if (durationFilterCount > 0) {
-        // There are corrupted files and filtered files
-        contentText = `${errorFileCount} corrupt files detected. Non-corrupt replays shorter than ${MIN_GAME_LENGTH_SECONDS} seconds are automatically filtered.`;
-      } else {
-        contentText = `${errorFileCount} corrupt files detected.`;
-      }
+      reasons.unshift(`${errorFileCount} are corrupt`);
     }
-    const showHideButton = durationFilterCount > 0 && store.filterReplays;
+    const contentText = `${reasons.join(", ")}.`;
+
+    // Files hidden by a rule can still be shown, corrupt files can't
+    const canShowHidden = _.some(hiddenCounts, (count, ruleKey) => (
+      count > 0 && !isRuleAlwaysOn(ruleKey)
+    ));
+    const showHideButton = canShowHidden && store.filterReplays;
 
     const onShowAnywayClick = () => {
-      // Clear the currently loaded files
-      this.props.storeFileLoadState({
-        filesToRender: [],
-        filesOffset: 0,
-      });
       // Clear the selection and disable replay filter
       this.props.setFilterReplays(false);
       this.setState({
@@ -238,19 +686,73 @@ export default class FileLoader extends Component {
         header={`${totalFilteredCount} Files have been filtered`}
         content={<>
           <span>{contentText}</span> {showHideButton && <button type="button" className={styles['show-anyway']} onClick={onShowAnywayClick}>Click to show all</button>}
+          {errorFileCount > 0 && <span> <Link to="/diagnostics" className={styles['show-anyway']}>Diagnose corrupt files</Link></span>}
         </>}
       />
     );
   }
 
-  renderEmptyLoader() {
-    const folders = this.props.store.folders || {};
-    const rootFolderName = this.props.store.rootFolderName || '';
+  renderRootFolderWarning() {
+    const store = this.props.store || {};
+    if (!store.folderFound || store.rootFolderPath) {
+      return null;
+    }
+
+    return (
+      <Message
+        warning={true}
+        icon="folder outline"
+        header="Replay root folder not found"
+        content={
+          "The replays in your other folders can still be browsed but tags, favorites, organizing " +
+          "and importing are turned off until the root folder is back."
+        }
+      />
+    );
+  }
+
+  renderParseProgress() {
+    const store = this.props.store || {};
+    const numPendingFiles = store.numPendingFiles || 0;
+    if (store.isLoading || numPendingFiles === 0) {
+      return null;
+    }
+
+    return (
+      <Message
+        info={true}
+        icon={<Icon name="circle notched" loading={true} />}
+        header="Parsing replays"
+        content={`${numPendingFiles} files left to parse. They will be added to the list as they are processed.`}
+      />
+    );
+  }
+
+  renderFilterBar() {
+    const store = this.props.store || {};
+    if (store.isLoading || !store.folderFound) {
+      return null;
+    }
+
+    return (
+      <ReplayFilterBar
+        filters={store.replayFilters}
+        numSearchFilteredFiles={store.numSearchFilteredFiles || 0}
+        allTags={store.allTags || []}
+        setReplayFilters={this.props.setReplayFilters}
+      />
+    );
+  }
 
-    if (!folders[rootFolderName]) {
+  renderEmptyLoader() {
+    if (!this.props.store.folderFound) {
       return this.renderMissingRootFolder();
     }
 
+    if (hasActiveReplayFilters(this.props.store.replayFilters)) {
+      return this.renderNoMatchingReplays();
+    }
+
     return (
       <div className={styles['empty-loader-content']}>
         <Header
@@ -272,6 +774,28 @@ export default class FileLoader extends Component {
     );
   }
 
+  renderNoMatchingReplays() {
+    return (
+      <div className={styles['empty-loader-content']}>
+        <Header
+          as="h2"
+          icon={true}
+          color="grey"
+          inverted={true}
+          textAlign="center"
+        >
+          <Icon name="filter" />
+          <Header.Content>
+            No Matching Replays
+            <Header.Subheader>
+              Try removing some of the filters above
+            </Header.Subheader>
+          </Header.Content>
+        </Header>
+      </div>
+    );
+  }
+
   renderMissingRootFolder() {
     return (
       <div className={styles['empty-loader-content']}>
@@ -302,12 +826,11 @@ export default class FileLoader extends Component {
   }
 
   renderLoadingState() {
-    const store = this.props.store || {};
     return (
       <Loader
         className={styles['loader']}
         inverted={true}
-        active={store.isLoading}
+        active={true}
         indeterminate={true}
         inline="centered"
         size="big"
@@ -322,11 +845,9 @@ export default class FileLoader extends Component {
 
     const allFiles = (store.filterReplays ? store.files : store.allFiles) || [];
 
-    const filesToRender = _.get(store, ['fileLoadState', 'filesToRender']) || [];
-    const filesOffset = _.get(store, ['fileLoadState', 'filesOffset']) || 0;
-    const hasLoaded = _.get(store, ['fileLoadState', 'hasLoaded']) || false;
-
-    if (store.isLoading) {
+    // Keep showing the loader until the first parsed files come in
+    const isWaitingForFiles = !allFiles.length && store.numPendingFiles > 0;
+    if (store.isLoading || isWaitingForFiles) {
       return this.renderLoadingState();
     }
 
@@ -336,48 +857,79 @@ export default class FileLoader extends Component {
     }
 
     // Generate header row
+    const tableLayout = store.tableLayout || columnUtils.defaultTableLayout;
+    const visibleColumns = columnUtils.getVisibleColumns(tableLayout);
     const headerRow = (
       <Table.Row>
         <Table.HeaderCell />
-        <Table.HeaderCell>Details</Table.HeaderCell>
-        <Table.HeaderCell>Time</Table.HeaderCell>
-        <Table.HeaderCell />
+        {visibleColumns.map(column => this.renderColumnHeader(column, tableLayout))}
+        <Table.HeaderCell className={styles['column-chooser-cell']}>
+          {this.renderColumnChooser(tableLayout)}
+        </Table.HeaderCell>
       </Table.Row>
     );
+    const columnKeys = visibleColumns.map(column => column.key);
 
-    // Generate a row for every file in selected folder
-    let fileIndex = 0;
-    const rows = filesToRender.map(
-      file => (
-        <FileRow
-          key={file.fullPath}
-          file={file}
-          playFile={this.props.playFile}
-          setStatsGamePage={this.props.setStatsGamePage}
-          onSelect={this.onSelect}
-          selectedOrdinal={this.state.selections.indexOf(file) + 1}
-          fileIndex={fileIndex++}
-        />
-      ),
-      this
+    const renderFileRow = (file, fileIndex, isFocused) => (
+      <FileRow
+        key={file.fullPath}
+        file={file}
+        playFile={this.props.playFile}
+        setStatsGamePage={this.props.setStatsGamePage}
+        onSelect={this.onSelect}
+        selectedOrdinal={this.state.selections.indexOf(file) + 1}
+        isFocused={isFocused}
+        isPreviewOpen={!!this.state.previewPaths[file.fullPath]}
+        togglePreview={this.togglePreview}
+        fileIndex={fileIndex}
+        columns={columnKeys}
+        annotation={store.replayAnnotations.get(file.fullPath)}
+        canAnnotate={!!store.rootFolderPath}
+        editAnnotation={this.editAnnotation}
+        updateAnnotation={this.props.updateAnnotation}
+      />
     );
 
-    const bufferMoreFiles = (e, { calculations }) => {
-      const start = filesOffset;
-      const end = Math.min(start + GAME_BATCH_SIZE, allFiles.length);
+    // Only the rows that are scrolled into view get mounted
+    const { rowCount, getRow } = this.getListRows();
+    const renderRow = index => {
+      const row = getRow(index);
+      const isFocused = index === this.state.focusedRowIndex;
+      if (row.file) {
+        return renderFileRow(row.file, row.fileIndex, isFocused);
+      }
 
-      if (
-        (calculations.percentagePassed > 0.5 &&
-          start < allFiles.length) ||
-        !hasLoaded) {
-        const nextFilesToRender = allFiles.slice(start, end);
+      if (row.previewFile) {
+        return (
+          <FilePreviewRow
+            key={`preview-${row.previewFile.fullPath}`}
+            file={row.previewFile}
+            isFocused={isFocused}
+            columnCount={columnKeys.length}
+          />
+        );
+      }
 
-        this.props.storeFileLoadState({
-          filesToRender: filesToRender.concat(nextFilesToRender),
-          filesOffset: end,
-          hasLoaded: true,
-        });
+      return (
+        <SetRow
+          key={`set-${row.set.key}`}
+          set={row.set}
+          isExpanded={!!this.state.expandedSets[row.set.key]}
+          isFocused={isFocused}
+          columnCount={columnKeys.length}
+          toggleExpanded={this.toggleSetExpanded}
+          queueFiles={this.props.queueFiles}
+        />
+      );
+    };
+
+    const getRowType = index => {
+      const row = getRow(index);
+      if (row.file) {
+        return 'file';
       }
+
+      return row.previewFile ? 'preview' : 'set';
     };
 
     return (
@@ -387,21 +939,379 @@ export default class FileLoader extends Component {
         celled={true}
         inverted={true}
         selectable={true}
+        sortable={true}
       >
         <Table.Header>{headerRow}</Table.Header>
-        <Visibility updateOn="repaint" as="tbody" onUpdate={bufferMoreFiles}>
-          {rows}
-        </Visibility>
+        <VirtualTableBody
+          ref={this.setTableBodyRef}
+          rowCount={rowCount}
+          renderRow={renderRow}
+          getRowType={getRowType}
+        />
       </Table>
     );
   }
   
+  // Rows in the order they are shown, when grouping by set that's the sets along with the files of
+  // the expanded ones. Open previews go right below their replay
+  getListRows() {
+    const store = this.props.store || {};
+    const allFiles = (store.filterReplays ? store.files : store.allFiles) || [];
+    const tableLayout = store.tableLayout || columnUtils.defaultTableLayout;
+    if (!tableLayout.groupSets && _.isEmpty(this.state.previewPaths)) {
+      return {
+        rowCount: allFiles.length,
+        getRow: index => ({
+          file: allFiles[index],
+          fileIndex: index,
+        }),
+      };
+    }
+
+    const rows = this.getRows(allFiles, tableLayout);
+    return {
+      rowCount: rows.length,
+      getRow: index => rows[index],
+    };
+  }
+
+  getRows(allFiles, tableLayout) {
+    // Grouping tens of thousands of files isn't free so only redo it when the list changes
+    const { expandedSets, previewPaths } = this.state;
+    const setGapMinutes = tableLayout.groupSets ? tableLayout.setGapMinutes : null;
+    let cache = this.rowsCache;
+    if (!cache || cache.allFiles !== allFiles || cache.setGapMinutes !== setGapMinutes) {
+      cache = {
+        allFiles: allFiles,
+        setGapMinutes: setGapMinutes,
+        sets: tableLayout.groupSets ? groupReplaySets(allFiles, setGapMinutes) : null,
+        fileIndexes: new Map(allFiles.map((file, index) => [file, index])),
+      };
+    }
+
+    if (cache.expandedSets !== expandedSets || cache.previewPaths !== previewPaths || !cache.rows) {
+      const rows = [];
+      const addFileRows = file => {
+        const fileIndex = cache.fileIndexes.get(file);
+        rows.push({
+          file: file,
+          fileIndex: fileIndex,
+        });
+        if (previewPaths[file.fullPath]) {
+          rows.push({
+            previewFile: file,
+            fileIndex: fileIndex,
+          });
+        }
+      };
+
+      if (cache.sets) {
+        cache.sets.forEach(set => {
+          if (!set.isGrouped) {
+            set.files.forEach(addFileRows);
+            return;
+          }
+
+          rows.push({ set: set });
+          if (expandedSets[set.key]) {
+            set.files.forEach(addFileRows);
+          }
+        });
+      } else {
+        allFiles.forEach(addFileRows);
+      }
+
+      cache = {
+        ...cache,
+        expandedSets: expandedSets,
+        previewPaths: previewPaths,
+        rows: rows,
+      };
+    }
+
+    this.rowsCache = cache;
+    return cache.rows;
+  }
+
+  rowsCache = null;
+
+  togglePreview = file => {
+    if (file.hasError) {
+      // There's nothing to preview for files that couldn't be read
+      return;
+    }
+
+    if (!this.state.previewPaths[file.fullPath]) {
+      this.props.loadFileEndStates([file]);
+    }
+
+    this.setState(prevState => ({
+      previewPaths: _.omitBy({
+        ...prevState.previewPaths,
+        [file.fullPath]: !prevState.previewPaths[file.fullPath],
+      }, isOpen => !isOpen),
+    }));
+  };
+
+  toggleSetExpanded = set => {
+    this.setState(prevState => ({
+      expandedSets: {
+        ...prevState.expandedSets,
+        [set.key]: !prevState.expandedSets[set.key],
+      },
+    }));
+  };
+
+  editAnnotation = file => {
+    this.setState({
+      annotatingFile: file,
+    });
+  };
+
+  closeAnnotationEditor = () => {
+    this.setState({
+      annotatingFile: null,
+    });
+  };
+
+  saveAnnotation = changes => {
+    this.props.updateAnnotation(this.state.annotatingFile.fullPath, changes);
+    this.closeAnnotationEditor();
+  };
+
+  renderAnnotationEditor() {
+    const file = this.state.annotatingFile;
+    if (!file) {
+      return null;
+    }
+
+    const store = this.props.store || {};
+    return (
+      <AnnotationEditor
+        title={file.fileName}
+        annotation={store.replayAnnotations.get(file.fullPath)}
+        allTags={store.allTags || []}
+        onSave={this.saveAnnotation}
+        onClose={this.closeAnnotationEditor}
+      />
+    );
+  }
+
+  renderColumnHeader(column, tableLayout) {
+    if (!column.getSortValue) {
+      return <Table.HeaderCell key={column.key}>{column.label}</Table.HeaderCell>;
+    }
+
+    const isSorted = tableLayout.sortColumn === column.key;
+    const sortDirection = tableLayout.sortDirection === 'asc' ? 'ascending' : 'descending';
+    const onClick = () => {
+      this.props.setTableLayout(columnUtils.toggleSortColumn(tableLayout, column));
+    };
+
+    return (
+      <Table.HeaderCell
+        key={column.key}
+        sorted={isSorted ? sortDirection : null}
+        onClick={onClick}
+      >
+        {column.label}
+      </Table.HeaderCell>
+    );
+  }
+
+  renderColumnChooser(tableLayout) {
+    const items = columnUtils.replayColumns.map(column => {
+      const isVisible = _.includes(tableLayout.columns, column.key);
+      const onClick = (e) => {
+        // Keep the menu open so that several columns can be toggled in a row
+        e.stopPropagation();
+        this.props.setTableLayout(columnUtils.toggleColumnVisibility(tableLayout, column));
+      };
+
+      return (
+        <Dropdown.Item
+          key={column.key}
+          icon={isVisible ? "check square outline" : "square outline"}
+          text={column.label}
+          onClick={onClick}
+        />
+      );
+    });
+
+    const onGroupSetsClick = (e) => {
+      e.stopPropagation();
+      this.props.setTableLayout({
+        ...tableLayout,
+        groupSets: !tableLayout.groupSets,
+      });
+    };
+
+    const gapItems = SET_GAP_OPTIONS_MINUTES.map(minutes => {
+      const onClick = (e) => {
+        e.stopPropagation();
+        this.props.setTableLayout({
+          ...tableLayout,
+          setGapMinutes: minutes,
+        });
+      };
+
+      return (
+        <Dropdown.Item
+          key={`gap-${minutes}`}
+          icon={tableLayout.setGapMinutes === minutes ? "dot circle outline" : "circle outline"}
+          text={`Up to ${minutes} minutes between games`}
+          disabled={!tableLayout.groupSets}
+          onClick={onClick}
+        />
+      );
+    });
+
+    return (
+      <Dropdown icon="columns" direction="left" title="Choose columns">
+        <Dropdown.Menu>
+          <Dropdown.Header content="Columns" />
+          {items}
+          <Dropdown.Divider />
+          <Dropdown.Header content="Sets" />
+          <Dropdown.Item
+            icon={tableLayout.groupSets ? "check square outline" : "square outline"}
+            text="Group games into sets"
+            onClick={onGroupSetsClick}
+          />
+          {gapItems}
+        </Dropdown.Menu>
+      </Dropdown>
+    );
+  }
+
+  showConfirmDelete = () => {
+    this.setState({
+      isConfirmingDelete: true,
+    });
+  };
+
+  hideConfirmDelete = () => {
+    this.setState({
+      isConfirmingDelete: false,
+    });
+  };
+
   deleteSelections = () => {
     this.props.deleteSelections(this.state.selections);
     this.setState({
       selections: [],
+      isConfirmingDelete: false,
     });
-    this.renderMain();
+  }
+
+  renderDeleteConfirm() {
+    const selections = this.state.selections;
+    const totalSize = _.sumBy(selections, file => file.fileSize || 0);
+    return (
+      <Confirm
+        className={styles['confirm']}
+        open={this.state.isConfirmingDelete}
+        confirmButton="Delete"
+        cancelButton="Cancel"
+        header="Delete replays?"
+        content={
+          `${selections.length} replay(s) taking up ${columnUtils.formatFileSize(totalSize)} ` +
+          'will be deleted. This can be undone for a few seconds afterwards'
+        }
+        onConfirm={this.deleteSelections}
+        onCancel={this.hideConfirmDelete}
+      />
+    );
+  }
+
+  renderUndoDelete() {
+    const pendingDeletion = this.props.store.pendingDeletion;
+    if (!pendingDeletion || this.state.selections.length > 0) {
+      // The queue buttons take up the same spot
+      return null;
+    }
+
+    return (
+      <Message key={pendingDeletion.id} className={styles['undo-delete']} size="small">
+        <span>
+          {`Deleted ${pendingDeletion.numFiles} replay(s) ` +
+            `(${columnUtils.formatFileSize(pendingDeletion.totalSize)})`}
+        </span>
+        <Button size="small" onClick={this.props.undoDelete}>
+          <Icon name="undo" />
+          Undo
+        </Button>
+      </Message>
+    );
+  }
+
+  openRenameModal = () => {
+    this.setState({
+      isRenaming: true,
+    });
+  };
+
+  closeRenameModal = () => {
+    this.props.cancelRename();
+    this.setState({
+      isRenaming: false,
+    });
+  };
+
+  applyRename = async () => {
+    await this.props.applyRename();
+
+    // The renamed files are replaced by new file objects so the selection no longer applies
+    this.setState({
+      selections: [],
+    });
+  };
+
+  renderRenameModal() {
+    if (!this.state.isRenaming) {
+      return null;
+    }
+
+    const store = this.props.store || {};
+    return (
+      <RenameModal
+        files={this.state.selections}
+        template={store.renameTemplate}
+        renamePreview={store.renamePreview}
+        previewRename={this.props.previewRename}
+        applyRename={this.applyRename}
+        onClose={this.closeRenameModal}
+      />
+    );
+  }
+
+  openExportModal = () => {
+    this.setState({
+      isExporting: true,
+    });
+  };
+
+  closeExportModal = () => {
+    this.setState({
+      isExporting: false,
+    });
+  };
+
+  renderExportModal() {
+    if (!this.state.isExporting) {
+      return null;
+    }
+
+    return (
+      <ExportModal
+        files={this.state.selections}
+        archives={this.props.archives}
+        exportReplays={this.props.exportReplays}
+        cancelExport={this.props.cancelExport}
+        clearExport={this.props.clearExport}
+        onClose={this.closeExportModal}
+      />
+    );
   }
 
   renderQueueButtons() {
@@ -418,7 +1328,28 @@ export default class FileLoader extends Component {
           <Icon name="dont" />
           Clear
         </Button>
-        <Button onClick={this.deleteSelections}>
+        <Button onClick={this.openRenameModal}>
+          <Icon name="i cursor" />
+          Rename
+        </Button>
+        <PlaylistMenu
+          files={this.state.selections}
+          playlists={this.props.playlists.playlists}
+          upward={true}
+          trigger={<Button><Icon name="list ol" />Add to playlist</Button>}
+          loadPlaylists={this.props.loadPlaylists}
+          createPlaylist={this.props.createPlaylist}
+          addToPlaylist={this.props.addToPlaylist}
+        />
+        <Button onClick={this.openHighlightsModal}>
+          <Icon name="lightning" />
+          Highlights
+        </Button>
+        <Button onClick={this.openExportModal}>
+          <Icon name="file archive outline" />
+          Export
+        </Button>
+        <Button onClick={this.showConfirmDelete}>
           <Icon name="trash alternate outline" />
             Delete
         </Button>
@@ -441,10 +1372,23 @@ export default class FileLoader extends Component {
           topOffset={this.props.topNotifOffset}
         >
           {this.renderGlobalError()}
+          {this.renderRootFolderWarning()}
+          {this.renderParseProgress()}
           {this.renderFilteredFilesNotif()}
+          {this.renderFilterBar()}
           {this.renderFileSelection()}
         </Scroller>
         {this.renderQueueButtons()}
+        {this.renderUndoDelete()}
+        {this.renderDeleteConfirm()}
+        {this.renderAnnotationEditor()}
+        {this.renderRenameModal()}
+        {this.renderOrganizeModal()}
+        {this.renderExportModal()}
+        {this.renderImportModal()}
+        {this.renderCompressModal()}
+        {this.renderHighlightsModal()}
+        {this.renderShortcutHelp()}
       </div>
     );
   }
@@ -452,7 +1396,7 @@ export default class FileLoader extends Component {
   render() {
     return (
       <PageWrapper history={this.props.history}>
-        <div className={styles['layout']}>
+        <div className={styles['layout']} onDragOver={this.onDragOver} onDrop={this.onDrop}>
           {this.renderSidebar()}
           {this.renderMain()}
         </div>
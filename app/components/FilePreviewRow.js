@@ -0,0 +1,95 @@
+import _ from 'lodash';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Table, Image, Icon } from 'semantic-ui-react';
+import classNames from 'classnames';
+
+import styles from './FileRow.scss';
+import SpacedGroup from './common/SpacedGroup';
+import getLocalImage from '../utils/image';
+import * as timeUtils from '../utils/time';
+import getReplayPreview from '../utils/replayPreview';
+
+/**
+ * Expanded preview shown below a replay in the replay browser. The table measures one preview to
+ * size all of them, so the contents are kept to a fixed height.
+ */
+export default class FilePreviewRow extends Component {
+  static propTypes = {
+    file: PropTypes.object.isRequired,
+    isFocused: PropTypes.bool.isRequired,
+    columnCount: PropTypes.number.isRequired,
+  };
+
+  shouldComponentUpdate(nextProps) {
+    return this.props.file !== nextProps.file ||
+      this.props.isFocused !== nextProps.isFocused ||
+      this.props.columnCount !== nextProps.columnCount;
+  }
+
+  renderPlayer = player => {
+    // Stocks are shown as they were at the start until the end state is known
+    const stocksRemaining = _.isNil(player.stocksRemaining) ? player.startStocks : player.stocksRemaining;
+    const stockIcons = _.range(player.startStocks || 0).map(stockIndex => (
+      <Image
+        key={`stock-${stockIndex}`}
+        className={stockIndex < stocksRemaining ? null : styles['lost-stock']}
+        src={getLocalImage(`stock-icon-${player.characterId}-${player.characterColor}.png`)}
+        height={16}
+        width={16}
+      />
+    ));
+
+    const percent = _.isNil(player.percent) ? "?" : `${player.percent}%`;
+    return (
+      <div key={player.playerIndex} className={styles['player']} title={player.name}>
+        <span className={classNames(styles['port'], styles[`port-${player.port}`])}>
+          {`P${player.port}`}
+        </span>
+        <div className={styles['stocks']}>{stockIcons}</div>
+        <span className={styles['percent']}>{player.stocksRemaining > 0 ? percent : ""}</span>
+        {player.isWinner ? <Icon name="winner" className={styles['winner']} title="Winner" /> : null}
+      </div>
+    );
+  };
+
+  renderTimeline(preview) {
+    if (!preview.hasTimeline) {
+      return null;
+    }
+
+    const markers = preview.stockLosses.map(loss => (
+      <div
+        key={`${loss.playerIndex}-${loss.frame}`}
+        className={classNames(styles['timeline-marker'], styles[`port-${loss.port}`])}
+        style={{ left: `${loss.position * 100}%` }}
+        title={`P${loss.port} lost a stock at ${timeUtils.convertFrameCountToDurationString(Math.max(loss.frame, 0))}`}
+      />
+    ));
+
+    return <div className={styles['timeline']}>{markers}</div>;
+  }
+
+  render() {
+    const preview = getReplayPreview(this.props.file);
+    const rowClasses = classNames({
+      [styles['preview-row']]: true,
+      [styles['focused-row']]: this.props.isFocused,
+    });
+
+    return (
+      <Table.Row className={rowClasses}>
+        <Table.Cell />
+        <Table.Cell colSpan={this.props.columnCount + 1}>
+          <div className={styles['preview']}>
+            <div className={styles['stage']}>{preview.stageName}</div>
+            <SpacedGroup direction="vertical" size="xs" className={styles['game-summary']}>
+              <SpacedGroup size="lg">{preview.players.map(this.renderPlayer)}</SpacedGroup>
+              {this.renderTimeline(preview)}
+            </SpacedGroup>
+          </div>
+        </Table.Cell>
+      </Table.Row>
+    );
+  }
+}
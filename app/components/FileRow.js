@@ -3,7 +3,7 @@ import log from 'electron-log';
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 import { Link } from 'react-router-dom';
-import { Button, Table, Icon } from 'semantic-ui-react';
+import { Button, Table, Icon, Label } from 'semantic-ui-react';
 import { stages as stageUtils } from '@slippi/slippi-js';
 import classNames from 'classnames';
 
@@ -11,6 +11,7 @@ import styles from './FileRow.scss';
 import SpacedGroup from './common/SpacedGroup';
 import PlayerChiclet from './common/PlayerChiclet';
 import * as timeUtils from '../utils/time';
+import * as columnUtils from '../utils/replayColumns';
 
 const path = require('path');
 const shell = require('electron').shell;
@@ -23,6 +24,14 @@ export default class FileRow extends Component {
     setStatsGamePage: PropTypes.func.isRequired,
     onSelect: PropTypes.func.isRequired,
     selectedOrdinal: PropTypes.number.isRequired,
+    isFocused: PropTypes.bool.isRequired,
+    isPreviewOpen: PropTypes.bool.isRequired,
+    togglePreview: PropTypes.func.isRequired,
+    columns: PropTypes.arrayOf(PropTypes.string).isRequired,
+    annotation: PropTypes.object.isRequired,
+    canAnnotate: PropTypes.bool.isRequired,
+    editAnnotation: PropTypes.func.isRequired,
+    updateAnnotation: PropTypes.func.isRequired,
   };
 
   constructor(props) {
@@ -44,7 +53,16 @@ export default class FileRow extends Component {
   }
 
   shouldComponentUpdate(nextProps) {
-    return this.props.selectedOrdinal !== nextProps.selectedOrdinal;
+    // The index changes when the list gets re-sorted around this row and it's used to open the
+    // stats page, so it has to be kept up to date
+    return this.props.selectedOrdinal !== nextProps.selectedOrdinal ||
+      this.props.isFocused !== nextProps.isFocused ||
+      this.props.isPreviewOpen !== nextProps.isPreviewOpen ||
+      this.props.fileIndex !== nextProps.fileIndex ||
+      this.props.file !== nextProps.file ||
+      this.props.annotation !== nextProps.annotation ||
+      this.props.canAnnotate !== nextProps.canAnnotate ||
+      !_.isEqual(this.props.columns, nextProps.columns);
   }
 
   playFile = (e) => {
@@ -64,6 +82,24 @@ export default class FileRow extends Component {
     this.props.setStatsGamePage(this.props.fileIndex);
   };
 
+  toggleFavorite = (e) => {
+    e.stopPropagation();
+    const annotation = this.props.annotation || {};
+    this.props.updateAnnotation(this.props.file.fullPath, {
+      favorite: !annotation.favorite,
+    });
+  };
+
+  togglePreview = (e) => {
+    e.stopPropagation();
+    this.props.togglePreview(this.props.file);
+  };
+
+  editAnnotation = (e) => {
+    e.stopPropagation();
+    this.props.editAnnotation(this.props.file);
+  };
+
   generateSelectCell() {
     const useOrdinal = this.props.selectedOrdinal > 0;
     let contents;
@@ -131,17 +167,33 @@ export default class FileRow extends Component {
     });
 
     return (
-      <Table.Cell singleLine={true}>
+      <Table.Cell key="details" singleLine={true}>
         <SpacedGroup direction="vertical" size="xs">
           <SpacedGroup>{this.generateTeamElements()}</SpacedGroup>
           <SpacedGroup className={styles['metadata-display']} size="md">
             {metadataDisplay}
+            {this.generateAnnotationElements()}
           </SpacedGroup>
         </SpacedGroup>
       </Table.Cell>
     );
   }
 
+  generateAnnotationElements() {
+    const annotation = this.props.annotation || {};
+    const elements = _.map(annotation.tags, tag => (
+      <Label key={`tag-${tag}`} size="mini" className={styles['tag']}>{tag}</Label>
+    ));
+
+    if (annotation.notes) {
+      elements.push(
+        <Icon key="notes" name="sticky note outline" title={annotation.notes} />
+      );
+    }
+
+    return elements;
+  }
+
   getFileName() {
     const file = this.props.file || {};
 
@@ -219,20 +271,97 @@ export default class FileRow extends Component {
 
   generateStartTimeCell() {
     if (this.state.isError) {
-      return <Table.Cell singleLine={true}>Error</Table.Cell>;
+      return <Table.Cell key="startTime" singleLine={true}>Error</Table.Cell>;
     }
 
     const file = this.props.file || {};
 
     const startAtDisplay = timeUtils.monthDayHourFormat(file.startTime) || "Unknown";
 
-    return <Table.Cell singleLine={true}>{startAtDisplay}</Table.Cell>;
+    return <Table.Cell key="startTime" singleLine={true}>{startAtDisplay}</Table.Cell>;
+  }
+
+  generateColumnCell(columnKey) {
+    switch (columnKey) {
+    case 'details':
+      return this.generateDetailsCell();
+    case 'startTime':
+      return this.generateStartTimeCell();
+    default:
+      return (
+        <Table.Cell key={columnKey} singleLine={true}>
+          {this.state.isError ? null : this.getColumnText(columnKey)}
+        </Table.Cell>
+      );
+    }
+  }
+
+  getColumnText(columnKey) {
+    const file = this.props.file || {};
+    const metadata = file.game.getMetadata() || {};
+
+    switch (columnKey) {
+    case 'players':
+      return columnUtils.getPlayerNames(file).join(", ");
+    case 'characters':
+      return columnUtils.getCharacterNames(file).join(", ");
+    case 'stage':
+      return this.getStageName();
+    case 'consoleNick':
+      return metadata.consoleNick || "";
+    case 'platform':
+      return metadata.playedOn || "";
+    case 'stocks':
+      return columnUtils.getStocksRemaining(file).map(stocks => (
+        _.isNil(stocks) ? "?" : stocks
+      )).join(" - ");
+    case 'winner':
+      return columnUtils.getWinnerNames(file).join(" & ");
+    case 'duration':
+      return _.isNil(file.lastFrame) ? "" : timeUtils.convertFrameCountToDurationString(file.lastFrame);
+    case 'fileSize':
+      return columnUtils.formatFileSize(file.fileSize);
+    case 'fileName':
+      return this.getFileName();
+    default:
+      return "";
+    }
   }
 
   generateOptionsCell() {
     return (
       <Table.Cell className={styles['actions-cell']} textAlign="center">
         <SpacedGroup direction="horizontal">
+          <Button
+            circular={true}
+            inverted={true}
+            size="tiny"
+            basic={true}
+            icon={_.get(this.props.annotation, 'favorite') ? "star" : "star outline"}
+            title="Favorite"
+            disabled={!this.props.canAnnotate}
+            onClick={this.toggleFavorite}
+          />
+          <Button
+            circular={true}
+            inverted={true}
+            size="tiny"
+            basic={true}
+            icon="tags"
+            title="Edit tags and notes"
+            disabled={!this.props.canAnnotate}
+            onClick={this.editAnnotation}
+          />
+          <Button
+            circular={true}
+            inverted={true}
+            size="tiny"
+            basic={true}
+            icon={this.props.isPreviewOpen ? "angle up" : "angle down"}
+            title={this.props.isPreviewOpen ? "Hide preview" : "Show preview"}
+            disabled={this.state.isError}
+            onClick={this.togglePreview}
+          />
           <Button
             circular={true}
             inverted={true}
@@ -259,10 +388,9 @@ export default class FileRow extends Component {
 
   render() {
     return (
-      <Table.Row>
+      <Table.Row className={this.props.isFocused ? styles['focused-row'] : null}>
         {this.generateSelectCell()}
-        {this.generateDetailsCell()}
-        {this.generateStartTimeCell()}
+        {this.props.columns.map(columnKey => this.generateColumnCell(columnKey))}
         {this.generateOptionsCell()}
       </Table.Row>
     );
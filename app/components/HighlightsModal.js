@@ -0,0 +1,271 @@
+import _ from 'lodash';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Modal, Form, Button, Progress, Message, Table, Icon, Dropdown,
+} from 'semantic-ui-react';
+
+import styles from './HighlightsModal.scss';
+import PlaylistMenu from './common/PlaylistMenu';
+import * as timeUtils from '../utils/time';
+import { defaultHighlightCriteria, sortHighlights, HighlightSort } from '../utils/highlights';
+
+const sortOptions = [
+  {
+    key: HighlightSort.CHRONOLOGICAL,
+    value: HighlightSort.CHRONOLOGICAL,
+    text: "In the order they were played",
+  },
+  {
+    key: HighlightSort.DAMAGE,
+    value: HighlightSort.DAMAGE,
+    text: "Most damage first",
+  },
+];
+
+/**
+ * Modal for building a highlight reel out of the conversions in the selected replays. The reel
+ * plays as a queue of clips and can be kept as a playlist.
+ */
+export default class HighlightsModal extends Component {
+  static propTypes = {
+    files: PropTypes.arrayOf(PropTypes.object).isRequired,
+    highlights: PropTypes.object.isRequired,
+    playlists: PropTypes.arrayOf(PropTypes.object).isRequired,
+    findHighlights: PropTypes.func.isRequired,
+    clearHighlights: PropTypes.func.isRequired,
+    playFile: PropTypes.func.isRequired,
+    queueFiles: PropTypes.func.isRequired,
+    loadPlaylists: PropTypes.func.isRequired,
+    createPlaylist: PropTypes.func.isRequired,
+    addToPlaylist: PropTypes.func.isRequired,
+    onClose: PropTypes.func.isRequired,
+  };
+
+  constructor(props) {
+    super(props);
+
+    // Number inputs are kept as typed and only read when searching
+    this.state = {
+      criteria: _.mapValues(defaultHighlightCriteria, value => (_.isNumber(value) ? `${value}` : value)),
+      sortBy: HighlightSort.CHRONOLOGICAL,
+    };
+  }
+
+  componentWillUnmount() {
+    this.props.clearHighlights();
+  }
+
+  onCriteriaChange = (e, { name, value, checked, type }) => {
+    const criteriaValue = type === 'checkbox' ? checked : value;
+    this.setState(prevState => ({
+      criteria: {
+        ...prevState.criteria,
+        [name]: criteriaValue,
+      },
+    }));
+  };
+
+  onSortChange = (e, { value }) => {
+    this.setState({
+      sortBy: value,
+    });
+  };
+
+  getSortedHighlights() {
+    return sortHighlights(this.props.highlights.highlights, this.state.sortBy);
+  }
+
+  find = () => {
+    const criteria = this.state.criteria;
+    this.props.findHighlights(this.props.files, {
+      ...criteria,
+      minDamage: Math.max(0, parseFloat(criteria.minDamage) || 0),
+      minMoves: Math.max(0, parseInt(criteria.minMoves, 10) || 0),
+    });
+  };
+
+  playAll = () => {
+    this.props.queueFiles(this.getSortedHighlights());
+  };
+
+  renderCriteria() {
+    const criteria = this.state.criteria;
+    return (
+      <Form onSubmit={this.find}>
+        <Form.Group widths="equal">
+          <Form.Input
+            name="minDamage"
+            type="number"
+            min={0}
+            label="Minimum damage (%)"
+            value={criteria.minDamage}
+            onChange={this.onCriteriaChange}
+          />
+          <Form.Input
+            name="minMoves"
+            type="number"
+            min={0}
+            label="Minimum moves"
+            value={criteria.minMoves}
+            onChange={this.onCriteriaChange}
+          />
+          <Form.Input
+            name="playerCode"
+            label="Only by player code"
+            placeholder="e.g. ABCD#123"
+            value={criteria.playerCode}
+            onChange={this.onCriteriaChange}
+          />
+        </Form.Group>
+        <Form.Group inline={true}>
+          <Form.Checkbox
+            name="requireKill"
+            label="Only conversions that killed"
+            checked={criteria.requireKill}
+            onChange={this.onCriteriaChange}
+          />
+          <Form.Checkbox
+            name="zeroToDeathOnly"
+            label="Only zero-to-deaths"
+            checked={criteria.zeroToDeathOnly}
+            onChange={this.onCriteriaChange}
+          />
+        </Form.Group>
+      </Form>
+    );
+  }
+
+  renderHighlightRow = highlight => {
+    const clip = highlight.clip;
+    const start = timeUtils.convertFrameCountToDurationString(Math.max(clip.startFrame, 0));
+    const end = _.isNumber(clip.endFrame) ? timeUtils.convertFrameCountToDurationString(clip.endFrame) : "end";
+
+    return (
+      <Table.Row key={highlight.key}>
+        <Table.Cell collapsing={true}>
+          <Button
+            icon="play"
+            size="mini"
+            basic={true}
+            title="Play this highlight"
+            onClick={() => this.props.playFile(highlight)}
+          />
+        </Table.Cell>
+        <Table.Cell className={styles['game-cell']} title={highlight.fullPath}>
+          <div>{timeUtils.monthDayHourFormat(highlight.startTime) || highlight.fileName}</div>
+          <div className={styles['secondary']}>{`${start} – ${end}`}</div>
+        </Table.Cell>
+        <Table.Cell>{highlight.playerName}</Table.Cell>
+        <Table.Cell collapsing={true}>{`${Math.trunc(highlight.damage)}%`}</Table.Cell>
+        <Table.Cell collapsing={true}>{highlight.moveCount}</Table.Cell>
+        <Table.Cell collapsing={true}>
+          {highlight.didKill ? <Icon name="crosshairs" title="Killed" /> : null}
+        </Table.Cell>
+      </Table.Row>
+    );
+  };
+
+  renderResults() {
+    const highlights = this.getSortedHighlights();
+    if (highlights.length === 0) {
+      return (
+        <Message info={true}>
+          <Message.Header>No highlights found</Message.Header>
+          <p>None of the conversions in the selected replays meet the criteria.</p>
+        </Message>
+      );
+    }
+
+    const numGames = _.uniqBy(highlights, 'fullPath').length;
+    return (
+      <div>
+        <div className={styles['results-header']}>
+          <span>{`${highlights.length} highlights from ${numGames} games`}</span>
+          <Dropdown
+            inline={true}
+            options={sortOptions}
+            value={this.state.sortBy}
+            onChange={this.onSortChange}
+          />
+        </div>
+        <Table compact={true} size="small">
+          <Table.Header>
+            <Table.Row>
+              <Table.HeaderCell />
+              <Table.HeaderCell>Game</Table.HeaderCell>
+              <Table.HeaderCell>Player</Table.HeaderCell>
+              <Table.HeaderCell>Damage</Table.HeaderCell>
+              <Table.HeaderCell>Moves</Table.HeaderCell>
+              <Table.HeaderCell />
+            </Table.Row>
+          </Table.Header>
+          <Table.Body>{highlights.map(this.renderHighlightRow)}</Table.Body>
+        </Table>
+      </div>
+    );
+  }
+
+  renderContent() {
+    const highlights = this.props.highlights;
+    if (highlights.isScanning) {
+      return (
+        <Progress
+          value={highlights.numScanned}
+          total={highlights.numToScan}
+          progress="ratio"
+          indicating={true}
+        />
+      );
+    }
+
+    return (
+      <div>
+        {this.renderCriteria()}
+        {highlights.hasScanned ? this.renderResults() : null}
+      </div>
+    );
+  }
+
+  renderActions() {
+    const highlights = this.props.highlights;
+    const sortedHighlights = this.getSortedHighlights();
+    const hasResults = highlights.hasScanned && sortedHighlights.length > 0;
+
+    return (
+      <div className={styles['actions']}>
+        <Button onClick={this.props.onClose}>Close</Button>
+        <PlaylistMenu
+          files={hasResults ? sortedHighlights : []}
+          playlists={this.props.playlists}
+          upward={true}
+          trigger={<Button disabled={!hasResults}><Icon name="list ol" />Save as playlist</Button>}
+          loadPlaylists={this.props.loadPlaylists}
+          createPlaylist={this.props.createPlaylist}
+          addToPlaylist={this.props.addToPlaylist}
+        />
+        <Button disabled={!hasResults} onClick={this.playAll}>
+          <Icon name="play circle" />
+          Play all
+        </Button>
+        <Button color="blue" loading={highlights.isScanning} disabled={highlights.isScanning} onClick={this.find}>
+          Find highlights
+        </Button>
+      </div>
+    );
+  }
+
+  render() {
+    return (
+      <Modal open={true} size="large" onClose={this.props.onClose} closeIcon={true}>
+        <Modal.Header>{`Highlights from ${this.props.files.length} replays`}</Modal.Header>
+        <Modal.Content scrolling={true}>
+          {this.renderContent()}
+        </Modal.Content>
+        <Modal.Actions>
+          {this.renderActions()}
+        </Modal.Actions>
+      </Modal>
+    );
+  }
+}
@@ -0,0 +1,162 @@
+import _ from 'lodash';
+import path from 'path';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, Form, Button, Progress, Message, Table } from 'semantic-ui-react';
+
+import styles from './ImportModal.scss';
+
+/**
+ * Modal for importing the replays of an archive into a folder under the replay root. Ends with a
+ * report of what was imported, skipped and rejected.
+ */
+export default class ImportModal extends Component {
+  static propTypes = {
+    archives: PropTypes.object.isRequired,
+    rootFolderPath: PropTypes.string.isRequired,
+    importArchive: PropTypes.func.isRequired,
+    clearImport: PropTypes.func.isRequired,
+  };
+
+  constructor(props) {
+    super(props);
+
+    const archiveName = path.basename(props.archives.importArchivePath, '.zip');
+    this.state = {
+      subfolderPath: path.join("Imported", archiveName),
+    };
+  }
+
+  onSubfolderChange = (e, { value }) => {
+    this.setState({
+      subfolderPath: value,
+    });
+  };
+
+  import = () => {
+    this.props.importArchive(this.props.archives.importArchivePath, this.state.subfolderPath);
+  };
+
+  close = () => {
+    if (this.props.archives.isImporting) {
+      return;
+    }
+    this.props.clearImport();
+  };
+
+  renderReportTable(entries) {
+    if (_.isEmpty(entries)) {
+      return null;
+    }
+
+    return (
+      <div className={styles['report-files']}>
+        <Table basic="very" compact={true} size="small" celled={true}>
+          <Table.Body>
+            {entries.map(entry => (
+              <Table.Row key={entry.fileName}>
+                <Table.Cell className={styles['file-name']}>{entry.fileName}</Table.Cell>
+                <Table.Cell>{entry.reason}</Table.Cell>
+              </Table.Row>
+            ))}
+          </Table.Body>
+        </Table>
+      </div>
+    );
+  }
+
+  renderReport() {
+    const report = this.props.archives.importReport;
+    const relativePath = path.relative(this.props.rootFolderPath, report.destinationPath);
+
+    return (
+      <div>
+        <Message
+          success={report.rejected.length === 0}
+          warning={report.rejected.length > 0}
+        >
+          <Message.Header>Import complete</Message.Header>
+          <p>
+            {`${report.imported.length} imported into ${relativePath}, ` +
+              `${report.skipped.length} skipped, ${report.rejected.length} rejected`}
+          </p>
+        </Message>
+        {this.renderReportTable(report.skipped)}
+        {this.renderReportTable(report.rejected)}
+      </div>
+    );
+  }
+
+  renderContent() {
+    const archives = this.props.archives;
+    if (archives.importReport) {
+      return this.renderReport();
+    }
+
+    if (archives.isImporting) {
+      if (archives.numFilesToImport === 0) {
+        return <Progress percent={0} active={true} label="Extracting archive..." />;
+      }
+
+      return (
+        <Progress
+          value={archives.numFilesImported}
+          total={archives.numFilesToImport}
+          progress="ratio"
+          indicating={true}
+        />
+      );
+    }
+
+    return (
+      <div>
+        <p>
+          {'Replays that are already in the library are skipped and files that are not ' +
+            'readable games are rejected'}
+        </p>
+        <Form>
+          <Form.Input
+            label={`Folder inside of ${path.basename(this.props.rootFolderPath)}`}
+            value={this.state.subfolderPath}
+            onChange={this.onSubfolderChange}
+          />
+        </Form>
+      </div>
+    );
+  }
+
+  renderActions() {
+    const archives = this.props.archives;
+    if (archives.importReport) {
+      return <Button color="blue" onClick={this.close}>Done</Button>;
+    }
+
+    return [
+      <Button key="cancel" disabled={archives.isImporting} onClick={this.close}>Cancel</Button>,
+      <Button
+        key="import"
+        color="blue"
+        disabled={archives.isImporting || !this.state.subfolderPath.trim()}
+        loading={archives.isImporting}
+        onClick={this.import}
+      >
+        Import
+      </Button>,
+    ];
+  }
+
+  render() {
+    const archiveName = path.basename(this.props.archives.importArchivePath);
+    return (
+      <Modal open={true} size="small" onClose={this.close} closeIcon={!this.props.archives.isImporting}>
+        <Modal.Header>{`Import ${archiveName}`}</Modal.Header>
+        <Modal.Content>
+          {this.renderContent()}
+        </Modal.Content>
+        <Modal.Actions>
+          {this.renderActions()}
+        </Modal.Actions>
+      </Modal>
+    );
+  }
+}
@@ -0,0 +1,245 @@
+import _ from 'lodash';
+import path from 'path';
+import moment from 'moment';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, Form, Button, Table, Label, Loader, Message, Statistic } from 'semantic-ui-react';
+
+import styles from './OrganizeModal.scss';
+import { organizeTokens, planOrganize, parseConnectCodes, MoveStatus } from '../utils/replayOrganizer';
+
+// Listing every move of a large library would make the modal unusable, the folder summary
+// covers the rest
+const MAX_LISTED_FOLDERS = 50;
+
+/**
+ * Modal for moving every replay under the root folder into a folder hierarchy built from a
+ * template. Nothing is moved until the planned moves have been reviewed, and the last operation
+ * can be undone from here as well.
+ */
+export default class OrganizeModal extends Component {
+  static propTypes = {
+    rootFolderPath: PropTypes.string.isRequired,
+    template: PropTypes.string.isRequired,
+    myConnectCodes: PropTypes.string,
+    organizeState: PropTypes.object,
+    prepareOrganize: PropTypes.func.isRequired,
+    setOrganizeTemplate: PropTypes.func.isRequired,
+    applyOrganize: PropTypes.func.isRequired,
+    undoOrganize: PropTypes.func.isRequired,
+    onClose: PropTypes.func.isRequired,
+  };
+
+  static defaultProps = {
+    myConnectCodes: "",
+    organizeState: null,
+  };
+
+  componentDidMount() {
+    this.props.prepareOrganize();
+  }
+
+  onTemplateChange = (e, { value }) => {
+    this.props.setOrganizeTemplate(value);
+  };
+
+  insertToken = token => {
+    const template = this.props.template;
+    const separator = template && !template.endsWith("/") ? "/" : "";
+    this.props.setOrganizeTemplate(`${template}${separator}{${token}}`);
+  };
+
+  apply = () => {
+    this.props.applyOrganize(this.getMoves());
+  };
+
+  getMoves() {
+    // Planning is cheap compared to rendering but the whole library goes through it, so only
+    // redo it when something it depends on changes
+    const { rootFolderPath, template, myConnectCodes } = this.props;
+    const { files, existingPaths } = this.props.organizeState;
+    const cache = this.movesCache;
+    if (
+      cache && cache.files === files && cache.template === template &&
+      cache.myConnectCodes === myConnectCodes
+    ) {
+      return cache.moves;
+    }
+
+    const myCodes = parseConnectCodes(myConnectCodes);
+    this.movesCache = {
+      files: files,
+      template: template,
+      myConnectCodes: myConnectCodes,
+      moves: planOrganize(files, template, rootFolderPath, myCodes, existingPaths),
+    };
+
+    return this.movesCache.moves;
+  }
+
+  movesCache = null;
+
+  renderTokens() {
+    const tokens = _.map(organizeTokens, (description, token) => (
+      <Label
+        key={token}
+        as="a"
+        size="small"
+        title={description}
+        onClick={() => this.insertToken(token)}
+      >
+        {`{${token}}`}
+      </Label>
+    ));
+
+    return <div className={styles['tokens']}>{tokens}</div>;
+  }
+
+  renderUndo() {
+    const operation = this.props.organizeState.lastOperation;
+    if (!operation) {
+      return null;
+    }
+
+    const time = moment(operation.createdAt).format('LLL');
+    return (
+      <Message info={true} size="small" className={styles['undo']}>
+        <span>
+          {`Last organized on ${time} using "${operation.template}", moving ${operation.moves.length} replays`}
+        </span>
+        <Button
+          size="small"
+          disabled={this.props.organizeState.isApplying}
+          onClick={this.props.undoOrganize}
+        >
+          Undo
+        </Button>
+      </Message>
+    );
+  }
+
+  renderSummary(moves) {
+    const counts = _.countBy(moves, 'status');
+    const statistics = [
+      { key: MoveStatus.OK, label: "To move" },
+      { key: MoveStatus.UNCHANGED, label: "Already in place" },
+      { key: MoveStatus.DUPLICATE, label: "Same target" },
+      { key: MoveStatus.EXISTS, label: "Target exists" },
+      { key: MoveStatus.SKIPPED, label: "Unreadable" },
+    ];
+
+    return (
+      <Statistic.Group size="mini" widths={statistics.length} className={styles['summary']}>
+        {statistics.map(statistic => (
+          <Statistic key={statistic.key}>
+            <Statistic.Value>{counts[statistic.key] || 0}</Statistic.Value>
+            <Statistic.Label>{statistic.label}</Statistic.Label>
+          </Statistic>
+        ))}
+      </Statistic.Group>
+    );
+  }
+
+  renderPlannedFolders(moves) {
+    const rootFolderPath = this.props.rootFolderPath;
+    const movesByFolder = _.groupBy(_.filter(moves, { status: MoveStatus.OK }), move => (
+      path.relative(rootFolderPath, path.dirname(move.newPath)) || "."
+    ));
+
+    const folders = _.sortBy(_.keys(movesByFolder), folder => folder.toLowerCase());
+    if (folders.length === 0) {
+      return null;
+    }
+
+    const rows = _.take(folders, MAX_LISTED_FOLDERS).map(folder => (
+      <Table.Row key={folder}>
+        <Table.Cell className={styles['folder-name']}>{folder}</Table.Cell>
+        <Table.Cell collapsing={true}>{movesByFolder[folder].length}</Table.Cell>
+      </Table.Row>
+    ));
+
+    let moreRow = null;
+    if (folders.length > MAX_LISTED_FOLDERS) {
+      moreRow = (
+        <Table.Row>
+          <Table.Cell colSpan={2}>
+            {`...and ${folders.length - MAX_LISTED_FOLDERS} more folders`}
+          </Table.Cell>
+        </Table.Row>
+      );
+    }
+
+    return (
+      <div className={styles['folders']}>
+        <Table basic="very" compact={true} size="small">
+          <Table.Header>
+            <Table.Row>
+              <Table.HeaderCell>Destination folder</Table.HeaderCell>
+              <Table.HeaderCell>Replays</Table.HeaderCell>
+            </Table.Row>
+          </Table.Header>
+          <Table.Body>
+            {rows}
+            {moreRow}
+          </Table.Body>
+        </Table>
+      </div>
+    );
+  }
+
+  renderContent() {
+    const organizeState = this.props.organizeState;
+    if (!organizeState || organizeState.isLoading) {
+      return (
+        <Loader active={true} inline="centered">
+          Reading replay library...
+        </Loader>
+      );
+    }
+
+    const moves = this.getMoves();
+    return (
+      <div>
+        {this.renderUndo()}
+        <Form>
+          <Form.Input
+            label="Folder template"
+            placeholder="e.g. {year}/{month}"
+            value={this.props.template}
+            onChange={this.onTemplateChange}
+          />
+        </Form>
+        {this.renderTokens()}
+        {this.renderSummary(moves)}
+        {this.renderPlannedFolders(moves)}
+      </div>
+    );
+  }
+
+  render() {
+    const organizeState = this.props.organizeState;
+    const isReady = !!organizeState && !organizeState.isLoading;
+    const numMoves = isReady ? _.filter(this.getMoves(), { status: MoveStatus.OK }).length : 0;
+    const isApplying = isReady && organizeState.isApplying;
+
+    return (
+      <Modal open={true} onClose={this.props.onClose} closeIcon={!isApplying}>
+        <Modal.Header>Organize Replays</Modal.Header>
+        <Modal.Content>
+          {this.renderContent()}
+        </Modal.Content>
+        <Modal.Actions>
+          <Button disabled={isApplying} onClick={this.props.onClose}>Cancel</Button>
+          <Button
+            color="blue"
+            disabled={numMoves === 0 || isApplying}
+            loading={isApplying}
+            onClick={this.apply}
+          >
+            {`Move ${numMoves} replays`}
+          </Button>
+        </Modal.Actions>
+      </Modal>
+    );
+  }
+}
@@ -0,0 +1,325 @@
+import _ from 'lodash';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Table, Button, Header, Segment, Message, Menu, Input, Icon, Label, Confirm,
+} from 'semantic-ui-react';
+
+import styles from './Playlists.scss';
+import PageHeader from './common/PageHeader';
+import PageWrapper from './PageWrapper';
+import Scroller from './common/Scroller';
+import DismissibleMessage from './common/DismissibleMessage';
+import * as timeUtils from '../utils/time';
+import { getRootRelativePath } from '../utils/settings';
+import { getQueueEntryKey } from '../utils/playlists';
+
+export default class Playlists extends Component {
+  static propTypes = {
+    // playlist actions
+    loadPlaylists: PropTypes.func.isRequired,
+    selectPlaylist: PropTypes.func.isRequired,
+    createPlaylist: PropTypes.func.isRequired,
+    renamePlaylist: PropTypes.func.isRequired,
+    deletePlaylist: PropTypes.func.isRequired,
+    removeFromPlaylist: PropTypes.func.isRequired,
+    movePlaylistEntry: PropTypes.func.isRequired,
+    playPlaylist: PropTypes.func.isRequired,
+    importPlaylist: PropTypes.func.isRequired,
+    exportPlaylist: PropTypes.func.isRequired,
+
+    // error actions
+    dismissError: PropTypes.func.isRequired,
+
+    // store data
+    history: PropTypes.object.isRequired,
+    store: PropTypes.object.isRequired,
+    rootFolders: PropTypes.arrayOf(PropTypes.object).isRequired,
+    errors: PropTypes.object.isRequired,
+    topNotifOffset: PropTypes.number.isRequired,
+  };
+
+  state = {
+    // The name being typed in, only saved once the input loses focus
+    nameDraft: null,
+    isConfirmingDelete: false,
+  };
+
+  componentDidMount() {
+    this.props.loadPlaylists();
+  }
+
+  componentWillUnmount() {
+    this.props.dismissError('playlists-global');
+  }
+
+  getSelectedPlaylist() {
+    const store = this.props.store;
+    return _.find(store.playlists, { id: store.selectedPlaylistId }) || null;
+  }
+
+  newPlaylist = () => {
+    this.props.createPlaylist(`Playlist ${this.props.store.playlists.length + 1}`, []);
+  };
+
+  onNameChange = (e, { value }) => {
+    this.setState({
+      nameDraft: value,
+    });
+  };
+
+  saveName = () => {
+    const playlist = this.getSelectedPlaylist();
+    const name = _.trim(this.state.nameDraft);
+    if (playlist && name && name !== playlist.name) {
+      this.props.renamePlaylist(playlist.id, name);
+    }
+
+    this.setState({
+      nameDraft: null,
+    });
+  };
+
+  onNameKeyDown = e => {
+    if (e.key === 'Enter') {
+      e.target.blur();
+    }
+  };
+
+  showConfirmDelete = () => {
+    this.setState({
+      isConfirmingDelete: true,
+    });
+  };
+
+  hideConfirmDelete = () => {
+    this.setState({
+      isConfirmingDelete: false,
+    });
+  };
+
+  deleteSelected = () => {
+    const playlist = this.getSelectedPlaylist();
+    if (playlist) {
+      this.props.deletePlaylist(playlist.id);
+    }
+
+    this.hideConfirmDelete();
+  };
+
+  renderGlobalError() {
+    const errors = this.props.errors || {};
+    const errorKey = 'playlists-global';
+
+    const showGlobalError = errors.displayFlags[errorKey] || false;
+    const globalErrorMessage = errors.messages[errorKey] || '';
+    return (
+      <DismissibleMessage
+        error={true}
+        visible={showGlobalError}
+        icon="warning circle"
+        header="An error has occurred"
+        content={globalErrorMessage}
+        onDismiss={this.props.dismissError}
+        dismissParams={[errorKey]}
+      />
+    );
+  }
+
+  renderPlaylistMenu() {
+    const store = this.props.store;
+    const items = store.playlists.map(playlist => (
+      <Menu.Item
+        key={playlist.id}
+        active={playlist.id === store.selectedPlaylistId}
+        onClick={() => this.props.selectPlaylist(playlist.id)}
+      >
+        <span className={styles['playlist-count']}>{playlist.entries.length}</span>
+        {playlist.name}
+      </Menu.Item>
+    ));
+
+    return (
+      <div className={styles['playlist-menu']}>
+        <Menu vertical={true} inverted={true} fluid={true}>
+          {items}
+        </Menu>
+        <Button fluid={true} basic={true} inverted={true} onClick={this.newPlaylist}>
+          <Icon name="plus" />
+          New playlist
+        </Button>
+        <Button fluid={true} basic={true} inverted={true} onClick={this.props.importPlaylist}>
+          <Icon name="download" />
+          Import
+        </Button>
+      </div>
+    );
+  }
+
+  renderEntryRow = (playlist, entry, index) => {
+    const fileName = entry.path.split('\\').pop().split('/').pop();
+    const relativePath = getRootRelativePath(this.props.rootFolders, entry.path);
+    const startTime = timeUtils.convertToDateAndTime(entry.gameStartAt);
+
+    return (
+      <Table.Row key={getQueueEntryKey(entry)}>
+        <Table.Cell collapsing={true}>{index + 1}</Table.Cell>
+        <Table.Cell className={styles['file-path']} title={entry.path}>
+          <div>{fileName}{this.renderClipLabel(entry)}</div>
+          <div className={styles['secondary']}>{relativePath}</div>
+        </Table.Cell>
+        <Table.Cell collapsing={true}>{timeUtils.monthDayHourFormat(startTime) || ""}</Table.Cell>
+        <Table.Cell collapsing={true}>{entry.gameStation}</Table.Cell>
+        <Table.Cell collapsing={true}>
+          <Button
+            icon="arrow up"
+            size="mini"
+            basic={true}
+            inverted={true}
+            title="Move up"
+            disabled={index === 0}
+            onClick={() => this.props.movePlaylistEntry(playlist.id, index, index - 1)}
+          />
+          <Button
+            icon="arrow down"
+            size="mini"
+            basic={true}
+            inverted={true}
+            title="Move down"
+            disabled={index === playlist.entries.length - 1}
+            onClick={() => this.props.movePlaylistEntry(playlist.id, index, index + 1)}
+          />
+          <Button
+            icon="remove"
+            size="mini"
+            basic={true}
+            inverted={true}
+            title="Remove from playlist"
+            onClick={() => this.props.removeFromPlaylist(playlist.id, index)}
+          />
+        </Table.Cell>
+      </Table.Row>
+    );
+  };
+
+  renderClipLabel(entry) {
+    if (!_.has(entry, 'startFrame') && !_.has(entry, 'endFrame')) {
+      return null;
+    }
+
+    const formatFrame = frame => timeUtils.convertFrameCountToDurationString(Math.max(frame, 0));
+    const start = _.has(entry, 'startFrame') ? formatFrame(entry.startFrame) : "start";
+    const end = _.has(entry, 'endFrame') ? formatFrame(entry.endFrame) : "end";
+    return <Label size="mini" basic={true} className={styles['clip-label']}>{`${start} – ${end}`}</Label>;
+  }
+
+  renderEntries(playlist) {
+    if (playlist.entries.length === 0) {
+      return (
+        <Message info={true}>
+          <Message.Header>This playlist is empty</Message.Header>
+          <p>Replays can be added from the replay browser or from the stats of a game.</p>
+        </Message>
+      );
+    }
+
+    return (
+      <Table basic="very" compact={true} inverted={true} size="small">
+        <Table.Header>
+          <Table.Row>
+            <Table.HeaderCell />
+            <Table.HeaderCell>Replay</Table.HeaderCell>
+            <Table.HeaderCell>Played</Table.HeaderCell>
+            <Table.HeaderCell>Station</Table.HeaderCell>
+            <Table.HeaderCell />
+          </Table.Row>
+        </Table.Header>
+        <Table.Body>
+          {playlist.entries.map((entry, index) => this.renderEntryRow(playlist, entry, index))}
+        </Table.Body>
+      </Table>
+    );
+  }
+
+  renderSelectedPlaylist() {
+    const playlist = this.getSelectedPlaylist();
+    if (!playlist) {
+      return (
+        <Message info={true}>
+          <Message.Header>No playlists yet</Message.Header>
+          <p>
+            Create a playlist here or add replays to a new one from the replay browser. Replay queues
+            exported from other tools can be imported as well.
+          </p>
+        </Message>
+      );
+    }
+
+    const name = this.state.nameDraft === null ? playlist.name : this.state.nameDraft;
+    return (
+      <Segment inverted={true} className={styles['playlist']}>
+        <div className={styles['playlist-header']}>
+          <Input
+            className={styles['name-input']}
+            value={name}
+            onChange={this.onNameChange}
+            onBlur={this.saveName}
+            onKeyDown={this.onNameKeyDown}
+          />
+          <div>
+            <Button
+              color="blue"
+              disabled={playlist.entries.length === 0}
+              onClick={() => this.props.playPlaylist(playlist.id)}
+            >
+              <Icon name="play circle" />
+              Play all
+            </Button>
+            <Button basic={true} inverted={true} onClick={() => this.props.exportPlaylist(playlist.id)}>
+              <Icon name="upload" />
+              Export
+            </Button>
+            <Button basic={true} inverted={true} onClick={this.showConfirmDelete}>
+              <Icon name="trash alternate outline" />
+              Delete
+            </Button>
+          </div>
+        </div>
+        <Header as="h4" inverted={true} className={styles['summary']}>
+          {`${playlist.entries.length} replays`}
+        </Header>
+        {this.renderEntries(playlist)}
+        <Confirm
+          open={this.state.isConfirmingDelete}
+          confirmButton="Delete"
+          cancelButton="Cancel"
+          header="Delete playlist?"
+          content={`${playlist.name} will be deleted. The replays in it are kept`}
+          onCancel={this.hideConfirmDelete}
+          onConfirm={this.deleteSelected}
+        />
+      </Segment>
+    );
+  }
+
+  render() {
+    return (
+      <PageWrapper history={this.props.history}>
+        <div className="main-padding">
+          <PageHeader
+            icon="list ol"
+            text="Playlists"
+            history={this.props.history}
+          />
+          <Scroller topOffset={this.props.topNotifOffset}>
+            {this.renderGlobalError()}
+            <div className={styles['layout']}>
+              {this.renderPlaylistMenu()}
+              {this.renderSelectedPlaylist()}
+            </div>
+          </Scroller>
+        </div>
+      </PageWrapper>
+    );
+  }
+}
@@ -0,0 +1,158 @@
+import _ from 'lodash';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, Form, Button, Table, Icon, Label } from 'semantic-ui-react';
+
+import styles from './RenameModal.scss';
+import { renameTokens, RenameStatus } from '../utils/replayFileNames';
+
+const statusDescriptions = {
+  [RenameStatus.UNCHANGED]: "Name doesn't change",
+  [RenameStatus.INVALID]: "Template produces an empty name",
+  [RenameStatus.DUPLICATE]: "Another replay would get the same name",
+  [RenameStatus.EXISTS]: "A file with this name already exists",
+};
+
+/**
+ * Modal for renaming a batch of replays using a file name template. Every change is previewed
+ * and only the renames that won't collide with anything get applied.
+ */
+export default class RenameModal extends Component {
+  static propTypes = {
+    files: PropTypes.arrayOf(PropTypes.object).isRequired,
+    template: PropTypes.string.isRequired,
+    renamePreview: PropTypes.object,
+    previewRename: PropTypes.func.isRequired,
+    applyRename: PropTypes.func.isRequired,
+    onClose: PropTypes.func.isRequired,
+  };
+
+  static defaultProps = {
+    renamePreview: null,
+  };
+
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      template: props.template,
+      isApplying: false,
+    };
+  }
+
+  componentDidMount() {
+    this.props.previewRename(this.props.files, this.state.template);
+  }
+
+  onTemplateChange = (e, { value }) => {
+    this.setState({
+      template: value,
+    });
+    this.props.previewRename(this.props.files, value);
+  };
+
+  insertToken = token => {
+    this.setState(prevState => ({
+      template: `${prevState.template}{${token}}`,
+    }), () => {
+      this.props.previewRename(this.props.files, this.state.template);
+    });
+  };
+
+  apply = async () => {
+    this.setState({
+      isApplying: true,
+    });
+    await this.props.applyRename();
+    this.props.onClose();
+  };
+
+  renderTokens() {
+    const tokens = _.map(renameTokens, (description, token) => (
+      <Label
+        key={token}
+        as="a"
+        size="small"
+        title={description}
+        onClick={() => this.insertToken(token)}
+      >
+        {`{${token}}`}
+      </Label>
+    ));
+
+    return <div className={styles['tokens']}>{tokens}</div>;
+  }
+
+  renderPreviewRow = rename => {
+    const isOk = rename.status === RenameStatus.OK;
+    return (
+      <Table.Row key={rename.oldPath} negative={!isOk && rename.status !== RenameStatus.UNCHANGED}>
+        <Table.Cell className={styles['file-name']}>{rename.file.fileName}</Table.Cell>
+        <Table.Cell className={styles['file-name']}>{rename.newFileName}</Table.Cell>
+        <Table.Cell collapsing={true}>
+          {isOk ? <Icon name="check" color="green" /> : statusDescriptions[rename.status]}
+        </Table.Cell>
+      </Table.Row>
+    );
+  };
+
+  renderPreview() {
+    const renamePreview = this.props.renamePreview;
+    if (!renamePreview) {
+      return null;
+    }
+
+    return (
+      <div className={styles['preview']}>
+        <Table basic="very" compact={true} size="small" celled={true}>
+          <Table.Header>
+            <Table.Row>
+              <Table.HeaderCell>Current name</Table.HeaderCell>
+              <Table.HeaderCell>New name</Table.HeaderCell>
+              <Table.HeaderCell />
+            </Table.Row>
+          </Table.Header>
+          <Table.Body>
+            {renamePreview.renames.map(this.renderPreviewRow)}
+          </Table.Body>
+        </Table>
+      </div>
+    );
+  }
+
+  render() {
+    const renamePreview = this.props.renamePreview;
+    const isPreviewCurrent = !!renamePreview && renamePreview.template === this.state.template;
+    const numRenames = isPreviewCurrent ? _.filter(renamePreview.renames, {
+      status: RenameStatus.OK,
+    }).length : 0;
+
+    return (
+      <Modal open={true} onClose={this.props.onClose} closeIcon={true}>
+        <Modal.Header>{`Rename ${this.props.files.length} replays`}</Modal.Header>
+        <Modal.Content>
+          <Form>
+            <Form.Input
+              label="File name template"
+              value={this.state.template}
+              onChange={this.onTemplateChange}
+            />
+          </Form>
+          {this.renderTokens()}
+          {this.renderPreview()}
+        </Modal.Content>
+        <Modal.Actions>
+          <Button onClick={this.props.onClose}>Cancel</Button>
+          <Button
+            color="blue"
+            disabled={numRenames === 0 || this.state.isApplying}
+            loading={this.state.isApplying}
+            onClick={this.apply}
+          >
+            {`Rename ${numRenames} replays`}
+          </Button>
+        </Modal.Actions>
+      </Modal>
+    );
+  }
+}
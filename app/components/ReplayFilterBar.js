@@ -0,0 +1,206 @@
+import _ from 'lodash';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Form, Button, Icon, Segment } from 'semantic-ui-react';
+import { Stage, characters as characterUtils, stages as stageUtils } from '@slippi/slippi-js';
+
+import styles from './ReplayFilterBar.scss';
+import { defaultReplayFilters, hasActiveReplayFilters } from '../utils/replayFilters';
+
+const characterOptions = _.sortBy(characterUtils.getAllCharacters(), 'name').map(character => ({
+  key: character.id,
+  value: character.id,
+  text: character.name,
+}));
+
+const stageOptions = _.values(Stage).filter(_.isNumber).map(stageId => ({
+  key: stageId,
+  value: stageId,
+  text: stageUtils.getStageName(stageId),
+}));
+
+const platformOptions = [
+  { key: 'any', value: "", text: "Any platform" },
+  { key: 'dolphin', value: "dolphin", text: "Dolphin" },
+  { key: 'network', value: "network", text: "Console (network)" },
+  { key: 'nintendont', value: "nintendont", text: "Nintendont" },
+];
+
+export default class ReplayFilterBar extends Component {
+  static propTypes = {
+    filters: PropTypes.object.isRequired,
+    numSearchFilteredFiles: PropTypes.number.isRequired,
+    allTags: PropTypes.arrayOf(PropTypes.string).isRequired,
+    setReplayFilters: PropTypes.func.isRequired,
+  };
+
+  onFilterChange = (e, { name, value }) => {
+    this.props.setReplayFilters({
+      ...this.props.filters,
+      [name]: value,
+    });
+  };
+
+  onFavoritesOnlyChange = (e, { checked }) => {
+    this.props.setReplayFilters({
+      ...this.props.filters,
+      favoritesOnly: checked,
+    });
+  };
+
+  clearFilters = () => {
+    this.props.setReplayFilters(defaultReplayFilters);
+  };
+
+  renderSummary() {
+    if (!hasActiveReplayFilters(this.props.filters)) {
+      return null;
+    }
+
+    return (
+      <div className={styles['summary']}>
+        <span>{`${this.props.numSearchFilteredFiles} replays hidden by filters`}</span>
+        <Button size="mini" inverted={true} basic={true} onClick={this.clearFilters}>
+          <Icon name="close" />
+          Clear filters
+        </Button>
+      </div>
+    );
+  }
+
+  render() {
+    const filters = {
+      ...defaultReplayFilters,
+      ...this.props.filters,
+    };
+
+    const tagOptions = this.props.allTags.map(tag => ({
+      key: tag,
+      value: tag,
+      text: tag,
+    }));
+
+    return (
+      <Segment basic={true} className={styles['container']}>
+        <Form inverted={true} size="small">
+          <Form.Group widths="equal">
+            <Form.Dropdown
+              name="playerCharacterIds"
+              label="Characters"
+              placeholder="Any"
+              multiple={true}
+              search={true}
+              selection={true}
+              options={characterOptions}
+              value={filters.playerCharacterIds}
+              onChange={this.onFilterChange}
+            />
+            <Form.Dropdown
+              name="opponentCharacterIds"
+              label="Versus"
+              placeholder="Any"
+              multiple={true}
+              search={true}
+              selection={true}
+              options={characterOptions}
+              value={filters.opponentCharacterIds}
+              onChange={this.onFilterChange}
+            />
+            <Form.Dropdown
+              name="stageIds"
+              label="Stage"
+              placeholder="Any"
+              multiple={true}
+              search={true}
+              selection={true}
+              options={stageOptions}
+              value={filters.stageIds}
+              onChange={this.onFilterChange}
+            />
+          </Form.Group>
+          <Form.Group widths="equal">
+            <Form.Input
+              name="playerText"
+              label="Player name or code"
+              placeholder="e.g. ABCD#123"
+              value={filters.playerText}
+              onChange={this.onFilterChange}
+            />
+            <Form.Input
+              name="consoleNick"
+              label="Console nickname"
+              value={filters.consoleNick}
+              onChange={this.onFilterChange}
+            />
+            <Form.Dropdown
+              name="platform"
+              label="Platform"
+              selection={true}
+              options={platformOptions}
+              value={filters.platform}
+              onChange={this.onFilterChange}
+            />
+          </Form.Group>
+          <Form.Group widths="equal">
+            <Form.Input
+              name="startDate"
+              label="From"
+              type="date"
+              value={filters.startDate}
+              onChange={this.onFilterChange}
+            />
+            <Form.Input
+              name="endDate"
+              label="To"
+              type="date"
+              value={filters.endDate}
+              onChange={this.onFilterChange}
+            />
+            <Form.Input
+              name="minDurationSeconds"
+              label="Min length (s)"
+              type="number"
+              min={0}
+              value={filters.minDurationSeconds}
+              onChange={this.onFilterChange}
+            />
+            <Form.Input
+              name="maxDurationSeconds"
+              label="Max length (s)"
+              type="number"
+              min={0}
+              value={filters.maxDurationSeconds}
+              onChange={this.onFilterChange}
+            />
+          </Form.Group>
+          <Form.Group widths="equal">
+            <Form.Dropdown
+              name="tags"
+              label="Tags"
+              placeholder="Any"
+              multiple={true}
+              search={true}
+              selection={true}
+              options={tagOptions}
+              value={filters.tags}
+              onChange={this.onFilterChange}
+            />
+            <Form.Input
+              name="notesText"
+              label="Notes contain"
+              value={filters.notesText}
+              onChange={this.onFilterChange}
+            />
+            <Form.Checkbox
+              className={styles['favorites-checkbox']}
+              label="Favorites only"
+              checked={filters.favoritesOnly}
+              onChange={this.onFavoritesOnlyChange}
+            />
+          </Form.Group>
+        </Form>
+        {this.renderSummary()}
+      </Segment>
+    );
+  }
+}
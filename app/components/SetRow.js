@@ -0,0 +1,122 @@
+import _ from 'lodash';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Button, Table, Icon } from 'semantic-ui-react';
+import classNames from 'classnames';
+
+import styles from './FileRow.scss';
+import SpacedGroup from './common/SpacedGroup';
+import PlayerChiclet from './common/PlayerChiclet';
+import * as timeUtils from '../utils/time';
+
+export default class SetRow extends Component {
+  static propTypes = {
+    set: PropTypes.object.isRequired,
+    isExpanded: PropTypes.bool.isRequired,
+    isFocused: PropTypes.bool.isRequired,
+    columnCount: PropTypes.number.isRequired,
+    toggleExpanded: PropTypes.func.isRequired,
+    queueFiles: PropTypes.func.isRequired,
+  };
+
+  toggleExpanded = () => {
+    this.props.toggleExpanded(this.props.set);
+  };
+
+  queueSet = (e) => {
+    e.stopPropagation();
+    this.props.queueFiles(this.props.set.files);
+  };
+
+  generateScoreElements() {
+    const set = this.props.set;
+    const firstGame = set.files[0].game;
+
+    const elements = [];
+    set.players.forEach((player, idx) => {
+      if (idx > 0) {
+        elements.push(
+          <div className={styles['vs-element']} key={`vs-${player.id}`}>
+            {' '}
+            -{' '}
+          </div>
+        );
+      }
+
+      const score = <div key={`score-${player.id}`} className={styles['set-score']}>{set.score[player.id]}</div>;
+      const chiclet = (
+        <PlayerChiclet
+          key={`player-${player.id}`}
+          game={firstGame}
+          playerIndex={player.playerIndex}
+          showContainer={true}
+        />
+      );
+
+      // Keep the scores next to each other in the middle for the usual 1v1
+      if (idx === 0) {
+        elements.push(chiclet, score);
+      } else {
+        elements.push(score, chiclet);
+      }
+    });
+
+    return elements;
+  }
+
+  generateSummary() {
+    const files = this.props.set.files;
+    const startTime = _.first(files).startTime;
+    const startAtDisplay = timeUtils.monthDayHourFormat(startTime) || "Unknown";
+    const gameCount = files.length === 1 ? "1 game" : `${files.length} games`;
+
+    return (
+      <SpacedGroup className={styles['metadata-display']} size="md">
+        <div>
+          <span className={styles['label']}>Set</span>
+          <span className={styles['value']}>{gameCount}</span>
+        </div>
+        <div className={styles['separator']}>|</div>
+        <div>
+          <span className={styles['label']}>Started</span>
+          <span className={styles['value']}>{startAtDisplay}</span>
+        </div>
+      </SpacedGroup>
+    );
+  }
+
+  render() {
+    const caretIcon = this.props.isExpanded ? "caret down" : "caret right";
+    const rowClasses = classNames({
+      [styles['set-row']]: true,
+      [styles['focused-row']]: this.props.isFocused,
+    });
+
+    return (
+      <Table.Row className={rowClasses} onClick={this.toggleExpanded}>
+        <Table.Cell className={styles['select-cell']} verticalAlign="top">
+          <div className={styles['select-content-wrapper']}>
+            <Icon size="big" name={caretIcon} />
+          </div>
+        </Table.Cell>
+        <Table.Cell colSpan={this.props.columnCount} singleLine={true}>
+          <SpacedGroup direction="vertical" size="xs">
+            <SpacedGroup>{this.generateScoreElements()}</SpacedGroup>
+            {this.generateSummary()}
+          </SpacedGroup>
+        </Table.Cell>
+        <Table.Cell className={styles['actions-cell']} textAlign="center">
+          <Button
+            circular={true}
+            inverted={true}
+            size="tiny"
+            basic={true}
+            icon="list"
+            title="Queue whole set"
+            onClick={this.queueSet}
+          />
+        </Table.Cell>
+      </Table.Row>
+    );
+  }
+}
@@ -1,6 +1,7 @@
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 import _ from 'lodash';
+import path from 'path';
 import {
   Modal,
   Button,
@@ -10,7 +11,8 @@ import {
   Icon,
   Confirm,
 } from 'semantic-ui-react';
-import { getDefaultDolphinPath } from '../utils/settings';
+import { getDefaultDolphinPath, getRecycleSettings, getClipSettings } from '../utils/settings';
+import { getVisibilityRules } from '../utils/replayVisibility';
 import PageHeader from './common/PageHeader';
 import ActionInput from './common/ActionInput';
 import LabelDescription from './common/LabelDescription';
@@ -26,12 +28,14 @@ const { app } = require('electron').remote;
 export default class Settings extends Component {
   static propTypes = {
     browseFolder: PropTypes.func.isRequired,
+    browseReplayRoot: PropTypes.func.isRequired,
     selectFolder: PropTypes.func.isRequired,
     browseFile: PropTypes.func.isRequired,
     validateISO: PropTypes.func.isRequired,
     openDolphin: PropTypes.func.isRequired,
     resetDolphin: PropTypes.func.isRequired,
     setResetConfirm: PropTypes.func.isRequired,
+    updateSetting: PropTypes.func.isRequired,
     login: PropTypes.func.isRequired,
     logout: PropTypes.func.isRequired,
 
@@ -362,6 +366,7 @@ export default class Settings extends Component {
         onClick={this.props.browseFolder}
         handlerParams={['rootSlpPath']}
       />,
+      <div key="extraReplayRoots">{this.renderExtraReplayRoots()}</div>,
     ];
 
     return (
@@ -374,6 +379,243 @@ export default class Settings extends Component {
     );
   }
 
+  setReplayRootName = index => (e, { value }) => {
+    const store = this.props.store || {};
+    const extraReplayRoots = Array.from(store.settings.extraReplayRoots || []);
+    extraReplayRoots[index] = {
+      ...extraReplayRoots[index],
+      name: value,
+    };
+
+    this.props.updateSetting('extraReplayRoots', extraReplayRoots);
+  };
+
+  removeReplayRoot = index => () => {
+    const store = this.props.store || {};
+    const extraReplayRoots = store.settings.extraReplayRoots || [];
+    this.props.updateSetting('extraReplayRoots', extraReplayRoots.filter((root, i) => i !== index));
+  };
+
+  renderExtraReplayRoots() {
+    const store = this.props.store || {};
+    const extraReplayRoots = store.settings.extraReplayRoots || [];
+
+    // Roots without a name of their own go by their folder name
+    const rootItems = extraReplayRoots.map((root, index) => (
+      <Form.Group key={root.path} className={styles['replay-root']}>
+        <Form.Input
+          width={5}
+          placeholder={path.basename(root.path)}
+          value={root.name}
+          onChange={this.setReplayRootName(index)}
+        />
+        <Form.Field width={10} className={styles['replay-root-path']}>
+          {root.path}
+        </Form.Field>
+        <Form.Button
+          basic={true}
+          inverted={true}
+          icon="trash alternate outline"
+          onClick={this.removeReplayRoot(index)}
+        />
+      </Form.Group>
+    ));
+
+    return [
+      <LabelDescription
+        key="label"
+        label="Additional Replay Folders"
+        description={
+          'Other folders to show as top level folders in the replay browser, such as console ' +
+          'recording or spectator folders. All Replays includes every folder'
+        }
+      />,
+      <Form key="roots" inverted={true} className={styles['replay-roots']}>
+        {rootItems}
+        <Button basic={true} inverted={true} onClick={this.props.browseReplayRoot}>
+          <Icon name="plus" />
+          Add folder
+        </Button>
+      </Form>,
+    ];
+  }
+
+  setVisibilityRule = (e, { name, value, checked, type }) => {
+    const store = this.props.store || {};
+    const rules = getVisibilityRules(store.settings.replayVisibilityRules);
+
+    let ruleValue = type === 'checkbox' ? checked : value;
+    if (type === 'number') {
+      ruleValue = Math.max(0, parseInt(value, 10) || 0);
+    }
+
+    this.props.updateSetting('replayVisibilityRules', {
+      ...rules,
+      [name]: ruleValue,
+    });
+  };
+
+  setMyConnectCodes = (e, { value }) => {
+    this.props.updateSetting('myConnectCodes', value);
+  };
+
+  setRecycleSetting = (e, { name, value, checked, type }) => {
+    const store = this.props.store || {};
+    const recycleSettings = getRecycleSettings(store.settings.replayRecycling);
+
+    let settingValue = type === 'checkbox' ? checked : value;
+    if (type === 'number') {
+      settingValue = Math.max(1, parseInt(value, 10) || 1);
+    }
+
+    this.props.updateSetting('replayRecycling', {
+      ...recycleSettings,
+      [name]: settingValue,
+    });
+  };
+
+  setClipSetting = (e, { name, value }) => {
+    const store = this.props.store || {};
+    const clipSettings = getClipSettings(store.settings.clipPlayback);
+
+    this.props.updateSetting('clipPlayback', {
+      ...clipSettings,
+      [name]: Math.max(0, parseFloat(value) || 0),
+    });
+  };
+
+  renderReplayVisibilitySettings() {
+    const store = this.props.store || {};
+    const rules = getVisibilityRules(store.settings.replayVisibilityRules);
+    const recycleSettings = getRecycleSettings(store.settings.replayRecycling);
+    const clipSettings = getClipSettings(store.settings.clipPlayback);
+
+    return (
+      <div className={styles['section']}>
+        <Header inverted={true}>Replay Browser</Header>
+        <LabelDescription
+          label="Hidden Replays"
+          description={
+            'Replays matching these rules are hidden from the replay browser. ' +
+            'They can still be shown from the replay browser if needed'
+          }
+        />
+        <Form inverted={true} className={styles['visibility-rules']}>
+          <Form.Input
+            name="minGameLengthSeconds"
+            type="number"
+            min={0}
+            label="Hide games shorter than (seconds)"
+            value={rules.minGameLengthSeconds}
+            onChange={this.setVisibilityRule}
+          />
+          <Form.Checkbox
+            name="hideHandwarmers"
+            toggle={true}
+            label="Hide handwarmers (games quit out of with L+R+A+Start early on)"
+            checked={rules.hideHandwarmers}
+            onChange={this.setVisibilityRule}
+          />
+          <Form.Input
+            name="handwarmerMaxSeconds"
+            type="number"
+            min={0}
+            label="Handwarmers are quit out of within (seconds)"
+            value={rules.handwarmerMaxSeconds}
+            disabled={!rules.hideHandwarmers}
+            onChange={this.setVisibilityRule}
+          />
+          <Form.Checkbox
+            name="hideCpuGames"
+            toggle={true}
+            label="Hide games with CPU players"
+            checked={rules.hideCpuGames}
+            onChange={this.setVisibilityRule}
+          />
+          <Form.Checkbox
+            name="hideSinglePlayerGames"
+            toggle={true}
+            label="Hide games with fewer than two human players"
+            checked={rules.hideSinglePlayerGames}
+            onChange={this.setVisibilityRule}
+          />
+          <Form.Checkbox
+            name="hideNonTournamentStages"
+            toggle={true}
+            label="Hide games on non-tournament stages"
+            checked={rules.hideNonTournamentStages}
+            onChange={this.setVisibilityRule}
+          />
+        </Form>
+        <LabelDescription
+          label="My Connect Codes"
+          description={
+            'Connect codes or names you play under, separated by commas. Used to tell which ' +
+            'player is you when organizing replays. The lowest port is assumed otherwise'
+          }
+        />
+        <Form inverted={true} className={styles['visibility-rules']}>
+          <Form.Input
+            placeholder="e.g. ABCD#123, Player"
+            value={store.settings.myConnectCodes || ""}
+            onChange={this.setMyConnectCodes}
+          />
+        </Form>
+        <LabelDescription
+          label="Deleted Replays"
+          description={
+            'Deleted replays go to the system trash once they can no longer be undone. They can ' +
+            'be kept in a folder managed by the app instead, for systems without a trash'
+          }
+        />
+        <Form inverted={true} className={styles['visibility-rules']}>
+          <Form.Checkbox
+            name="keepDeletedReplays"
+            toggle={true}
+            label="Keep deleted replays in the app instead of the system trash"
+            checked={recycleSettings.keepDeletedReplays}
+            onChange={this.setRecycleSetting}
+          />
+          <Form.Input
+            name="retentionDays"
+            type="number"
+            min={1}
+            label="Permanently remove kept replays after (days)"
+            value={recycleSettings.retentionDays}
+            onChange={this.setRecycleSetting}
+          />
+        </Form>
+        <LabelDescription
+          label="Clip Playback"
+          description={
+            'Conversions and kills can be played on their own from the stats of a game. This ' +
+            'much of the game is shown before and after each of them'
+          }
+        />
+        <Form inverted={true} className={styles['visibility-rules']}>
+          <Form.Input
+            name="leadInSeconds"
+            type="number"
+            min={0}
+            step={0.5}
+            label="Lead-in (seconds)"
+            value={clipSettings.leadInSeconds}
+            onChange={this.setClipSetting}
+          />
+          <Form.Input
+            name="leadOutSeconds"
+            type="number"
+            min={0}
+            step={0.5}
+            label="Lead-out (seconds)"
+            value={clipSettings.leadOutSeconds}
+            onChange={this.setClipSetting}
+          />
+        </Form>
+      </div>
+    );
+  }
+
   renderAdvancedSettings() {
     const inputs = [];
 
@@ -478,6 +720,7 @@ export default class Settings extends Component {
         {this.renderGlobalError()}
         {this.renderLinuxNotif()}
         {this.renderBasicSettings()}
+        {this.renderReplayVisibilitySettings()}
         {this.renderAdvancedSettings()}
         {this.renderActions()}
         {this.renderUserAuth()}
@@ -0,0 +1,102 @@
+import _ from 'lodash';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, Form, Button } from 'semantic-ui-react';
+
+import styles from './AnnotationEditor.scss';
+
+/**
+ * Modal for editing the tags, favorite flag and notes of a replay. Meant to be mounted only
+ * while editing so that it starts out with the current annotation every time it's opened.
+ */
+export default class AnnotationEditor extends Component {
+  static propTypes = {
+    title: PropTypes.string.isRequired,
+    annotation: PropTypes.object.isRequired,
+    allTags: PropTypes.arrayOf(PropTypes.string).isRequired,
+    onSave: PropTypes.func.isRequired,
+    onClose: PropTypes.func.isRequired,
+  };
+
+  constructor(props) {
+    super(props);
+
+    const annotation = props.annotation || {};
+    this.state = {
+      tags: annotation.tags || [],
+      favorite: !!annotation.favorite,
+      notes: annotation.notes || "",
+    };
+  }
+
+  onTagsChange = (e, { value }) => {
+    this.setState({
+      tags: value,
+    });
+  };
+
+  onFavoriteChange = (e, { checked }) => {
+    this.setState({
+      favorite: checked,
+    });
+  };
+
+  onNotesChange = (e, { value }) => {
+    this.setState({
+      notes: value,
+    });
+  };
+
+  save = () => {
+    this.props.onSave({
+      tags: _.uniq(this.state.tags.map(_.trim).filter(tag => tag.length > 0)),
+      favorite: this.state.favorite,
+      notes: this.state.notes,
+    });
+  };
+
+  render() {
+    // Tags that were just typed in have to be part of the options to show up as selected
+    const tagOptions = _.uniq(this.props.allTags.concat(this.state.tags)).map(tag => ({
+      key: tag,
+      value: tag,
+      text: tag,
+    }));
+
+    return (
+      <Modal open={true} size="tiny" onClose={this.props.onClose} closeIcon={true}>
+        <Modal.Header className={styles['header']}>{this.props.title}</Modal.Header>
+        <Modal.Content>
+          <Form onSubmit={this.save}>
+            <Form.Checkbox
+              label="Favorite"
+              checked={this.state.favorite}
+              onChange={this.onFavoriteChange}
+            />
+            <Form.Dropdown
+              label="Tags"
+              placeholder="Add tags"
+              multiple={true}
+              search={true}
+              selection={true}
+              allowAdditions={true}
+              options={tagOptions}
+              value={this.state.tags}
+              onChange={this.onTagsChange}
+            />
+            <Form.TextArea
+              label="Notes"
+              rows={5}
+              value={this.state.notes}
+              onChange={this.onNotesChange}
+            />
+          </Form>
+        </Modal.Content>
+        <Modal.Actions>
+          <Button onClick={this.props.onClose}>Cancel</Button>
+          <Button color="blue" onClick={this.save}>Save</Button>
+        </Modal.Actions>
+      </Modal>
+    );
+  }
+}
@@ -8,18 +8,25 @@ import styles from './FolderBrowser.scss';
 export default class FolderBrowser extends Component {
   static propTypes = {
     folders: PropTypes.object.isRequired,
-    rootFolderName: PropTypes.string.isRequired,
+    rootFolders: PropTypes.arrayOf(PropTypes.object).isRequired,
     selectedFolderFullPath: PropTypes.string.isRequired,
+    isRecursive: PropTypes.bool.isRequired,
     changeFolderSelection: PropTypes.func.isRequired,
+    showAllReplays: PropTypes.func.isRequired,
+    toggleFolderExpanded: PropTypes.func.isRequired,
   };
 
   selectFolder = folderFullPath => () => {
     this.props.changeFolderSelection(folderFullPath);
   };
 
+  toggleExpanded = folderDetails => () => {
+    this.props.toggleFolderExpanded(folderDetails);
+  };
+
   generateFolderItem(folderDetails) {
-    // Generate sub-directory folder items
-    const subDirectories = folderDetails.subDirectories || {};
+    // Generate sub-directory folder items, these are only loaded once a folder is expanded
+    const subDirectories = folderDetails.expanded ? folderDetails.subDirectories || {} : {};
     const self = this; // I don't know how to pass context to map...
     const subFolderItems = _.map(subDirectories, iFolderDetails =>
       self.generateFolderItem(iFolderDetails)
@@ -40,7 +47,7 @@ export default class FolderBrowser extends Component {
     const currentSelection = this.props.selectedFolderFullPath;
     const selectorClasses = classNames(
       {
-        [styles['selected']]: currentSelection === folderDetails.fullPath,
+        [styles['selected']]: !this.props.isRecursive && currentSelection === folderDetails.fullPath,
       },
       styles['folder-selection']
     );
@@ -56,10 +63,16 @@ export default class FolderBrowser extends Component {
         className={`${styles['folder-item']} no-padding`}
         key={folderDetails.fullPath}
       >
+        <List.Icon
+          className={styles['expand-icon']}
+          name={folderDetails.expanded ? "caret down" : "caret right"}
+          onClick={this.toggleExpanded(folderDetails)}
+        />
         <List.Icon className={styles['folder-icon']} name="folder" />
         <List.Content>
           <List.Header className={`${styles['folder-name']} unselectable`}>
             {folderDetails.folderName}
+            {this.renderReplayCount(folderDetails.replayCount)}
           </List.Header>
           {subDirectoryList}
         </List.Content>
@@ -67,6 +80,43 @@ export default class FolderBrowser extends Component {
     ];
   }
 
+  renderReplayCount(replayCount) {
+    if (!replayCount) {
+      return null;
+    }
+
+    return <span className={styles['replay-count']}>{replayCount}</span>;
+  }
+
+  renderAllReplaysItem() {
+    const selectorClasses = classNames(
+      {
+        [styles['selected']]: this.props.isRecursive,
+      },
+      styles['folder-selection']
+    );
+
+    return [
+      <div
+        key="all-selector"
+        role="presentation"
+        className={selectorClasses}
+        onClick={this.props.showAllReplays}
+      />,
+      <List.Item
+        className={`${styles['folder-item']} no-padding`}
+        key="all-replays"
+      >
+        <List.Icon className={styles['folder-icon']} name="sitemap" />
+        <List.Content>
+          <List.Header className={`${styles['folder-name']} unselectable`}>
+            All Replays
+          </List.Header>
+        </List.Content>
+      </List.Item>,
+    ];
+  }
+
   renderEmpty() {
     return (
       <Segment basic={true}>
@@ -86,19 +136,24 @@ export default class FolderBrowser extends Component {
 
   render() {
     const folders = this.props.folders || {};
-    const rootFolderName = this.props.rootFolderName || '';
 
-    const rootFolderDetails = folders[rootFolderName];
+    // Each root is a top level folder, in the order they were registered in
+    const rootFolderItems = _.chain(this.props.rootFolders).map(root => (
+      folders[root.fullPath]
+    )).compact().map(folderDetails => (
+      this.generateFolderItem(folderDetails)
+    )).value();
 
     // Render empty state if we can't find the root folder
-    if (!rootFolderDetails) {
+    if (_.isEmpty(rootFolderItems)) {
       return this.renderEmpty();
     }
 
     return (
       <Segment basic={true} className={styles['main']}>
         <List inverted={true}>
-          {this.generateFolderItem(rootFolderDetails)}
+          {this.renderAllReplaysItem()}
+          {rootFolderItems}
         </List>
       </Segment>
     );
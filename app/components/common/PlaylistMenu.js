@@ -0,0 +1,124 @@
+import _ from 'lodash';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Dropdown, Modal, Form, Button } from 'semantic-ui-react';
+
+/**
+ * Dropdown for adding replays to one of the playlists or to a new one, which gets named in a
+ * modal first. Files are anything with a full path and a game, like the rows of the replay browser.
+ */
+export default class PlaylistMenu extends Component {
+  static propTypes = {
+    files: PropTypes.arrayOf(PropTypes.object).isRequired,
+    playlists: PropTypes.arrayOf(PropTypes.object).isRequired,
+    trigger: PropTypes.node.isRequired,
+    upward: PropTypes.bool,
+
+    // playlist actions
+    loadPlaylists: PropTypes.func.isRequired,
+    createPlaylist: PropTypes.func.isRequired,
+    addToPlaylist: PropTypes.func.isRequired,
+  };
+
+  static defaultProps = {
+    upward: false,
+  };
+
+  state = {
+    newPlaylistName: null,
+  };
+
+  componentDidMount() {
+    this.props.loadPlaylists();
+  }
+
+  startNewPlaylist = () => {
+    this.setState({
+      newPlaylistName: `Playlist ${this.props.playlists.length + 1}`,
+    });
+  };
+
+  onNameChange = (e, { value }) => {
+    this.setState({
+      newPlaylistName: value,
+    });
+  };
+
+  closeNewPlaylist = () => {
+    this.setState({
+      newPlaylistName: null,
+    });
+  };
+
+  createPlaylist = () => {
+    const name = _.trim(this.state.newPlaylistName);
+    if (!name) {
+      return;
+    }
+
+    this.props.createPlaylist(name, this.props.files);
+    this.closeNewPlaylist();
+  };
+
+  renderNewPlaylistModal() {
+    if (this.state.newPlaylistName === null) {
+      return null;
+    }
+
+    return (
+      <Modal open={true} size="tiny" onClose={this.closeNewPlaylist} closeIcon={true}>
+        <Modal.Header>New Playlist</Modal.Header>
+        <Modal.Content>
+          <Form onSubmit={this.createPlaylist}>
+            <Form.Input
+              label="Name"
+              autoFocus={true}
+              value={this.state.newPlaylistName}
+              onChange={this.onNameChange}
+            />
+          </Form>
+        </Modal.Content>
+        <Modal.Actions>
+          <Button onClick={this.closeNewPlaylist}>Cancel</Button>
+          <Button
+            color="blue"
+            disabled={!_.trim(this.state.newPlaylistName)}
+            onClick={this.createPlaylist}
+          >
+            Create
+          </Button>
+        </Modal.Actions>
+      </Modal>
+    );
+  }
+
+  render() {
+    const playlistItems = this.props.playlists.map(playlist => (
+      <Dropdown.Item
+        key={playlist.id}
+        text={playlist.name}
+        description={`${playlist.entries.length}`}
+        onClick={() => this.props.addToPlaylist(playlist.id, this.props.files)}
+      />
+    ));
+
+    return (
+      <React.Fragment>
+        <Dropdown
+          trigger={this.props.trigger}
+          icon={null}
+          upward={this.props.upward}
+          disabled={this.props.files.length === 0}
+        >
+          <Dropdown.Menu>
+            <Dropdown.Header content="Add to playlist" />
+            {playlistItems}
+            {playlistItems.length > 0 ? <Dropdown.Divider /> : null}
+            <Dropdown.Item icon="plus" text="New playlist..." onClick={this.startNewPlaylist} />
+          </Dropdown.Menu>
+        </Dropdown>
+        {this.renderNewPlaylistModal()}
+      </React.Fragment>
+    );
+  }
+}
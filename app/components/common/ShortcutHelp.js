@@ -0,0 +1,41 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, Table, Button } from 'semantic-ui-react';
+
+import styles from './ShortcutHelp.scss';
+
+/**
+ * Overlay listing the keyboard shortcuts of a page.
+ */
+export default class ShortcutHelp extends Component {
+  static propTypes = {
+    title: PropTypes.string.isRequired,
+    shortcuts: PropTypes.arrayOf(PropTypes.object).isRequired,
+    onClose: PropTypes.func.isRequired,
+  };
+
+  render() {
+    const rows = this.props.shortcuts.map(shortcut => (
+      <Table.Row key={shortcut.description}>
+        <Table.Cell collapsing={true}>
+          {shortcut.keys.map(key => <kbd key={key} className={styles['key']}>{key}</kbd>)}
+        </Table.Cell>
+        <Table.Cell>{shortcut.description}</Table.Cell>
+      </Table.Row>
+    ));
+
+    return (
+      <Modal open={true} size="tiny" onClose={this.props.onClose} closeIcon={true}>
+        <Modal.Header>{this.props.title}</Modal.Header>
+        <Modal.Content>
+          <Table basic="very" compact={true}>
+            <Table.Body>{rows}</Table.Body>
+          </Table>
+        </Modal.Content>
+        <Modal.Actions>
+          <Button color="blue" onClick={this.props.onClose}>Done</Button>
+        </Modal.Actions>
+      </Modal>
+    );
+  }
+}
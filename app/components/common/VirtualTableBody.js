@@ -0,0 +1,201 @@
+import _ from 'lodash';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+
+function getScrollParent(element) {
+  let parent = element.parentElement;
+  while (parent) {
+    const overflowY = window.getComputedStyle(parent).overflowY;
+    if (overflowY === 'auto' || overflowY === 'scroll') {
+      return parent;
+    }
+
+    parent = parent.parentElement;
+  }
+
+  return document.documentElement;
+}
+
+/**
+ * Table body that only mounts the rows that are scrolled into view. The rows above and below
+ * the visible window are replaced by spacer rows of the same total height so that the scroll
+ * position and scrollbar behave as if every row was there. Rows can be split into types with
+ * getRowType, every row of a type is assumed to be as tall as the first one that was mounted.
+ */
+export default class VirtualTableBody extends Component {
+  static propTypes = {
+    rowCount: PropTypes.number.isRequired,
+    renderRow: PropTypes.func.isRequired,
+    getRowType: PropTypes.func,
+    estimatedRowHeight: PropTypes.number,
+    overscan: PropTypes.number,
+  };
+
+  static defaultProps = {
+    getRowType: () => 'row',
+    estimatedRowHeight: 70,
+    overscan: 10,
+  };
+
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      startIndex: 0,
+      endIndex: 0,
+      rowHeights: {},
+    };
+  }
+
+  componentDidMount() {
+    this.scrollParent = getScrollParent(this.bodyRef);
+    this.scrollParent.addEventListener('scroll', this.updateWindow);
+    window.addEventListener('resize', this.updateWindow);
+    this.updateWindow();
+  }
+
+  componentDidUpdate(prevProps) {
+    this.measureRowHeights();
+
+    if (prevProps.rowCount !== this.props.rowCount) {
+      this.updateWindow();
+    }
+  }
+
+  componentWillUnmount() {
+    this.scrollParent.removeEventListener('scroll', this.updateWindow);
+    window.removeEventListener('resize', this.updateWindow);
+  }
+
+  bodyRef = null;
+
+  scrollParent = null;
+
+  setBodyRef = element => {
+    this.bodyRef = element;
+  };
+
+  measureRowHeights() {
+    const { startIndex, endIndex, rowHeights } = this.state;
+    const { getRowType } = this.props;
+
+    // Only the first mounted row of each type is measured
+    const measuredHeights = {};
+
+    // The first and last children are the spacers
+    const rowElements = _.slice(this.bodyRef.children, 1, this.bodyRef.children.length - 1);
+    rowElements.slice(0, endIndex - startIndex).forEach((element, offset) => {
+      const rowType = getRowType(startIndex + offset);
+      if (!_.has(measuredHeights, rowType)) {
+        measuredHeights[rowType] = element.offsetHeight;
+      }
+    });
+
+    const changedHeights = _.pickBy(measuredHeights, (rowHeight, rowType) => (
+      rowHeight > 0 && rowHeight !== rowHeights[rowType]
+    ));
+    if (!_.isEmpty(changedHeights)) {
+      this.setState({
+        rowHeights: {
+          ...rowHeights,
+          ...changedHeights,
+        },
+      }, this.updateWindow);
+    }
+  }
+
+  // Where each row starts, with one extra entry at the end for the total height. Only redone
+  // when the rows or the measured heights change
+  getRowOffsets() {
+    const { rowCount, getRowType, estimatedRowHeight } = this.props;
+    const { rowHeights } = this.state;
+    const cache = this.offsetsCache;
+    if (
+      cache && cache.rowCount === rowCount && cache.getRowType === getRowType &&
+      cache.rowHeights === rowHeights
+    ) {
+      return cache.offsets;
+    }
+
+    const offsets = new Array(rowCount + 1);
+    offsets[0] = 0;
+    for (let index = 0; index < rowCount; index += 1) {
+      const rowHeight = rowHeights[getRowType(index)] || estimatedRowHeight;
+      offsets[index + 1] = offsets[index] + rowHeight;
+    }
+
+    this.offsetsCache = {
+      rowCount: rowCount,
+      getRowType: getRowType,
+      rowHeights: rowHeights,
+      offsets: offsets,
+    };
+    return offsets;
+  }
+
+  offsetsCache = null;
+
+  // Scrolls just far enough for a row to be fully in view, whether it's mounted or not
+  scrollToRow(index) {
+    if (!this.bodyRef || !this.scrollParent) {
+      return;
+    }
+
+    if (index < 0 || index >= this.props.rowCount) {
+      return;
+    }
+
+    const offsets = this.getRowOffsets();
+    const rowTop = (this.bodyRef.getBoundingClientRect().top + offsets[index]) -
+      this.scrollParent.getBoundingClientRect().top;
+    const rowBottom = rowTop + (offsets[index + 1] - offsets[index]);
+    if (rowTop < 0) {
+      this.scrollParent.scrollTop += rowTop;
+    } else if (rowBottom > this.scrollParent.clientHeight) {
+      this.scrollParent.scrollTop += rowBottom - this.scrollParent.clientHeight;
+    }
+  }
+
+  updateWindow = () => {
+    if (!this.bodyRef || !this.scrollParent) {
+      return;
+    }
+
+    const { rowCount, overscan } = this.props;
+    const offsets = this.getRowOffsets();
+
+    // Work out which part of the body is visible, the body might not start at the top of the
+    // scroll container if there is other content above the table
+    const viewTop = this.scrollParent.getBoundingClientRect().top -
+      this.bodyRef.getBoundingClientRect().top;
+    const viewBottom = viewTop + this.scrollParent.clientHeight;
+
+    // The first visible row is the last one that starts at or above the top of the view
+    const firstVisibleIndex = _.sortedLastIndex(offsets, viewTop) - 1;
+    const startIndex = _.clamp(firstVisibleIndex - overscan, 0, rowCount);
+    const endIndex = _.clamp(_.sortedIndex(offsets, viewBottom) + overscan, startIndex, rowCount);
+    if (startIndex !== this.state.startIndex || endIndex !== this.state.endIndex) {
+      this.setState({
+        startIndex: startIndex,
+        endIndex: endIndex,
+      });
+    }
+  };
+
+  render() {
+    const { rowCount, renderRow } = this.props;
+    const offsets = this.getRowOffsets();
+    const startIndex = Math.min(this.state.startIndex, rowCount);
+    const endIndex = Math.min(this.state.endIndex, rowCount);
+
+    const rows = _.range(startIndex, endIndex).map(index => renderRow(index));
+
+    return (
+      <tbody ref={this.setBodyRef}>
+        <tr style={{ height: offsets[startIndex] }} />
+        {rows}
+        <tr style={{ height: offsets[rowCount] - offsets[endIndex] }} />
+      </tbody>
+    );
+  }
+}
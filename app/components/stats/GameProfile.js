@@ -26,18 +26,32 @@ import styles from './GameProfile.scss';
 import getLocalImage from '../../utils/image';
 import * as timeUtils from '../../utils/time';
 import * as playerUtils from '../../utils/players';
+import { gameProfileShortcuts, isShortcutEvent } from '../../utils/keyboard';
 import PageWrapper from '../PageWrapper';
 import Scroller from '../common/Scroller';
+import AnnotationEditor from '../common/AnnotationEditor';
+import ShortcutHelp from '../common/ShortcutHelp';
+import PlaylistMenu from '../common/PlaylistMenu';
 
 export default class GameProfile extends Component {
   static propTypes = {
     history: PropTypes.object.isRequired,
 
     file: PropTypes.object, // not required for direct URI handling
+    annotation: PropTypes.object,
+    canAnnotate: PropTypes.bool.isRequired,
+    allTags: PropTypes.arrayOf(PropTypes.string).isRequired,
 
     // fileLoaderAction
     playFile: PropTypes.func.isRequired,
+    queueFiles: PropTypes.func.isRequired,
     setStatsGamePage: PropTypes.func.isRequired,
+    updateAnnotation: PropTypes.func.isRequired,
+
+    // playlist actions
+    loadPlaylists: PropTypes.func.isRequired,
+    createPlaylist: PropTypes.func.isRequired,
+    addToPlaylist: PropTypes.func.isRequired,
 
     // error actions
     dismissError: PropTypes.func.isRequired,
@@ -45,12 +59,67 @@ export default class GameProfile extends Component {
     // store data
     store: PropTypes.object.isRequired,
     errors: PropTypes.object.isRequired,
+    playlists: PropTypes.arrayOf(PropTypes.object).isRequired,
     topNotifOffset: PropTypes.number.isRequired,
     statsGameIndex: PropTypes.number.isRequired,
   };
 
   static defaultProps = {
     file: null,
+    annotation: null,
+  };
+
+  state = {
+    isEditingAnnotation: false,
+    isShowingShortcuts: false,
+  };
+
+  componentDidMount() {
+    window.addEventListener('keydown', this.onKeyDown);
+  }
+
+  componentWillUnmount() {
+    window.removeEventListener('keydown', this.onKeyDown);
+  }
+
+  onKeyDown = e => {
+    if (!isShortcutEvent(e) || this.state.isEditingAnnotation || this.state.isShowingShortcuts) {
+      return;
+    }
+
+    switch (e.key) {
+    case 'ArrowLeft':
+      if (!this.canChangeGame()) {
+        return;
+      }
+
+      this.prevGame();
+      break;
+    case 'ArrowRight':
+      if (!this.canChangeGame()) {
+        return;
+      }
+
+      this.nextGame();
+      break;
+    case 'Enter':
+      if (!this.getFilePath()) {
+        return;
+      }
+
+      this.playFile();
+      break;
+    case 'Escape':
+      this.props.history.goBack();
+      break;
+    case '?':
+      this.showShortcuts();
+      break;
+    default:
+      return;
+    }
+
+    e.preventDefault();
   };
 
   refStats = null;
@@ -59,8 +128,13 @@ export default class GameProfile extends Component {
     this.refStats = element;
   };
 
+  getFilePath() {
+    const game = _.get(this.props.store, ['game']);
+    return game ? game.getFilePath() : null;
+  }
+
   playFile = () => {
-    const filePath = _.get(this.props.store, ['game', 'input', 'filePath']);
+    const filePath = this.getFilePath();
 
     // Play the file
     this.props.playFile({
@@ -68,6 +142,51 @@ export default class GameProfile extends Component {
     });
   };
 
+  playClip = clip => {
+    this.props.playFile({
+      fullPath: this.getFilePath(),
+      clip: clip,
+    });
+  };
+
+  playClips = clips => {
+    const fullPath = this.getFilePath();
+    this.props.queueFiles(clips.map(clip => ({
+      fullPath: fullPath,
+      game: this.props.store.game,
+      clip: clip,
+    })));
+  };
+
+  toggleFavorite = () => {
+    const annotation = this.props.annotation || {};
+    this.props.updateAnnotation(this.getFilePath(), {
+      favorite: !annotation.favorite,
+    });
+  };
+
+  editAnnotation = () => {
+    this.setState({
+      isEditingAnnotation: true,
+    });
+  };
+
+  closeAnnotationEditor = () => {
+    this.setState({
+      isEditingAnnotation: false,
+    });
+  };
+
+  saveAnnotation = changes => {
+    this.props.updateAnnotation(this.getFilePath(), changes);
+    this.closeAnnotationEditor();
+  };
+
+  canChangeGame() {
+    // Games opened directly from a file aren't part of the replay list
+    return !!this.props.file;
+  }
+
   nextGame = () => {
     this.props.setStatsGamePage(this.props.statsGameIndex + 1);
   }
@@ -76,9 +195,21 @@ export default class GameProfile extends Component {
     this.props.setStatsGamePage(this.props.statsGameIndex - 1);
   }
 
+  showShortcuts = () => {
+    this.setState({
+      isShowingShortcuts: true,
+    });
+  };
+
+  hideShortcuts = () => {
+    this.setState({
+      isShowingShortcuts: false,
+    });
+  };
+
   getTimeFromElsewhere = () => {
     const game = _.get(this.props.store, ['game']);
-    const fullPath = _.get(this.props.store, ['game', 'input', 'filePath']);
+    const fullPath = this.getFilePath();
     const fileName = fullPath.split('\\').pop().split('/').pop();
     return timeUtils.monthDayHourFormat(timeUtils.fileToDateAndTime(game, fileName, fullPath));
   }
@@ -96,7 +227,7 @@ export default class GameProfile extends Component {
 
     const gameSettings = _.get(this.props.store, ['game', 'settings']) || {};
     const players = gameSettings.players || [];
-    if (players.length !== 2) {
+    if (players.length < 2) {
       return this.renderEmpty();
     }
 
@@ -130,7 +261,7 @@ export default class GameProfile extends Component {
         icon={true}
       >
         <Icon name="hand peace" />
-        Only Singles is Supported
+        Stats Need at Least Two Players
       </Header>
     );
   }
@@ -170,23 +301,38 @@ export default class GameProfile extends Component {
   }
 
   renderMatchupDisplay() {
+    const sides = playerUtils.getPlayerSides(this.props.store.game);
+
+    // Teams are underlined in their color with a "vs" between each of them
+    const elements = [];
+    sides.forEach((side, index) => {
+      if (index > 0) {
+        elements.push(
+          <span key={`vs-${index}`} className={styles['vs-element']}>vs</span>
+        );
+      }
+
+      const sideClasses = classNames({
+        [styles['side']]: true,
+        [styles[`team-${side.color}`]]: side.color,
+      });
+
+      elements.push(
+        <div key={side.key} className={sideClasses}>
+          {side.players.map(player => this.renderPlayerDisplay(player, index === 0))}
+        </div>
+      );
+    });
+
     return (
       <div className={styles['matchup-display']}>
-        {this.renderPlayerDisplay(0)}
-        <span className={styles['vs-element']}>vs</span>
-        {this.renderPlayerDisplay(1)}
+        {elements}
         {this.renderPlayButton()}
       </div>
     );
   }
 
-  renderPlayerDisplay(index) {
-    const isFirstPlayer = index === 0;
-
-    const gameSettings = _.get(this.props.store, ['game', 'settings']) || {};
-    const players = gameSettings.players || [];
-    const player = (isFirstPlayer ? _.first(players) : _.last(players)) || {};
-
+  renderPlayerDisplay(player, isFirstPlayer) {
     const segmentClasses = classNames({
       [styles['player-display']]: true,
       [styles['second']]: !isFirstPlayer,
@@ -208,7 +354,7 @@ export default class GameProfile extends Component {
     const playerCode = playerCodesByIndex[player.playerIndex];
 
     return (
-      <Segment className={segmentClasses} textAlign="center" basic={true}>
+      <Segment key={player.playerIndex} className={segmentClasses} textAlign="center" basic={true}>
         {playerCode ? (
           <Label size="large" className={labelClasses}>
             {playerCode}
@@ -295,6 +441,7 @@ export default class GameProfile extends Component {
     return (
       <Segment className={gameDetailsClasses} basic={true}>
         {metadataElements}
+        {this.renderAnnotation()}
         <div className={styles['nav-button']}>
           <Button
             content="Prev"
@@ -303,6 +450,8 @@ export default class GameProfile extends Component {
             basic={true}
             inverted={true}
             size="tiny"
+            title="Previous game (←)"
+            disabled={!this.canChangeGame()}
             onClick={this.prevGame}
           />
           <Button
@@ -312,13 +461,113 @@ export default class GameProfile extends Component {
             basic={true}
             inverted={true}
             size="tiny"
+            title="Next game (→)"
+            disabled={!this.canChangeGame()}
             onClick={this.nextGame}
           />
+          <PlaylistMenu
+            files={[{ fullPath: this.getFilePath(), game: this.props.store.game }]}
+            playlists={this.props.playlists}
+            trigger={
+              <Button
+                icon="list ol"
+                circular={true}
+                color="grey"
+                basic={true}
+                inverted={true}
+                size="tiny"
+                title="Add to playlist"
+              />
+            }
+            loadPlaylists={this.props.loadPlaylists}
+            createPlaylist={this.props.createPlaylist}
+            addToPlaylist={this.props.addToPlaylist}
+          />
+          <Button
+            icon="keyboard outline"
+            circular={true}
+            color="grey"
+            basic={true}
+            inverted={true}
+            size="tiny"
+            title="Keyboard shortcuts (?)"
+            onClick={this.showShortcuts}
+          />
         </div>
       </Segment>
     );
   }
 
+  renderAnnotation() {
+    const annotation = this.props.annotation || {};
+    const tagLabels = _.map(annotation.tags, tag => (
+      <Label key={tag} size="mini">{tag}</Label>
+    ));
+
+    return (
+      <div className={styles['annotation']}>
+        <div>
+          <Button
+            circular={true}
+            color="grey"
+            basic={true}
+            inverted={true}
+            size="tiny"
+            icon={annotation.favorite ? "star" : "star outline"}
+            title="Favorite"
+            disabled={!this.props.canAnnotate}
+            onClick={this.toggleFavorite}
+          />
+          <Button
+            circular={true}
+            color="grey"
+            basic={true}
+            inverted={true}
+            size="tiny"
+            icon="tags"
+            content="Tags & Notes"
+            disabled={!this.props.canAnnotate}
+            onClick={this.editAnnotation}
+          />
+          {tagLabels}
+        </div>
+        {annotation.notes ? <div className={styles['notes']}>{annotation.notes}</div> : null}
+        {this.renderAnnotationEditor()}
+      </div>
+    );
+  }
+
+  renderAnnotationEditor() {
+    if (!this.state.isEditingAnnotation) {
+      return null;
+    }
+
+    const filePath = this.getFilePath() || "";
+    return (
+      <AnnotationEditor
+        title={filePath.split('\\').pop().split('/').pop()}
+        annotation={this.props.annotation || {}}
+        allTags={this.props.allTags}
+        onSave={this.saveAnnotation}
+        onClose={this.closeAnnotationEditor}
+      />
+    );
+  }
+
+  renderShortcutHelp() {
+    if (!this.state.isShowingShortcuts) {
+      return null;
+    }
+
+    return (
+      <ShortcutHelp
+        title="Game Shortcuts"
+        shortcuts={gameProfileShortcuts}
+        onClose={this.hideShortcuts}
+      />
+    );
+  }
+
   renderPlayButton() {
     return (
       <Button
@@ -378,10 +627,9 @@ export default class GameProfile extends Component {
     );
   }
 
-  renderPlayerColHeader(isFirstPlayer = true) {
-    const gameSettings = _.get(this.props.store, ['game', 'settings']) || {};
-    const players = gameSettings.players || [];
-    const player = (isFirstPlayer ? _.first(players) : _.last(players)) || {};
+  renderPlayerColHeader(player) {
+    const teamColorsByIndex = playerUtils.getTeamColorsByIndex(this.props.store.game);
+    const teamColor = teamColorsByIndex[player.playerIndex];
 
     const rootDivClasses = classNames({
       [styles['player-col-header']]: true,
@@ -390,6 +638,7 @@ export default class GameProfile extends Component {
 
     return (
       <div className={rootDivClasses}>
+        {teamColor ? <Label circular={true} empty={true} color={teamColor} /> : null}
         <Image
           src={getLocalImage(
             `stock-icon-${player.characterId}-${player.characterColor}.png`
@@ -402,7 +651,45 @@ export default class GameProfile extends Component {
     );
   }
 
+  renderTeamColHeader(side) {
+    const rootDivClasses = classNames({
+      [styles['player-col-header']]: true,
+      'horizontal-spaced-group-right-xs': true,
+    });
+
+    return (
+      <div className={rootDivClasses}>
+        <Label circular={true} empty={true} color={side.color} />
+        <div>{side.name}</div>
+      </div>
+    );
+  }
+
+  getPlayers() {
+    // Players of a team are kept together
+    const sides = playerUtils.getPlayerSides(this.props.store.game);
+    return _.flatMap(sides, 'players');
+  }
+
   renderOverall() {
+    const players = this.getPlayers();
+    const columns = players.map(player => ({
+      key: `player-${player.playerIndex}`,
+      display: this.renderPlayerColHeader(player),
+      playerIndices: [player.playerIndex],
+    }));
+
+    // Team totals go after the players
+    const sides = playerUtils.getPlayerSides(this.props.store.game);
+    sides.filter(side => side.color).forEach(side => {
+      columns.push({
+        key: side.key,
+        display: this.renderTeamColHeader(side),
+        playerIndices: _.map(side.players, 'playerIndex'),
+        isTeam: true,
+      });
+    });
+
     return (
       <Segment basic={true}>
         <Header className={styles['section-header']} inverted={true} as="h2">
@@ -410,66 +697,60 @@ export default class GameProfile extends Component {
         </Header>
         <OverallTable
           game={this.props.store.game}
-          player1Display={this.renderPlayerColHeader(true)}
-          player1Index={this.getPlayerIndex(true)}
-          player2Display={this.renderPlayerColHeader(false)}
-          player2Index={this.getPlayerIndex(false)}
+          columns={columns}
         />
       </Segment>
     );
   }
 
   renderStocks() {
+    const game = this.props.store.game;
+    const tables = this.getPlayers().map(player => (
+      <KillsTable
+        key={player.playerIndex}
+        game={game}
+        playerDisplay={this.renderPlayerColHeader(player)}
+        playerIndex={player.playerIndex}
+        opponentIndices={playerUtils.getOpponentIndices(game, player.playerIndex)}
+        onPlayClip={this.playClip}
+        onPlayClips={this.playClips}
+      />
+    ));
+
     return (
       <Segment basic={true}>
         <Header className={styles['section-header']} inverted={true} as="h2">
           Kills
         </Header>
-        <div className={styles['two-column-main']}>
-          <KillsTable
-            game={this.props.store.game}
-            playerDisplay={this.renderPlayerColHeader(true)}
-            playerIndex={this.getPlayerIndex(true)}
-          />
-          <KillsTable
-            game={this.props.store.game}
-            playerDisplay={this.renderPlayerColHeader(false)}
-            playerIndex={this.getPlayerIndex(false)}
-          />
-        </div>
+        <div className={styles['two-column-main']}>{tables}</div>
       </Segment>
     );
   }
 
   renderPunishes() {
+    const game = this.props.store.game;
+    const tables = this.getPlayers().map(player => (
+      <PunishesTable
+        key={player.playerIndex}
+        game={game}
+        playerDisplay={this.renderPlayerColHeader(player)}
+        playerIndex={player.playerIndex}
+        opponentIndices={playerUtils.getOpponentIndices(game, player.playerIndex)}
+        onPlayClip={this.playClip}
+        onPlayClips={this.playClips}
+      />
+    ));
+
     return (
       <Segment basic={true}>
         <Header className={styles['section-header']} inverted={true} as="h2">
           Openings & Conversions
         </Header>
-        <div className={styles['two-column-main']}>
-          <PunishesTable
-            game={this.props.store.game}
-            playerDisplay={this.renderPlayerColHeader(true)}
-            playerIndex={this.getPlayerIndex(true)}
-          />
-          <PunishesTable
-            game={this.props.store.game}
-            playerDisplay={this.renderPlayerColHeader(false)}
-            playerIndex={this.getPlayerIndex(false)}
-          />
-        </div>
+        <div className={styles['two-column-main']}>{tables}</div>
       </Segment>
     );
   }
 
-  getPlayerIndex(isFirstPlayer = true) {
-    const gameSettings = _.get(this.props.store, ['game', 'settings']) || {};
-    const players = gameSettings.players || [];
-    const player = (isFirstPlayer ? _.first(players) : _.last(players)) || {};
-    return player.playerIndex;
-  }
-
   render() {
     return (
       <PageWrapper history={this.props.history}>
@@ -477,6 +758,7 @@ export default class GameProfile extends Component {
           <PageHeader icon="game" text="Game" history={this.props.history} />
           {this.renderGameProfileHeader()}
           {this.renderContent()}
+          {this.renderShortcutHelp()}
         </div>
       </PageWrapper>
     );
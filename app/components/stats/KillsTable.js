@@ -1,7 +1,7 @@
 import _ from 'lodash';
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
-import { Table, Icon } from 'semantic-ui-react';
+import { Table, Icon, Button, Image } from 'semantic-ui-react';
 
 import {
   Frames,
@@ -11,15 +11,18 @@ import {
 
 import styles from './GameProfile.scss';
 
+import getLocalImage from '../../utils/image';
 import * as timeUtils from '../../utils/time';
-
-const columnCount = 5;
+import { getStockLossClip } from '../../utils/clips';
 
 export default class KillsTable extends Component {
   static propTypes = {
     game: PropTypes.object.isRequired,
     playerDisplay: PropTypes.object.isRequired,
     playerIndex: PropTypes.number.isRequired,
+    opponentIndices: PropTypes.arrayOf(PropTypes.number).isRequired,
+    onPlayClip: PropTypes.func.isRequired,
+    onPlayClips: PropTypes.func.isRequired,
   };
 
   generateStockRow = stock => {
@@ -43,9 +46,18 @@ export default class KillsTable extends Component {
       killedDirection = this.renderKilledDirection(stock);
     }
 
+    // Only stocks that were lost have a moment to play
+    const clip = getStockLossClip(stock, this.getPlayerPunishes());
+    const rowProps = clip ? {
+      className: styles['clip-row'],
+      title: "Play this kill",
+      onClick: () => this.props.onPlayClip(clip),
+    } : {};
+
     const secondaryTextStyle = styles['secondary-text'];
     return (
-      <Table.Row key={`${stock.playerIndex}-stock-${stock.startFrame}`}>
+      <Table.Row key={`${stock.playerIndex}-stock-${stock.startFrame}`} {...rowProps}>
+        {this.hasMultipleOpponents() ? this.renderOpponentCell(stock) : null}
         <Table.Cell className={secondaryTextStyle} collapsing={true}>
           {start}
         </Table.Cell>
@@ -59,16 +71,38 @@ export default class KillsTable extends Component {
     );
   };
 
-  renderKilledBy(stock) {
-    // Here we are going to grab the opponent's punishes and see if one of them was
-    // responsible for ending this stock, if so show the kill move, otherwise assume SD
+  hasMultipleOpponents() {
+    return this.props.opponentIndices.length > 1;
+  }
+
+  getColumnCount() {
+    return this.hasMultipleOpponents() ? 6 : 5;
+  }
+
+  getPlayerPunishes() {
     const stats = this.props.game.getStats();
     const punishes = _.get(stats, 'conversions') || [];
     const punishesByPlayer = _.groupBy(punishes, 'playerIndex');
-    const playerPunishes = punishesByPlayer[this.props.playerIndex] || [];
+    return punishesByPlayer[this.props.playerIndex] || [];
+  }
+
+  getOpponentStocks() {
+    const stats = this.props.game.getStats() || {};
+    const stocks = _.get(stats, 'stocks') || [];
+    const stocksByOpponent = _.groupBy(stocks, 'opponentIndex');
+    return stocksByOpponent[this.props.playerIndex] || [];
+  }
+
+  renderKilledBy(stock) {
+    // Here we are going to grab the opponent's punishes and see if one of them was
+    // responsible for ending this stock, if so show the kill move, otherwise assume SD
+    const playerPunishes = this.getPlayerPunishes();
 
     // Only get punishes that killed
-    const killingPunishes = _.filter(playerPunishes, 'didKill');
+    const killingPunishes = _.filter(playerPunishes, {
+      didKill: true,
+      opponentIndex: stock.playerIndex,
+    });
     const killingPunishesByEndFrame = _.keyBy(killingPunishes, 'endFrame');
     const punishThatEndedStock = killingPunishesByEndFrame[stock.endFrame];
 
@@ -84,6 +118,24 @@ export default class KillsTable extends Component {
     return moveUtils.getMoveName(lastMove.moveId);
   }
 
+  renderOpponentCell(stock) {
+    const gameSettings = this.props.game.getSettings() || {};
+    const opponent = _.find(gameSettings.players, { playerIndex: stock.playerIndex }) || {};
+
+    return (
+      <Table.Cell collapsing={true}>
+        <Image
+          src={getLocalImage(
+            `stock-icon-${opponent.characterId}-${opponent.characterColor}.png`
+          )}
+          height={20}
+          width={20}
+          title={`Player ${opponent.port}`}
+        />
+      </Table.Cell>
+    );
+  }
+
   renderKilledDirection(stock) {
     const killedDirection = animationUtils.getDeathDirection(
       stock.deathAnimation
@@ -95,11 +147,27 @@ export default class KillsTable extends Component {
   }
 
   renderHeaderPlayer() {
+    const clips = _.compact(this.getOpponentStocks().map(stock => (
+      getStockLossClip(stock, this.getPlayerPunishes())
+    )));
+
     // TODO: Make generating the player display better
     return (
       <Table.Row>
-        <Table.HeaderCell colSpan={columnCount}>
-          {this.props.playerDisplay}
+        <Table.HeaderCell colSpan={this.getColumnCount()}>
+          <div className={styles['table-header-player']}>
+            {this.props.playerDisplay}
+            <Button
+              size="mini"
+              basic={true}
+              inverted={true}
+              icon="play"
+              content="Play all"
+              title="Play every kill back to back"
+              disabled={clips.length === 0}
+              onClick={() => this.props.onPlayClips(clips)}
+            />
+          </div>
         </Table.HeaderCell>
       </Table.Row>
     );
@@ -108,6 +176,7 @@ export default class KillsTable extends Component {
   renderHeaderColumns() {
     return (
       <Table.Row>
+        {this.hasMultipleOpponents() ? <Table.HeaderCell>Opponent</Table.HeaderCell> : null}
         <Table.HeaderCell>Start</Table.HeaderCell>
         <Table.HeaderCell>End</Table.HeaderCell>
         <Table.HeaderCell>Kill Move</Table.HeaderCell>
@@ -118,12 +187,7 @@ export default class KillsTable extends Component {
   }
 
   renderStocksRows() {
-    const stats = this.props.game.getStats() || {};
-    const stocks = _.get(stats, 'stocks') || [];
-    const stocksByOpponent = _.groupBy(stocks, 'opponentIndex');
-    const opponentStocks = stocksByOpponent[this.props.playerIndex] || [];
-
-    return opponentStocks.map(this.generateStockRow);
+    return this.getOpponentStocks().map(this.generateStockRow);
   }
 
   render() {
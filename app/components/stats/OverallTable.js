@@ -8,25 +8,83 @@ import styles from './GameProfile.scss';
 
 import * as numberUtils from '../../utils/number';
 
-const columnCount = 3;
+// Stats of a team are the totals of its players, with the ratios worked out again from those
+function sumItems(items) {
+  const first = _.omit(_.first(items), ['playerIndex', 'opponentIndex', 'opponentIndices']);
+  return _.mapValues(first, (value, key) => {
+    const values = _.map(items, key);
+    if (_.isNumber(value)) {
+      return _.sum(values);
+    }
+
+    if (_.has(value, 'ratio')) {
+      const count = _.sumBy(values, 'count');
+      const total = _.sumBy(values, 'total');
+      return {
+        count: count,
+        total: total,
+        ratio: total ? count / total : null,
+      };
+    }
+
+    return _.isPlainObject(value) ? sumItems(values) : null;
+  });
+}
+
+// Only highlighted when better than every column it's up against
+function isHighlighted(otherValues, condition) {
+  return otherValues.length > 0 && _.every(otherValues, condition);
+}
 
 export default class OverallTable extends Component {
   static propTypes = {
     game: PropTypes.object.isRequired,
-    player1Display: PropTypes.object.isRequired,
-    player1Index: PropTypes.number.isRequired,
-    player2Display: PropTypes.object.isRequired,
-    player2Index: PropTypes.number.isRequired,
+    columns: PropTypes.arrayOf(PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      display: PropTypes.object.isRequired,
+      playerIndices: PropTypes.arrayOf(PropTypes.number).isRequired,
+      isTeam: PropTypes.bool,
+    })).isRequired,
   };
 
-  renderMultiStatField(header, arrPath, fieldPaths, valueMapper, highlight) {
+  getColumnCount() {
+    return this.props.columns.length + 1;
+  }
+
+  getColumnItems(arrPath) {
     const stats = this.props.game.getStats() || {};
     const arr = _.get(stats, arrPath) || [];
     const itemsByPlayer = _.keyBy(arr, 'playerIndex');
 
-    const player1Item = itemsByPlayer[this.props.player1Index] || {};
-    const player2Item = itemsByPlayer[this.props.player2Index] || {};
+    return this.props.columns.map(column => {
+      const items = column.playerIndices.map(playerIndex => itemsByPlayer[playerIndex] || {});
+      return items.length === 1 ? _.first(items) : sumItems(items);
+    });
+  }
+
+  // Players are compared against the other players and teams against the other teams
+  getOtherValues(values, columnIndex) {
+    const columns = this.props.columns;
+    const isTeam = Boolean(columns[columnIndex].isTeam);
+    return values.filter((value, index) => (
+      index !== columnIndex && Boolean(columns[index].isTeam) === isTeam
+    ));
+  }
 
+  renderStatRow(key, header, cellContents) {
+    const cells = cellContents.map((content, columnIndex) => (
+      <Table.Cell key={this.props.columns[columnIndex].key}>{content}</Table.Cell>
+    ));
+
+    return (
+      <Table.Row key={key}>
+        <Table.Cell className={styles['sub-header']}>{header}</Table.Cell>
+        {cells}
+      </Table.Row>
+    );
+  }
+
+  renderMultiStatField(header, arrPath, fieldPaths, valueMapper, highlight) {
     const generateValues = item =>
       _.chain(item)
         .pick(fieldPaths)
@@ -34,56 +92,27 @@ export default class OverallTable extends Component {
         .map(v => (valueMapper ? valueMapper(v) : v))
         .value();
 
-    const displayRenderer = firstPlayer => {
-      const item = firstPlayer ? player1Item : player2Item;
-      const oppItem = firstPlayer ? player2Item : player1Item;
-
-      const values = generateValues(item);
-      const oppValues = generateValues(oppItem);
-
+    const values = this.getColumnItems(arrPath).map(generateValues);
+    const cellContents = values.map((columnValues, columnIndex) => {
+      const otherValues = this.getOtherValues(values, columnIndex);
       const classes = classNames({
-        [styles['highlight-text']]: highlight && highlight(values, oppValues),
+        [styles['highlight-text']]: highlight &&
+          isHighlighted(otherValues, oppValues => highlight(columnValues, oppValues)),
       });
 
-      return <div className={classes}>{values.join(' / ')}</div>;
-    };
+      return <div className={classes}>{columnValues.join(' / ')}</div>;
+    });
 
-    const key = `standard-field-${header}`;
-    return (
-      <Table.Row key={key}>
-        <Table.Cell className={styles['sub-header']}>{header}</Table.Cell>
-        <Table.Cell>{displayRenderer(true)}</Table.Cell>
-        <Table.Cell>{displayRenderer(false)}</Table.Cell>
-      </Table.Row>
-    );
+    return this.renderStatRow(`standard-field-${header}`, header, cellContents);
   }
 
   renderRatioStatField(header, arrPath, fieldPath, ratioRenderer) {
-    const stats = this.props.game.getStats() || {};
-    const arr = _.get(stats, arrPath) || [];
-    const itemsByPlayer = _.keyBy(arr, 'playerIndex');
-
-    const player1Item = itemsByPlayer[this.props.player1Index] || {};
-    const player2Item = itemsByPlayer[this.props.player2Index] || {};
-
-    const displayRenderer = firstPlayer => {
-      const item = firstPlayer ? player1Item : player2Item;
-      const oppItem = firstPlayer ? player2Item : player1Item;
-
-      const ratio = _.get(item, fieldPath);
-      const oppRatio = _.get(oppItem, fieldPath);
-
-      return ratioRenderer(ratio, oppRatio);
-    };
+    const ratios = this.getColumnItems(arrPath).map(item => _.get(item, fieldPath));
+    const cellContents = ratios.map((ratio, columnIndex) => (
+      ratioRenderer(ratio, this.getOtherValues(ratios, columnIndex))
+    ));
 
-    const key = `standard-field-${header.toLowerCase()}`;
-    return (
-      <Table.Row key={key}>
-        <Table.Cell className={styles['sub-header']}>{header}</Table.Cell>
-        <Table.Cell>{displayRenderer(true)}</Table.Cell>
-        <Table.Cell>{displayRenderer(false)}</Table.Cell>
-      </Table.Row>
-    );
+    return this.renderStatRow(`standard-field-${header.toLowerCase()}`, header, cellContents);
   }
 
   renderSimpleRatioField(header, arrPath, fieldPath, highlightCondition) {
@@ -91,24 +120,19 @@ export default class OverallTable extends Component {
       header,
       arrPath,
       fieldPath,
-      (ratio, oppRatio) => {
+      (ratio, oppRatios) => {
         const playerRatio = _.get(ratio, 'ratio');
-        if (playerRatio === null) {
+        if (_.isNil(playerRatio)) {
           return <div className={styles['secondary-text']}>N/A</div>;
         }
 
-        const oppRatioField = _.get(oppRatio, 'ratio');
-
-        const fixedPlayerRatio =
-          playerRatio !== null ? playerRatio.toFixed(1) : null;
-        const fixedOppRatio =
-          oppRatioField !== null ? oppRatioField.toFixed(1) : null;
-
+        const fixedPlayerRatio = playerRatio.toFixed(1);
         const classes = classNames({
-          [styles['highlight-text']]: highlightCondition(
-            parseFloat(fixedPlayerRatio),
-            parseFloat(fixedOppRatio)
-          ),
+          [styles['highlight-text']]: isHighlighted(oppRatios, oppRatio => {
+            const oppRatioField = _.get(oppRatio, 'ratio');
+            const fixedOppRatio = _.isNil(oppRatioField) ? null : oppRatioField.toFixed(1);
+            return highlightCondition(parseFloat(fixedPlayerRatio), parseFloat(fixedOppRatio));
+          }),
         });
 
         return <div className={classes}>{fixedPlayerRatio}</div>;
@@ -121,18 +145,18 @@ export default class OverallTable extends Component {
       header,
       arrPath,
       fieldPath,
-      (ratio, oppRatio) => {
+      (ratio, oppRatios) => {
         const playerCount = _.get(ratio, 'count') || 0;
         const playerRatio = _.get(ratio, 'ratio');
 
-        const oppCount = _.get(oppRatio, 'count') || 0;
-
         const classes = classNames({
-          [styles['highlight-text']]: highlightCondition(playerCount, oppCount),
+          [styles['highlight-text']]: isHighlighted(oppRatios, oppRatio => (
+            highlightCondition(playerCount, _.get(oppRatio, 'count') || 0)
+          )),
         });
 
         let secondaryDisplay = null;
-        if (playerRatio !== null) {
+        if (!_.isNil(playerRatio)) {
           secondaryDisplay = (
             <div className={styles['secondary-text']}>
               ({numberUtils.formatPercent(playerRatio, 0)})
@@ -155,24 +179,19 @@ export default class OverallTable extends Component {
       header,
       arrPath,
       fieldPath,
-      (ratio, oppRatio) => {
+      (ratio, oppRatios) => {
         const playerRatio = _.get(ratio, 'ratio');
-        if (playerRatio === null) {
+        if (_.isNil(playerRatio)) {
           return <div className={styles['secondary-text']}>N/A</div>;
         }
 
-        const oppRatioField = _.get(oppRatio, 'ratio');
-
-        const fixedPlayerRatio =
-          playerRatio !== null ? playerRatio.toFixed(3) : null;
-        const fixedOppRatio =
-          oppRatioField !== null ? oppRatioField.toFixed(3) : null;
-
+        const fixedPlayerRatio = playerRatio.toFixed(3);
         const classes = classNames({
-          [styles['highlight-text']]: highlightCondition(
-            parseFloat(fixedPlayerRatio),
-            parseFloat(fixedOppRatio)
-          ),
+          [styles['highlight-text']]: isHighlighted(oppRatios, oppRatio => {
+            const oppRatioField = _.get(oppRatio, 'ratio');
+            const fixedOppRatio = _.isNil(oppRatioField) ? null : oppRatioField.toFixed(3);
+            return highlightCondition(parseFloat(fixedPlayerRatio), parseFloat(fixedOppRatio));
+          }),
         });
 
         const playerCount = _.get(ratio, 'count');
@@ -243,7 +262,7 @@ export default class OverallTable extends Component {
   renderOffenseSection() {
     return [
       <Table.Row key="offense-header">
-        <Table.Cell className={styles['category']} colSpan={columnCount}>
+        <Table.Cell className={styles['category']} colSpan={this.getColumnCount()}>
           Offense
         </Table.Cell>
       </Table.Row>,
@@ -273,7 +292,7 @@ export default class OverallTable extends Component {
   renderDefenseSection() {
     return [
       <Table.Row key="defense-header">
-        <Table.Cell className={styles['category']} colSpan={columnCount}>
+        <Table.Cell className={styles['category']} colSpan={this.getColumnCount()}>
           Defense
         </Table.Cell>
       </Table.Row>,
@@ -288,7 +307,7 @@ export default class OverallTable extends Component {
   renderNeutralSection() {
     return [
       <Table.Row key="neutral-header">
-        <Table.Cell className={styles['category']} colSpan={columnCount}>
+        <Table.Cell className={styles['category']} colSpan={this.getColumnCount()}>
           Neutral
         </Table.Cell>
       </Table.Row>,
@@ -306,7 +325,7 @@ export default class OverallTable extends Component {
   renderGeneralSection() {
     return [
       <Table.Row key="general-header">
-        <Table.Cell className={styles['category']} colSpan={columnCount}>
+        <Table.Cell className={styles['category']} colSpan={this.getColumnCount()}>
           General
         </Table.Cell>
       </Table.Row>,
@@ -326,8 +345,9 @@ export default class OverallTable extends Component {
         <Table.Header>
           <Table.Row>
             <Table.HeaderCell />
-            <Table.HeaderCell>{this.props.player1Display}</Table.HeaderCell>
-            <Table.HeaderCell>{this.props.player2Display}</Table.HeaderCell>
+            {this.props.columns.map(column => (
+              <Table.HeaderCell key={column.key}>{column.display}</Table.HeaderCell>
+            ))}
           </Table.Row>
         </Table.Header>
 
@@ -2,13 +2,15 @@ import _ from 'lodash';
 import classNames from 'classnames';
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
-import { Table, Image, Icon } from 'semantic-ui-react';
+import { Table, Image, Icon, Button } from 'semantic-ui-react';
 
 import styles from './GameProfile.scss';
+import SpacedGroup from '../common/SpacedGroup';
 
 import getLocalImage from '../../utils/image';
 import * as timeUtils from '../../utils/time';
 import * as numberUtils from '../../utils/number';
+import { getConversionClip } from '../../utils/clips';
 
 const columnCount = 6;
 
@@ -17,6 +19,14 @@ export default class PunishesTable extends Component {
     game: PropTypes.object.isRequired,
     playerDisplay: PropTypes.object.isRequired,
     playerIndex: PropTypes.number.isRequired,
+    opponentIndices: PropTypes.arrayOf(PropTypes.number).isRequired,
+    onPlayClip: PropTypes.func.isRequired,
+    onPlayClips: PropTypes.func.isRequired,
+  };
+
+  state = {
+    // Punishes are shown against one opponent at a time when there are several
+    selectedOpponentIndex: null,
   };
 
   generatePunishRow = punish => {
@@ -35,7 +45,12 @@ export default class PunishesTable extends Component {
     const secondaryTextStyle = styles['secondary-text'];
 
     return (
-      <Table.Row key={`${punish.playerIndex}-punish-${punish.startFrame}`}>
+      <Table.Row
+        key={`${punish.playerIndex}-punish-${punish.startFrame}`}
+        className={styles['clip-row']}
+        title="Play this conversion"
+        onClick={() => this.props.onPlayClip(getConversionClip(punish))}
+      >
         <Table.Cell className={secondaryTextStyle} collapsing={true}>
           {start}
         </Table.Cell>
@@ -164,12 +179,72 @@ export default class PunishesTable extends Component {
     );
   }
 
+  getOpponentIndex() {
+    const opponentIndices = this.props.opponentIndices;
+    const selectedOpponentIndex = this.state.selectedOpponentIndex;
+    return _.includes(opponentIndices, selectedOpponentIndex) ? selectedOpponentIndex : _.first(opponentIndices);
+  }
+
+  selectOpponent = opponentIndex => {
+    this.setState({
+      selectedOpponentIndex: opponentIndex,
+    });
+  };
+
+  renderOpponentButtons() {
+    if (this.props.opponentIndices.length < 2) {
+      return null;
+    }
+
+    const opponentIndex = this.getOpponentIndex();
+    const buttons = this.props.opponentIndices.map(index => {
+      const opponent = this.getPlayer(index);
+      return (
+        <Button
+          key={index}
+          basic={true}
+          inverted={true}
+          active={index === opponentIndex}
+          title={`Punishes on player ${opponent.port}`}
+          onClick={() => this.selectOpponent(index)}
+        >
+          <Image
+            src={getLocalImage(
+              `stock-icon-${opponent.characterId}-${opponent.characterColor}.png`
+            )}
+            height={16}
+            width={16}
+          />
+        </Button>
+      );
+    });
+
+    return <Button.Group size="mini">{buttons}</Button.Group>;
+  }
+
   renderHeaderPlayer() {
+    const clips = this.getPlayerPunishes().map(getConversionClip);
+
     // TODO: Make generating the player display better
     return (
       <Table.Row>
         <Table.HeaderCell colSpan={columnCount}>
-          {this.props.playerDisplay}
+          <div className={styles['table-header-player']}>
+            {this.props.playerDisplay}
+            <SpacedGroup size="xs">
+              {this.renderOpponentButtons()}
+              <Button
+                size="mini"
+                basic={true}
+                inverted={true}
+                icon="play"
+                content="Play all"
+                title="Play every conversion back to back"
+                disabled={clips.length === 0}
+                onClick={() => this.props.onPlayClips(clips)}
+              />
+            </SpacedGroup>
+          </div>
         </Table.HeaderCell>
       </Table.Row>
     );
@@ -187,15 +262,23 @@ export default class PunishesTable extends Component {
     );
   }
 
-  renderPunishRows() {
+  getPlayerPunishes() {
     const stats = this.props.game.getStats() || {};
     const punishes = _.get(stats, 'conversions') || [];
-    const punishesByPlayer = _.groupBy(punishes, 'playerIndex');
-    const playerPunishes = punishesByPlayer[this.props.playerIndex] || [];
+    return _.filter(punishes, {
+      playerIndex: this.props.playerIndex,
+      opponentIndex: this.getOpponentIndex(),
+    });
+  }
+
+  renderPunishRows() {
+    const stats = this.props.game.getStats() || {};
+    const playerPunishes = this.getPlayerPunishes();
 
+    // Every stock the opponent lost, not just the ones this player took
     const stocks = _.get(stats, 'stocks') || [];
-    const stocksByOpponent = _.groupBy(stocks, 'opponentIndex');
-    const opponentStocks = stocksByOpponent[this.props.playerIndex] || [];
+    const stocksByPlayer = _.groupBy(stocks, 'playerIndex');
+    const opponentStocks = stocksByPlayer[this.getOpponentIndex()] || [];
 
     const elements = [];
 
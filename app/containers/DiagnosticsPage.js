@@ -0,0 +1,22 @@
+import _ from 'lodash';
+import { bindActionCreators } from 'redux';
+import { connect } from 'react-redux';
+import Diagnostics from '../components/Diagnostics';
+import * as DiagnosticsActions from '../actions/diagnostics';
+import * as ErrorActions from '../actions/error';
+
+function mapStateToProps(state) {
+  return {
+    store: state.diagnostics,
+    rootFolders: state.fileLoader.rootFolders,
+    errors: state.errors,
+    topNotifOffset: _.get(state.notifs, ['activeNotif', 'heightPx']) || 0,
+  };
+}
+
+function mapDispatchToProps(dispatch) {
+  const allActions = _.extend({}, DiagnosticsActions, ErrorActions);
+  return bindActionCreators(allActions, dispatch);
+}
+
+export default connect(mapStateToProps, mapDispatchToProps)(Diagnostics);
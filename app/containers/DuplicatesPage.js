@@ -0,0 +1,22 @@
+import _ from 'lodash';
+import { bindActionCreators } from 'redux';
+import { connect } from 'react-redux';
+import Duplicates from '../components/Duplicates';
+import * as DuplicatesActions from '../actions/duplicates';
+import * as ErrorActions from '../actions/error';
+
+function mapStateToProps(state) {
+  return {
+    store: state.duplicates,
+    rootFolders: state.fileLoader.rootFolders,
+    errors: state.errors,
+    topNotifOffset: _.get(state.notifs, ['activeNotif', 'heightPx']) || 0,
+  };
+}
+
+function mapDispatchToProps(dispatch) {
+  const allActions = _.extend({}, DuplicatesActions, ErrorActions);
+  return bindActionCreators(allActions, dispatch);
+}
+
+export default connect(mapStateToProps, mapDispatchToProps)(Duplicates);
@@ -4,18 +4,31 @@ import { connect } from 'react-redux';
 import FileLoader from '../components/FileLoader';
 import * as FileLoaderActions from '../actions/fileLoader';
 import * as GameActions from '../actions/game';
+import * as ArchiveActions from '../actions/archives';
+import * as CompressionActions from '../actions/compression';
+import * as PlaylistActions from '../actions/playlists';
+import * as HighlightActions from '../actions/highlights';
 import * as ErrorActions from '../actions/error';
 
 function mapStateToProps(state) {
   return {
     store: state.fileLoader,
+    archives: state.archives,
+    compression: state.compression,
+    playlists: state.playlists,
+    highlights: state.highlights,
+    visibilityRules: state.settings.settings.replayVisibilityRules,
+    myConnectCodes: state.settings.settings.myConnectCodes,
     errors: state.errors,
     topNotifOffset: _.get(state.notifs, ['activeNotif', 'heightPx']) || 0,
   };
 }
 
 function mapDispatchToProps(dispatch) {
-  const allActions = _.extend({}, FileLoaderActions, GameActions, ErrorActions);
+  const allActions = _.extend(
+    {}, FileLoaderActions, GameActions, ArchiveActions, CompressionActions, PlaylistActions,
+    HighlightActions, ErrorActions
+  );
   return bindActionCreators(allActions, dispatch);
 }
 
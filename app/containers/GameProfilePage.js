@@ -2,18 +2,27 @@ import _ from "lodash";
 import { bindActionCreators } from 'redux';
 import { connect } from 'react-redux';
 import GameProfile from '../components/stats/GameProfile';
-import { playFile, setStatsGamePage } from "../actions/fileLoader";
+import {
+  playFile, queueFiles, setStatsGamePage, updateAnnotation,
+} from "../actions/fileLoader";
+import { loadPlaylists, createPlaylist, addToPlaylist } from "../actions/playlists";
 import { dismissError } from "../actions/error";
 
 function mapStateToProps(state) {
   const index = state.fileLoader.statsGameIndex;
   const files = state.fileLoader.filterReplays ? state.fileLoader.files : state.fileLoader.allFiles;
   const file = files[index] || null;
+  const game = state.game.game;
+  const annotation = game ? state.fileLoader.replayAnnotations.get(game.getFilePath()) : null;
   return {
     store: state.game,
     statsGameIndex: index,
     file: file,
+    annotation: annotation,
+    canAnnotate: !!state.fileLoader.rootFolderPath,
+    allTags: state.fileLoader.allTags,
     errors: state.errors,
+    playlists: state.playlists.playlists,
     topNotifOffset: _.get(state.notifs, ['activeNotif', 'heightPx']) || 0,
   };
 }
@@ -21,8 +30,13 @@ function mapStateToProps(state) {
 function mapDispatchToProps(dispatch) {
   return bindActionCreators({
     playFile: playFile,
+    queueFiles: queueFiles,
     dismissError: dismissError,
     setStatsGamePage: setStatsGamePage,
+    updateAnnotation: updateAnnotation,
+    loadPlaylists: loadPlaylists,
+    createPlaylist: createPlaylist,
+    addToPlaylist: addToPlaylist,
   }, dispatch);
 }
 
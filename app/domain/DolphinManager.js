@@ -12,6 +12,8 @@ import { EventEmitter } from 'events';
 
 import { getDolphinPath } from '../utils/settings';
 import { sudoRemovePath } from '../utils/sudoExec';
+import { getPlayableReplayPath } from '../utils/replayCompression';
+import { getQueueEntry, getClipFields, buildQueueJson } from '../utils/playlists';
 
 const { app } = require('electron').remote;
 
@@ -157,14 +159,18 @@ export default class DolphinManager extends EventEmitter {
     });
   }
 
-  async playFile(filePath, startDolphin = true) {
+  // A clip only plays the frames between its start and end frame
+  async playFile(filePath, startDolphin = true, clip = null) {
     const uniqueId = crypto.randomBytes(3 * 4).toString('hex');
 
+    const playablePath = await getPlayableReplayPath(filePath);
+
     const jsonString = JSON.stringify({
       mode: this.settings.mode || "normal",
-      replay: filePath,
+      replay: playablePath,
       isRealTimeMode: this.settings.isRealTimeMode || false,
       commandId: uniqueId, // Indicates to Dolphin to play new replay
+      ...getClipFields(clip),
     });
 
     await this.writeCommFile(jsonString);
@@ -175,17 +181,17 @@ export default class DolphinManager extends EventEmitter {
   }
 
   async queueFiles(files) {
-    const jsonString = JSON.stringify({
-      mode: "queue",
-      replay: "",
-      isRealTimeMode: false,
-      queue: files.map(file => ({
-        path: file.fullPath,
-        gameStartAt: file.game.getMetadata().startAt || "",
-        gameStation: file.game.getMetadata().consoleNick || "",
-      })),
-    });
+    return this.playQueue(files.map(file => getQueueEntry(file.fullPath, file.game, file.clip)));
+  }
+
+  // Plays entries in the shape of the Dolphin queue, such as the ones of a playlist
+  async playQueue(entries) {
+    const queue = await Promise.all(entries.map(async entry => ({
+      ...entry,
+      path: await getPlayableReplayPath(entry.path),
+    })));
 
+    const jsonString = JSON.stringify(buildQueueJson(queue));
     return this.writeCommFile(jsonString).then(() => this.runDolphin(true));
   }
 
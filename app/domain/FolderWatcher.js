@@ -0,0 +1,114 @@
+import _ from 'lodash';
+import fs from 'fs-extra';
+import path from 'path';
+import log from 'electron-log';
+import { EventEmitter } from 'events';
+
+import { isReplayFileName } from '../utils/replayCompression';
+import { RECYCLE_FOLDER_NAME } from './ReplayRecycleBin';
+
+// Recursive watches see the replays that get deleted into the recycle bin of a root folder
+function isRecycledFileName(fileName) {
+  return _.includes(fileName.split(/[\\/]/), RECYCLE_FOLDER_NAME);
+}
+
+/**
+ * Watches a set of folders for changes to their replay files. File system events come in bursts
+ * (a replay being recorded gets written to every frame) so they are debounced per file, once
+ * a file has been quiet for a while it is stat'ed and either a `change` or a `remove` event
+ * is emitted. Renames show up as a `remove` of the old name and a `change` of the new one.
+ * Recursive watching is only supported by node on macOS and Windows.
+ */
+export default class FolderWatcher extends EventEmitter {
+  constructor(debounceMs = 1000) {
+    super();
+    this.debounceMs = debounceMs;
+    this.folderPaths = null;
+    this.isRecursive = false;
+    this.watchers = [];
+    this.timers = {};
+  }
+
+  watch(folderPaths, isRecursive = false) {
+    const isWatching = this.watchers.length > 0;
+    if (isWatching && _.isEqual(this.folderPaths, folderPaths) && this.isRecursive === isRecursive) {
+      return;
+    }
+
+    this.close();
+    this.folderPaths = folderPaths;
+    this.isRecursive = isRecursive;
+    this.watchers = _.compact(folderPaths.map(folderPath => this.watchFolder(folderPath)));
+  }
+
+  watchFolder(folderPath) {
+    let watcher = null;
+    try {
+      const options = { recursive: this.isRecursive };
+      watcher = fs.watch(folderPath, options, (eventType, fileName) => {
+        if (!fileName || !isReplayFileName(fileName) || isRecycledFileName(fileName)) {
+          return;
+        }
+
+        this.checkLater(path.join(folderPath, fileName), this.debounceMs);
+      });
+    } catch (err) {
+      log.warn(`Failed to watch folder ${folderPath}`);
+      log.warn(err);
+      return null;
+    }
+
+    watcher.on('error', err => {
+      // Only this folder stops being watched, the others carry on
+      log.warn(`Stopped watching folder ${folderPath}`);
+      log.warn(err);
+      watcher.close();
+      _.pull(this.watchers, watcher);
+    });
+
+    return watcher;
+  }
+
+  close() {
+    this.watchers.forEach(watcher => watcher.close());
+
+    _.each(this.timers, timer => clearTimeout(timer));
+    this.timers = {};
+    this.watchers = [];
+    this.folderPaths = null;
+  }
+
+  checkLater(fullPath, delayMs) {
+    // Restart the timer every time, we only want to look at the file once it's settled
+    clearTimeout(this.timers[fullPath]);
+    this.timers[fullPath] = setTimeout(() => {
+      delete this.timers[fullPath];
+      this.checkFile(fullPath);
+    }, delayMs);
+  }
+
+  async checkFile(fullPath) {
+    const folderPaths = this.folderPaths;
+    if (!folderPaths) {
+      return;
+    }
+
+    let fileStats = null;
+    try {
+      fileStats = await fs.stat(fullPath);
+    } catch (err) {
+      // File no longer exists, it was either deleted or renamed
+    }
+
+    if (folderPaths !== this.folderPaths) {
+      // Switched folders while waiting on the stat
+      return;
+    }
+
+    if (!fileStats) {
+      this.emit('remove', fullPath);
+    } else if (fileStats.isFile()) {
+      this.emit('change', fullPath, fileStats);
+    }
+  }
+}
@@ -0,0 +1,83 @@
+import fs from 'fs-extra';
+import path from 'path';
+import log from 'electron-log';
+
+const { app } = require('electron').remote;
+
+const JOURNAL_VERSION = 1;
+
+/**
+ * Remembers the moves made by the last organize operation so that it can be undone. Only the
+ * most recent operation is kept, undoing it clears the moves that were restored from the journal.
+ */
+export default class OrganizeJournal {
+  constructor(journalFilePath) {
+    this.journalFilePath = journalFilePath ||
+      path.join(app.getPath("userData"), "organize-journal.json");
+    this.operation = null;
+  }
+
+  async load() {
+    this.operation = null;
+    try {
+      const stored = await fs.readJson(this.journalFilePath);
+      if (stored.version === JOURNAL_VERSION) {
+        this.operation = stored.operation || null;
+      }
+    } catch (err) {
+      // Nothing has been organized yet
+    }
+
+    return this.operation;
+  }
+
+  getLastOperation(rootFolderPath) {
+    if (!this.operation || this.operation.rootFolderPath !== rootFolderPath) {
+      return null;
+    }
+
+    return this.operation;
+  }
+
+  async record(operation) {
+    this.operation = operation;
+    try {
+      await fs.writeJson(this.journalFilePath, {
+        version: JOURNAL_VERSION,
+        operation: operation,
+      });
+    } catch (err) {
+      log.warn("Failed to write organize journal");
+      log.warn(err);
+    }
+  }
+
+  // Moves that couldn't be undone stay in the journal so that undoing can be tried again
+  async removeMoves(moves) {
+    if (!this.operation) {
+      return;
+    }
+
+    const removedMoves = new Set(moves);
+    const remainingMoves = this.operation.moves.filter(move => !removedMoves.has(move));
+    if (remainingMoves.length === 0) {
+      await this.clear();
+      return;
+    }
+
+    await this.record({
+      ...this.operation,
+      moves: remainingMoves,
+    });
+  }
+
+  async clear() {
+    this.operation = null;
+    try {
+      await fs.remove(this.journalFilePath);
+    } catch (err) {
+      log.warn("Failed to remove organize journal");
+      log.warn(err);
+    }
+  }
+}
@@ -0,0 +1,127 @@
+import _ from 'lodash';
+import fs from 'fs-extra';
+import path from 'path';
+import log from 'electron-log';
+
+// Lives in the root replay folder so that it gets copied around along with the replays
+export const ANNOTATIONS_FILE_NAME = ".slippi-annotations.json";
+const ANNOTATIONS_VERSION = 1;
+
+const emptyAnnotation = {
+  tags: [],
+  favorite: false,
+  notes: "",
+};
+
+/**
+ * Tags, favorites and notes for the replays under a root folder. Entries are keyed by the path
+ * relative to the root folder with forward slashes so that the same file works across machines
+ * and operating systems. Anything that renames or moves replays through the app should call
+ * `move` so that the annotations follow the file, followed by `save` once it's done.
+ */
+export default class ReplayAnnotations {
+  constructor() {
+    this.rootFolderPath = null;
+    this.entries = {};
+  }
+
+  getFilePath() {
+    return path.join(this.rootFolderPath, ANNOTATIONS_FILE_NAME);
+  }
+
+  getKey(fullPath) {
+    const relativePath = path.relative(this.rootFolderPath, fullPath);
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      // Not inside of the root folder, fall back to the absolute path
+      return fullPath;
+    }
+
+    return relativePath.split(path.sep).join('/');
+  }
+
+  async load(rootFolderPath) {
+    if (this.rootFolderPath === rootFolderPath) {
+      return;
+    }
+
+    this.rootFolderPath = rootFolderPath;
+    this.entries = {};
+    if (!rootFolderPath) {
+      // Nowhere to keep annotations until the root folder shows up
+      return;
+    }
+
+    try {
+      const stored = await fs.readJson(this.getFilePath());
+      if (stored.version === ANNOTATIONS_VERSION) {
+        this.entries = stored.entries || {};
+      }
+    } catch (err) {
+      // Nothing has been annotated in this folder yet
+    }
+  }
+
+  get(fullPath) {
+    if (!this.rootFolderPath) {
+      return emptyAnnotation;
+    }
+
+    return this.entries[this.getKey(fullPath)] || emptyAnnotation;
+  }
+
+  getAllTags() {
+    return _.chain(this.entries).flatMap('tags').uniq().sortBy(_.toLower).value();
+  }
+
+  async update(fullPath, changes) {
+    if (!this.rootFolderPath) {
+      throw new Error("Replays can't be annotated without a root folder");
+    }
+
+    const key = this.getKey(fullPath);
+    const annotation = {
+      ...emptyAnnotation,
+      ...this.entries[key],
+      ...changes,
+    };
+
+    if (_.isEqual(annotation, emptyAnnotation)) {
+      delete this.entries[key];
+    } else {
+      this.entries[key] = annotation;
+    }
+
+    await this.save();
+  }
+
+  move(oldFullPath, newFullPath) {
+    if (!this.rootFolderPath) {
+      return;
+    }
+
+    const oldKey = this.getKey(oldFullPath);
+    const entry = this.entries[oldKey];
+    if (!entry) {
+      return;
+    }
+
+    delete this.entries[oldKey];
+    this.entries[this.getKey(newFullPath)] = entry;
+  }
+
+  async save() {
+    if (!this.rootFolderPath) {
+      return;
+    }
+
+    try {
+      await fs.writeJson(this.getFilePath(), {
+        version: ANNOTATIONS_VERSION,
+        entries: this.entries,
+      }, { spaces: 2 });
+    } catch (err) {
+      log.warn(`Failed to write replay annotations for ${this.rootFolderPath}`);
+      log.warn(err);
+    }
+  }
+}
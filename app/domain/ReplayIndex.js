@@ -0,0 +1,189 @@
+import _ from 'lodash';
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import log from 'electron-log';
+
+const { app } = require('electron').remote;
+
+// Bump this whenever the shape of a stored record changes, older indexes will then be ignored
+// and rebuilt from scratch the next time their folder is loaded
+const INDEX_VERSION = 4;
+
+/**
+ * Keeps an on-disk index of the header information (settings, metadata, lastFrame and error
+ * state) of every replay in a folder so that we don't have to re-parse every file each time a
+ * folder is browsed. The end state gets added to a record once it has been worked out. Records
+ * are keyed by file name and are only considered valid while the size and modification time of
+ * the file match what was recorded.
+ */
+export default class ReplayIndex {
+  constructor(indexDirPath) {
+    this.indexDirPath = indexDirPath || path.join(app.getPath("userData"), "ReplayIndex");
+    this.folders = {};
+  }
+
+  getIndexFilePath(folderPath) {
+    const folderHash = crypto.createHash('sha1').update(folderPath).digest('hex');
+    return path.join(this.indexDirPath, `${folderHash}.json`);
+  }
+
+  async loadFolder(folderPath) {
+    if (this.folders[folderPath]) {
+      return this.folders[folderPath];
+    }
+
+    let entries = {};
+    try {
+      const stored = await fs.readJson(this.getIndexFilePath(folderPath));
+      if (stored.version === INDEX_VERSION && stored.folderPath === folderPath) {
+        entries = stored.entries || {};
+      }
+    } catch (err) {
+      // No index has been written for this folder yet, we'll start with an empty one
+    }
+
+    const folderIndex = {
+      entries: entries,
+      isDirty: false,
+    };
+
+    this.folders[folderPath] = folderIndex;
+    return folderIndex;
+  }
+
+  getRecord(fullPath, fileStats) {
+    const folderIndex = this.folders[path.dirname(fullPath)];
+    const entry = _.get(folderIndex, ['entries', path.basename(fullPath)]);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.size !== fileStats.size || entry.mtimeMs !== fileStats.mtimeMs) {
+      // File has changed since it was indexed
+      return null;
+    }
+
+    return entry.record;
+  }
+
+  setRecord(fullPath, fileStats, record) {
+    const folderIndex = this.folders[path.dirname(fullPath)];
+    if (!folderIndex) {
+      return;
+    }
+
+    folderIndex.entries[path.basename(fullPath)] = {
+      size: fileStats.size,
+      mtimeMs: fileStats.mtimeMs,
+      record: record,
+    };
+    folderIndex.isDirty = true;
+  }
+
+  // Keeps the size and modification time the file was indexed with, the changes are only as good
+  // as the record they're added to
+  updateRecord(fullPath, changes) {
+    const folderIndex = this.folders[path.dirname(fullPath)];
+    const entry = _.get(folderIndex, ['entries', path.basename(fullPath)]);
+    if (!entry) {
+      return;
+    }
+
+    entry.record = {
+      ...entry.record,
+      ...changes,
+    };
+    folderIndex.isDirty = true;
+  }
+
+  removeRecord(fullPath) {
+    const folderIndex = this.folders[path.dirname(fullPath)];
+    const fileName = path.basename(fullPath);
+    if (!folderIndex || !folderIndex.entries[fileName]) {
+      return;
+    }
+
+    delete folderIndex.entries[fileName];
+    folderIndex.isDirty = true;
+  }
+
+  prune(folderPath, existingFileNames) {
+    // Drop the records of files that no longer exist in the folder
+    const folderIndex = this.folders[folderPath];
+    if (!folderIndex) {
+      return;
+    }
+
+    const existing = new Set(existingFileNames);
+    _.keys(folderIndex.entries).forEach(fileName => {
+      if (existing.has(fileName)) {
+        return;
+      }
+
+      delete folderIndex.entries[fileName];
+      folderIndex.isDirty = true;
+    });
+  }
+
+  async saveFolder(folderPath) {
+    const folderIndex = this.folders[folderPath];
+    if (!folderIndex || !folderIndex.isDirty) {
+      return;
+    }
+
+    folderIndex.isDirty = false;
+    try {
+      await fs.ensureDir(this.indexDirPath);
+      await fs.writeJson(this.getIndexFilePath(folderPath), {
+        version: INDEX_VERSION,
+        folderPath: folderPath,
+        entries: folderIndex.entries,
+      });
+    } catch (err) {
+      log.warn(`Failed to write replay index for ${folderPath}`);
+      log.warn(err);
+      folderIndex.isDirty = true;
+    }
+  }
+}
+
+/**
+ * Stands in for a SlippiGame when all we have is a parsed record, either from the index or
+ * from the parser pool. Stats are only available if they were computed for the record.
+ */
+export class IndexedGame {
+  constructor(filePath, record) {
+    this.filePath = filePath;
+    this.record = record || {};
+  }
+
+  getSettings() {
+    if (this.record.hasError) {
+      throw new Error(this.record.errorMessage || "Game settings could not be properly loaded.");
+    }
+
+    return this.record.settings;
+  }
+
+  getMetadata() {
+    return this.record.metadata;
+  }
+
+  getStats() {
+    return this.record.stats || null;
+  }
+
+  getEndState() {
+    return this.record.endState || null;
+  }
+
+  // The end state is left out of the header, see loadEndStates in the fileLoader actions
+  isEndStateLoaded() {
+    return this.record.hasError || this.record.endState !== undefined;
+  }
+
+  getFilePath() {
+    return this.filePath;
+  }
+}
@@ -0,0 +1,171 @@
+import _ from 'lodash';
+import os from 'os';
+import path from 'path';
+import log from 'electron-log';
+import { fork } from 'child_process';
+
+const { app } = require('electron').remote;
+
+function getWorkerScriptPath() {
+  const isDev = process.env.NODE_ENV === "development";
+  if (isDev) {
+    return path.resolve("./app/workers/replayParser.js");
+  }
+
+  // Electron is able to fork scripts from inside of the asar archive
+  return path.join(app.getAppPath(), "app/workers/replayParser.js");
+}
+
+/**
+ * Parses replays in a pool of child processes so that the renderer doesn't freeze while a
+ * folder is being scanned or a game's stats are being computed. Jobs are tagged with a group
+ * so that everything queued for a group can be cancelled at once, cancelled jobs resolve
+ * with null.
+ */
+export default class ReplayParserPool {
+  constructor(size) {
+    this.size = size || Math.max(1, os.cpus().length - 1);
+    this.workers = [];
+    this.queue = [];
+    this.cancelledJobIds = new Set();
+    this.nextJobId = 0;
+  }
+
+  parseHeader(filePath, group) {
+    return this.enqueue('header', filePath, group);
+  }
+
+  computeEndState(filePath, group) {
+    return this.enqueue('endState', filePath, group);
+  }
+
+  computeStats(filePath, group) {
+    return this.enqueue('stats', filePath, group);
+  }
+
+  diagnose(filePath, group) {
+    return this.enqueue('diagnose', filePath, group);
+  }
+
+  repair(filePath, outputPath, group) {
+    return this.enqueue('repair', filePath, group, { outputPath: outputPath });
+  }
+
+  anonymize(filePath, outputPath, playerAliases, group) {
+    return this.enqueue('anonymize', filePath, group, {
+      outputPath: outputPath,
+      playerAliases: playerAliases,
+    });
+  }
+
+  enqueue(type, filePath, group, options) {
+    return new Promise((resolve, reject) => {
+      this.nextJobId += 1;
+      this.queue.push({
+        id: this.nextJobId,
+        type: type,
+        filePath: filePath,
+        options: options || {},
+        group: group,
+        resolve: resolve,
+        reject: reject,
+      });
+
+      this.runQueuedJobs();
+    });
+  }
+
+  cancel(group) {
+    const [cancelledJobs, remainingJobs] = _.partition(this.queue, job => job.group === group);
+    this.queue = remainingJobs;
+    _.each(cancelledJobs, job => job.resolve(null));
+
+    // Jobs that are already running can't be interrupted, we just stop caring about the result
+    _.each(this.workers, ({ job }) => {
+      if (job && job.group === group && !this.cancelledJobIds.has(job.id)) {
+        this.cancelledJobIds.add(job.id);
+        job.resolve(null);
+      }
+    });
+  }
+
+  runQueuedJobs() {
+    while (this.queue.length > 0) {
+      const worker = this.getIdleWorker();
+      if (!worker) {
+        return;
+      }
+
+      const job = this.queue.shift();
+      worker.job = job;
+      worker.process.send({
+        jobId: job.id,
+        type: job.type,
+        filePath: job.filePath,
+        options: job.options,
+      });
+    }
+  }
+
+  getIdleWorker() {
+    const idleWorker = _.find(this.workers, worker => !worker.job);
+    if (idleWorker) {
+      return idleWorker;
+    }
+
+    if (this.workers.length >= this.size) {
+      return null;
+    }
+
+    return this.spawnWorker();
+  }
+
+  spawnWorker() {
+    const workerProcess = fork(getWorkerScriptPath(), [], {
+      env: {
+        ...process.env,
+        ELECTRON_RUN_AS_NODE: '1',
+      },
+    });
+
+    const worker = {
+      process: workerProcess,
+      job: null,
+    };
+
+    workerProcess.on('message', message => {
+      const job = worker.job;
+      if (!job || job.id !== message.jobId) {
+        return;
+      }
+
+      worker.job = null;
+      if (!this.cancelledJobIds.delete(job.id)) {
+        if (message.error) {
+          job.reject(new Error(message.error));
+        } else {
+          job.resolve(message.result);
+        }
+      }
+
+      this.runQueuedJobs();
+    });
+
+    workerProcess.on('exit', code => {
+      log.warn(`Replay parser process exited with code ${code}`);
+      _.remove(this.workers, w => w === worker);
+
+      const job = worker.job;
+      worker.job = null;
+      if (job && !this.cancelledJobIds.delete(job.id)) {
+        job.reject(new Error(`Replay parser exited while parsing ${job.filePath}`));
+      }
+
+      // Let a new process pick up whatever is left in the queue
+      this.runQueuedJobs();
+    });
+
+    this.workers.push(worker);
+    return worker;
+  }
+}
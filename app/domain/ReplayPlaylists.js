@@ -0,0 +1,124 @@
+import _ from 'lodash';
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import log from 'electron-log';
+
+import { moveEntryPaths } from '../utils/playlists';
+
+const { app } = require('electron').remote;
+
+const PLAYLISTS_VERSION = 1;
+
+/**
+ * Named lists of replays for playing back in Dolphin's queue mode, saved in the user data folder
+ * since they can span every replay root. Entries are kept in the shape of the Dolphin queue.
+ * Playlists are replaced rather than changed in place so that they can go straight into the store.
+ * Like the annotations, anything that moves replays through the app should call `move` followed
+ * by `save` once it's done.
+ */
+export default class ReplayPlaylists {
+  constructor(playlistsFilePath) {
+    this.playlistsFilePath = playlistsFilePath ||
+      path.join(app.getPath("userData"), "playlists.json");
+    this.playlists = [];
+    this.isLoaded = false;
+    this.loading = null;
+  }
+
+  async load() {
+    // Moves can come in from several files at once, they all have to wait on the same read
+    if (!this.loading) {
+      this.loading = this.readPlaylists();
+    }
+
+    await this.loading;
+    return this.playlists;
+  }
+
+  async readPlaylists() {
+    try {
+      const stored = await fs.readJson(this.playlistsFilePath);
+      if (stored.version === PLAYLISTS_VERSION) {
+        this.playlists = stored.playlists || [];
+      }
+    } catch (err) {
+      // No playlists have been made yet
+    }
+
+    this.isLoaded = true;
+  }
+
+  get(id) {
+    return _.find(this.playlists, { id: id }) || null;
+  }
+
+  async create(name, entries) {
+    const now = new Date().toISOString();
+    const playlist = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name: name,
+      createdAt: now,
+      updatedAt: now,
+      entries: entries || [],
+    };
+
+    this.playlists = this.playlists.concat([playlist]);
+    await this.save();
+    return playlist;
+  }
+
+  async update(id, changes) {
+    this.playlists = this.playlists.map(playlist => {
+      if (playlist.id !== id) {
+        return playlist;
+      }
+
+      return {
+        ...playlist,
+        ...changes,
+        updatedAt: new Date().toISOString(),
+      };
+    });
+
+    await this.save();
+    return this.get(id);
+  }
+
+  async remove(id) {
+    this.playlists = this.playlists.filter(playlist => playlist.id !== id);
+    await this.save();
+  }
+
+  async move(oldFullPath, newFullPath) {
+    await this.load();
+    this.playlists = this.playlists.map(playlist => {
+      const entries = moveEntryPaths(playlist.entries, oldFullPath, newFullPath);
+      if (entries === playlist.entries) {
+        return playlist;
+      }
+
+      return {
+        ...playlist,
+        entries: entries,
+      };
+    });
+  }
+
+  async save() {
+    if (!this.isLoaded) {
+      // Saving before the playlists have been read would wipe them out
+      return;
+    }
+
+    try {
+      await fs.writeJson(this.playlistsFilePath, {
+        version: PLAYLISTS_VERSION,
+        playlists: this.playlists,
+      }, { spaces: 2 });
+    } catch (err) {
+      log.warn("Failed to write replay playlists");
+      log.warn(err);
+    }
+  }
+}
@@ -0,0 +1,194 @@
+import _ from 'lodash';
+import fs from 'fs-extra';
+import path from 'path';
+import log from 'electron-log';
+import { shell } from 'electron';
+import { findReplayRoot } from '../utils/settings';
+
+const { app } = require('electron').remote;
+
+const BATCH_FILE_NAME = "batch.json";
+
+// Hidden folder in each replay root that holds the replays deleted from it
+export const RECYCLE_FOLDER_NAME = ".slippi-deleted";
+
+// Replays are held on the same drive as their root folder so this is a rename, only the ones from
+// outside of the roots can need a copy. Never overwrites, a new replay could have taken the name
+async function moveFile(fromPath, toPath) {
+  if (await fs.pathExists(toPath)) {
+    throw new Error(`${toPath} already exists`);
+  }
+
+  await fs.ensureDir(path.dirname(toPath));
+  try {
+    await fs.rename(fromPath, toPath);
+  } catch (err) {
+    if (err.code !== 'EXDEV') {
+      throw err;
+    }
+
+    await fs.move(fromPath, toPath);
+  }
+}
+
+/**
+ * Holding folder for deleted replays so that a delete can be undone from inside the app. Every
+ * delete becomes a batch folder containing the files and a description of where they came from.
+ * Batches are either handed over to the OS trash once they can no longer be undone or kept around
+ * until they expire, for systems where the OS trash isn't available. Each replay root holds its
+ * own deleted replays so that deleting them is a rename on the same drive rather than a copy,
+ * anything outside of the roots goes to a folder in the app data.
+ */
+export default class ReplayRecycleBin {
+  constructor(fallbackDirPath) {
+    this.fallbackDirPath = fallbackDirPath || path.join(app.getPath("userData"), "DeletedReplays");
+    this.nextBatchIndex = 0;
+  }
+
+  getHoldingDirPath(fullPath, rootFolders) {
+    const root = findReplayRoot(rootFolders, fullPath);
+    return root ? path.join(root.fullPath, RECYCLE_FOLDER_NAME) : this.fallbackDirPath;
+  }
+
+  getHoldingDirPaths(rootFolders) {
+    const rootDirPaths = rootFolders.map(root => path.join(root.fullPath, RECYCLE_FOLDER_NAME));
+    return _.uniq(rootDirPaths.concat(this.fallbackDirPath));
+  }
+
+  async recycle(fullPaths, rootFolders) {
+    this.nextBatchIndex += 1;
+    const batchId = `${Date.now()}-${this.nextBatchIndex}`;
+    const deletedAt = new Date().toISOString();
+
+    // Files from different folders can share a name so each one gets prefixed with its position
+    const results = await Promise.all(fullPaths.map(async (fullPath, index) => {
+      const batchPath = path.join(this.getHoldingDirPath(fullPath, rootFolders), batchId);
+      const heldPath = path.join(batchPath, `${index}_${path.basename(fullPath)}`);
+      try {
+        await moveFile(fullPath, heldPath);
+        return {
+          originalPath: fullPath,
+          heldPath: heldPath,
+        };
+      } catch (err) {
+        log.error(`Failed to move ${fullPath} to the recycle bin`, err);
+        return null;
+      }
+    }));
+
+    // Every holding folder that got some of the files describes its part of the batch
+    const entries = _.compact(results);
+    const entriesByBatchPath = _.groupBy(entries, entry => path.dirname(entry.heldPath));
+    await Promise.all(_.map(entriesByBatchPath, (batchEntries, batchPath) => (
+      fs.writeJson(path.join(batchPath, BATCH_FILE_NAME), {
+        id: batchId,
+        deletedAt: deletedAt,
+        entries: batchEntries,
+      })
+    )));
+
+    const batchPaths = _.uniq(fullPaths.map(fullPath => (
+      path.join(this.getHoldingDirPath(fullPath, rootFolders), batchId)
+    )));
+    await Promise.all(batchPaths.map(batchPath => this.removeBatchPathIfEmpty(batchPath)));
+
+    return {
+      id: batchId,
+      deletedAt: deletedAt,
+      entries: entries,
+      batchPaths: _.keys(entriesByBatchPath),
+    };
+  }
+
+  async restore(batch) {
+    const restoredPaths = await Promise.all(batch.entries.map(async entry => {
+      try {
+        await moveFile(entry.heldPath, entry.originalPath);
+        return entry.originalPath;
+      } catch (err) {
+        log.error(`Failed to restore ${entry.originalPath} from the recycle bin`, err);
+        return null;
+      }
+    }));
+
+    await this.removeBatchIfEmpty(batch);
+    return _.compact(restoredPaths);
+  }
+
+  /**
+   * Moves the files of a batch to the OS trash. Anything the OS refuses to take stays in the
+   * holding folder until it expires.
+   */
+  async moveToTrash(batch) {
+    _.each(batch.entries, entry => {
+      if (!shell.moveItemToTrash(entry.heldPath)) {
+        log.warn(`Could not move ${entry.heldPath} to the trash, keeping it in the recycle bin`);
+      }
+    });
+
+    await this.removeBatchIfEmpty(batch);
+  }
+
+  // The parts of a batch that ended up in different holding folders are put back together
+  async loadBatches(rootFolders) {
+    const batchParts = await Promise.all(this.getHoldingDirPaths(rootFolders).map(async dirPath => {
+      let batchIds = [];
+      try {
+        batchIds = await fs.readdir(dirPath);
+      } catch (err) {
+        // Nothing has been deleted from here yet
+        return [];
+      }
+
+      return Promise.all(batchIds.map(async batchId => {
+        const batchPath = path.join(dirPath, batchId);
+        try {
+          const batch = await fs.readJson(path.join(batchPath, BATCH_FILE_NAME));
+          return {
+            ...batch,
+            batchPaths: [batchPath],
+          };
+        } catch (err) {
+          log.warn(`Ignoring unreadable recycle bin batch: ${batchPath}`);
+          return null;
+        }
+      }));
+    }));
+
+    return _.chain(batchParts)
+      .flatten()
+      .compact()
+      .groupBy('id')
+      .map(parts => ({
+        ...parts[0],
+        entries: _.flatMap(parts, 'entries'),
+        batchPaths: _.flatMap(parts, 'batchPaths'),
+      }))
+      .value();
+  }
+
+  async removeBatch(batch) {
+    await Promise.all(batch.batchPaths.map(async batchPath => {
+      try {
+        await fs.remove(batchPath);
+      } catch (err) {
+        log.error(`Failed to remove recycle bin batch: ${batchPath}`, err);
+      }
+    }));
+  }
+
+  async removeBatchIfEmpty(batch) {
+    await Promise.all(batch.batchPaths.map(batchPath => this.removeBatchPathIfEmpty(batchPath)));
+  }
+
+  async removeBatchPathIfEmpty(batchPath) {
+    try {
+      const fileNames = await fs.readdir(batchPath);
+      if (_.without(fileNames, BATCH_FILE_NAME).length === 0) {
+        await fs.remove(batchPath);
+      }
+    } catch (err) {
+      log.warn(`Failed to clean up recycle bin batch: ${batchPath}`);
+    }
+  }
+}
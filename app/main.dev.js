@@ -23,6 +23,7 @@ import ini from 'ini';
 import semver from 'semver';
 import MenuBuilder from './menu';
 import { sudoRemovePath } from './utils/sudoExec';
+import { clearPlayableReplays } from './utils/replayCompression';
 
 // Set up AppUpdater
 log.transports.file.level = 'info';
@@ -394,6 +395,9 @@ app.on('ready', async () => {
     bootError = err.message;
   }
 
+  // Nothing is playing yet so any replays extracted for Dolphin last time can go
+  clearPlayableReplays();
+
   if (
     process.env.NODE_ENV === 'development' ||
     process.env.DEBUG_PROD === 'true'
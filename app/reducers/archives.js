@@ -0,0 +1,123 @@
+import {
+  EXPORT_START, EXPORT_PROGRESS, EXPORT_COMPLETE, CLEAR_EXPORT, SET_IMPORT_ARCHIVE, IMPORT_START,
+  IMPORT_PROGRESS, IMPORT_COMPLETE, CLEAR_IMPORT,
+} from '../actions/archives';
+
+// Default state for this reducer
+const defaultState = {
+  isExporting: false,
+  numFilesToExport: 0,
+  numFilesExported: 0,
+  exportPath: null,
+  importArchivePath: null,
+  isImporting: false,
+  numFilesToImport: 0,
+  numFilesImported: 0,
+  importReport: null,
+};
+
+export default function archives(state = defaultState, action) {
+  switch (action.type) {
+  case EXPORT_START:
+    return exportStart(state, action);
+  case EXPORT_PROGRESS:
+    return exportProgress(state, action);
+  case EXPORT_COMPLETE:
+    return exportComplete(state, action);
+  case CLEAR_EXPORT:
+    return clearExport(state, action);
+  case SET_IMPORT_ARCHIVE:
+    return setImportArchive(state, action);
+  case IMPORT_START:
+    return importStart(state, action);
+  case IMPORT_PROGRESS:
+    return importProgress(state, action);
+  case IMPORT_COMPLETE:
+    return importComplete(state, action);
+  case CLEAR_IMPORT:
+    return clearImport(state, action);
+  default:
+    return state;
+  }
+}
+
+function exportStart(state, action) {
+  return {
+    ...state,
+    isExporting: true,
+    numFilesToExport: action.payload.numFiles,
+    numFilesExported: 0,
+    exportPath: null,
+  };
+}
+
+function exportProgress(state, action) {
+  return {
+    ...state,
+    numFilesExported: action.payload.numProcessed,
+  };
+}
+
+function exportComplete(state, action) {
+  return {
+    ...state,
+    isExporting: false,
+    numFilesExported: state.numFilesToExport,
+    exportPath: action.payload.exportPath,
+  };
+}
+
+function clearExport(state) {
+  return {
+    ...state,
+    isExporting: false,
+    numFilesToExport: 0,
+    numFilesExported: 0,
+    exportPath: null,
+  };
+}
+
+function setImportArchive(state, action) {
+  return {
+    ...state,
+    importArchivePath: action.payload.archivePath,
+    importReport: null,
+  };
+}
+
+function importStart(state) {
+  return {
+    ...state,
+    isImporting: true,
+    numFilesToImport: 0,
+    numFilesImported: 0,
+    importReport: null,
+  };
+}
+
+function importProgress(state, action) {
+  return {
+    ...state,
+    numFilesToImport: action.payload.numFiles,
+    numFilesImported: action.payload.numProcessed,
+  };
+}
+
+function importComplete(state, action) {
+  return {
+    ...state,
+    isImporting: false,
+    importReport: action.payload.report,
+  };
+}
+
+function clearImport(state) {
+  return {
+    ...state,
+    importArchivePath: null,
+    isImporting: false,
+    numFilesToImport: 0,
+    numFilesImported: 0,
+    importReport: null,
+  };
+}
@@ -0,0 +1,74 @@
+import {
+  COMPRESSION_LOAD_START, COMPRESSION_LOAD_COMPLETE, COMPRESSION_START, COMPRESSION_PROGRESS,
+  COMPRESSION_COMPLETE, CLEAR_COMPRESSION,
+} from '../actions/compression';
+
+// Default state for this reducer
+const defaultState = {
+  isLoading: false,
+  files: [],
+  isCompressing: false,
+  numToCompress: 0,
+  numCompressed: 0,
+  report: null,
+};
+
+export default function compression(state = defaultState, action) {
+  switch (action.type) {
+  case COMPRESSION_LOAD_START:
+    return loadStart(state, action);
+  case COMPRESSION_LOAD_COMPLETE:
+    return loadComplete(state, action);
+  case COMPRESSION_START:
+    return compressionStart(state, action);
+  case COMPRESSION_PROGRESS:
+    return compressionProgress(state, action);
+  case COMPRESSION_COMPLETE:
+    return compressionComplete(state, action);
+  case CLEAR_COMPRESSION:
+    return defaultState;
+  default:
+    return state;
+  }
+}
+
+function loadStart() {
+  return {
+    ...defaultState,
+    isLoading: true,
+  };
+}
+
+function loadComplete(state, action) {
+  return {
+    ...state,
+    isLoading: false,
+    files: action.payload.files,
+  };
+}
+
+function compressionStart(state, action) {
+  return {
+    ...state,
+    isCompressing: true,
+    numToCompress: action.payload.numFiles,
+    numCompressed: 0,
+    report: null,
+  };
+}
+
+function compressionProgress(state, action) {
+  return {
+    ...state,
+    numCompressed: action.payload.numProcessed,
+  };
+}
+
+function compressionComplete(state, action) {
+  return {
+    ...state,
+    isCompressing: false,
+    files: [],
+    report: action.payload.report,
+  };
+}
@@ -0,0 +1,79 @@
+import {
+  DIAGNOSE_START, DIAGNOSE_FILE_COMPLETE, DIAGNOSE_COMPLETE, REPAIR_START, REPAIR_COMPLETE,
+} from '../actions/diagnostics';
+
+// Default state for this reducer
+const defaultState = {
+  isRunning: false,
+  files: [],
+  results: {},
+  repairs: {},
+};
+
+export default function diagnostics(state = defaultState, action) {
+  switch (action.type) {
+  case DIAGNOSE_START:
+    return diagnoseStart(state, action);
+  case DIAGNOSE_FILE_COMPLETE:
+    return diagnoseFileComplete(state, action);
+  case DIAGNOSE_COMPLETE:
+    return diagnoseComplete(state, action);
+  case REPAIR_START:
+    return repairStart(state, action);
+  case REPAIR_COMPLETE:
+    return repairComplete(state, action);
+  default:
+    return state;
+  }
+}
+
+function diagnoseStart(state, action) {
+  return {
+    ...defaultState,
+    isRunning: true,
+    files: action.payload.files,
+  };
+}
+
+function diagnoseFileComplete(state, action) {
+  return {
+    ...state,
+    results: {
+      ...state.results,
+      [action.payload.fullPath]: action.payload.result,
+    },
+  };
+}
+
+function diagnoseComplete(state) {
+  return {
+    ...state,
+    isRunning: false,
+  };
+}
+
+function repairStart(state, action) {
+  return {
+    ...state,
+    repairs: {
+      ...state.repairs,
+      [action.payload.fullPath]: {
+        isRepairing: true,
+        repairedPath: null,
+      },
+    },
+  };
+}
+
+function repairComplete(state, action) {
+  return {
+    ...state,
+    repairs: {
+      ...state.repairs,
+      [action.payload.fullPath]: {
+        isRepairing: false,
+        repairedPath: action.payload.repairedPath,
+      },
+    },
+  };
+}
@@ -0,0 +1,62 @@
+import {
+  DUPLICATE_SCAN_START, DUPLICATE_SCAN_PROGRESS, DUPLICATE_SCAN_COMPLETE, DUPLICATES_TRASHED,
+  CLEAR_DUPLICATES,
+} from '../actions/duplicates';
+
+// Default state for this reducer
+const defaultState = {
+  isScanning: false,
+  hasScanned: false,
+  numHashed: 0,
+  numToHash: 0,
+  groups: [],
+};
+
+export default function duplicates(state = defaultState, action) {
+  switch (action.type) {
+  case DUPLICATE_SCAN_START:
+    return scanStart(state, action);
+  case DUPLICATE_SCAN_PROGRESS:
+    return scanProgress(state, action);
+  case DUPLICATE_SCAN_COMPLETE:
+    return scanComplete(state, action);
+  case DUPLICATES_TRASHED:
+    return duplicatesTrashed(state, action);
+  case CLEAR_DUPLICATES:
+    return defaultState;
+  default:
+    return state;
+  }
+}
+
+function scanStart() {
+  return {
+    ...defaultState,
+    isScanning: true,
+  };
+}
+
+function scanProgress(state, action) {
+  return {
+    ...state,
+    numHashed: action.payload.numHashed,
+    numToHash: action.payload.numToHash,
+  };
+}
+
+function scanComplete(state, action) {
+  return {
+    ...state,
+    isScanning: false,
+    hasScanned: true,
+    groups: action.payload.groups,
+  };
+}
+
+function duplicatesTrashed(state, action) {
+  const trashedKeys = new Set(action.payload.groupKeys);
+  return {
+    ...state,
+    groups: state.groups.filter(group => !trashedKeys.has(group.key)),
+  };
+}
@@ -1,22 +1,63 @@
+import _ from 'lodash';
+import electronSettings from 'electron-settings';
 import {
-  LOAD_ROOT_FOLDER, CHANGE_FOLDER_SELECTION, LOAD_FILES_IN_FOLDER, STORE_SCROLL_POSITION, SET_STATS_GAME_PAGE, STORE_FILE_LOAD_STATE, SET_FILTER_REPLAYS, DELETE_FILE,
+  LOAD_ROOT_FOLDER, CHANGE_FOLDER_SELECTION, LOAD_FILES_IN_FOLDER, STORE_SCROLL_POSITION, SET_STATS_GAME_PAGE, SET_FILTER_REPLAYS, DELETE_FILE,
+  UPDATE_FILES_IN_FOLDER, SET_FOLDER_EXPANDED, SET_REPLAY_FILTERS,
+  SET_TABLE_LAYOUT, ANNOTATIONS_UPDATED, SET_RENAME_PREVIEW, CLEAR_RENAME_PREVIEW,
+  SET_ORGANIZE_TEMPLATE, SET_ORGANIZE_STATE, CLEAR_ORGANIZE_STATE, SET_PENDING_DELETION,
+  CLEAR_PENDING_DELETION,
 } from '../actions/fileLoader';
 import DolphinManager from '../domain/DolphinManager';
+import ReplayIndex from '../domain/ReplayIndex';
+import ReplayParserPool from '../domain/ReplayParserPool';
+import FolderWatcher from '../domain/FolderWatcher';
+import ReplayAnnotations from '../domain/ReplayAnnotations';
+import OrganizeJournal from '../domain/OrganizeJournal';
+import ReplayRecycleBin from '../domain/ReplayRecycleBin';
+import { defaultReplayFilters } from '../utils/replayFilters';
+import { defaultTableLayout } from '../utils/replayColumns';
+import { DEFAULT_RENAME_TEMPLATE } from '../utils/replayFileNames';
+import { DEFAULT_ORGANIZE_TEMPLATE } from '../utils/replayOrganizer';
+import { findReplayRoot } from '../utils/settings';
+
+const tableLayoutPath = "fileLoader.tableLayout";
+const renameTemplatePath = "fileLoader.renameTemplate";
+const organizeTemplatePath = "fileLoader.organizeTemplate";
 
 const path = require('path');
 
 // Default state for this reducer
 const defaultState = {
   dolphinManager: new DolphinManager('vod'),
-  rootFolderName: "",
+  replayIndex: new ReplayIndex(),
+  replayParser: new ReplayParserPool(),
+  folderWatcher: new FolderWatcher(),
+  replayAnnotations: new ReplayAnnotations(),
+  organizeJournal: new OrganizeJournal(),
+  replayRecycleBin: new ReplayRecycleBin(),
+  annotations: {},
+  allTags: [],
+  rootFolders: [],
   rootFolderPath: "",
   selectedFolderFullPath: "",
+  isRecursive: false,
   isLoading: false,
   folders: {},
   files: [],
+  scannedFiles: [],
   folderFound: false,
   playingFile: null,
   numFilteredFiles: 0,
+  hiddenCounts: {},
+  numSearchFilteredFiles: 0,
+  numPendingFiles: 0,
+  replayFilters: defaultReplayFilters,
+  tableLayout: getStoredTableLayout(),
+  renameTemplate: electronSettings.get(renameTemplatePath) || DEFAULT_RENAME_TEMPLATE,
+  renamePreview: null,
+  organizeTemplate: electronSettings.get(organizeTemplatePath) || DEFAULT_ORGANIZE_TEMPLATE,
+  organizeState: null,
+  pendingDeletion: null,
   statsGameIndex: 0,
   scrollPosition: {
     x: 0,
@@ -24,6 +65,13 @@ const defaultState = {
   },
 };
 
+function getStoredTableLayout() {
+  return {
+    ...defaultTableLayout,
+    ...electronSettings.get(tableLayoutPath),
+  };
+}
+
 export default function fileLoader(state = defaultState, action) {
   switch (action.type) {
   case LOAD_ROOT_FOLDER:
@@ -32,16 +80,38 @@ export default function fileLoader(state = defaultState, action) {
     return changeFolderSelection(state, action);
   case LOAD_FILES_IN_FOLDER:
     return loadFilesInFolder(state, action);
+  case UPDATE_FILES_IN_FOLDER:
+    return updateFilesInFolder(state, action);
   case STORE_SCROLL_POSITION:
     return storeScrollPosition(state, action);
-  case STORE_FILE_LOAD_STATE:
-    return storeFileLoadState(state, action);
   case SET_STATS_GAME_PAGE:
     return setStatsGamePage(state, action);
   case SET_FILTER_REPLAYS:
     return setFilterReplays(state, action);
   case DELETE_FILE:
     return deleteFile(state, action);
+  case SET_FOLDER_EXPANDED:
+    return setFolderExpanded(state, action);
+  case SET_REPLAY_FILTERS:
+    return setReplayFilters(state, action);
+  case SET_TABLE_LAYOUT:
+    return setTableLayout(state, action);
+  case ANNOTATIONS_UPDATED:
+    return annotationsUpdated(state, action);
+  case SET_RENAME_PREVIEW:
+    return setRenamePreview(state, action);
+  case CLEAR_RENAME_PREVIEW:
+    return clearRenamePreview(state, action);
+  case SET_ORGANIZE_TEMPLATE:
+    return setOrganizeTemplate(state, action);
+  case SET_ORGANIZE_STATE:
+    return setOrganizeState(state, action);
+  case CLEAR_ORGANIZE_STATE:
+    return clearOrganizeState(state, action);
+  case SET_PENDING_DELETION:
+    return setPendingDeletion(state, action);
+  case CLEAR_PENDING_DELETION:
+    return clearPendingDeletion(state, action);
   default:
     return state;
   }
@@ -52,22 +122,27 @@ function loadRootFolder(state, action) {
     return state;
   }
 
-  const rootFolderName = action.payload.rootFolderName;
-  const rootFolderPath = action.payload.rootFolderPath;
+  // Every root is a top level folder, keyed by path since roots can share a name. The first root
+  // is the replay root directory unless it's missing, the others are only read once they get
+  // expanded
+  const rootFolders = action.payload.rootFolders;
   const folders = {};
-  folders[rootFolderName] = {
-    fullPath: rootFolderPath,
-    folderName: rootFolderName,
-    pathArr: [rootFolderName],
-    expanded: false,
-    subDirectories: [],
-  };
+  rootFolders.forEach((root, index) => {
+    folders[root.fullPath] = {
+      fullPath: root.fullPath,
+      folderName: root.name,
+      pathArr: [root.name],
+      expanded: index === 0,
+      replayCount: 0,
+      subDirectories: [],
+    };
+  });
 
   // Combine the state we got from selecting a folder
   return {
     ...state,
-    rootFolderPath: rootFolderPath,
-    rootFolderName: rootFolderName,
+    rootFolders: rootFolders,
+    rootFolderPath: action.payload.rootFolderPath,
     folderFound: true,
     folders: folders,
   };
@@ -79,22 +154,82 @@ function changeFolderSelection(state, action) {
   return {
     ...state,
     selectedFolderFullPath: folderPath,
+    isRecursive: !!action.payload.isRecursive,
     isLoading: true,
-    fileLoadState: {},
   };
 }
 
 function loadFilesInFolder(state, action) {
-  const rootFolderPath = state.rootFolderPath;
-  if (!state.selectedFolderFullPath.startsWith(rootFolderPath)) {
+  const folders = {...state.folders};
+  const found = findFolder(state, folders, state.selectedFolderFullPath);
+  if (!found) {
     return state;
   }
 
-  const rootFolderName = state.rootFolderName;
-  const pathArr = [rootFolderName];
+  const currentFolder = found.folder;
+  currentFolder.expanded = true;
+  currentFolder.replayCount = action.payload.replayCount;
+  currentFolder.subDirectories = mergeSubDirectories(
+    currentFolder, action.payload.folders, found.pathArr
+  );
+  return {
+    ...state,
+    isLoading: false,
+    scannedFiles: action.payload.scannedFiles,
+    ...getFilesState(action.payload),
+    folders: folders,
+    numPendingFiles: action.payload.numPendingFiles,
+  };
+}
+
+function updateFilesInFolder(state, action) {
+  return {
+    ...state,
+    scannedFiles: action.payload.scannedFiles,
+    ...getFilesState(action.payload),
+    numPendingFiles: action.payload.numPendingFiles,
+  };
+}
+
+function getFilesState(payload) {
+  return {
+    files: payload.files,
+    allFiles: payload.allFiles,
+    hiddenCounts: payload.hiddenCounts,
+    numErroredFiles: payload.numErroredFiles,
+    numFilteredFiles: payload.numFilteredFiles,
+    numSearchFilteredFiles: payload.numSearchFilteredFiles,
+  };
+}
+
+function setFolderExpanded(state, action) {
   const folders = {...state.folders};
-  let currentFolder = folders[rootFolderName];
-  let remainingPath = path.relative(rootFolderPath, state.selectedFolderFullPath);
+  const found = findFolder(state, folders, action.payload.folderPath);
+  if (!found) {
+    return state;
+  }
+
+  const folder = found.folder;
+  folder.expanded = action.payload.expanded;
+  if (action.payload.folders) {
+    folder.subDirectories = mergeSubDirectories(folder, action.payload.folders, found.pathArr);
+  }
+
+  return {
+    ...state,
+    folders: folders,
+  };
+}
+
+function findFolder(state, folders, folderPath) {
+  const root = findReplayRoot(state.rootFolders, folderPath);
+  if (!root) {
+    return null;
+  }
+
+  const pathArr = [root.name];
+  let currentFolder = folders[root.fullPath];
+  let remainingPath = path.relative(root.fullPath, folderPath);
   while(remainingPath.length > 0) {
     const paths = remainingPath.split(path.sep);
     const nextPath = paths[0];
@@ -102,63 +237,160 @@ function loadFilesInFolder(state, action) {
       subDirectory.folderName === nextPath
     ));
     if (!nextFolder) {
-      return state;
+      return null;
     }
     pathArr.push(nextPath);
     currentFolder = nextFolder;
     remainingPath = paths.slice(1).join(path.sep);
   }
 
-  currentFolder.subDirectories = action.payload.folders.map(folder => ({
-    ...folder,
-    pathArr: Array.from(pathArr),
-  }));
+  return {
+    folder: currentFolder,
+    pathArr: pathArr,
+  };
+}
+
+function mergeSubDirectories(folder, subDirectories, pathArr) {
+  // Keep whatever we already loaded for sub-directories we knew about so that re-reading a
+  // folder doesn't collapse the tree beneath it
+  const existingByPath = _.keyBy(folder.subDirectories, 'fullPath');
+  return subDirectories.map(subDirectory => {
+    const existing = existingByPath[subDirectory.fullPath] || {};
+    return {
+      ...subDirectory,
+      expanded: existing.expanded || false,
+      subDirectories: existing.subDirectories || [],
+      pathArr: Array.from(pathArr),
+    };
+  });
+}
+
+function storeScrollPosition(state, action) {
   return {
     ...state,
-    isLoading: false,
+    scrollPosition: action.payload.position,
+  };
+}
+
+function setStatsGamePage(state, action) {
+  return {
+    ...state,
+    statsGameIndex: action.payload.statsGameIndex,
+  };
+}
+
+function setFilterReplays(state, action) {
+  return {
+    ...state,
+    filterReplays: action.payload.filterReplays,
+  }
+}
+
+function setReplayFilters(state, action) {
+  return {
+    ...state,
+    replayFilters: action.payload.replayFilters,
+    ...getFilesState(action.payload),
+    statsGameIndex: 0,
+    scrollPosition: {
+      x: 0,
+      y: 0,
+    },
+  };
+}
+
+function setTableLayout(state, action) {
+  const tableLayout = action.payload.tableLayout;
+  electronSettings.set(tableLayoutPath, tableLayout);
+
+  return {
+    ...state,
+    tableLayout: tableLayout,
     files: action.payload.files,
     allFiles: action.payload.allFiles,
-    folders: folders,
-    numErroredFiles: action.payload.numErroredFiles,
-    numDurationFilteredFiles: action.payload.numDurationFilteredFiles,
-    numFilteredFiles: action.payload.numFilteredFiles,
-    fileLoadState: {},
   };
 }
 
-function storeScrollPosition(state, action) {
+function annotationsUpdated(state, action) {
   return {
     ...state,
-    scrollPosition: action.payload.position,
+    annotations: action.payload.annotations,
+    allTags: action.payload.allTags,
   };
 }
 
-function storeFileLoadState(state, action) {
+function setRenamePreview(state, action) {
+  const template = action.payload.template;
+  electronSettings.set(renameTemplatePath, template);
+
   return {
     ...state,
-    fileLoadState: action.payload.fileLoadState,
+    renameTemplate: template,
+    renamePreview: {
+      template: template,
+      renames: action.payload.renames,
+    },
   };
 }
 
-function setStatsGamePage(state, action) {
+function clearRenamePreview(state) {
   return {
     ...state,
-    statsGameIndex: action.payload.statsGameIndex,
+    renamePreview: null,
   };
 }
 
-function setFilterReplays(state, action) {
+function setOrganizeTemplate(state, action) {
+  const template = action.payload.template;
+  electronSettings.set(organizeTemplatePath, template);
+
   return {
     ...state,
-    filterReplays: action.payload.filterReplays,
-  }
+    organizeTemplate: template,
+  };
+}
+
+function setOrganizeState(state, action) {
+  return {
+    ...state,
+    organizeState: {
+      isLoading: false,
+      isApplying: false,
+      files: [],
+      existingPaths: [],
+      lastOperation: null,
+      ...state.organizeState,
+      ...action.payload,
+    },
+  };
+}
+
+function clearOrganizeState(state) {
+  return {
+    ...state,
+    organizeState: null,
+  };
+}
+
+function setPendingDeletion(state, action) {
+  return {
+    ...state,
+    pendingDeletion: action.payload.pendingDeletion,
+  };
+}
+
+function clearPendingDeletion(state) {
+  return {
+    ...state,
+    pendingDeletion: null,
+  };
 }
 
 function deleteFile(state, action) {
   return {
     ...state,
+    scannedFiles: action.payload.scannedFiles,
     allFiles: action.payload.allFiles,
     files: action.payload.files,
-    fileLoadState: action.payload.fileLoadState,
   }
 }
@@ -0,0 +1,51 @@
+import {
+  HIGHLIGHTS_SCAN_START, HIGHLIGHTS_SCAN_PROGRESS, HIGHLIGHTS_SCAN_COMPLETE, CLEAR_HIGHLIGHTS,
+} from '../actions/highlights';
+
+// Default state for this reducer
+const defaultState = {
+  isScanning: false,
+  hasScanned: false,
+  numToScan: 0,
+  numScanned: 0,
+  highlights: [],
+};
+
+export default function highlights(state = defaultState, action) {
+  switch (action.type) {
+  case HIGHLIGHTS_SCAN_START:
+    return scanStart(state, action);
+  case HIGHLIGHTS_SCAN_PROGRESS:
+    return scanProgress(state, action);
+  case HIGHLIGHTS_SCAN_COMPLETE:
+    return scanComplete(state, action);
+  case CLEAR_HIGHLIGHTS:
+    return defaultState;
+  default:
+    return state;
+  }
+}
+
+function scanStart(state, action) {
+  return {
+    ...defaultState,
+    isScanning: true,
+    numToScan: action.payload.numFiles,
+  };
+}
+
+function scanProgress(state, action) {
+  return {
+    ...state,
+    numScanned: action.payload.numScanned,
+  };
+}
+
+function scanComplete(state, action) {
+  return {
+    ...state,
+    isScanning: false,
+    hasScanned: true,
+    highlights: action.payload.highlights,
+  };
+}
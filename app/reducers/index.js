@@ -9,6 +9,12 @@ import auth from './auth';
 import errors from './error';
 import notifs from './notifs';
 import broadcast from './broadcast';
+import duplicates from './duplicates';
+import diagnostics from './diagnostics';
+import archives from './archives';
+import compression from './compression';
+import playlists from './playlists';
+import highlights from './highlights';
 
 export default function createRootReducer(history) {
   return combineReducers({
@@ -21,5 +27,11 @@ export default function createRootReducer(history) {
     errors: errors,
     notifs: notifs,
     broadcast: broadcast,
+    duplicates: duplicates,
+    diagnostics: diagnostics,
+    archives: archives,
+    compression: compression,
+    playlists: playlists,
+    highlights: highlights,
   });
 }
@@ -0,0 +1,44 @@
+import _ from 'lodash';
+import { PLAYLISTS_UPDATED, SELECT_PLAYLIST } from '../actions/playlists';
+import ReplayPlaylists from '../domain/ReplayPlaylists';
+
+// Default state for this reducer
+const defaultState = {
+  replayPlaylists: new ReplayPlaylists(),
+  playlists: [],
+  selectedPlaylistId: null,
+};
+
+export default function playlists(state = defaultState, action) {
+  switch (action.type) {
+  case PLAYLISTS_UPDATED:
+    return playlistsUpdated(state, action);
+  case SELECT_PLAYLIST:
+    return selectPlaylist(state, action);
+  default:
+    return state;
+  }
+}
+
+function playlistsUpdated(state, action) {
+  const updatedPlaylists = action.payload.playlists;
+
+  // Fall back to the first playlist when the selected one is deleted
+  let selectedPlaylistId = state.selectedPlaylistId;
+  if (!_.some(updatedPlaylists, { id: selectedPlaylistId })) {
+    selectedPlaylistId = _.get(updatedPlaylists, [0, 'id'], null);
+  }
+
+  return {
+    ...state,
+    playlists: updatedPlaylists,
+    selectedPlaylistId: selectedPlaylistId,
+  };
+}
+
+function selectPlaylist(state, action) {
+  return {
+    ...state,
+    selectedPlaylistId: action.payload.playlistId,
+  };
+}
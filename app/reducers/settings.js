@@ -4,9 +4,11 @@ import electronSettings from 'electron-settings';
 
 import { 
   SELECT_FOLDER, SELECT_FILE, ISO_VALIDATION_START, ISO_VALIDATION_COMPLETE, SET_RESET_CONFIRM, RESETTING_DOLPHIN,
+  UPDATE_SETTING,
 } from '../actions/settings';
 import DolphinManager from '../domain/DolphinManager';
-import { getDolphinPath } from '../utils/settings';
+import { getDolphinPath, defaultRecycleSettings, defaultClipSettings } from '../utils/settings';
+import { defaultVisibilityRules } from '../utils/replayVisibility';
 
 const { app } = require('electron').remote;
 
@@ -29,10 +31,30 @@ function getAvailableSettings() {
       location: 'settings.rootSlpPath',
       defaultValue: "",
     },
+    extraReplayRoots: {
+      location: 'settings.extraReplayRoots',
+      defaultValue: [],
+    },
     playbackDolphinPath: {
       location: 'settings.playbackDolphinPath',
       defaultValue: getDolphinPath(),
     },
+    replayVisibilityRules: {
+      location: 'settings.replayVisibilityRules',
+      defaultValue: defaultVisibilityRules,
+    },
+    myConnectCodes: {
+      location: 'settings.myConnectCodes',
+      defaultValue: "",
+    },
+    replayRecycling: {
+      location: 'settings.replayRecycling',
+      defaultValue: defaultRecycleSettings,
+    },
+    clipPlayback: {
+      location: 'settings.clipPlayback',
+      defaultValue: defaultClipSettings,
+    },
   };
 }
 
@@ -89,6 +111,8 @@ export default function settings(state = defaultState, action) {
     return setConfirmDialog(state, action);
   case RESETTING_DOLPHIN:
     return setResetLoader(state, action);
+  case UPDATE_SETTING:
+    return updateSetting(state, action);
   default:
     return state;
   }
@@ -109,6 +133,22 @@ function selectFileOrFolder(state, action) {
   return newState;
 }
 
+function updateSetting(state, action) {
+  const payload = action.payload || {};
+
+  const availableSettings = getAvailableSettings();
+  const location = _.get(availableSettings, [payload.field, 'location']);
+  electronSettings.set(location, payload.value);
+
+  return {
+    ...state,
+    settings: {
+      ...state.settings,
+      [payload.field]: payload.value,
+    },
+  };
+}
+
 function isoValidationStart(state) {
   return {
     ...state,
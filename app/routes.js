@@ -7,11 +7,17 @@ import GameProfilePage from './containers/GameProfilePage';
 import SettingsPage from './containers/SettingsPage';
 import ConsolePage from './containers/ConsolePage';
 import BroadcastPage from './containers/BroadcastPage';
+import DuplicatesPage from './containers/DuplicatesPage';
+import DiagnosticsPage from './containers/DiagnosticsPage';
+import PlaylistsPage from './containers/PlaylistsPage';
 
 export default () => (
   <App>
     <Switch>
       <Route path="/files" component={FileLoaderPage} />
+      <Route path="/duplicates" component={DuplicatesPage} />
+      <Route path="/diagnostics" component={DiagnosticsPage} />
+      <Route path="/playlists" component={PlaylistsPage} />
       <Route path="/settings" component={SettingsPage} />
       <Route path="/game" component={GameProfilePage} />
       <Route path="/broadcast" component={BroadcastPage} />
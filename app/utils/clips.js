@@ -0,0 +1,44 @@
+import _ from 'lodash';
+import { Frames } from '@slippi/slippi-js';
+
+const FRAMES_PER_SECOND = 60;
+
+/**
+ * A conversion from its first hit to its last. Conversions still going when the game ended have
+ * no end frame and play to the end of the game.
+ */
+export function getConversionClip(conversion) {
+  return {
+    startFrame: conversion.startFrame,
+    endFrame: _.isNumber(conversion.endFrame) ? conversion.endFrame : null,
+  };
+}
+
+// The conversion that took the stock when there is one, otherwise just the moment it was lost
+export function getStockLossClip(stock, conversions) {
+  if (!_.isNumber(stock.endFrame)) {
+    return null;
+  }
+
+  const killingConversion = _.find(conversions, conversion => (
+    conversion.didKill && conversion.endFrame === stock.endFrame &&
+    conversion.opponentIndex === stock.playerIndex
+  ));
+
+  return {
+    startFrame: killingConversion ? killingConversion.startFrame : stock.endFrame,
+    endFrame: stock.endFrame,
+  };
+}
+
+// Adds the lead-in and lead-out so that a clip shows what led up to the moment and how it ended
+export function padClip(clip, clipSettings) {
+  const startFrame = clip.startFrame - Math.round(clipSettings.leadInSeconds * FRAMES_PER_SECOND);
+  const endFrame = _.isNumber(clip.endFrame) ?
+    clip.endFrame + Math.round(clipSettings.leadOutSeconds * FRAMES_PER_SECOND) : null;
+
+  return {
+    startFrame: Math.max(startFrame, Frames.FIRST),
+    endFrame: endFrame,
+  };
+}
@@ -0,0 +1,77 @@
+import _ from 'lodash';
+import { getConversionClip } from './clips';
+import * as playerUtils from './players';
+
+export const HighlightSort = {
+  CHRONOLOGICAL: 'chronological',
+  DAMAGE: 'damage',
+};
+
+export const defaultHighlightCriteria = {
+  minDamage: 60,
+  minMoves: 0,
+  requireKill: false,
+  zeroToDeathOnly: false,
+  playerCode: "",
+};
+
+/**
+ * Picks the conversions of a game that make the highlight reel. Every criterion has to be met,
+ * the player code limits the highlights to conversions done by that player.
+ */
+export function findHighlights(file, game, criteria) {
+  const stats = game.getStats() || {};
+  const playerNames = playerUtils.getPlayerNamesByIndex(game);
+  const playerCodes = playerUtils.getPlayerCodesByIndex(game) || {};
+  const playerCode = normalizeCode(criteria.playerCode);
+
+  return (stats.conversions || []).filter(conversion => {
+    const damage = getDamage(conversion);
+    if (damage < criteria.minDamage || conversion.moves.length < criteria.minMoves) {
+      return false;
+    }
+
+    if ((criteria.requireKill || criteria.zeroToDeathOnly) && !conversion.didKill) {
+      return false;
+    }
+
+    // Starting on an opponent at zero and killing means the whole stock went to this conversion
+    if (criteria.zeroToDeathOnly && Math.trunc(conversion.startPercent) > 0) {
+      return false;
+    }
+
+    return !playerCode || normalizeCode(playerCodes[conversion.playerIndex]) === playerCode;
+  }).map(conversion => ({
+    key: `${file.fullPath}|${conversion.playerIndex}|${conversion.startFrame}`,
+    fullPath: file.fullPath,
+    fileName: file.fileName,
+    game: file.game,
+    startTime: file.startTime,
+    clip: getConversionClip(conversion),
+    playerName: playerNames[conversion.playerIndex],
+    damage: getDamage(conversion),
+    moveCount: conversion.moves.length,
+    didKill: conversion.didKill,
+  }));
+}
+
+export function sortHighlights(highlights, sortBy) {
+  if (sortBy === HighlightSort.DAMAGE) {
+    return _.orderBy(highlights, ['damage'], ['desc']);
+  }
+
+  // Games without a known start time go last
+  return _.sortBy(highlights, [
+    highlight => (highlight.startTime ? highlight.startTime.valueOf() : Infinity),
+    'fullPath',
+    highlight => highlight.clip.startFrame,
+  ]);
+}
+
+function getDamage(conversion) {
+  return conversion.currentPercent - conversion.startPercent;
+}
+
+function normalizeCode(code) {
+  return _.trim(code || "").toUpperCase();
+}
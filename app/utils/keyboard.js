@@ -0,0 +1,79 @@
+export const replayBrowserShortcuts = [
+  {
+    keys: ["↑", "↓"],
+    description: "Move between replays",
+  },
+  {
+    keys: ["Home", "End"],
+    description: "Jump to the first or last replay",
+  },
+  {
+    keys: ["Space"],
+    description: "Select or unselect the focused replay, or open and close the focused set",
+  },
+  {
+    keys: ["Enter"],
+    description: "Play the focused replay, or open and close the focused set",
+  },
+  {
+    keys: ["S"],
+    description: "Open the stats of the focused replay",
+  },
+  {
+    keys: ["P"],
+    description: "Show or hide the preview of the focused replay",
+  },
+  {
+    keys: ["Q"],
+    description: "Play all selected replays, or the focused set if none are selected",
+  },
+  {
+    keys: ["Delete"],
+    description: "Delete the selected replays, or the focused replay if none are selected",
+  },
+  {
+    keys: ["Esc"],
+    description: "Clear the selection",
+  },
+  {
+    keys: ["?"],
+    description: "Show these shortcuts",
+  },
+];
+
+export const gameProfileShortcuts = [
+  {
+    keys: ["←", "→"],
+    description: "Previous or next game",
+  },
+  {
+    keys: ["Enter"],
+    description: "Launch the replay",
+  },
+  {
+    keys: ["Esc"],
+    description: "Back to the replay browser",
+  },
+  {
+    keys: ["?"],
+    description: "Show these shortcuts",
+  },
+];
+
+/**
+ * Shortcuts are plain key presses, they are ignored while typing into a field and when a modifier
+ * is held so that they don't get in the way of text entry or the menu accelerators. Dropdowns
+ * handle the arrow keys and enter themselves, and focused buttons get pressed by space and enter.
+ */
+export function isShortcutEvent(event) {
+  if (event.ctrlKey || event.metaKey || event.altKey) {
+    return false;
+  }
+
+  const target = event.target || {};
+  const tagName = (target.tagName || "").toLowerCase();
+  const isInDropdown = !!(target.closest && target.closest('[role="listbox"]'));
+  const isButton = tagName === 'button' || !!(target.closest && target.closest('[role="button"]'));
+  return tagName !== 'input' && tagName !== 'textarea' && tagName !== 'select' &&
+    !target.isContentEditable && !isInDropdown && !isButton;
+}
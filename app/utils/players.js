@@ -55,3 +55,49 @@ export function getPlayerCode(game, playerIndex) {
   const playerCodes = getPlayerCodesByIndex(game);
   return playerCodes[playerIndex];
 }
+
+// Team ids index into this, they're the colors the game gives each team
+const teamColors = ['red', 'blue', 'green'];
+
+export function getTeamColorsByIndex(game) {
+  if (!game) {
+    return {};
+  }
+
+  const settings = game.getSettings() || {};
+  const players = settings.players || [];
+  return _.chain(players).keyBy('playerIndex').mapValues(player => (
+    settings.isTeams ? teamColors[player.teamId] || null : null
+  )).value();
+}
+
+// The teams of a teams game, otherwise every player is on their own
+export function getPlayerSides(game) {
+  if (!game) {
+    return [];
+  }
+
+  const settings = game.getSettings() || {};
+  const teamColorsByIndex = getTeamColorsByIndex(game);
+  return _.chain(settings.players)
+    .groupBy(player => (settings.isTeams ? player.teamId : player.port))
+    .map((players, key) => {
+      const color = teamColorsByIndex[_.first(players).playerIndex];
+      return {
+        key: `${settings.isTeams ? 'team' : 'port'}-${key}`,
+        color: color,
+        name: color ? `${_.capitalize(color)} Team` : null,
+        players: players,
+      };
+    })
+    .value();
+}
+
+export function getOpponentIndices(game, playerIndex) {
+  const sides = getPlayerSides(game);
+  return _.chain(sides)
+    .reject(side => _.some(side.players, { playerIndex: playerIndex }))
+    .flatMap('players')
+    .map('playerIndex')
+    .value();
+}
@@ -0,0 +1,88 @@
+import _ from 'lodash';
+
+/**
+ * A replay in a playlist, in the shape of an entry of Dolphin's replay queue. Entries for a clip
+ * carry the frames to play, the end frame is left out to play until the end of the game.
+ */
+export function getQueueEntry(fullPath, game, clip) {
+  const metadata = (game && game.getMetadata()) || {};
+  return {
+    path: fullPath,
+    gameStartAt: metadata.startAt || "",
+    gameStation: metadata.consoleNick || "",
+    ...getClipFields(clip),
+  };
+}
+
+export function getClipFields(clip) {
+  if (!clip) {
+    return {};
+  }
+
+  return _.omitBy({
+    startFrame: clip.startFrame,
+    endFrame: clip.endFrame,
+  }, frame => !_.isInteger(frame));
+}
+
+// Clips of the same replay are different entries
+export function getQueueEntryKey(entry) {
+  return [entry.path, entry.startFrame, entry.endFrame].join('|');
+}
+
+// The comm file Dolphin reads in queue mode, playlists get exported in the same shape
+export function buildQueueJson(entries) {
+  return {
+    mode: "queue",
+    replay: "",
+    isRealTimeMode: false,
+    queue: entries,
+  };
+}
+
+/**
+ * Reads the entries out of a queue file, either a whole comm file or just the queue itself.
+ * Entries without a path are dropped.
+ */
+export function parseQueueJson(json) {
+  const queue = _.isArray(json) ? json : _.get(json, 'queue');
+  if (!_.isArray(queue)) {
+    throw new Error("The file doesn't contain a replay queue");
+  }
+
+  return queue.filter(entry => entry && _.isString(entry.path) && entry.path).map(entry => ({
+    path: entry.path,
+    gameStartAt: _.isString(entry.gameStartAt) ? entry.gameStartAt : "",
+    gameStation: _.isString(entry.gameStation) ? entry.gameStation : "",
+    ...getClipFields(entry),
+  }));
+}
+
+// Replays and clips that are already in the playlist aren't added a second time
+export function addQueueEntries(entries, newEntries) {
+  const existingKeys = new Set(entries.map(getQueueEntryKey));
+  const addedEntries = _.uniqBy(newEntries, getQueueEntryKey).filter(entry => (
+    !existingKeys.has(getQueueEntryKey(entry))
+  ));
+  return entries.concat(addedEntries);
+}
+
+// Points the entries of a replay at where it was moved to, the same array comes back if there are none
+export function moveEntryPaths(entries, fromPath, toPath) {
+  if (!_.some(entries, { path: fromPath })) {
+    return entries;
+  }
+
+  return entries.map(entry => (entry.path === fromPath ? { ...entry, path: toPath } : entry));
+}
+
+export function moveQueueEntry(entries, fromIndex, toIndex) {
+  if (toIndex < 0 || toIndex >= entries.length) {
+    return entries;
+  }
+
+  const movedEntries = Array.from(entries);
+  const [entry] = movedEntries.splice(fromIndex, 1);
+  movedEntries.splice(toIndex, 0, entry);
+  return movedEntries;
+}
@@ -0,0 +1,198 @@
+import _ from 'lodash';
+import { characters as characterUtils, stages as stageUtils } from '@slippi/slippi-js';
+import * as playerUtils from './players';
+import { DEFAULT_SET_GAP_MINUTES } from './replaySets';
+
+// Columns in the order they are displayed in. Columns without a sort value can't be sorted on,
+// the rest sort ascending when first clicked unless they say otherwise. Columns that show the end
+// of the game say so, reading it takes going through the whole replay.
+export const replayColumns = [
+  {
+    key: 'details',
+    label: "Details",
+  },
+  {
+    key: 'players',
+    label: "Players",
+    getSortValue: file => getPlayerNames(file).join(", ").toLowerCase(),
+  },
+  {
+    key: 'characters',
+    label: "Characters",
+    getSortValue: file => getCharacterNames(file).join(", "),
+  },
+  {
+    key: 'stage',
+    label: "Stage",
+    getSortValue: file => getStageName(file),
+  },
+  {
+    key: 'consoleNick',
+    label: "Console",
+    getSortValue: file => _.toLower(getMetadata(file).consoleNick),
+  },
+  {
+    key: 'platform',
+    label: "Platform",
+    getSortValue: file => getMetadata(file).playedOn || "",
+  },
+  {
+    key: 'stocks',
+    label: "Stocks",
+    defaultSortDirection: 'desc',
+    needsEndState: true,
+    getSortValue: file => _.max(_.values(getEndState(file).stocks)) || 0,
+  },
+  {
+    key: 'winner',
+    label: "Winner",
+    needsEndState: true,
+    getSortValue: file => getWinnerNames(file).join(", ").toLowerCase(),
+  },
+  {
+    key: 'duration',
+    label: "Duration",
+    defaultSortDirection: 'desc',
+    getSortValue: file => file.lastFrame || 0,
+  },
+  {
+    key: 'fileSize',
+    label: "Size",
+    defaultSortDirection: 'desc',
+    getSortValue: file => file.fileSize || 0,
+  },
+  {
+    key: 'fileName',
+    label: "File",
+    getSortValue: file => file.fileName,
+  },
+  {
+    key: 'startTime',
+    label: "Time",
+    defaultSortDirection: 'desc',
+    getSortValue: file => (file.startTime ? file.startTime.valueOf() : 0),
+  },
+];
+
+export const defaultTableLayout = {
+  columns: ['details', 'startTime'],
+  sortColumn: 'startTime',
+  sortDirection: 'desc',
+  groupSets: false,
+  setGapMinutes: DEFAULT_SET_GAP_MINUTES,
+};
+
+export function getVisibleColumns(tableLayout) {
+  const columns = _.get(tableLayout, 'columns') || defaultTableLayout.columns;
+  return replayColumns.filter(column => _.includes(columns, column.key));
+}
+
+// Sets are scored by the winner of each game so grouping them needs the end states as well
+export function tableNeedsEndStates(tableLayout) {
+  const layout = {
+    ...defaultTableLayout,
+    ...tableLayout,
+  };
+
+  const endStateColumns = _.map(_.filter(replayColumns, 'needsEndState'), 'key');
+  return layout.groupSets || _.includes(endStateColumns, layout.sortColumn) ||
+    _.some(getVisibleColumns(layout), 'needsEndState');
+}
+
+export function toggleSortColumn(tableLayout, column) {
+  if (tableLayout.sortColumn === column.key) {
+    return {
+      ...tableLayout,
+      sortDirection: tableLayout.sortDirection === 'asc' ? 'desc' : 'asc',
+    };
+  }
+
+  return {
+    ...tableLayout,
+    sortColumn: column.key,
+    sortDirection: column.defaultSortDirection || 'asc',
+  };
+}
+
+export function toggleColumnVisibility(tableLayout, column) {
+  const columns = tableLayout.columns || [];
+  return {
+    ...tableLayout,
+    columns: _.includes(columns, column.key) ?
+      _.without(columns, column.key) : columns.concat(column.key),
+  };
+}
+
+export function sortReplayFiles(files, tableLayout) {
+  const layout = {
+    ...defaultTableLayout,
+    ...tableLayout,
+  };
+
+  const column = _.find(replayColumns, { key: layout.sortColumn });
+  const getSortValue = (column && column.getSortValue) || (file => file.startTime);
+
+  // File name is used as a tie breaker so that the order is stable between refreshes
+  return _.orderBy(
+    files,
+    [getSortValue, 'fileName'],
+    [layout.sortDirection, layout.sortDirection]
+  );
+}
+
+export function getPlayerNames(file) {
+  return _.values(playerUtils.getPlayerNamesByIndex(file.game));
+}
+
+export function getCharacterNames(file) {
+  const settings = file.game.getSettings() || {};
+  return _.map(settings.players, player => getCharacterName(player.characterId));
+}
+
+export function getStageName(file) {
+  const settings = file.game.getSettings() || {};
+  try {
+    return stageUtils.getStageName(settings.stageId);
+  } catch (err) {
+    return "Unknown";
+  }
+}
+
+export function getWinnerNames(file) {
+  const playerNames = playerUtils.getPlayerNamesByIndex(file.game);
+  return _.map(getEndState(file).winnerIndices, playerIndex => playerNames[playerIndex]);
+}
+
+export function getStocksRemaining(file) {
+  // Ordered by port so that the stocks line up with the players in the details column
+  const settings = file.game.getSettings() || {};
+  const stocks = getEndState(file).stocks || {};
+  return _.chain(settings.players)
+    .sortBy('port')
+    .map(player => stocks[player.playerIndex])
+    .value();
+}
+
+export function formatFileSize(bytes) {
+  if (!_.isNumber(bytes)) {
+    return "";
+  }
+
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function getCharacterName(characterId) {
+  try {
+    return characterUtils.getCharacterName(characterId);
+  } catch (err) {
+    return "Unknown";
+  }
+}
+
+function getMetadata(file) {
+  return file.game.getMetadata() || {};
+}
+
+function getEndState(file) {
+  return file.game.getEndState() || {};
+}
@@ -0,0 +1,167 @@
+import os from 'os';
+import fs from 'fs-extra';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import log from 'electron-log';
+
+export const REPLAY_EXTENSION = ".slp";
+export const COMPRESSED_REPLAY_EXTENSION = ".slp.gz";
+
+const PLAYBACK_FOLDER_NAME = "slippi-playback";
+
+export function isReplayFileName(fileName) {
+  const lowerCaseName = fileName.toLowerCase();
+  return lowerCaseName.endsWith(REPLAY_EXTENSION) || isCompressedReplay(lowerCaseName);
+}
+
+export function isCompressedReplay(fileName) {
+  return fileName.toLowerCase().endsWith(COMPRESSED_REPLAY_EXTENSION);
+}
+
+// Either of the replay extensions, for keeping a file stored the way it was when renaming it
+export function getReplayExtension(fileName) {
+  return isCompressedReplay(fileName) ? COMPRESSED_REPLAY_EXTENSION : path.extname(fileName);
+}
+
+export function getReplayBaseName(fileName) {
+  const baseName = path.basename(fileName);
+  return baseName.slice(0, baseName.length - getReplayExtension(baseName).length);
+}
+
+// Goes by when the game was played, files without a known start time are never considered old
+export function isOldReplay(file, olderThanDays) {
+  if (!file.startTime) {
+    return false;
+  }
+
+  const cutoff = Date.now() - (olderThanDays * 24 * 60 * 60 * 1000);
+  return file.startTime.valueOf() < cutoff;
+}
+
+// The size of the replay itself, gzip keeps the size of what it compressed in its last four bytes
+export async function getReplaySize(fullPath, fileSize) {
+  if (!isCompressedReplay(fullPath)) {
+    return fileSize;
+  }
+
+  const fd = await fs.open(fullPath, 'r');
+  try {
+    const buffer = Buffer.alloc(4);
+    await fs.read(fd, buffer, 0, buffer.length, fileSize - buffer.length);
+    return buffer.readUInt32LE(0);
+  } finally {
+    await fs.close(fd);
+  }
+}
+
+// Reads the contents of the replay, so a compressed replay reads the same as the original
+export function createReplayReadStream(fullPath) {
+  const readStream = fs.createReadStream(fullPath);
+  if (!isCompressedReplay(fullPath)) {
+    return readStream;
+  }
+
+  const gunzip = zlib.createGunzip();
+  readStream.on('error', err => gunzip.emit('error', err));
+  return readStream.pipe(gunzip);
+}
+
+/**
+ * Gzips a replay next to the original and removes the original once the compressed copy has been
+ * checked. The modification time is carried over since it's part of how the index tells whether a
+ * file has changed and how in progress recordings are detected.
+ */
+export async function compressReplay(fullPath) {
+  const compressedPath = `${fullPath}.gz`;
+  const fileStats = await fs.stat(fullPath);
+
+  try {
+    const gzip = zlib.createGzip({ level: zlib.constants.Z_BEST_COMPRESSION });
+    await pipeFile(fullPath, compressedPath, gzip, 'wx');
+    const decompressedSize = await getDecompressedSize(compressedPath);
+    if (decompressedSize !== fileStats.size) {
+      throw new Error(`Compressed copy of ${fullPath} doesn't match the original`);
+    }
+
+    await fs.utimes(compressedPath, fileStats.atime, fileStats.mtime);
+  } catch (err) {
+    await fs.remove(compressedPath).catch(() => null);
+    throw err;
+  }
+
+  await fs.remove(fullPath);
+  return {
+    compressedPath: compressedPath,
+    originalSize: fileStats.size,
+    compressedSize: (await fs.stat(compressedPath)).size,
+  };
+}
+
+/**
+ * Dolphin can only play uncompressed replays so compressed ones get extracted to a temporary
+ * folder first. Uncompressed replays are played from where they are.
+ */
+export async function getPlayableReplayPath(fullPath) {
+  if (!isCompressedReplay(fullPath)) {
+    return fullPath;
+  }
+
+  const playbackFolderPath = path.join(os.tmpdir(), PLAYBACK_FOLDER_NAME);
+  const playablePath = path.join(playbackFolderPath, getExtractedReplayName(fullPath));
+  await fs.ensureDir(playbackFolderPath);
+  await decompressReplay(fullPath, playablePath);
+  return playablePath;
+}
+
+// Replays in different folders can have the same name, the path hash keeps them from clashing
+// when a whole queue gets extracted at once
+export function getExtractedReplayName(fullPath) {
+  const pathHash = crypto.createHash('sha1').update(fullPath).digest('hex').slice(0, 8);
+  return `${getReplayBaseName(fullPath)}_${pathHash}${REPLAY_EXTENSION}`;
+}
+
+export function decompressReplay(compressedPath, outputPath) {
+  return pipeFile(compressedPath, outputPath, zlib.createGunzip(), 'w');
+}
+
+/**
+ * Extracted replays are only needed until Dolphin has loaded them, they get cleared out when the
+ * app starts. Dolphin can still have one open from the last session, in which case it's left
+ * for next time.
+ */
+export async function clearPlayableReplays() {
+  try {
+    await fs.emptyDir(path.join(os.tmpdir(), PLAYBACK_FOLDER_NAME));
+  } catch (err) {
+    log.warn("Failed to clear extracted replays", err);
+  }
+}
+
+function pipeFile(fromPath, toPath, transform, flags) {
+  return new Promise((resolve, reject) => {
+    const readStream = fs.createReadStream(fromPath);
+    const writeStream = fs.createWriteStream(toPath, { flags: flags });
+    readStream.on('error', reject);
+    transform.on('error', reject);
+    writeStream.on('error', reject);
+    writeStream.on('close', resolve);
+    readStream.pipe(transform).pipe(writeStream);
+  });
+}
+
+function getDecompressedSize(compressedPath) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const gunzip = zlib.createGunzip();
+    gunzip.on('data', chunk => {
+      size += chunk.length;
+    });
+    gunzip.on('end', () => resolve(size));
+    gunzip.on('error', reject);
+
+    const readStream = fs.createReadStream(compressedPath);
+    readStream.on('error', reject);
+    readStream.pipe(gunzip);
+  });
+}
@@ -0,0 +1,46 @@
+import _ from 'lodash';
+import path from 'path';
+import { getReplayBaseName, REPLAY_EXTENSION } from './replayCompression';
+
+const problemDescriptions = {
+  unreadable: "File could not be read",
+  missingRawHeader: "Missing raw header, this isn't a Slippi replay or the start of the file is damaged",
+  unfinishedRecording: "Recording never finished, the length of the game data was never written",
+  truncatedPayload: "Game data is truncated",
+  missingMessageSizes: "Missing event size table at the start of the game data",
+  corruptEvent: "Game data is corrupt",
+  missingGameStart: "Missing Game Start event",
+  missingGameEnd: "Missing Game End event",
+  missingMetadata: "Missing metadata",
+  invalidMetadata: "Metadata could not be read",
+};
+
+export function describeProblem(problem) {
+  const description = problemDescriptions[problem.code] || problem.code;
+  return problem.detail ? `${description} (${problem.detail})` : description;
+}
+
+/**
+ * Replays worth running through the diagnostics. Besides the ones that couldn't be read at all this
+ * picks up recordings that never got finished, which still load but are missing their metadata or
+ * Game End event. The end state is only checked when it has been computed for the file.
+ */
+export function needsDiagnosis(file) {
+  if (file.hasError) {
+    return true;
+  }
+
+  const game = file.game;
+  if (_.isEmpty(game.getMetadata())) {
+    return true;
+  }
+
+  const endState = game.getEndState();
+  return !!endState && _.isNil(endState.gameEndMethod);
+}
+
+// Repaired copies are always written uncompressed
+export function getRepairedFilePath(fullPath) {
+  const repairedFileName = `${getReplayBaseName(fullPath)}_repaired${REPLAY_EXTENSION}`;
+  return path.join(path.dirname(fullPath), repairedFileName);
+}
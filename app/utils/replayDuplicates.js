@@ -0,0 +1,151 @@
+import _ from 'lodash';
+import moment from 'moment';
+
+// The file name of a copy that never got its metadata comes from a slightly different clock
+// reading than the startAt of the complete copy, allow a bit of slack when matching them
+const SAME_GAME_MAX_SECONDS_APART = 3;
+
+/**
+ * Groups replays that are copies of the same game. Files with identical content (by hash) are
+ * always grouped, and files that started at the same time with the same players and stage are
+ * grouped as the same game even if one of them got cut short. A cut short copy can't have run
+ * longer than the copy that's kept, and copies that both have metadata need the same connect
+ * codes and names. Files in each group are ordered by completeness so the first one is the one
+ * worth keeping.
+ */
+export function findDuplicateGroups(files, hashesByPath) {
+  const parents = {};
+  const find = fullPath => {
+    let root = fullPath;
+    while (parents[root] && parents[root] !== root) {
+      root = parents[root];
+    }
+    parents[fullPath] = root;
+    return root;
+  };
+  const union = (a, b) => {
+    parents[find(a)] = find(b);
+  };
+
+  const addGroup = groupFiles => {
+    _.each(_.tail(groupFiles), file => union(file.fullPath, groupFiles[0].fullPath));
+  };
+
+  const filesWithHash = files.filter(file => hashesByPath[file.fullPath]);
+  _.each(_.groupBy(filesWithHash, file => hashesByPath[file.fullPath]), addGroup);
+  _.each(getSameGameClusters(files), addGroup);
+
+  const filesByRoot = _.groupBy(files.filter(file => parents[file.fullPath]), file => (
+    find(file.fullPath)
+  ));
+
+  const groups = _.values(filesByRoot).filter(groupFiles => groupFiles.length > 1).map(groupFiles => {
+    const sortedFiles = sortByCompleteness(groupFiles);
+    const hashes = _.uniq(sortedFiles.map(file => hashesByPath[file.fullPath]));
+    return {
+      key: sortedFiles[0].fullPath,
+      isExact: hashes.length === 1 && !!hashes[0],
+      files: sortedFiles,
+    };
+  });
+
+  return _.orderBy(groups, group => getTimestamp(group.files[0]) || 0, 'desc');
+}
+
+export function isTruncated(file) {
+  // Metadata gets written once the game ends, copies taken while it was still going don't have it
+  return file.hasError || _.isEmpty(file.game.getMetadata());
+}
+
+function sortByCompleteness(files) {
+  return _.orderBy(files, [
+    file => !isTruncated(file),
+    file => file.lastFrame || 0,
+    file => file.fileSize || 0,
+    file => file.fullPath,
+  ], ['desc', 'desc', 'desc', 'asc']);
+}
+
+function getSameGameClusters(files) {
+  const filesByGame = _.groupBy(files.filter(file => getGameKey(file)), getGameKey);
+
+  return _.flatMap(_.values(filesByGame), gameFiles => {
+    const sortedFiles = _.sortBy(gameFiles, getTimestamp);
+    const clusters = [];
+    let cluster = [];
+    _.each(sortedFiles, file => {
+      const previous = _.last(cluster);
+      if (previous && getTimestamp(file) - getTimestamp(previous) > SAME_GAME_MAX_SECONDS_APART) {
+        clusters.push(cluster);
+        cluster = [];
+      }
+      cluster.push(file);
+    });
+    clusters.push(cluster);
+
+    return _.flatMap(clusters, splitSameGames).filter(gameCluster => gameCluster.length > 1);
+  });
+}
+
+// Games that started together on different setups look alike, the most complete file keeps the
+// copies that could have come from it and the rest get another go among themselves
+function splitSameGames(cluster) {
+  const games = [];
+  let remainingFiles = sortByCompleteness(cluster);
+  while (remainingFiles.length > 0) {
+    const [keptFile, ...otherFiles] = remainingFiles;
+    const [copies, others] = _.partition(otherFiles, file => isCopyOf(file, keptFile));
+    games.push([keptFile, ...copies]);
+    remainingFiles = others;
+  }
+
+  return games;
+}
+
+function isCopyOf(file, keptFile) {
+  if ((file.lastFrame || 0) > (keptFile.lastFrame || 0)) {
+    return false;
+  }
+
+  const players = getMetadataPlayers(file);
+  const keptPlayers = getMetadataPlayers(keptFile);
+  return !players || !keptPlayers || players === keptPlayers;
+}
+
+// Connect codes and netplay names, only there once the game has ended
+function getMetadataPlayers(file) {
+  const metadataPlayers = _.get(file.game.getMetadata(), 'players');
+  if (_.isEmpty(metadataPlayers)) {
+    return null;
+  }
+
+  const settings = file.game.getSettings();
+  return _.sortBy(settings.players, 'port').map(player => {
+    const names = _.get(metadataPlayers, [player.playerIndex, 'names']) || {};
+    return `${player.port}:${names.code || ""}:${names.netplay || ""}`;
+  }).join(",");
+}
+
+function getGameKey(file) {
+  if (file.hasError) {
+    // There are no settings to match on, these can still be grouped by hash
+    return null;
+  }
+
+  const settings = file.game.getSettings();
+  if (!settings || _.isEmpty(settings.players) || !getTimestamp(file)) {
+    return null;
+  }
+
+  // Connect codes are matched separately since they are part of the metadata a truncated copy
+  // won't have, in-game tags are in the settings of every copy
+  const players = _.sortBy(settings.players, 'port').map(player => (
+    `${player.port}:${player.characterId}:${player.characterColor}:${player.nametag || ""}`
+  ));
+
+  return `${settings.stageId}|${players.join(",")}`;
+}
+
+function getTimestamp(file) {
+  return moment.isMoment(file.startTime) ? file.startTime.unix() : null;
+}
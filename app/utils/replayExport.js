@@ -0,0 +1,115 @@
+import _ from 'lodash';
+import { characters as characterUtils } from '@slippi/slippi-js';
+import * as timeUtils from './time';
+import * as playerUtils from './players';
+import { getStageName } from './replayColumns';
+import { getReplayBaseName, REPLAY_EXTENSION } from './replayCompression';
+
+export const MANIFEST_FILE_NAME = "manifest.json";
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Names the files inside of the archive. Replays from different folders can share a name so
+ * repeats get a number added. Compressed replays go into the archive uncompressed.
+ */
+export function getArchiveFileNames(files) {
+  const usedNames = new Set();
+  return files.map(file => {
+    const baseName = getReplayBaseName(file.fileName);
+
+    let archiveName = `${baseName}${REPLAY_EXTENSION}`;
+    for (let i = 2; usedNames.has(archiveName.toLowerCase()); i += 1) {
+      archiveName = `${baseName}_${i}${REPLAY_EXTENSION}`;
+    }
+
+    usedNames.add(archiveName.toLowerCase());
+    return archiveName;
+  });
+}
+
+/**
+ * Gives every person across the exported games an alias, so that the same person ends up with
+ * the same alias in every game. People are told apart by their code first, then their name.
+ * Returns the aliases of each file by player index.
+ */
+export function getPlayerAliases(files) {
+  const aliasesByIdentity = {};
+  const getAlias = identity => {
+    if (!aliasesByIdentity[identity]) {
+      const aliasNumber = _.size(aliasesByIdentity) + 1;
+      aliasesByIdentity[identity] = {
+        name: `Anonymous ${aliasNumber}`,
+        code: `ANON#${aliasNumber}`,
+      };
+    }
+
+    return aliasesByIdentity[identity];
+  };
+
+  return files.map(file => {
+    const settings = file.game.getSettings() || {};
+    const metadata = file.game.getMetadata() || {};
+    return _.chain(settings.players).keyBy('playerIndex').mapValues(player => {
+      const names = _.get(metadata, ['players', player.playerIndex, 'names']) || {};
+      const identity = names.code || names.netplay || player.nametag;
+      return identity ? getAlias(identity) : null;
+    }).omitBy(_.isNil).value();
+  });
+}
+
+export function buildReplayManifest(files, archiveNames, playerAliases) {
+  return {
+    version: MANIFEST_VERSION,
+    exportedAt: new Date().toISOString(),
+    isAnonymized: !!playerAliases,
+    games: files.map((file, index) => (
+      getManifestGame(file, archiveNames[index], playerAliases ? playerAliases[index] : null)
+    )),
+  };
+}
+
+function getManifestGame(file, archiveName, aliases) {
+  const settings = file.game.getSettings() || {};
+  const endState = file.game.getEndState() || {};
+  const playerNames = playerUtils.getPlayerNamesByIndex(file.game);
+  const playerCodes = playerUtils.getPlayerCodesByIndex(file.game) || {};
+
+  const players = _.chain(settings.players).sortBy('port').map(player => {
+    let name = playerNames[player.playerIndex];
+    let code = playerCodes[player.playerIndex] || null;
+    if (aliases) {
+      // Players without an alias didn't have a name to begin with and only go by their port
+      const alias = aliases[player.playerIndex];
+      name = alias ? alias.name : name;
+      code = alias ? alias.code : null;
+    }
+
+    return {
+      port: player.port,
+      name: name,
+      code: code,
+      character: getCharacterName(player.characterId),
+      isCpu: player.type === 1,
+      isWinner: _.includes(endState.winnerIndices, player.playerIndex),
+    };
+  }).value();
+
+  const winners = players.filter(player => player.isWinner);
+  return {
+    fileName: archiveName,
+    startTime: file.startTime ? file.startTime.toISOString() : null,
+    durationSeconds: _.isNumber(file.lastFrame) ? Math.round(file.lastFrame / 60) : null,
+    duration: _.isNumber(file.lastFrame) ? timeUtils.convertFrameCountToDurationString(file.lastFrame) : null,
+    stage: getStageName(file),
+    players: players,
+    winner: winners.length > 0 ? winners.map(player => player.name).join(", ") : null,
+  };
+}
+
+function getCharacterName(characterId) {
+  try {
+    return characterUtils.getCharacterName(characterId);
+  } catch (err) {
+    return "Unknown";
+  }
+}
@@ -0,0 +1,131 @@
+import _ from 'lodash';
+import path from 'path';
+import { characters as characterUtils, stages as stageUtils } from '@slippi/slippi-js';
+import * as playerUtils from './players';
+import { getWinnerNames } from './replayColumns';
+import { getReplayExtension, getReplayBaseName } from './replayCompression';
+
+export const DEFAULT_RENAME_TEMPLATE = "{date}_{time}_{p1Char}_vs_{p2Char}_{stage}";
+
+export const renameTokens = {
+  date: "Date the game started on (YYYY-MM-DD)",
+  time: "Time the game started at (HHmmss)",
+  p1Char: "Character of the first player by port",
+  p2Char: "Character of the second player by port",
+  p1Code: "Connect code of the first player, or their name",
+  p2Code: "Connect code of the second player, or their name",
+  stage: "Stage name",
+  console: "Console nickname",
+  winner: "Name of the winner",
+  original: "Current file name",
+};
+
+// Characters that aren't allowed in file names on at least one platform
+const INVALID_CHARACTERS_REGEX = /[<>:"/\\|?*\x00-\x1F]/g; // eslint-disable-line no-control-regex
+
+export const RenameStatus = {
+  OK: 'ok',
+  UNCHANGED: 'unchanged',
+  INVALID: 'invalid',
+  DUPLICATE: 'duplicate',
+  EXISTS: 'exists',
+};
+
+export function renderFileNameTemplate(file, template) {
+  return sanitizeFileName(renderTemplate(template, getTokenValues(file)));
+}
+
+export function renderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, token) => (
+    _.has(values, token) ? values[token] : match
+  ));
+}
+
+export function sanitizeFileName(name) {
+  // Windows doesn't allow names that end in a dot or a space
+  return name.replace(INVALID_CHARACTERS_REGEX, "_").trim().replace(/[. ]+$/, "");
+}
+
+/**
+ * Works out the new path for every file and flags the renames that can't be applied. Paths are
+ * compared case insensitively since that's how Windows and macOS treat them by default.
+ */
+export function planRenames(files, template, existingPaths) {
+  const renames = files.map(file => {
+    const baseName = renderFileNameTemplate(file, template);
+    const newFileName = `${baseName}${getReplayExtension(file.fileName)}`;
+    return {
+      file: file,
+      oldPath: file.fullPath,
+      newPath: path.join(path.dirname(file.fullPath), newFileName),
+      newFileName: newFileName,
+      status: baseName ? RenameStatus.OK : RenameStatus.INVALID,
+    };
+  });
+
+  const targetCounts = _.countBy(renames, rename => rename.newPath.toLowerCase());
+  const existing = new Set(_.map(existingPaths, existingPath => existingPath.toLowerCase()));
+
+  return renames.map(rename => {
+    if (rename.status !== RenameStatus.OK) {
+      return rename;
+    }
+
+    const target = rename.newPath.toLowerCase();
+    let status = RenameStatus.OK;
+    if (rename.newPath === rename.oldPath) {
+      status = RenameStatus.UNCHANGED;
+    } else if (targetCounts[target] > 1) {
+      status = RenameStatus.DUPLICATE;
+    } else if (existing.has(target) && target !== rename.oldPath.toLowerCase()) {
+      status = RenameStatus.EXISTS;
+    }
+
+    return {
+      ...rename,
+      status: status,
+    };
+  });
+}
+
+function getTokenValues(file) {
+  const game = file.game;
+  const settings = game.getSettings() || {};
+  const metadata = game.getMetadata() || {};
+  const names = playerUtils.getPlayerNamesByIndex(game);
+  const codes = playerUtils.getPlayerCodesByIndex(game) || {};
+  const [p1, p2] = _.sortBy(settings.players, 'port');
+
+  const getCharacter = player => {
+    try {
+      return player ? characterUtils.getCharacterShortName(player.characterId) : "";
+    } catch (err) {
+      return "Unknown";
+    }
+  };
+
+  const getCode = player => (
+    player ? codes[player.playerIndex] || names[player.playerIndex] : ""
+  );
+
+  let stage = "Unknown";
+  try {
+    stage = stageUtils.getStageName(settings.stageId);
+  } catch (err) {
+    // Leave it as unknown
+  }
+
+  const startTime = file.startTime;
+  return {
+    date: startTime ? startTime.format('YYYY-MM-DD') : "",
+    time: startTime ? startTime.format('HHmmss') : "",
+    p1Char: getCharacter(p1),
+    p2Char: getCharacter(p2),
+    p1Code: getCode(p1),
+    p2Code: getCode(p2),
+    stage: stage,
+    console: metadata.consoleNick || "",
+    winner: getWinnerNames(file).join("+"),
+    original: getReplayBaseName(file.fileName),
+  };
+}
@@ -0,0 +1,142 @@
+import _ from 'lodash';
+import moment from 'moment';
+import * as playerUtils from './players';
+
+export const defaultReplayFilters = {
+  playerCharacterIds: [],
+  opponentCharacterIds: [],
+  stageIds: [],
+  playerText: "",
+  consoleNick: "",
+  platform: "",
+  startDate: "",
+  endDate: "",
+  minDurationSeconds: "",
+  maxDurationSeconds: "",
+  tags: [],
+  favoritesOnly: false,
+  notesText: "",
+};
+
+export function hasActiveReplayFilters(filters) {
+  return _.some(_.keys(defaultReplayFilters), key => (
+    !_.isEqual(_.get(filters, key, defaultReplayFilters[key]), defaultReplayFilters[key])
+  ));
+}
+
+export function matchesReplayFilters(file, filters, annotation) {
+  if (!hasActiveReplayFilters(filters)) {
+    return true;
+  }
+
+  const game = file.game;
+  const settings = game.getSettings() || {};
+  const metadata = game.getMetadata() || {};
+
+  return matchesCharacters(settings.players || [], filters) &&
+    matchesStage(settings, filters) &&
+    matchesPlayerText(game, filters) &&
+    matchesText(metadata.consoleNick, filters.consoleNick) &&
+    matchesPlatform(metadata, filters) &&
+    matchesDateRange(file.startTime, filters) &&
+    matchesDurationRange(metadata.lastFrame, filters) &&
+    matchesAnnotation(annotation || {}, filters);
+}
+
+function matchesCharacters(players, filters) {
+  const playerCharacterIds = filters.playerCharacterIds || [];
+  const opponentCharacterIds = filters.opponentCharacterIds || [];
+  const isMatch = (player, characterIds) => (
+    _.isEmpty(characterIds) || _.includes(characterIds, player.characterId)
+  );
+
+  // Each side has to be matched by a different player, that way Fox vs Fox only matches games
+  // where both players were actually Fox
+  return _.some(players, player => (
+    isMatch(player, playerCharacterIds) && _.some(players, opponent => (
+      opponent !== player && isMatch(opponent, opponentCharacterIds)
+    ))
+  ));
+}
+
+function matchesStage(settings, filters) {
+  return _.isEmpty(filters.stageIds) || _.includes(filters.stageIds, settings.stageId);
+}
+
+function matchesPlayerText(game, filters) {
+  if (!filters.playerText) {
+    return true;
+  }
+
+  const names = _.values(playerUtils.getPlayerNamesByIndex(game));
+  const codes = _.values(playerUtils.getPlayerCodesByIndex(game));
+  return _.some(names.concat(codes), value => matchesText(value, filters.playerText));
+}
+
+function matchesText(value, search) {
+  if (!search) {
+    return true;
+  }
+
+  return _.includes(_.toLower(value), _.toLower(_.trim(search)));
+}
+
+function matchesPlatform(metadata, filters) {
+  return !filters.platform || metadata.playedOn === filters.platform;
+}
+
+function matchesDateRange(startTime, filters) {
+  if (!filters.startDate && !filters.endDate) {
+    return true;
+  }
+
+  if (!moment.isMoment(startTime)) {
+    return false;
+  }
+
+  if (filters.startDate && startTime.isBefore(moment(filters.startDate).startOf('day'))) {
+    return false;
+  }
+
+  if (filters.endDate && startTime.isAfter(moment(filters.endDate).endOf('day'))) {
+    return false;
+  }
+
+  return true;
+}
+
+function matchesAnnotation(annotation, filters) {
+  if (filters.favoritesOnly && !annotation.favorite) {
+    return false;
+  }
+
+  // Every selected tag has to be on the replay
+  if (!_.isEmpty(filters.tags) && _.difference(filters.tags, annotation.tags).length > 0) {
+    return false;
+  }
+
+  return matchesText(annotation.notes, filters.notesText);
+}
+
+function matchesDurationRange(lastFrame, filters) {
+  const hasMin = filters.minDurationSeconds !== "" && !_.isNil(filters.minDurationSeconds);
+  const hasMax = filters.maxDurationSeconds !== "" && !_.isNil(filters.maxDurationSeconds);
+  if (!hasMin && !hasMax) {
+    return true;
+  }
+
+  if (_.isNil(lastFrame)) {
+    return false;
+  }
+
+  const durationSeconds = lastFrame / 60;
+  if (hasMin && durationSeconds < Number(filters.minDurationSeconds)) {
+    return false;
+  }
+
+  if (hasMax && durationSeconds > Number(filters.maxDurationSeconds)) {
+    return false;
+  }
+
+  return true;
+}
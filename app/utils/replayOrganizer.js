@@ -0,0 +1,151 @@
+import _ from 'lodash';
+import path from 'path';
+import { characters as characterUtils, stages as stageUtils } from '@slippi/slippi-js';
+import * as playerUtils from './players';
+import { renderTemplate, sanitizeFileName } from './replayFileNames';
+
+export const DEFAULT_ORGANIZE_TEMPLATE = "{year}/{month}";
+
+// Used for any folder level whose tokens didn't produce anything
+const UNKNOWN_FOLDER_NAME = "Unknown";
+
+export const organizeTokens = {
+  year: "Year the game was played in",
+  month: "Month the game was played in (01-12)",
+  day: "Day of the month the game was played on",
+  stage: "Stage name",
+  console: "Console nickname",
+  myCharacter: "Character you played",
+  opponentCharacter: "Character your opponent played",
+  myCode: "Your connect code, or your name",
+  opponentCode: "Connect code of your opponent, or their name",
+};
+
+export const MoveStatus = {
+  OK: 'ok',
+  UNCHANGED: 'unchanged',
+  SKIPPED: 'skipped',
+  DUPLICATE: 'duplicate',
+  EXISTS: 'exists',
+};
+
+export function parseConnectCodes(value) {
+  return _.compact(_.split(value, ",").map(code => _.trim(code).toLowerCase()));
+}
+
+/**
+ * Works out where every replay should live under the root folder for the given folder template.
+ * Replays that can't be read are left where they are, and moves that would collide with another
+ * replay or an existing file are flagged rather than planned.
+ */
+export function planOrganize(files, template, rootFolderPath, myCodes, existingPaths) {
+  const moves = files.map(file => {
+    const base = {
+      file: file,
+      oldPath: file.fullPath,
+    };
+
+    if (file.hasError) {
+      return {
+        ...base,
+        newPath: file.fullPath,
+        status: MoveStatus.SKIPPED,
+      };
+    }
+
+    const folderPath = getFolderPath(file, template, rootFolderPath, myCodes);
+    const newPath = path.join(folderPath, file.fileName);
+    return {
+      ...base,
+      newPath: newPath,
+      status: newPath === file.fullPath ? MoveStatus.UNCHANGED : MoveStatus.OK,
+    };
+  });
+
+  const targetCounts = _.countBy(moves, move => move.newPath.toLowerCase());
+  const existing = new Set(_.map(existingPaths, existingPath => existingPath.toLowerCase()));
+
+  return moves.map(move => {
+    if (move.status !== MoveStatus.OK) {
+      return move;
+    }
+
+    const target = move.newPath.toLowerCase();
+    let status = MoveStatus.OK;
+    if (targetCounts[target] > 1) {
+      status = MoveStatus.DUPLICATE;
+    } else if (existing.has(target) && target !== move.oldPath.toLowerCase()) {
+      status = MoveStatus.EXISTS;
+    }
+
+    return {
+      ...move,
+      status: status,
+    };
+  });
+}
+
+function getFolderPath(file, template, rootFolderPath, myCodes) {
+  const values = getTokenValues(file, myCodes);
+  const folderNames = _.compact(template.split(/[\\/]/).map(_.trim)).map(segment => (
+    sanitizeFileName(renderTemplate(segment, values)) || UNKNOWN_FOLDER_NAME
+  )).filter(folderName => folderName !== ".." && folderName !== ".");
+
+  return path.join(rootFolderPath, ...folderNames);
+}
+
+function getTokenValues(file, myCodes) {
+  const game = file.game;
+  const settings = game.getSettings() || {};
+  const metadata = game.getMetadata() || {};
+  const [me, opponent] = getMeAndOpponent(game, myCodes);
+
+  const names = playerUtils.getPlayerNamesByIndex(game);
+  const codes = playerUtils.getPlayerCodesByIndex(game) || {};
+  const getCode = player => (
+    player ? codes[player.playerIndex] || names[player.playerIndex] : ""
+  );
+
+  const getCharacter = player => {
+    try {
+      return player ? characterUtils.getCharacterName(player.characterId) : "";
+    } catch (err) {
+      return "";
+    }
+  };
+
+  let stage = "";
+  try {
+    stage = stageUtils.getStageName(settings.stageId);
+  } catch (err) {
+    // Falls back to the unknown folder
+  }
+
+  const startTime = file.startTime;
+  return {
+    year: startTime ? startTime.format('YYYY') : "",
+    month: startTime ? startTime.format('MM') : "",
+    day: startTime ? startTime.format('DD') : "",
+    stage: stage,
+    console: metadata.consoleNick || "",
+    myCharacter: getCharacter(me),
+    opponentCharacter: getCharacter(opponent),
+    myCode: getCode(me),
+    opponentCode: getCode(opponent),
+  };
+}
+
+function getMeAndOpponent(game, myCodes) {
+  const players = _.sortBy((game.getSettings() || {}).players, 'port');
+  const names = playerUtils.getPlayerNamesByIndex(game);
+  const codes = playerUtils.getPlayerCodesByIndex(game) || {};
+
+  // Without a matching code, the lowest port is assumed to be us, same as the p1 tokens of the
+  // rename template
+  const me = _.find(players, player => (
+    _.includes(myCodes, _.toLower(codes[player.playerIndex])) ||
+    _.includes(myCodes, _.toLower(names[player.playerIndex]))
+  )) || players[0];
+
+  return [me, _.find(players, player => player !== me)];
+}
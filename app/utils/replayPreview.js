@@ -0,0 +1,44 @@
+import _ from 'lodash';
+import * as playerUtils from './players';
+import { getStageName } from './replayColumns';
+
+/**
+ * Everything the expanded preview of a replay shows. The end state gets loaded when the preview is
+ * opened, until then the players are shown without how the game ended for them.
+ */
+export default function getReplayPreview(file) {
+  const settings = file.game.getSettings() || {};
+  const endState = file.game.getEndState() || {};
+  const stocks = endState.stocks || {};
+  const percents = endState.percents || {};
+  const playerNames = playerUtils.getPlayerNamesByIndex(file.game);
+  const playersByIndex = _.keyBy(settings.players, 'playerIndex');
+
+  const players = _.chain(settings.players).sortBy('port').map(player => ({
+    playerIndex: player.playerIndex,
+    port: player.port,
+    characterId: player.characterId,
+    characterColor: player.characterColor,
+    name: playerNames[player.playerIndex],
+    startStocks: player.startStocks,
+    stocksRemaining: _.isNumber(stocks[player.playerIndex]) ? stocks[player.playerIndex] : null,
+    percent: _.isNumber(percents[player.playerIndex]) ? Math.trunc(percents[player.playerIndex]) : null,
+    isWinner: _.includes(endState.winnerIndices, player.playerIndex),
+  })).value();
+
+  // Stock losses are placed along the game by how far into it they happened
+  const lastFrame = file.lastFrame;
+  const hasTimeline = _.isArray(endState.stockLosses) && _.isNumber(lastFrame) && lastFrame > 0;
+  const stockLosses = hasTimeline ? endState.stockLosses.map(loss => ({
+    ...loss,
+    port: _.get(playersByIndex, [loss.playerIndex, 'port']),
+    position: _.clamp(loss.frame / lastFrame, 0, 1),
+  })) : [];
+
+  return {
+    stageName: getStageName(file),
+    players: players,
+    stockLosses: stockLosses,
+    hasTimeline: hasTimeline,
+  };
+}
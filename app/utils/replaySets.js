@@ -0,0 +1,91 @@
+import _ from 'lodash';
+import * as playerUtils from './players';
+
+export const DEFAULT_SET_GAP_MINUTES = 15;
+
+/**
+ * Clusters games into sets. Games belong to the same set when they were played one after the
+ * other by the same players (matched on connect code, or on in-game tag when there is no code) and
+ * the next game started within the gap of the previous one ending. Games with a player that has
+ * neither can't be told apart from other games, they are left ungrouped in a set of their own.
+ * Sets are returned in the order their first game shows up in `files`, the games inside of a set
+ * are chronological.
+ */
+export function groupReplaySets(files, gapMinutes) {
+  const maxGapMs = (_.isNumber(gapMinutes) ? gapMinutes : DEFAULT_SET_GAP_MINUTES) * 60 * 1000;
+  const chronologicalFiles = _.sortBy(files, file => (file.startTime ? file.startTime.valueOf() : 0));
+
+  const sets = [];
+  let currentSet = null;
+  let previousEndMs = null;
+  chronologicalFiles.forEach(file => {
+    const players = getSetPlayers(file);
+    const isGrouped = !_.isEmpty(players) && _.every(players, 'id');
+    const playersKey = isGrouped ? _.map(players, 'id').sort().join("|") : null;
+    const startMs = file.startTime ? file.startTime.valueOf() : null;
+
+    const isSameSet = currentSet && isGrouped && currentSet.playersKey === playersKey &&
+      startMs !== null && previousEndMs !== null && startMs - previousEndMs <= maxGapMs;
+    if (!isSameSet) {
+      currentSet = {
+        key: file.fullPath,
+        playersKey: playersKey,
+        players: players,
+        isGrouped: isGrouped,
+        files: [],
+      };
+      sets.push(currentSet);
+    }
+
+    currentSet.files.push(file);
+    previousEndMs = startMs === null ? null : startMs + ((file.lastFrame || 0) / 60) * 1000;
+  });
+
+  const positions = new Map(files.map((file, index) => [file, index]));
+  return _.chain(sets)
+    .map(set => ({
+      ...set,
+      score: getSetScore(set),
+    }))
+    .sortBy(set => _.min(set.files.map(file => positions.get(file))))
+    .value();
+}
+
+function getSetPlayers(file) {
+  const settings = file.game.getSettings() || {};
+  const names = playerUtils.getPlayerNamesByIndex(file.game);
+  const codes = playerUtils.getPlayerCodesByIndex(file.game) || {};
+
+  return _.chain(settings.players)
+    .sortBy('port')
+    .map(player => {
+      // Names fall back to the port, only a code or a tag that was picked in game say who it is
+      const code = codes[player.playerIndex];
+      const nametag = _.trim(player.nametag);
+      const tagId = nametag ? `tag:${nametag}` : null;
+      return {
+        id: code || tagId,
+        name: code || nametag || names[player.playerIndex],
+        playerIndex: player.playerIndex,
+        characterId: player.characterId,
+      };
+    })
+    .value();
+}
+
+function getSetScore(set) {
+  const wins = _.mapValues(_.keyBy(set.players, 'id'), () => 0);
+
+  set.files.forEach(file => {
+    const endState = file.game.getEndState() || {};
+    const players = getSetPlayers(file);
+    _.each(endState.winnerIndices, winnerIndex => {
+      const winner = _.find(players, { playerIndex: winnerIndex });
+      if (winner && _.has(wins, winner.id)) {
+        wins[winner.id] += 1;
+      }
+    });
+  });
+
+  return wins;
+}
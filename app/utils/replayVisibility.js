@@ -0,0 +1,116 @@
+import _ from 'lodash';
+import { Stage } from '@slippi/slippi-js';
+
+const LRAS_GAME_END_METHOD = 7;
+const HUMAN_PLAYER_TYPE = 0;
+const CPU_PLAYER_TYPE = 1;
+
+const TOURNAMENT_STAGE_IDS = [
+  Stage.FOUNTAIN_OF_DREAMS,
+  Stage.POKEMON_STADIUM,
+  Stage.YOSHIS_STORY,
+  Stage.DREAMLAND,
+  Stage.BATTLEFIELD,
+  Stage.FINAL_DESTINATION,
+];
+
+export const defaultVisibilityRules = {
+  minGameLengthSeconds: 30,
+  hideCpuGames: false,
+  hideHandwarmers: false,
+  handwarmerMaxSeconds: 60,
+  hideSinglePlayerGames: false,
+  hideNonTournamentStages: false,
+};
+
+// Rules in the order they are checked in, a hidden file is only counted against the first rule
+// that matched it. Files without a stage are always hidden, they usually come from debug mode.
+// Rules that look at how the game ended only work once the end state has been loaded.
+const visibilityRules = [
+  {
+    key: 'missingStage',
+    isAlwaysOn: true,
+    describe: () => "have no stage",
+    isHidden: ({ settings }) => !settings.stageId,
+  },
+  {
+    key: 'handwarmer',
+    isEnabled: rules => rules.hideHandwarmers,
+    needsEndState: true,
+    describe: rules => `were quit out of within ${rules.handwarmerMaxSeconds} seconds`,
+    isHidden: ({ file, endState }, rules) => (
+      endState.gameEndMethod === LRAS_GAME_END_METHOD &&
+        getDurationSeconds(file) <= rules.handwarmerMaxSeconds
+    ),
+  },
+  {
+    key: 'tooShort',
+    isEnabled: rules => rules.minGameLengthSeconds > 0,
+    describe: rules => `are shorter than ${rules.minGameLengthSeconds} seconds`,
+    isHidden: ({ file }, rules) => {
+      const durationSeconds = getDurationSeconds(file);
+      return durationSeconds !== null && durationSeconds <= rules.minGameLengthSeconds;
+    },
+  },
+  {
+    key: 'cpuPlayers',
+    isEnabled: rules => rules.hideCpuGames,
+    describe: () => "have CPU players",
+    isHidden: ({ settings }) => _.some(settings.players, { type: CPU_PLAYER_TYPE }),
+  },
+  {
+    key: 'singlePlayer',
+    isEnabled: rules => rules.hideSinglePlayerGames,
+    describe: () => "have fewer than two human players",
+    isHidden: ({ settings }) => _.filter(settings.players, { type: HUMAN_PLAYER_TYPE }).length < 2,
+  },
+  {
+    key: 'nonTournamentStage',
+    isEnabled: rules => rules.hideNonTournamentStages,
+    describe: () => "are on non-tournament stages",
+    isHidden: ({ settings }) => !_.includes(TOURNAMENT_STAGE_IDS, settings.stageId),
+  },
+];
+
+export function getVisibilityRules(storedRules) {
+  return {
+    ...defaultVisibilityRules,
+    ...storedRules,
+  };
+}
+
+export function getHiddenReason(file, rules) {
+  const context = {
+    file: file,
+    settings: file.game.getSettings() || {},
+    endState: file.game.getEndState() || {},
+  };
+
+  const rule = _.find(visibilityRules, visibilityRule => (
+    (visibilityRule.isAlwaysOn || visibilityRule.isEnabled(rules)) &&
+      visibilityRule.isHidden(context, rules)
+  ));
+
+  return rule ? rule.key : null;
+}
+
+export function rulesNeedEndStates(rules) {
+  return _.some(visibilityRules, rule => rule.needsEndState && rule.isEnabled(rules));
+}
+
+export function isRuleAlwaysOn(ruleKey) {
+  const rule = _.find(visibilityRules, { key: ruleKey });
+  return !!(rule && rule.isAlwaysOn);
+}
+
+export function describeHiddenCounts(hiddenCounts, rules) {
+  return _.chain(visibilityRules)
+    .filter(rule => hiddenCounts[rule.key] > 0)
+    .map(rule => `${hiddenCounts[rule.key]} ${rule.describe(rules)}`)
+    .value();
+}
+
+function getDurationSeconds(file) {
+  const metadata = file.game.getMetadata() || {};
+  return _.isNil(metadata.lastFrame) ? null : metadata.lastFrame / 60;
+}
@@ -1,8 +1,19 @@
+import _ from 'lodash';
 import electronSettings from 'electron-settings';
 import path from 'path';
 
 const { app } = require('electron').remote;
 
+export const defaultRecycleSettings = {
+  keepDeletedReplays: false,
+  retentionDays: 30,
+};
+
+export const defaultClipSettings = {
+  leadInSeconds: 2,
+  leadOutSeconds: 1,
+};
+
 export function isDolphinPathSet() {
   const storedDolphinPath = electronSettings.get('settings.playbackDolphinPath');
   return !!storedDolphinPath;
@@ -22,3 +33,66 @@ export function getDefaultDolphinPath() {
   const userDataPath = app.getPath("userData")
   return path.join(userDataPath, 'dolphin');
 }
+
+export function getRecycleSettings(storedSettings) {
+  return {
+    ...defaultRecycleSettings,
+    ...storedSettings,
+  };
+}
+
+export function getClipSettings(storedSettings) {
+  return {
+    ...defaultClipSettings,
+    ...storedSettings,
+  };
+}
+
+/**
+ * The replay root directory comes first and is where replays get organized and imported into.
+ * Extra roots are shown next to it in the replay browser. Roots are named after their folder
+ * unless given a name of their own.
+ */
+export function getReplayRoots(rootSlpPath, extraReplayRoots) {
+  const roots = [];
+  if (rootSlpPath) {
+    roots.push({
+      name: path.basename(rootSlpPath),
+      fullPath: rootSlpPath,
+    });
+  }
+
+  (extraReplayRoots || []).forEach(root => {
+    if (!root.path || _.some(roots, { fullPath: root.path })) {
+      return;
+    }
+
+    roots.push({
+      name: root.name || path.basename(root.path),
+      fullPath: root.path,
+    });
+  });
+
+  return roots;
+}
+
+// Finds the root a replay belongs to, the deepest one in case roots are nested
+export function findReplayRoot(rootFolders, fullPath) {
+  const containingRoots = rootFolders.filter(root => {
+    const relativePath = path.relative(root.fullPath, fullPath);
+    return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+  });
+
+  return _.maxBy(containingRoots, root => root.fullPath.length) || null;
+}
+
+// Path of a replay for display, prefixed with its root's name when there is more than one root
+export function getRootRelativePath(rootFolders, fullPath) {
+  const root = findReplayRoot(rootFolders, fullPath);
+  if (!root) {
+    return fullPath;
+  }
+
+  const relativePath = path.relative(root.fullPath, fullPath);
+  return rootFolders.length > 1 ? path.join(root.name, relativePath) : relativePath;
+}
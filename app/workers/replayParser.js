@@ -0,0 +1,194 @@
+/**
+ * Child process forked by ReplayParserPool so that replays can be parsed off of the renderer
+ * thread. This file is run as a plain node script (ELECTRON_RUN_AS_NODE) without going through
+ * babel or webpack, so it has to stick to CommonJS and can't require anything from electron.
+ */
+const _ = require('lodash');
+const { SlippiGame } = require('@slippi/slippi-js');
+const { diagnoseReplay, repairReplay } = require('./slpDiagnostics');
+const { anonymizeReplay } = require('./slpAnonymizer');
+const { computeMultiplayerStats } = require('./slpMultiplayerStats');
+const { isCompressedReplay, readReplayBuffer } = require('./slpFormat');
+
+// Game end method used when a player quits out with L+R+A+Start
+const LRAS_GAME_END_METHOD = 7;
+
+function parseHeader(filePath) {
+  // Compute header information for display
+  let settings = null;
+  let metadata = null;
+  let lastFrame = null;
+  let hasError = false;
+  let errorMessage = null;
+
+  try {
+    const game = openGame(filePath);
+
+    // Preload settings
+    settings = game.getSettings();
+    if (_.isEmpty(settings.players)) {
+      throw new Error("Game settings could not be properly loaded.");
+    }
+
+    // Preload metadata
+    metadata = game.getMetadata();
+    if (metadata && metadata.lastFrame !== undefined) {
+      lastFrame = metadata.lastFrame;
+    }
+  } catch (err) {
+    hasError = true;
+    errorMessage = err.message;
+  }
+
+  return {
+    settings: settings,
+    metadata: metadata,
+    lastFrame: lastFrame,
+    hasError: hasError,
+    errorMessage: errorMessage,
+  };
+}
+
+// This requires going through every frame of the game, so unlike the header it's only worked out
+// for the replays where something is shown that needs it
+function computeEndState(filePath) {
+  const game = openGame(filePath);
+  const settings = game.getSettings();
+  if (_.isEmpty(_.get(settings, 'players'))) {
+    throw new Error("Game settings could not be properly loaded.");
+  }
+
+  return getEndState(game, settings);
+}
+
+function getEndState(game, settings) {
+  const latestFrame = game.getLatestFrame();
+  const gameEnd = game.getGameEnd() || {};
+
+  const stocks = {};
+  const percents = {};
+  _.each(settings.players, player => {
+    const post = _.get(latestFrame, ['players', player.playerIndex, 'post']) || {};
+    stocks[player.playerIndex] = post.stocksRemaining;
+    percents[player.playerIndex] = post.percent;
+  });
+
+  return {
+    stocks: stocks,
+    percents: percents,
+    stockLosses: getStockLosses(game, settings),
+    gameEndMethod: _.isNil(gameEnd.gameEndMethod) ? null : gameEnd.gameEndMethod,
+    winnerIndices: getWinnerIndices(settings, gameEnd, stocks, percents),
+  };
+}
+
+// The frames where each player lost a stock, for drawing a timeline of the game
+function getStockLosses(game, settings) {
+  const frames = _.sortBy(_.values(game.getFrames()), 'frame');
+  const previousStocks = {};
+  const stockLosses = [];
+  frames.forEach(frame => {
+    _.each(settings.players, player => {
+      const stocksRemaining = _.get(frame, ['players', player.playerIndex, 'post', 'stocksRemaining']);
+      if (!_.isNumber(stocksRemaining)) {
+        return;
+      }
+
+      const previous = previousStocks[player.playerIndex];
+      if (_.isNumber(previous) && stocksRemaining < previous) {
+        stockLosses.push({
+          playerIndex: player.playerIndex,
+          frame: frame.frame,
+        });
+      }
+      previousStocks[player.playerIndex] = stocksRemaining;
+    });
+  });
+
+  return stockLosses;
+}
+
+function getWinnerIndices(settings, gameEnd, stocks, percents) {
+  if (gameEnd.gameEndMethod === LRAS_GAME_END_METHOD || _.isEmpty(stocks)) {
+    // Nobody wins when someone quits out
+    return [];
+  }
+
+  // Players on the same team win together, otherwise each player is their own side
+  const sides = _.chain(settings.players)
+    .groupBy(player => (settings.isTeams ? player.teamId : player.port))
+    .map(players => ({
+      playerIndices: _.map(players, 'playerIndex'),
+      stocks: _.sumBy(players, player => stocks[player.playerIndex] || 0),
+      percent: _.sumBy(players, player => percents[player.playerIndex] || 0),
+    }))
+    .orderBy(['stocks', 'percent'], ['desc', 'asc'])
+    .value();
+
+  const [first, second] = sides;
+  if (second && first.stocks === second.stocks && first.percent === second.percent) {
+    return [];
+  }
+
+  return first ? first.playerIndices : [];
+}
+
+function computeStats(filePath) {
+  const game = openGame(filePath);
+  const settings = game.getSettings();
+
+  // slippi-js only has stats for singles
+  const players = _.get(settings, 'players') || [];
+  const stats = players.length > 2 ? computeMultiplayerStats(game) : game.getStats();
+
+  return {
+    settings: settings,
+    stats: stats,
+    metadata: game.getMetadata(),
+  };
+}
+
+function openGame(filePath) {
+  // Compressed replays are read into memory whole, the rest are read from disk as needed
+  return new SlippiGame(isCompressedReplay(filePath) ? readReplayBuffer(filePath) : filePath);
+}
+
+process.on('message', message => {
+  const { jobId, type, filePath, options } = message;
+
+  try {
+    let result;
+    switch (type) {
+    case 'header':
+      result = parseHeader(filePath);
+      break;
+    case 'endState':
+      result = computeEndState(filePath);
+      break;
+    case 'stats':
+      result = computeStats(filePath);
+      break;
+    case 'diagnose':
+      result = diagnoseReplay(filePath);
+      break;
+    case 'repair':
+      result = repairReplay(filePath, options.outputPath);
+      break;
+    case 'anonymize':
+      result = anonymizeReplay(filePath, options.outputPath, options.playerAliases);
+      break;
+    default:
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    process.send({
+      jobId: jobId,
+      result: result,
+    });
+  } catch (err) {
+    process.send({
+      jobId: jobId,
+      error: err.message,
+    });
+  }
+});
@@ -0,0 +1,104 @@
+/**
+ * Writes copies of replays with the player names and codes swapped out, used when exporting
+ * replays to share. CommonJS for the same reason as the worker.
+ */
+const fs = require('fs');
+const _ = require('lodash');
+const { SlippiGame, Command } = require('@slippi/slippi-js');
+const {
+  RAW_HEADER, RAW_DATA_POSITION, METADATA_HEADER, encodeUbjson, readReplayBuffer,
+} = require('./slpFormat');
+
+// Offsets into the Game Start event, including the command byte, of the per player fields that
+// can identify someone. Later fields only exist in newer replays.
+const GAME_START_PLAYER_FIELDS = [
+  { name: 'nametag', offset: 0x161, length: 0x10 },
+  { name: 'displayName', offset: 0x1a5, length: 0x1f },
+  { name: 'connectCode', offset: 0x221, length: 0x0a },
+  { name: 'userId', offset: 0x249, length: 0x1d },
+];
+const NUM_PLAYERS = 4;
+
+/**
+ * playerAliases maps a player index to the name and code to write in place of the real ones.
+ * Players without an alias are left without any name at all.
+ */
+function anonymizeReplay(filePath, outputPath, playerAliases) {
+  const buffer = readReplayBuffer(filePath);
+  if (buffer.length < RAW_DATA_POSITION || !buffer.slice(0, RAW_HEADER.length).equals(RAW_HEADER)) {
+    throw new Error("Not a replay file");
+  }
+
+  // Unfinished recordings don't have a length or metadata yet
+  const rawLength = buffer.readUInt32BE(RAW_HEADER.length);
+  const rawEnd = rawLength > 0 ? Math.min(RAW_DATA_POSITION + rawLength, buffer.length) : buffer.length;
+
+  clearGameStartNames(buffer, rawEnd);
+
+  let output = buffer;
+  const metadataHeader = buffer.slice(rawEnd, rawEnd + METADATA_HEADER.length);
+  if (metadataHeader.equals(METADATA_HEADER)) {
+    const metadata = new SlippiGame(buffer).getMetadata() || {};
+    const players = _.mapValues(metadata.players, (player, playerIndex) => {
+      if (!player.names) {
+        return player;
+      }
+
+      const alias = playerAliases[playerIndex] || {};
+      return {
+        ...player,
+        names: {
+          netplay: alias.name || "",
+          code: alias.code || "",
+        },
+      };
+    });
+
+    output = Buffer.concat([
+      buffer.slice(0, rawEnd),
+      METADATA_HEADER,
+      encodeUbjson(_.omitBy({ ...metadata, players: players }, _.isNil)),
+      Buffer.from("}"),
+    ]);
+  }
+
+  fs.writeFileSync(outputPath, output);
+  return {
+    outputPath: outputPath,
+  };
+}
+
+function clearGameStartNames(buffer, rawEnd) {
+  if (buffer[RAW_DATA_POSITION] !== Command.MESSAGE_SIZES) {
+    return;
+  }
+
+  const sizesLength = buffer[RAW_DATA_POSITION + 1];
+  let gameStartSize = null;
+  for (let i = RAW_DATA_POSITION + 2; i < RAW_DATA_POSITION + sizesLength; i += 3) {
+    if (buffer[i] === Command.GAME_START) {
+      gameStartSize = buffer.readUInt16BE(i + 1);
+    }
+  }
+
+  // Game Start is always the first event after the message sizes
+  const gameStartPosition = RAW_DATA_POSITION + sizesLength + 1;
+  if (gameStartSize === null || buffer[gameStartPosition] !== Command.GAME_START) {
+    return;
+  }
+
+  const gameStartEnd = Math.min(gameStartPosition + gameStartSize + 1, rawEnd);
+  _.each(GAME_START_PLAYER_FIELDS, field => {
+    _.times(NUM_PLAYERS, playerIndex => {
+      const start = gameStartPosition + field.offset + (playerIndex * field.length);
+      const end = start + field.length;
+      if (end <= gameStartEnd) {
+        buffer.fill(0, start, end);
+      }
+    });
+  });
+}
+
+module.exports = {
+  anonymizeReplay: anonymizeReplay,
+};
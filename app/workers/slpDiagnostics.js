@@ -0,0 +1,317 @@
+/**
+ * Low level checks and repairs of .slp files, used by the replayParser worker. Works on the raw
+ * bytes rather than going through SlippiGame since the whole point is to deal with files that
+ * SlippiGame can't make sense of. Like the worker itself this has to stick to CommonJS.
+ */
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const { SlippiGame, Command } = require('@slippi/slippi-js');
+const {
+  RAW_HEADER, RAW_DATA_POSITION, METADATA_HEADER, encodeUbjson, readReplayBuffer,
+} = require('./slpFormat');
+
+// Not part of the Command enum of the slippi-js version we're on
+const FRAME_START = 0x3a;
+
+// Unresolved, the game didn't end through any of the normal means
+const REPAIRED_GAME_END_METHOD = 0;
+
+// Problems that a repair is able to fix, anything else means there isn't enough of a game left
+const REPAIRABLE_PROBLEMS = [
+  'unfinishedRecording', 'truncatedPayload', 'corruptEvent', 'missingGameEnd', 'missingMetadata',
+  'invalidMetadata',
+];
+
+function diagnoseReplay(filePath) {
+  const scan = scanReplay(readReplayBuffer(filePath));
+  return {
+    problems: scan.problems,
+    lastFrame: scan.lastCompleteFrame,
+    canRepair: scan.canRepair,
+  };
+}
+
+/**
+ * Writes a copy of the replay that is cut off after the last complete frame and gets a Game End
+ * event and metadata block of its own, the same way the file writer would have finished it.
+ */
+function repairReplay(filePath, outputPath) {
+  const buffer = readReplayBuffer(filePath);
+  const scan = scanReplay(buffer);
+  if (!scan.canRepair) {
+    throw new Error("Replay doesn't have enough data left to be repaired");
+  }
+
+  const rawParts = [buffer.slice(RAW_DATA_POSITION, scan.cutPosition)];
+  const isGameEndKept = scan.gameEndPosition !== null && scan.gameEndPosition < scan.cutPosition;
+  if (!isGameEndKept) {
+    const gameEndSize = scan.messageSizes[Command.GAME_END] || 1;
+    const gameEnd = Buffer.alloc(gameEndSize + 1);
+    gameEnd.writeUInt8(Command.GAME_END, 0);
+    gameEnd.writeUInt8(REPAIRED_GAME_END_METHOD, 1);
+    if (gameEndSize >= 2) {
+      // No LRAS initiator
+      gameEnd.writeInt8(-1, 2);
+    }
+    rawParts.push(gameEnd);
+  }
+
+  const raw = Buffer.concat(rawParts);
+  const rawLength = Buffer.alloc(4);
+  rawLength.writeUInt32BE(raw.length, 0);
+
+  const existingMetadata = scan.metadata || {};
+  const metadata = _.omitBy({
+    startAt: existingMetadata.startAt || getStartAt(filePath, scan.lastCompleteFrame),
+    lastFrame: scan.lastCompleteFrame,
+    players: _.mapValues(scan.characterUsage, characterUsage => ({
+      characters: characterUsage,
+    })),
+    consoleNick: existingMetadata.consoleNick,
+    playedOn: existingMetadata.playedOn || "network",
+  }, _.isNil);
+
+  const output = Buffer.concat([
+    RAW_HEADER,
+    rawLength,
+    raw,
+    METADATA_HEADER,
+    encodeUbjson(metadata),
+    Buffer.from("}"),
+  ]);
+
+  fs.writeFileSync(outputPath, output, { flag: 'wx' });
+  return {
+    outputPath: outputPath,
+    lastFrame: scan.lastCompleteFrame,
+  };
+}
+
+function scanReplay(buffer) {
+  const problems = [];
+  const addProblem = (code, detail) => {
+    problems.push({
+      code: code,
+      detail: detail || null,
+    });
+  };
+
+  if (buffer.length < RAW_DATA_POSITION || !buffer.slice(0, RAW_HEADER.length).equals(RAW_HEADER)) {
+    addProblem('missingRawHeader');
+    return {
+      problems: problems,
+      lastCompleteFrame: null,
+      canRepair: false,
+    };
+  }
+
+  // The writer only fills in the length once the game is over, zero means it never got that far
+  const declaredLength = buffer.readUInt32BE(RAW_HEADER.length);
+  const availableLength = buffer.length - RAW_DATA_POSITION;
+  let rawLength = declaredLength;
+  if (declaredLength === 0) {
+    addProblem('unfinishedRecording');
+    rawLength = availableLength;
+  } else if (declaredLength > availableLength) {
+    addProblem('truncatedPayload', `${availableLength} of ${declaredLength} bytes of game data present`);
+    rawLength = availableLength;
+  }
+
+  const rawEnd = RAW_DATA_POSITION + rawLength;
+  const events = scanEvents(buffer, rawEnd, addProblem);
+  if (!events.hasMessageSizes) {
+    return {
+      problems: problems,
+      lastCompleteFrame: null,
+      canRepair: false,
+    };
+  }
+
+  if (!events.hasGameStart) {
+    addProblem('missingGameStart');
+  } else if (!events.hasGameEnd) {
+    addProblem('missingGameEnd');
+  }
+
+  // With all of the game data there, only the metadata is worth fixing
+  const isRawComplete = events.hasGameEnd && events.readEndPosition === rawEnd;
+  const cutPosition = isRawComplete ? rawEnd : events.cutPosition;
+
+  const metadata = scanMetadata(buffer, rawEnd, addProblem);
+
+  const codes = _.map(problems, 'code');
+  const canRepair = events.hasGameStart && cutPosition !== null &&
+    events.lastCompleteFrame !== null && codes.length > 0 &&
+    _.every(codes, code => _.includes(REPAIRABLE_PROBLEMS, code));
+
+  return {
+    ...events,
+    problems: problems,
+    cutPosition: cutPosition,
+    metadata: metadata,
+    canRepair: canRepair,
+  };
+}
+
+function scanEvents(buffer, rawEnd, addProblem) {
+  const messageSizes = {};
+  let position = RAW_DATA_POSITION;
+  if (buffer[position] !== Command.MESSAGE_SIZES) {
+    addProblem('missingMessageSizes');
+    return {
+      hasMessageSizes: false,
+    };
+  }
+
+  const sizesLength = buffer[position + 1];
+  messageSizes[Command.MESSAGE_SIZES] = sizesLength;
+  for (let i = position + 2; i < position + sizesLength; i += 3) {
+    messageSizes[buffer[i]] = buffer.readUInt16BE(i + 1);
+  }
+
+  // Older replays don't have bookends, a frame is then considered complete once the next one starts
+  const hasBookends = _.has(messageSizes, Command.FRAME_BOOKEND);
+  const hasFrameStart = _.has(messageSizes, FRAME_START);
+  let hasGameStart = false;
+  let gameEndPosition = null;
+  let currentFrame = null;
+  let lastCompleteFrame = null;
+  let cutPosition = null;
+  const characterUsage = {};
+  let pendingUsage = {};
+
+  const completeFrame = (frame, framesEndPosition) => {
+    lastCompleteFrame = frame;
+    cutPosition = framesEndPosition;
+    _.each(pendingUsage, (usage, playerIndex) => {
+      const playerUsage = characterUsage[playerIndex] || {};
+      _.each(usage, (count, internalCharacterId) => {
+        playerUsage[internalCharacterId] = (playerUsage[internalCharacterId] || 0) + count;
+      });
+      characterUsage[playerIndex] = playerUsage;
+    });
+    pendingUsage = {};
+  };
+
+  const startFrame = (frame, startPosition) => {
+    if (frame === currentFrame) {
+      return;
+    }
+
+    if (!hasBookends && currentFrame !== null) {
+      completeFrame(currentFrame, startPosition);
+    }
+    currentFrame = frame;
+  };
+
+  position += sizesLength + 1;
+  let isTruncated = false;
+  while (position < rawEnd) {
+    const command = buffer[position];
+    const size = messageSizes[command];
+    if (size === undefined) {
+      addProblem('corruptEvent', `unknown event 0x${command.toString(16)} at byte ${position}`);
+      break;
+    }
+
+    if (position + size + 1 > rawEnd) {
+      isTruncated = true;
+      break;
+    }
+
+    switch (command) {
+    case Command.GAME_START:
+      hasGameStart = true;
+      break;
+    case FRAME_START:
+      startFrame(buffer.readInt32BE(position + 1), position);
+      break;
+    case Command.PRE_FRAME_UPDATE:
+      if (!hasFrameStart) {
+        startFrame(buffer.readInt32BE(position + 1), position);
+      }
+      break;
+    case Command.POST_FRAME_UPDATE: {
+      const playerIndex = buffer.readUInt8(position + 5);
+      const isFollower = buffer.readUInt8(position + 6) !== 0;
+      const internalCharacterId = buffer.readUInt8(position + 7);
+      if (!isFollower) {
+        const usage = pendingUsage[playerIndex] || {};
+        usage[internalCharacterId] = (usage[internalCharacterId] || 0) + 1;
+        pendingUsage[playerIndex] = usage;
+      }
+      break;
+    }
+    case Command.FRAME_BOOKEND:
+      completeFrame(buffer.readInt32BE(position + 1), position + size + 1);
+      break;
+    case Command.GAME_END:
+      gameEndPosition = position;
+      if (currentFrame !== null && !hasBookends) {
+        completeFrame(currentFrame, position);
+      }
+      break;
+    default:
+      break;
+    }
+
+    position += size + 1;
+  }
+
+  if (isTruncated) {
+    addProblem('truncatedPayload', `last event cut off at byte ${position}`);
+  }
+
+  return {
+    hasMessageSizes: true,
+    messageSizes: messageSizes,
+    hasGameStart: hasGameStart,
+    hasGameEnd: gameEndPosition !== null,
+    gameEndPosition: gameEndPosition,
+    lastCompleteFrame: lastCompleteFrame,
+    cutPosition: cutPosition,
+    characterUsage: characterUsage,
+    readEndPosition: position,
+  };
+}
+
+function scanMetadata(buffer, rawEnd, addProblem) {
+  const metadataHeader = buffer.slice(rawEnd, rawEnd + METADATA_HEADER.length);
+  if (!metadataHeader.equals(METADATA_HEADER)) {
+    addProblem('missingMetadata');
+    return null;
+  }
+
+  let metadata = null;
+  try {
+    metadata = new SlippiGame(buffer).getMetadata();
+  } catch (err) {
+    // Handled below
+  }
+
+  if (!metadata) {
+    addProblem('invalidMetadata');
+  }
+
+  return metadata;
+}
+
+function getStartAt(filePath, lastFrame) {
+  // Written files are named after the time the game started
+  const match = path.basename(filePath).match(/(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})/);
+  if (match) {
+    const [year, month, day, hours, minutes, seconds] = match.slice(1).map(Number);
+    return new Date(year, month - 1, day, hours, minutes, seconds).toISOString();
+  }
+
+  // Otherwise go back from the last time the file was written to by the length of the game,
+  // games start at frame -123
+  const durationMs = ((lastFrame + 123) / 60) * 1000;
+  return new Date(fs.statSync(filePath).mtimeMs - durationMs).toISOString();
+}
+
+module.exports = {
+  diagnoseReplay: diagnoseReplay,
+  repairReplay: repairReplay,
+};
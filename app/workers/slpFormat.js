@@ -0,0 +1,68 @@
+/**
+ * Pieces of the .slp file layout shared by the worker modules that read and write raw replay
+ * files. CommonJS for the same reason as the worker.
+ */
+const fs = require('fs');
+const zlib = require('zlib');
+const _ = require('lodash');
+
+const RAW_HEADER = Buffer.concat([Buffer.from("{U"), Buffer.from([3]), Buffer.from("raw[$U#l")]);
+const RAW_DATA_POSITION = RAW_HEADER.length + 4;
+const METADATA_HEADER = Buffer.concat([Buffer.from("U"), Buffer.from([8]), Buffer.from("metadata")]);
+
+// Replays can be stored gzipped to save space, see utils/replayCompression
+const COMPRESSED_EXTENSION = ".slp.gz";
+
+function isCompressedReplay(filePath) {
+  return filePath.toLowerCase().endsWith(COMPRESSED_EXTENSION);
+}
+
+function readReplayBuffer(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  return isCompressedReplay(filePath) ? zlib.gunzipSync(buffer) : buffer;
+}
+
+// Only covers the value types that show up in replay metadata
+function encodeUbjson(value) {
+  if (_.isString(value)) {
+    const stringBuffer = Buffer.from(value);
+    return Buffer.concat([Buffer.from("S"), encodeLength(stringBuffer.length), stringBuffer]);
+  }
+
+  if (_.isInteger(value)) {
+    const numberBuffer = Buffer.alloc(5);
+    numberBuffer.write("l", 0);
+    numberBuffer.writeInt32BE(value, 1);
+    return numberBuffer;
+  }
+
+  if (_.isPlainObject(value)) {
+    const entries = _.map(value, (entryValue, key) => {
+      const keyBuffer = Buffer.from(key);
+      return Buffer.concat([encodeLength(keyBuffer.length), keyBuffer, encodeUbjson(entryValue)]);
+    });
+    return Buffer.concat([Buffer.from("{"), ...entries, Buffer.from("}")]);
+  }
+
+  throw new Error(`Unsupported metadata value: ${value}`);
+}
+
+function encodeLength(length) {
+  if (length < 256) {
+    return Buffer.from([0x55, length]);
+  }
+
+  const lengthBuffer = Buffer.alloc(5);
+  lengthBuffer.write("l", 0);
+  lengthBuffer.writeInt32BE(length, 1);
+  return lengthBuffer;
+}
+
+module.exports = {
+  RAW_HEADER: RAW_HEADER,
+  RAW_DATA_POSITION: RAW_DATA_POSITION,
+  METADATA_HEADER: METADATA_HEADER,
+  isCompressedReplay: isCompressedReplay,
+  readReplayBuffer: readReplayBuffer,
+  encodeUbjson: encodeUbjson,
+};
@@ -0,0 +1,344 @@
+/* eslint-disable no-param-reassign */
+/**
+ * Stats for games with more than two players, used by the replayParser worker. slippi-js only
+ * computes stats for singles, so this runs its computers per player and works out who punished
+ * and killed who from the frames. The result has the same shape as SlippiGame.getStats() except
+ * that stocks and conversions can be against any of a player's opponents. Like the worker itself
+ * this has to stick to CommonJS.
+ */
+const _ = require('lodash');
+const {
+  Frames,
+  Timers,
+  ActionsComputer,
+  InputComputer,
+  StockComputer,
+  isDamaged,
+  isGrabbed,
+  isInControl,
+  calcDamageTaken,
+  didLoseStock,
+} = require('@slippi/slippi-js');
+
+// Action states of a player holding someone in a grab, from pulling them in through the throws
+const GRAB_HOLD_START = 213;
+const GRAB_HOLD_END = 222;
+
+function computeMultiplayerStats(game) {
+  const settings = game.getSettings();
+  const players = settings.players;
+  const frames = _.sortBy(_.values(game.getFrames()), 'frame');
+  const framesByNumber = _.keyBy(frames, 'frame');
+
+  // Every computer gets a single player so that players who are missing from a frame can be
+  // skipped without holding up everybody else
+  const playerComputers = players.map(player => {
+    const indices = {
+      playerIndex: player.playerIndex,
+      opponentIndex: null,
+    };
+
+    const computers = [new ActionsComputer(), new InputComputer(), new StockComputer()];
+    computers.forEach(computer => computer.setPlayerPermutations([indices]));
+    return {
+      playerIndex: player.playerIndex,
+      actions: computers[0],
+      inputs: computers[1],
+      stocks: computers[2],
+    };
+  });
+
+  const conversionStates = getOpponentPairs(settings).map(indices => ({
+    indices: indices,
+    conversion: null,
+    move: null,
+    resetCounter: 0,
+    lastHitAnimation: null,
+  }));
+
+  const conversions = [];
+  frames.forEach(frame => {
+    const hasPlayer = playerIndex => Boolean(_.get(frame, ['players', playerIndex, 'post']));
+
+    playerComputers.forEach(computers => {
+      if (!hasPlayer(computers.playerIndex) || !_.get(frame, ['players', computers.playerIndex, 'pre'])) {
+        return;
+      }
+
+      computers.actions.processFrame(frame, framesByNumber);
+      computers.inputs.processFrame(frame, framesByNumber);
+      computers.stocks.processFrame(frame, framesByNumber);
+    });
+
+    conversionStates.forEach(state => {
+      if (hasPlayer(state.indices.playerIndex) && hasPlayer(state.indices.opponentIndex)) {
+        handleConversionFrame(state, frame, framesByNumber, conversions);
+      }
+    });
+  });
+
+  populateOpeningTypes(conversions);
+
+  const stocks = _.flatMap(playerComputers, computers => computers.stocks.fetch());
+  stocks.forEach(stock => {
+    stock.opponentIndex = getKillerIndex(stock, conversions);
+  });
+
+  const lastFrame = frames.length > 0 ? _.last(frames).frame : null;
+  const playableFrameCount = lastFrame < Frames.FIRST_PLAYABLE ? 0 : lastFrame - Frames.FIRST_PLAYABLE;
+  const inputs = _.flatMap(playerComputers, computers => computers.inputs.fetch());
+
+  return {
+    lastFrame: lastFrame,
+    playableFrameCount: playableFrameCount,
+    stocks: stocks,
+    conversions: conversions,
+    // Combos aren't shown anywhere in the app so they aren't worth computing here
+    combos: [],
+    actionCounts: _.flatMap(playerComputers, computers => computers.actions.fetch()),
+    overall: getOverallStats(settings, inputs, stocks, conversions, playableFrameCount),
+    gameComplete: game.getGameEnd() !== null,
+  };
+}
+
+// Every player paired with each player they could be hitting, teammates excluded
+function getOpponentPairs(settings) {
+  const pairs = [];
+  settings.players.forEach(player => {
+    getOpponents(settings, player.playerIndex).forEach(opponent => {
+      pairs.push({
+        playerIndex: player.playerIndex,
+        opponentIndex: opponent.playerIndex,
+      });
+    });
+  });
+
+  return pairs;
+}
+
+function getOpponents(settings, playerIndex) {
+  const player = _.find(settings.players, { playerIndex: playerIndex });
+  return settings.players.filter(other => {
+    if (other.playerIndex === playerIndex) {
+      return false;
+    }
+
+    return !settings.isTeams || other.teamId !== player.teamId;
+  });
+}
+
+// Whether the opponent is in hitstun or a grab that the player put them in. Everyone else on the
+// stage could be the one hitting them so lastHitBy has to match up
+function isPunishedBy(playerIndex, playerFrame, opponentFrame) {
+  if (isDamaged(opponentFrame.actionStateId)) {
+    return opponentFrame.lastHitBy === playerIndex;
+  }
+
+  const isHoldingGrab = playerFrame.actionStateId >= GRAB_HOLD_START &&
+    playerFrame.actionStateId <= GRAB_HOLD_END;
+  return isGrabbed(opponentFrame.actionStateId) && isHoldingGrab;
+}
+
+// Follows the conversion logic of slippi-js, only counting hits that came from the player
+function handleConversionFrame(state, frame, framesByNumber, conversions) {
+  const { playerIndex, opponentIndex } = state.indices;
+  const prevFrame = framesByNumber[frame.frame - 1];
+
+  const playerFrame = frame.players[playerIndex].post;
+  const prevPlayerFrame = _.get(prevFrame, ['players', playerIndex, 'post']) || {};
+  const opponentFrame = frame.players[opponentIndex].post;
+  const prevOpponentFrame = _.get(prevFrame, ['players', opponentIndex, 'post']) || {};
+
+  const actionChangedSinceHit = playerFrame.actionStateId !== state.lastHitAnimation;
+  const actionFrameCounterReset = playerFrame.actionStateCounter < prevPlayerFrame.actionStateCounter;
+  if (actionChangedSinceHit || actionFrameCounterReset) {
+    state.lastHitAnimation = null;
+  }
+
+  const isPunished = isPunishedBy(playerIndex, playerFrame, opponentFrame);
+  if (isPunished) {
+    if (!state.conversion) {
+      state.conversion = {
+        playerIndex: playerIndex,
+        opponentIndex: opponentIndex,
+        startFrame: playerFrame.frame,
+        endFrame: null,
+        startPercent: prevOpponentFrame.percent || 0,
+        currentPercent: opponentFrame.percent || 0,
+        endPercent: null,
+        moves: [],
+        didKill: false,
+        openingType: "unknown",
+      };
+      conversions.push(state.conversion);
+    }
+
+    const damageTaken = calcDamageTaken(opponentFrame, prevOpponentFrame);
+    if (damageTaken) {
+      // A new move starts once the animation of the last hit is over, so multi hit moves count once
+      if (!state.lastHitAnimation) {
+        state.move = {
+          frame: playerFrame.frame,
+          moveId: playerFrame.lastAttackLanded,
+          hitCount: 0,
+          damage: 0,
+        };
+        state.conversion.moves.push(state.move);
+      }
+
+      if (state.move) {
+        state.move.hitCount += 1;
+        state.move.damage += damageTaken;
+      }
+
+      state.lastHitAnimation = prevPlayerFrame.actionStateId;
+    }
+
+    // Only moves while the player is the one punishing so a teammate's follow up isn't counted
+    state.conversion.currentPercent = opponentFrame.percent || 0;
+    state.resetCounter = 0;
+  }
+
+  if (!state.conversion) {
+    return;
+  }
+
+  const shouldStartResetCounter = state.resetCounter === 0 && isInControl(opponentFrame.actionStateId);
+  if (shouldStartResetCounter || state.resetCounter > 0) {
+    state.resetCounter += 1;
+  }
+
+  let shouldTerminate = state.resetCounter > Timers.PUNISH_RESET_FRAMES;
+  if (didLoseStock(opponentFrame, prevOpponentFrame)) {
+    // Whoever landed the last hit gets the kill
+    state.conversion.didKill = prevOpponentFrame.lastHitBy === playerIndex;
+    shouldTerminate = true;
+  }
+
+  if (shouldTerminate) {
+    state.conversion.endFrame = playerFrame.frame;
+    state.conversion.endPercent = prevOpponentFrame.percent || 0;
+    state.conversion = null;
+    state.move = null;
+  }
+}
+
+// The opponent whose conversion ended the stock, null for self destructs and stocks that weren't
+// lost. This is also how the kills table tells kills and self destructs apart
+function getKillerIndex(stock, conversions) {
+  if (!stock.endFrame) {
+    return null;
+  }
+
+  const killingConversion = _.find(conversions, {
+    opponentIndex: stock.playerIndex,
+    endFrame: stock.endFrame,
+    didKill: true,
+  });
+  return killingConversion ? killingConversion.playerIndex : null;
+}
+
+// Same as slippi-js except that trades and counter hits are only between the same two players
+function populateOpeningTypes(conversions) {
+  const lastEndFrameByPair = {};
+  const conversionsByStartFrame = _.groupBy(conversions, 'startFrame');
+
+  _.sortBy(conversions, 'startFrame').forEach(conversion => {
+    const { playerIndex, opponentIndex } = conversion;
+    lastEndFrameByPair[`${playerIndex}-${opponentIndex}`] = conversion.endFrame;
+
+    const isTrade = _.some(conversionsByStartFrame[conversion.startFrame], {
+      playerIndex: opponentIndex,
+      opponentIndex: playerIndex,
+    });
+    if (isTrade) {
+      conversion.openingType = "trade";
+      return;
+    }
+
+    const oppEndFrame = lastEndFrameByPair[`${opponentIndex}-${playerIndex}`];
+    const isCounterAttack = oppEndFrame && oppEndFrame > conversion.startFrame;
+    conversion.openingType = isCounterAttack ? "counter-attack" : "neutral-win";
+  });
+}
+
+function getOverallStats(settings, inputs, stocks, conversions, playableFrameCount) {
+  const inputsByPlayer = _.keyBy(inputs, 'playerIndex');
+  const conversionsByPlayer = _.groupBy(conversions, 'playerIndex');
+  const conversionsByOpponent = _.groupBy(conversions, 'opponentIndex');
+  const gameMinutes = playableFrameCount / 3600;
+
+  return settings.players.map(player => {
+    const playerIndex = player.playerIndex;
+    const playerInputs = inputsByPlayer[playerIndex] || {};
+    const inputCounts = {
+      buttons: playerInputs.buttonInputCount,
+      triggers: playerInputs.triggerInputCount,
+      cstick: playerInputs.cstickInputCount,
+      joystick: playerInputs.joystickInputCount,
+      total: playerInputs.inputCount,
+    };
+
+    const playerConversions = conversionsByPlayer[playerIndex] || [];
+    const conversionsAgainst = conversionsByOpponent[playerIndex] || [];
+    const successfulConversionCount = playerConversions.filter(conversion => conversion.moves.length > 1).length;
+    const totalDamage = _.sumBy(playerConversions, conversion => _.sumBy(conversion.moves, 'damage'));
+    const killCount = _.filter(stocks, { opponentIndex: playerIndex }).length;
+    const conversionCount = playerConversions.length;
+
+    const getOpeningRatio = type => {
+      const openings = _.filter(playerConversions, { openingType: type }).length;
+      const opponentOpenings = _.filter(conversionsAgainst, { openingType: type }).length;
+      return getRatio(openings, openings + opponentOpenings);
+    };
+
+    return {
+      playerIndex: playerIndex,
+      opponentIndices: _.map(getOpponents(settings, playerIndex), 'playerIndex'),
+      inputCounts: inputCounts,
+      conversionCount: conversionCount,
+      totalDamage: totalDamage,
+      killCount: killCount,
+      successfulConversions: getRatio(successfulConversionCount, conversionCount),
+      inputsPerMinute: getRatio(inputCounts.total, gameMinutes),
+      digitalInputsPerMinute: getRatio(inputCounts.buttons, gameMinutes),
+      openingsPerKill: getRatio(conversionCount, killCount),
+      damagePerOpening: getRatio(totalDamage, conversionCount),
+      neutralWinRatio: getOpeningRatio("neutral-win"),
+      counterHitRatio: getOpeningRatio("counter-attack"),
+      beneficialTradeRatio: getBeneficialTradeRatio(playerConversions, conversionsAgainst),
+    };
+  });
+}
+
+function getBeneficialTradeRatio(playerConversions, conversionsAgainst) {
+  const trades = _.filter(playerConversions, { openingType: "trade" });
+  const beneficialTrades = trades.filter(conversion => {
+    const opponentConversion = _.find(conversionsAgainst, {
+      playerIndex: conversion.opponentIndex,
+      startFrame: conversion.startFrame,
+    });
+
+    const damage = conversion.currentPercent - conversion.startPercent;
+    const opponentDamage = opponentConversion.currentPercent - opponentConversion.startPercent;
+    if (conversion.didKill && !opponentConversion.didKill) {
+      return true;
+    }
+
+    return damage > opponentDamage;
+  });
+
+  return getRatio(beneficialTrades.length, trades.length);
+}
+
+function getRatio(count, total) {
+  return {
+    count: count,
+    total: total,
+    ratio: total ? count / total : null,
+  };
+}
+
+module.exports = {
+  computeMultiplayerStats: computeMultiplayerStats,
+};
@@ -0,0 +1,308 @@
+import os from 'os';
+import fs from 'fs-extra';
+import path from 'path';
+import zlib from 'zlib';
+import yauzl from 'yauzl';
+import archiver from 'archiver';
+import {
+  exportReplays, importArchive, EXPORT_COMPLETE, CLEAR_EXPORT, IMPORT_START, IMPORT_COMPLETE, CLEAR_IMPORT,
+} from '../../app/actions/archives';
+import { DISPLAY_ERROR } from '../../app/actions/error';
+import { loadEndStates, readReplayLibrary, reloadLibrary } from '../../app/actions/fileLoader';
+import { MANIFEST_FILE_NAME } from '../../app/utils/replayExport';
+import { createFile, createGame, netplayMetadata } from '../helpers/replayFiles';
+
+const { dialog } = require('electron').remote;
+
+jest.mock('electron', () => ({
+  remote: {
+    app: { getPath: () => '/tmp' },
+    dialog: { showSaveDialog: jest.fn(), showOpenDialog: jest.fn() },
+  },
+}));
+jest.mock('electron-settings', () => ({}));
+jest.mock('electron-log', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+}));
+jest.mock('../../app/actions/fileLoader', () => ({
+  loadEndStates: jest.fn(files => Promise.resolve(files)),
+  readReplayLibrary: jest.fn(),
+  reloadLibrary: jest.fn(() => jest.fn()),
+  checkRootFolderFound: jest.fn(() => true),
+}));
+
+// Reads the replays in a zip archive into buffers keyed by entry name, other entries are only
+// listed. What goes into the manifest is covered by the replayExport tests
+function readArchive(archivePath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(archivePath, { lazyEntries: true }, (err, zipFile) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      const entries = {};
+      zipFile.on('error', reject);
+      zipFile.on('end', () => resolve(entries));
+      zipFile.on('entry', entry => {
+        if (!entry.fileName.endsWith('.slp')) {
+          entries[entry.fileName] = null;
+          zipFile.readEntry();
+          return;
+        }
+
+        zipFile.openReadStream(entry, (streamErr, readStream) => {
+          if (streamErr) {
+            reject(streamErr);
+            return;
+          }
+
+          const chunks = [];
+          readStream.on('data', chunk => chunks.push(chunk));
+          readStream.on('end', () => {
+            entries[entry.fileName] = Buffer.concat(chunks);
+            zipFile.readEntry();
+          });
+        });
+      });
+      zipFile.readEntry();
+    });
+  });
+}
+
+describe('exportReplays', () => {
+  let folderPath;
+  let exportPath;
+  let replayParser;
+  const contents = Buffer.from('{U\u0003raw[$U#l'.repeat(100));
+
+  beforeEach(async () => {
+    folderPath = await fs.mkdtemp(path.join(os.tmpdir(), 'export-replays-'));
+    exportPath = path.join(folderPath, 'replays.zip');
+    dialog.showSaveDialog.mockReturnValue(exportPath);
+
+    replayParser = {
+      anonymize: jest.fn(async (filePath, outputPath) => {
+        await fs.writeFile(outputPath, 'anonymized');
+        return { outputPath: outputPath };
+      }),
+      cancel: jest.fn(),
+    };
+  });
+
+  afterEach(async () => {
+    await fs.remove(folderPath);
+  });
+
+  async function exportFiles(files, anonymize) {
+    const dispatch = jest.fn();
+    const getState = () => ({ fileLoader: { replayParser: replayParser } });
+    await exportReplays(files, anonymize)(dispatch, getState);
+    return dispatch.mock.calls.map(([action]) => action);
+  }
+
+  it('writes the replays uncompressed into the archive together with a manifest', async () => {
+    const replayPath = path.join(folderPath, 'Game_1.slp');
+    const compressedPath = path.join(folderPath, 'Old', 'Game_1.slp.gz');
+    await fs.writeFile(replayPath, contents);
+    await fs.ensureDir(path.dirname(compressedPath));
+    await fs.writeFile(compressedPath, zlib.gzipSync(contents));
+
+    const actions = await exportFiles([createFile(replayPath), createFile(compressedPath)], false);
+    expect(actions).toContainEqual({ type: EXPORT_COMPLETE, payload: { exportPath: exportPath } });
+
+    const entries = await readArchive(exportPath);
+    expect(Object.keys(entries).sort()).toEqual(['Game_1.slp', 'Game_1_2.slp', MANIFEST_FILE_NAME]);
+    expect(entries['Game_1.slp'].equals(contents)).toBe(true);
+    expect(entries['Game_1_2.slp'].equals(contents)).toBe(true);
+
+    // The manifest says who won each game
+    expect(loadEndStates).toHaveBeenCalledWith(
+      [expect.objectContaining({ fullPath: replayPath }), expect.objectContaining({ fullPath: compressedPath })],
+      expect.any(String), expect.any(Function), expect.any(Function)
+    );
+
+    // The originals are left alone
+    expect(await fs.pathExists(compressedPath)).toBe(true);
+  });
+
+  it('puts the anonymized copies of the replays into the archive', async () => {
+    const replayPath = path.join(folderPath, 'Game_1.slp');
+    await fs.writeFile(replayPath, contents);
+
+    const game = createGame({ metadata: netplayMetadata });
+    await exportFiles([createFile(replayPath, { game: game })], true);
+    expect(replayParser.anonymize).toHaveBeenCalledWith(
+      replayPath, expect.any(String), {
+        0: { name: "Anonymous 1", code: "ANON#1" },
+        1: { name: "Anonymous 2", code: "ANON#2" },
+      }, expect.any(String)
+    );
+
+    const entries = await readArchive(exportPath);
+    expect(Object.keys(entries).sort()).toEqual(['Game_1.slp', MANIFEST_FILE_NAME]);
+    expect(entries['Game_1.slp'].toString()).toBe('anonymized');
+    expect(await fs.readFile(replayPath)).toEqual(contents);
+  });
+
+  it("doesn't leave a partial archive behind when a replay can't be read", async () => {
+    const brokenPath = path.join(folderPath, 'Game_1.slp.gz');
+    await fs.writeFile(brokenPath, 'not gzipped');
+
+    const actions = await exportFiles([createFile(brokenPath)], false);
+    expect(actions).toContainEqual({ type: CLEAR_EXPORT });
+    expect(actions).toContainEqual(expect.objectContaining({ type: DISPLAY_ERROR }));
+    expect(await fs.pathExists(exportPath)).toBe(false);
+  });
+});
+
+// Writes the contents of every entry to a file of its own and zips them up
+async function createArchive(archivePath, entries) {
+  const entriesPath = `${archivePath}_entries`;
+  const archive = archiver('zip');
+  const output = fs.createWriteStream(archivePath);
+  const writeComplete = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    archive.on('error', reject);
+  });
+  archive.pipe(output);
+
+  await Object.keys(entries).reduce(async (previous, entryName, index) => {
+    await previous;
+    const entryPath = path.join(entriesPath, `${index}`);
+    await fs.outputFile(entryPath, entries[entryName]);
+    archive.file(entryPath, { name: entryName });
+  }, Promise.resolve());
+
+  archive.finalize();
+  await writeComplete;
+}
+
+describe('importArchive', () => {
+  let folderPath;
+  let rootFolderPath;
+  let archivePath;
+  let replayIndex;
+  let replayParser;
+  let fsMove;
+
+  const libraryReplay = Buffer.from('{U\u0003raw[$U#l'.repeat(100));
+  const newReplay = Buffer.from('{U\u0003raw[$U#l'.repeat(200));
+  const otherReplay = Buffer.from('{U\u0003raw[$U#l'.repeat(300));
+
+  beforeEach(async () => {
+    folderPath = await fs.mkdtemp(path.join(os.tmpdir(), 'import-archive-'));
+    rootFolderPath = path.join(folderPath, 'Slippi');
+    archivePath = path.join(folderPath, 'replays.zip');
+
+    const libraryPath = path.join(rootFolderPath, 'Game_1.slp');
+    await fs.outputFile(libraryPath, libraryReplay);
+    readReplayLibrary.mockResolvedValue({
+      files: [createFile(libraryPath, { fileSize: libraryReplay.length })],
+    });
+    reloadLibrary.mockClear();
+
+    replayIndex = {
+      loadFolder: jest.fn(),
+      setRecord: jest.fn(),
+      saveFolder: jest.fn(),
+    };
+    replayParser = {
+      parseHeader: jest.fn(async filePath => {
+        const contents = await fs.readFile(filePath, 'utf8');
+        return contents === 'broken' ? { hasError: true, errorMessage: "Broken" } : { settings: {} };
+      }),
+    };
+
+    // Jest patches fs with a graceful-fs that drops the options fs-extra passes to stat when moving
+    fsMove = jest.spyOn(fs, 'move').mockImplementation((fromPath, toPath) => fs.rename(fromPath, toPath));
+  });
+
+  afterEach(async () => {
+    fsMove.mockRestore();
+    await fs.remove(folderPath);
+  });
+
+  async function importInto(subfolderPath) {
+    const dispatch = jest.fn();
+    const getState = () => ({
+      fileLoader: {
+        rootFolderPath: rootFolderPath,
+        replayIndex: replayIndex,
+        replayParser: replayParser,
+      },
+    });
+    await importArchive(archivePath, subfolderPath)(dispatch, getState);
+    return dispatch.mock.calls.map(([action]) => action);
+  }
+
+  it('moves the new replays into the folder and reports the ones it left out', async () => {
+    const destinationPath = path.join(rootFolderPath, 'Imported');
+    await fs.outputFile(path.join(destinationPath, 'Game_3.slp'), 'existing');
+    await createArchive(archivePath, {
+      'Game_1.slp': libraryReplay,
+      'Netplay/Game_2.slp': newReplay,
+      'Copy/Game_2.slp': newReplay,
+      'Game_3.slp': otherReplay,
+      'Game_4.slp': 'broken',
+      'notes.txt': 'not a replay',
+    });
+
+    const actions = await importInto('Imported');
+    const importedPaths = [
+      path.join(destinationPath, 'Game_2.slp'),
+      path.join(destinationPath, 'Game_3_2.slp'),
+    ];
+    expect(actions).toContainEqual({
+      type: IMPORT_COMPLETE,
+      payload: {
+        report: {
+          destinationPath: destinationPath,
+          imported: [
+            { fileName: 'Netplay/Game_2.slp', importedPath: importedPaths[0] },
+            { fileName: 'Game_3.slp', importedPath: importedPaths[1] },
+          ],
+          skipped: [
+            { fileName: 'Game_1.slp', reason: "Already in the library" },
+            { fileName: 'Copy/Game_2.slp', reason: "Appears more than once in the archive" },
+          ],
+          rejected: [
+            { fileName: 'Game_4.slp', reason: "Broken" },
+          ],
+        },
+      },
+    });
+
+    expect(await fs.readFile(importedPaths[0])).toEqual(newReplay);
+    expect(await fs.readFile(importedPaths[1])).toEqual(otherReplay);
+    expect(await fs.readFile(path.join(destinationPath, 'Game_3.slp'), 'utf8')).toBe('existing');
+    expect((await fs.readdir(destinationPath)).sort()).toEqual(['Game_2.slp', 'Game_3.slp', 'Game_3_2.slp']);
+
+    // Imported replays are indexed so they don't have to be parsed again
+    expect(replayIndex.setRecord).toHaveBeenCalledTimes(2);
+    expect(replayIndex.setRecord).toHaveBeenCalledWith(importedPaths[0], expect.anything(), { settings: {} });
+    expect(replayIndex.saveFolder).toHaveBeenCalledWith(destinationPath);
+    expect(reloadLibrary).toHaveBeenCalled();
+  });
+
+  it('only imports into the replay root folder', async () => {
+    await createArchive(archivePath, { 'Game_2.slp': newReplay });
+
+    const actions = await importInto('../Elsewhere');
+    expect(actions).not.toContainEqual({ type: IMPORT_START });
+    expect(actions).toContainEqual({ type: CLEAR_IMPORT });
+    expect(actions).toContainEqual(expect.objectContaining({ type: DISPLAY_ERROR }));
+    expect(await fs.pathExists(path.join(folderPath, 'Elsewhere'))).toBe(false);
+  });
+
+  it('leaves the library alone when the archive cannot be read', async () => {
+    await fs.writeFile(archivePath, 'not a zip');
+
+    const actions = await importInto('Imported');
+    expect(actions).toContainEqual({ type: CLEAR_IMPORT });
+    expect(actions).toContainEqual(expect.objectContaining({ type: DISPLAY_ERROR }));
+    expect(await fs.pathExists(path.join(rootFolderPath, 'Imported'))).toBe(false);
+    expect(reloadLibrary).not.toHaveBeenCalled();
+  });
+});
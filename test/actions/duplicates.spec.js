@@ -0,0 +1,43 @@
+import { trashDuplicates, DUPLICATES_TRASHED } from '../../app/actions/duplicates';
+import { deleteSelections } from '../../app/actions/fileLoader';
+import { DISPLAY_ERROR } from '../../app/actions/error';
+
+jest.mock('electron-log', () => ({
+  error: jest.fn(),
+}));
+jest.mock('../../app/actions/fileLoader', () => ({
+  readReplayLibrary: jest.fn(),
+  deleteSelections: jest.fn(),
+}));
+
+const groups = [
+  { key: 'a', files: [{ fullPath: '/a/1.slp' }, { fullPath: '/a/2.slp' }] },
+  { key: 'b', files: [{ fullPath: '/b/1.slp' }, { fullPath: '/b/2.slp' }, { fullPath: '/b/3.slp' }] },
+];
+
+async function trash(deleteResult) {
+  deleteSelections.mockReturnValue(() => deleteResult);
+  const dispatch = jest.fn();
+  const getState = () => ({ duplicates: { groups: groups } });
+  await trashDuplicates({ a: '/a/1.slp', b: '/b/1.slp' })(dispatch, getState);
+  return dispatch.mock.calls.map(([action]) => action);
+}
+
+describe('trashDuplicates', () => {
+  it('only clears the groups whose extra copies were all deleted', async () => {
+    const actions = await trash(Promise.resolve(['/a/2.slp', '/b/2.slp']));
+
+    expect(deleteSelections).toHaveBeenLastCalledWith([
+      { fullPath: '/a/2.slp' }, { fullPath: '/b/2.slp' }, { fullPath: '/b/3.slp' },
+    ]);
+    expect(actions[0]).toEqual({ type: DUPLICATES_TRASHED, payload: { groupKeys: ['a'] } });
+    expect(actions[1].type).toBe(DISPLAY_ERROR);
+  });
+
+  it('keeps every group when the delete fails', async () => {
+    const actions = await trash(Promise.reject(new Error("EPERM")));
+
+    expect(actions[0]).toEqual({ type: DUPLICATES_TRASHED, payload: { groupKeys: [] } });
+    expect(actions[1].type).toBe(DISPLAY_ERROR);
+  });
+});
@@ -0,0 +1,154 @@
+import {
+  setStatsGamePage, loadEndStates, SET_STATS_GAME_PAGE, UPDATE_FILES_IN_FOLDER,
+} from '../../app/actions/fileLoader';
+import { gameProfileLoad } from '../../app/actions/game';
+import { IndexedGame } from '../../app/domain/ReplayIndex';
+import { createFile, defaultPlayers } from '../helpers/replayFiles';
+
+jest.mock('electron', () => ({
+  remote: { app: { getPath: () => '/tmp' } },
+}));
+jest.mock('electron-log', () => ({
+  warn: jest.fn(),
+}));
+jest.mock('electron-settings', () => ({
+  get: jest.fn(),
+  set: jest.fn(),
+}));
+jest.mock('../../app/actions/game', () => ({
+  gameProfileLoad: jest.fn(),
+}));
+
+describe('setStatsGamePage', () => {
+  const files = [{ fullPath: '/replays/1.slp' }, { fullPath: '/replays/2.slp' }];
+  const loadGame = jest.fn();
+
+  beforeEach(() => {
+    loadGame.mockClear();
+    gameProfileLoad.mockReturnValue(loadGame);
+  });
+
+  function changePage(index, fileLoader) {
+    const dispatch = jest.fn();
+    setStatsGamePage(index)(dispatch, () => ({ fileLoader: fileLoader }));
+    return dispatch.mock.calls.map(([action]) => action);
+  }
+
+  it('wraps around both ends of the list', () => {
+    const fileLoader = { filterReplays: true, files: files };
+    expect(changePage(-1, fileLoader)).toEqual([{
+      type: SET_STATS_GAME_PAGE,
+      payload: { statsGameIndex: 1 },
+    }]);
+    expect(gameProfileLoad).toHaveBeenLastCalledWith('/replays/2.slp');
+
+    expect(changePage(2, fileLoader)[0].payload.statsGameIndex).toBe(0);
+    expect(gameProfileLoad).toHaveBeenLastCalledWith('/replays/1.slp');
+  });
+
+  it('does nothing without a list to page through', () => {
+    gameProfileLoad.mockClear();
+    expect(changePage(-1, { filterReplays: false, allFiles: [] })).toEqual([]);
+    expect(changePage(1, { filterReplays: true, files: null })).toEqual([]);
+    expect(gameProfileLoad).not.toHaveBeenCalled();
+  });
+});
+
+describe('loadEndStates', () => {
+  const endState = { stocks: { 0: 2, 1: 0 }, gameEndMethod: 2, winnerIndices: [0] };
+  const record = { settings: { stageId: 31, players: defaultPlayers }, metadata: {} };
+  const indexedFile = (fullPath, fileRecord) => createFile(fullPath, {
+    game: new IndexedGame(fullPath, fileRecord),
+  });
+
+  function createState(scannedFiles, computeEndState) {
+    let state = {
+      fileLoader: {
+        scannedFiles: scannedFiles,
+        numPendingFiles: 0,
+        replayFilters: {},
+        tableLayout: {},
+        replayAnnotations: { get: () => null },
+        replayIndex: {
+          updateRecord: jest.fn(),
+          saveFolder: jest.fn(),
+        },
+        replayParser: {
+          computeEndState: jest.fn(computeEndState),
+        },
+      },
+      settings: { settings: {} },
+    };
+
+    const dispatch = jest.fn(action => {
+      if (action.type === UPDATE_FILES_IN_FOLDER) {
+        state = {
+          ...state,
+          fileLoader: { ...state.fileLoader, scannedFiles: action.payload.scannedFiles },
+        };
+      }
+    });
+    return [dispatch, () => state];
+  }
+
+  it('only reads the end of games that are missing it and adds it to the index and list', async () => {
+    const loaded = indexedFile('/replays/1.slp', { ...record, endState: endState });
+    const missing = indexedFile('/replays/2.slp', record);
+    const failed = indexedFile('/replays/3.slp', record);
+    const [dispatch, getState] = createState([loaded, missing, failed], fullPath => (
+      fullPath === failed.fullPath ? Promise.reject(new Error("Unreadable")) : Promise.resolve(endState)
+    ));
+
+    const files = await loadEndStates([loaded, missing, failed], 'group', dispatch, getState);
+    const { replayIndex, replayParser, scannedFiles } = getState().fileLoader;
+
+    expect(replayParser.computeEndState.mock.calls).toEqual([
+      ['/replays/2.slp', 'group'],
+      ['/replays/3.slp', 'group'],
+    ]);
+    expect(files[0]).toBe(loaded);
+    expect(files[1].game.getEndState()).toEqual(endState);
+    expect(files[2].game.getEndState()).toBeNull();
+    expect(files[2].game.isEndStateLoaded()).toBe(true);
+
+    // Failures get another try the next time the folder is read
+    expect(replayIndex.updateRecord.mock.calls).toEqual([
+      ['/replays/2.slp', { endState: endState }],
+    ]);
+    expect(replayIndex.saveFolder).toHaveBeenCalledWith('/replays');
+    expect(scannedFiles.map(file => file.game.isEndStateLoaded())).toEqual([true, true, true]);
+  });
+
+  it('leaves files as they were when the job is cancelled', async () => {
+    const missing = indexedFile('/replays/1.slp', record);
+    const [dispatch, getState] = createState([missing], () => Promise.resolve(null));
+
+    const files = await loadEndStates([missing], 'group', dispatch, getState);
+    expect(files[0]).toBe(missing);
+    expect(getState().fileLoader.replayIndex.updateRecord).not.toHaveBeenCalled();
+    expect(getState().fileLoader.scannedFiles[0]).toBe(missing);
+  });
+
+  it("doesn't read the same game twice at once", async () => {
+    const missing = indexedFile('/replays/1.slp', record);
+    const [dispatch, getState] = createState([missing], () => Promise.resolve(endState));
+
+    const [first, second] = await Promise.all([
+      loadEndStates([missing], 'group', dispatch, getState),
+      loadEndStates([missing], 'other', dispatch, getState),
+    ]);
+    expect(getState().fileLoader.replayParser.computeEndState).toHaveBeenCalledTimes(1);
+    expect(first[0].game.getEndState()).toEqual(endState);
+    expect(second[0].game.getEndState()).toEqual(endState);
+  });
+
+  it('uses the end state that the list already has for an older copy of the file', async () => {
+    const selected = indexedFile('/replays/1.slp', record);
+    const scanned = indexedFile('/replays/1.slp', { ...record, endState: endState });
+    const [dispatch, getState] = createState([scanned], () => Promise.resolve(endState));
+
+    const files = await loadEndStates([selected], 'group', dispatch, getState);
+    expect(files[0]).toBe(scanned);
+    expect(getState().fileLoader.replayParser.computeEndState).not.toHaveBeenCalled();
+  });
+});
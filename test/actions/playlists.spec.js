@@ -0,0 +1,92 @@
+import os from 'os';
+import fs from 'fs-extra';
+import path from 'path';
+import zlib from 'zlib';
+import { exportPlaylist } from '../../app/actions/playlists';
+import { DISPLAY_ERROR } from '../../app/actions/error';
+
+const { dialog } = require('electron').remote;
+
+jest.mock('electron', () => ({
+  remote: {
+    app: { getPath: () => '/tmp' },
+    dialog: { showSaveDialog: jest.fn() },
+  },
+}));
+jest.mock('electron-settings', () => ({}));
+jest.mock('electron-log', () => ({
+  error: jest.fn(),
+}));
+
+describe('exportPlaylist', () => {
+  let folderPath;
+  let exportPath;
+  const contents = Buffer.from('{U\u0003raw[$U#l'.repeat(100));
+
+  beforeEach(async () => {
+    folderPath = await fs.mkdtemp(path.join(os.tmpdir(), 'export-playlist-'));
+    exportPath = path.join(folderPath, 'export', 'Combos.json');
+    await fs.ensureDir(path.dirname(exportPath));
+    dialog.showSaveDialog.mockReturnValue(exportPath);
+  });
+
+  afterEach(async () => {
+    await fs.remove(folderPath);
+  });
+
+  async function exportEntries(entries) {
+    const playlist = { id: 'p1', name: 'Combos', entries: entries };
+    const getState = () => ({
+      playlists: {
+        replayPlaylists: { get: () => playlist },
+      },
+    });
+
+    const dispatch = jest.fn();
+    await exportPlaylist('p1')(dispatch, getState);
+    return dispatch.mock.calls.map(([action]) => action);
+  }
+
+  it('points compressed replays at extracted copies next to the exported queue', async () => {
+    const replayPath = path.join(folderPath, 'Game_1.slp');
+    const compressedPath = path.join(folderPath, 'Game_2.slp.gz');
+    await fs.writeFile(replayPath, contents);
+    await fs.writeFile(compressedPath, zlib.gzipSync(contents));
+
+    const actions = await exportEntries([
+      { path: replayPath, gameStartAt: "", gameStation: "" },
+      { path: compressedPath, gameStartAt: "", gameStation: "", startFrame: 100 },
+      { path: compressedPath, gameStartAt: "", gameStation: "", startFrame: 500 },
+    ]);
+    expect(actions).toEqual([]);
+
+    const queue = (await fs.readJson(exportPath)).queue;
+    expect(queue).toHaveLength(3);
+    expect(queue[0].path).toBe(replayPath);
+
+    const extractedPath = queue[1].path;
+    expect(path.dirname(extractedPath)).toBe(path.join(folderPath, 'export', 'Combos_replays'));
+    expect(extractedPath.endsWith('.slp')).toBe(true);
+    expect(queue[1].startFrame).toBe(100);
+    expect(queue[2]).toEqual({ ...queue[1], startFrame: 500 });
+    expect((await fs.readFile(extractedPath)).equals(contents)).toBe(true);
+  });
+
+  it('leaves out compressed replays that fail to extract', async () => {
+    const replayPath = path.join(folderPath, 'Game_1.slp');
+    const brokenPath = path.join(folderPath, 'Game_2.slp.gz');
+    await fs.writeFile(replayPath, contents);
+    await fs.writeFile(brokenPath, 'not gzipped');
+
+    const actions = await exportEntries([
+      { path: replayPath, gameStartAt: "", gameStation: "" },
+      { path: brokenPath, gameStartAt: "", gameStation: "" },
+    ]);
+    expect(actions).toHaveLength(1);
+    expect(actions[0].type).toBe(DISPLAY_ERROR);
+
+    const queue = (await fs.readJson(exportPath)).queue;
+    expect(queue).toEqual([{ path: replayPath, gameStartAt: "", gameStation: "" }]);
+    expect(await fs.readdir(path.join(folderPath, 'export', 'Combos_replays'))).toEqual([]);
+  });
+});
@@ -0,0 +1,76 @@
+import React from 'react';
+import Enzyme, { mount } from 'enzyme';
+import Adapter from 'enzyme-adapter-react-16';
+
+import VirtualTableBody from '../../../app/components/common/VirtualTableBody';
+
+Enzyme.configure({ adapter: new Adapter() });
+
+const rowHeights = {
+  file: 40,
+  preview: 100,
+};
+
+// jsdom doesn't do layout, the rows say how tall they are instead
+beforeAll(() => {
+  Object.defineProperty(window.HTMLElement.prototype, 'offsetHeight', {
+    configurable: true,
+    get: function getOffsetHeight() {
+      return Number(this.getAttribute('data-height')) || 0;
+    },
+  });
+});
+
+afterAll(() => {
+  delete window.HTMLElement.prototype.offsetHeight;
+});
+
+function renderTable(rowTypes) {
+  const getRowType = index => rowTypes[index];
+  const renderRow = index => (
+    <tr key={index} data-height={rowHeights[rowTypes[index]]}>
+      <td>{index}</td>
+    </tr>
+  );
+
+  return mount(
+    <table>
+      <VirtualTableBody
+        rowCount={rowTypes.length}
+        renderRow={renderRow}
+        getRowType={getRowType}
+        overscan={10}
+      />
+    </table>
+  );
+}
+
+function getSpacerHeights(wrapper) {
+  const rows = wrapper.find('tbody').children();
+  return [rows.first().prop('style').height, rows.last().prop('style').height];
+}
+
+describe('VirtualTableBody', () => {
+  it('sizes the rows that are not mounted by the height of their type', () => {
+    const rowTypes = Array(30).fill('file');
+    rowTypes[5] = 'preview';
+    rowTypes[15] = 'preview';
+
+    const wrapper = renderTable(rowTypes);
+    wrapper.update();
+
+    // Only the overscan is mounted since jsdom has no viewport
+    expect(wrapper.find('tbody').children()).toHaveLength(12);
+    expect(getSpacerHeights(wrapper)).toEqual([0, (19 * 40) + 100]);
+  });
+
+  it('uses the estimated height for types that have not been mounted yet', () => {
+    const rowTypes = Array(30).fill('file');
+    rowTypes[15] = 'preview';
+
+    const wrapper = renderTable(rowTypes);
+    wrapper.update();
+
+    expect(getSpacerHeights(wrapper)).toEqual([0, (19 * 40) + 70]);
+  });
+});
@@ -0,0 +1,121 @@
+import os from 'os';
+import fs from 'fs-extra';
+import path from 'path';
+import FolderWatcher from '../../app/domain/FolderWatcher';
+import { RECYCLE_FOLDER_NAME } from '../../app/domain/ReplayRecycleBin';
+
+jest.mock('electron', () => ({
+  remote: { app: { getPath: () => '/tmp' } },
+}));
+jest.mock('electron-log', () => ({
+  warn: jest.fn(),
+}));
+jest.mock('electron-settings', () => ({}));
+
+describe('FolderWatcher', () => {
+  let watcher;
+  let fsWatch;
+  let onFsEvent;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    fsWatch = jest.spyOn(fs, 'watch').mockImplementation((folderPath, options, callback) => {
+      onFsEvent = callback;
+      return { on: jest.fn(), close: jest.fn() };
+    });
+
+    watcher = new FolderWatcher(1000);
+    jest.spyOn(watcher, 'checkFile').mockImplementation(() => null);
+    watcher.watch(['/replays']);
+  });
+
+  afterEach(() => {
+    watcher.close();
+    fsWatch.mockRestore();
+    jest.useRealTimers();
+  });
+
+  it('only looks at a file once it has been quiet for a while', () => {
+    onFsEvent('change', 'Game_1.slp');
+    jest.advanceTimersByTime(600);
+    onFsEvent('change', 'Game_1.slp');
+    jest.advanceTimersByTime(600);
+    onFsEvent('change', 'Game_1.slp');
+    jest.advanceTimersByTime(999);
+    expect(watcher.checkFile).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    expect(watcher.checkFile).toHaveBeenCalledTimes(1);
+    expect(watcher.checkFile).toHaveBeenCalledWith(path.join('/replays', 'Game_1.slp'));
+  });
+
+  it('debounces every file on its own', () => {
+    onFsEvent('change', 'Game_1.slp');
+    jest.advanceTimersByTime(500);
+    onFsEvent('rename', 'Game_2.slp');
+    jest.advanceTimersByTime(500);
+    expect(watcher.checkFile).toHaveBeenCalledWith(path.join('/replays', 'Game_1.slp'));
+
+    jest.advanceTimersByTime(500);
+    expect(watcher.checkFile).toHaveBeenCalledTimes(2);
+    expect(watcher.checkFile).toHaveBeenLastCalledWith(path.join('/replays', 'Game_2.slp'));
+  });
+
+  it('ignores files that are not replays or are in the recycle bin', () => {
+    onFsEvent('change', 'notes.txt');
+    onFsEvent('change', path.join(RECYCLE_FOLDER_NAME, '1', 'Game_1.slp'));
+    onFsEvent('change', null);
+    jest.runAllTimers();
+
+    expect(watcher.checkFile).not.toHaveBeenCalled();
+  });
+
+  it('drops the files it was waiting on when it is closed', () => {
+    onFsEvent('change', 'Game_1.slp');
+    watcher.close();
+    jest.runAllTimers();
+
+    expect(watcher.checkFile).not.toHaveBeenCalled();
+  });
+});
+
+describe('FolderWatcher.checkFile', () => {
+  let folderPath;
+  let watcher;
+
+  beforeEach(async () => {
+    folderPath = await fs.mkdtemp(path.join(os.tmpdir(), 'folder-watcher-'));
+    watcher = new FolderWatcher();
+    watcher.folderPaths = [folderPath];
+  });
+
+  afterEach(async () => {
+    await fs.remove(folderPath);
+  });
+
+  it('emits a change for a file that exists and a remove for one that does not', async () => {
+    const onChange = jest.fn();
+    const onRemove = jest.fn();
+    watcher.on('change', onChange);
+    watcher.on('remove', onRemove);
+
+    const replayPath = path.join(folderPath, 'Game_1.slp');
+    await fs.writeFile(replayPath, 'replay');
+    await watcher.checkFile(replayPath);
+    expect(onChange).toHaveBeenCalledWith(replayPath, expect.objectContaining({ size: 6 }));
+
+    await fs.remove(replayPath);
+    await watcher.checkFile(replayPath);
+    expect(onRemove).toHaveBeenCalledWith(replayPath);
+  });
+
+  it('stays quiet when the folders changed while the file was being looked at', async () => {
+    const onRemove = jest.fn();
+    watcher.on('remove', onRemove);
+
+    const checking = watcher.checkFile(path.join(folderPath, 'Game_1.slp'));
+    watcher.folderPaths = ['/other'];
+    await checking;
+    expect(onRemove).not.toHaveBeenCalled();
+  });
+});
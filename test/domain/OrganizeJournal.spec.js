@@ -0,0 +1,57 @@
+import os from 'os';
+import fs from 'fs-extra';
+import path from 'path';
+import OrganizeJournal from '../../app/domain/OrganizeJournal';
+
+jest.mock('electron', () => ({
+  remote: { app: { getPath: () => '/tmp' } },
+}));
+jest.mock('electron-log', () => ({}));
+
+describe('OrganizeJournal', () => {
+  let folderPath;
+  let journalFilePath;
+  const moves = [
+    { from: '/replays/Game_1.slp', to: '/replays/2020/Game_1.slp' },
+    { from: '/replays/Game_2.slp', to: '/replays/2020/Game_2.slp' },
+  ];
+
+  beforeEach(async () => {
+    folderPath = await fs.mkdtemp(path.join(os.tmpdir(), 'organize-journal-'));
+    journalFilePath = path.join(folderPath, 'organize-journal.json');
+
+    const journal = new OrganizeJournal(journalFilePath);
+    await journal.record({
+      rootFolderPath: '/replays',
+      template: '{year}',
+      moves: moves,
+    });
+  });
+
+  afterEach(async () => {
+    await fs.remove(folderPath);
+  });
+
+  it('keeps the moves that were not undone', async () => {
+    const journal = new OrganizeJournal(journalFilePath);
+    const operation = await journal.load();
+    await journal.removeMoves([operation.moves[0]]);
+
+    const reloaded = new OrganizeJournal(journalFilePath);
+    await reloaded.load();
+    expect(reloaded.getLastOperation('/replays')).toEqual({
+      rootFolderPath: '/replays',
+      template: '{year}',
+      moves: [moves[1]],
+    });
+  });
+
+  it('is cleared once every move has been undone', async () => {
+    const journal = new OrganizeJournal(journalFilePath);
+    const operation = await journal.load();
+    await journal.removeMoves(operation.moves);
+
+    expect(journal.getLastOperation('/replays')).toBeNull();
+    expect(await fs.pathExists(journalFilePath)).toBe(false);
+  });
+});
@@ -0,0 +1,42 @@
+import os from 'os';
+import fs from 'fs-extra';
+import path from 'path';
+import ReplayAnnotations, { ANNOTATIONS_FILE_NAME } from '../../app/domain/ReplayAnnotations';
+
+jest.mock('electron-log', () => ({}));
+
+describe('ReplayAnnotations', () => {
+  let rootFolderPath;
+
+  beforeEach(async () => {
+    rootFolderPath = await fs.mkdtemp(path.join(os.tmpdir(), 'replay-annotations-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(rootFolderPath);
+  });
+
+  it('follows replays that get moved within the root folder', async () => {
+    const replayAnnotations = new ReplayAnnotations();
+    await replayAnnotations.load(rootFolderPath);
+    await replayAnnotations.update(path.join(rootFolderPath, 'Game_1.slp'), { favorite: true });
+
+    const movedPath = path.join(rootFolderPath, '2020', 'Game_1.slp');
+    replayAnnotations.move(path.join(rootFolderPath, 'Game_1.slp'), movedPath);
+    await replayAnnotations.save();
+
+    const stored = await fs.readJson(path.join(rootFolderPath, ANNOTATIONS_FILE_NAME));
+    expect(Object.keys(stored.entries)).toEqual(['2020/Game_1.slp']);
+    expect(replayAnnotations.get(movedPath).favorite).toBe(true);
+  });
+
+  it('leaves replays alone while there is no root folder', async () => {
+    const replayAnnotations = new ReplayAnnotations();
+    await replayAnnotations.load(null);
+
+    const fullPath = path.join(rootFolderPath, 'Game_1.slp');
+    expect(replayAnnotations.get(fullPath).favorite).toBe(false);
+    expect(() => replayAnnotations.move(fullPath, `${fullPath}.gz`)).not.toThrow();
+    await expect(replayAnnotations.update(fullPath, { favorite: true })).rejects.toThrow();
+  });
+});
@@ -0,0 +1,88 @@
+import os from 'os';
+import fs from 'fs-extra';
+import path from 'path';
+import ReplayIndex from '../../app/domain/ReplayIndex';
+
+jest.mock('electron', () => ({
+  remote: { app: { getPath: () => '/tmp' } },
+}));
+jest.mock('electron-log', () => ({
+  warn: jest.fn(),
+}));
+
+describe('ReplayIndex', () => {
+  let indexDirPath;
+  const folderPath = '/replays';
+  const fullPath = path.join(folderPath, 'Game_1.slp');
+  const fileStats = { size: 1000, mtimeMs: 1500000000000 };
+  const record = { settings: { stageId: 31 }, metadata: { lastFrame: 500 } };
+
+  beforeEach(async () => {
+    indexDirPath = await fs.mkdtemp(path.join(os.tmpdir(), 'replay-index-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(indexDirPath);
+  });
+
+  it('returns the record of a file that has not changed since it was indexed', async () => {
+    const index = new ReplayIndex(indexDirPath);
+    await index.loadFolder(folderPath);
+    index.setRecord(fullPath, fileStats, record);
+
+    expect(index.getRecord(fullPath, { ...fileStats })).toEqual(record);
+  });
+
+  it('ignores the record once the size or modification time of the file changes', async () => {
+    const index = new ReplayIndex(indexDirPath);
+    await index.loadFolder(folderPath);
+    index.setRecord(fullPath, fileStats, record);
+
+    expect(index.getRecord(fullPath, { ...fileStats, size: 2000 })).toBeNull();
+    expect(index.getRecord(fullPath, { ...fileStats, mtimeMs: fileStats.mtimeMs + 1 })).toBeNull();
+    expect(index.getRecord(path.join(folderPath, 'Game_2.slp'), fileStats)).toBeNull();
+  });
+
+  it('keeps the indexed size and modification time when a record is updated', async () => {
+    const index = new ReplayIndex(indexDirPath);
+    await index.loadFolder(folderPath);
+    index.setRecord(fullPath, fileStats, record);
+    index.updateRecord(fullPath, { endState: { gameEndMethod: 2 } });
+
+    expect(index.getRecord(fullPath, fileStats)).toEqual({
+      ...record,
+      endState: { gameEndMethod: 2 },
+    });
+    expect(index.getRecord(fullPath, { ...fileStats, size: 2000 })).toBeNull();
+  });
+
+  it('reads back the records that were saved for a folder', async () => {
+    const index = new ReplayIndex(indexDirPath);
+    await index.loadFolder(folderPath);
+    index.setRecord(fullPath, fileStats, record);
+    index.setRecord(path.join(folderPath, 'Game_2.slp'), fileStats, record);
+    index.prune(folderPath, ['Game_1.slp']);
+    await index.saveFolder(folderPath);
+
+    const reloaded = new ReplayIndex(indexDirPath);
+    await reloaded.loadFolder(folderPath);
+    expect(reloaded.getRecord(fullPath, fileStats)).toEqual(record);
+    expect(reloaded.getRecord(path.join(folderPath, 'Game_2.slp'), fileStats)).toBeNull();
+    expect(reloaded.getRecord(fullPath, { ...fileStats, mtimeMs: 0 })).toBeNull();
+  });
+
+  it('starts over when the stored index is from another version', async () => {
+    const index = new ReplayIndex(indexDirPath);
+    await index.loadFolder(folderPath);
+    index.setRecord(fullPath, fileStats, record);
+    await index.saveFolder(folderPath);
+
+    const indexFilePath = index.getIndexFilePath(folderPath);
+    const stored = await fs.readJson(indexFilePath);
+    await fs.writeJson(indexFilePath, { ...stored, version: stored.version - 1 });
+
+    const reloaded = new ReplayIndex(indexDirPath);
+    await reloaded.loadFolder(folderPath);
+    expect(reloaded.getRecord(fullPath, fileStats)).toBeNull();
+  });
+});
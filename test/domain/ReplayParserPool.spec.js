@@ -0,0 +1,96 @@
+import { fork } from 'child_process';
+import ReplayParserPool from '../../app/domain/ReplayParserPool';
+
+jest.mock('child_process', () => {
+  // eslint-disable-next-line global-require
+  const EventEmitter = require('events');
+  return {
+    fork: jest.fn(() => {
+      const workerProcess = new EventEmitter();
+      workerProcess.send = jest.fn();
+      return workerProcess;
+    }),
+  };
+});
+jest.mock('electron', () => ({
+  remote: { app: { getAppPath: () => '/app' } },
+}));
+jest.mock('electron-log', () => ({
+  warn: jest.fn(),
+}));
+
+describe('ReplayParserPool', () => {
+  let pool;
+
+  const getWorkerProcess = index => fork.mock.results[index].value;
+  const getSentJob = workerProcess => workerProcess.send.mock.calls.slice(-1)[0][0];
+
+  beforeEach(() => {
+    fork.mockClear();
+    pool = new ReplayParserPool(1);
+  });
+
+  it('resolves jobs with the result sent back by their worker', async () => {
+    const header = pool.parseHeader('/replays/Game_1.slp', 'scan');
+
+    const workerProcess = getWorkerProcess(0);
+    expect(getSentJob(workerProcess)).toMatchObject({
+      type: 'header',
+      filePath: '/replays/Game_1.slp',
+    });
+    workerProcess.emit('message', { jobId: getSentJob(workerProcess).jobId, result: 'header' });
+
+    expect(await header).toBe('header');
+  });
+
+  it('resolves the queued jobs of a cancelled group with null', async () => {
+    const running = pool.parseHeader('/replays/Game_1.slp', 'scan');
+    const queued = pool.parseHeader('/replays/Game_2.slp', 'scan');
+    const otherGroup = pool.computeStats('/replays/Game_3.slp', 'stats');
+
+    pool.cancel('scan');
+    expect(await running).toBeNull();
+    expect(await queued).toBeNull();
+
+    // The running job can't be stopped, its result is dropped once it comes in
+    const workerProcess = getWorkerProcess(0);
+    workerProcess.emit('message', { jobId: getSentJob(workerProcess).jobId, result: 'header' });
+
+    expect(getSentJob(workerProcess)).toMatchObject({
+      type: 'stats',
+      filePath: '/replays/Game_3.slp',
+    });
+    workerProcess.emit('message', { jobId: getSentJob(workerProcess).jobId, result: 'stats' });
+
+    expect(await otherGroup).toBe('stats');
+    expect(workerProcess.send).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps the results of groups that were not cancelled', async () => {
+    pool = new ReplayParserPool(2);
+    const scanned = pool.parseHeader('/replays/Game_1.slp', 'scan');
+    const stats = pool.computeStats('/replays/Game_2.slp', 'stats');
+
+    pool.cancel('stats');
+    expect(await stats).toBeNull();
+
+    const workerProcess = getWorkerProcess(0);
+    workerProcess.emit('message', { jobId: getSentJob(workerProcess).jobId, result: 'header' });
+    expect(await scanned).toBe('header');
+  });
+
+  it("doesn't reject a cancelled job when its worker exits", async () => {
+    const running = pool.parseHeader('/replays/Game_1.slp', 'scan');
+    const queued = pool.parseHeader('/replays/Game_2.slp', 'stats');
+
+    pool.cancel('scan');
+    getWorkerProcess(0).emit('exit', 1);
+    expect(await running).toBeNull();
+
+    // A new worker picks up the rest of the queue
+    const workerProcess = getWorkerProcess(1);
+    expect(getSentJob(workerProcess)).toMatchObject({ filePath: '/replays/Game_2.slp' });
+    workerProcess.emit('message', { jobId: getSentJob(workerProcess).jobId, error: 'Failed' });
+    await expect(queued).rejects.toThrow('Failed');
+  });
+});
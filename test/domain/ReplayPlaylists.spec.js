@@ -0,0 +1,50 @@
+import os from 'os';
+import fs from 'fs-extra';
+import path from 'path';
+import ReplayPlaylists from '../../app/domain/ReplayPlaylists';
+
+jest.mock('electron', () => ({ remote: { app: { getPath: () => '/tmp' } } }));
+jest.mock('electron-log', () => ({}));
+
+describe('ReplayPlaylists', () => {
+  let folderPath;
+  let playlistsFilePath;
+
+  beforeEach(async () => {
+    folderPath = await fs.mkdtemp(path.join(os.tmpdir(), 'replay-playlists-'));
+    playlistsFilePath = path.join(folderPath, 'playlists.json');
+
+    const stored = new ReplayPlaylists(playlistsFilePath);
+    await stored.load();
+    await stored.create("Sets", [
+      { path: "/replays/Game_1.slp", gameStartAt: "", gameStation: "" },
+      { path: "/replays/Game_2.slp", gameStartAt: "", gameStation: "" },
+    ]);
+  });
+
+  afterEach(async () => {
+    await fs.remove(folderPath);
+  });
+
+  it('keeps every move made before the playlists were read', async () => {
+    const replayPlaylists = new ReplayPlaylists(playlistsFilePath);
+    await Promise.all([
+      replayPlaylists.move("/replays/Game_1.slp", "/replays/2020/Game_1.slp"),
+      replayPlaylists.move("/replays/Game_2.slp", "/replays/2020/Game_2.slp"),
+    ]);
+    await replayPlaylists.save();
+
+    const reloaded = new ReplayPlaylists(playlistsFilePath);
+    const [playlist] = await reloaded.load();
+    expect(playlist.entries.map(entry => entry.path)).toEqual([
+      "/replays/2020/Game_1.slp", "/replays/2020/Game_2.slp",
+    ]);
+  });
+
+  it('does not overwrite playlists that have not been read', async () => {
+    await new ReplayPlaylists(playlistsFilePath).save();
+
+    const [playlist] = await new ReplayPlaylists(playlistsFilePath).load();
+    expect(playlist.name).toBe("Sets");
+  });
+});
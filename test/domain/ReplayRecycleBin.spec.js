@@ -0,0 +1,131 @@
+import os from 'os';
+import fs from 'fs-extra';
+import path from 'path';
+import { shell } from 'electron';
+import ReplayRecycleBin, { RECYCLE_FOLDER_NAME } from '../../app/domain/ReplayRecycleBin';
+
+jest.mock('electron', () => ({
+  shell: { moveItemToTrash: jest.fn() },
+  remote: { app: { getPath: () => '/tmp' } },
+}));
+jest.mock('electron-log', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+}));
+jest.mock('electron-settings', () => ({}));
+
+describe('ReplayRecycleBin', () => {
+  let folderPath;
+  let rootFolders;
+  let fallbackDirPath;
+  let recycleBin;
+
+  const replayPath = (...parts) => path.join(folderPath, ...parts);
+
+  beforeEach(async () => {
+    folderPath = await fs.mkdtemp(path.join(os.tmpdir(), 'replay-recycle-bin-'));
+    rootFolders = [
+      { fullPath: replayPath('Slippi') },
+      { fullPath: replayPath('Slippi', 'Netplay') },
+      { fullPath: replayPath('Tournament') },
+    ];
+    fallbackDirPath = replayPath('userData', 'DeletedReplays');
+    recycleBin = new ReplayRecycleBin(fallbackDirPath);
+
+    const fileNames = [
+      ['Slippi', 'Game_1.slp'],
+      ['Slippi', '2020', 'Game_1.slp'],
+      ['Slippi', 'Netplay', 'Game_2.slp'],
+      ['Tournament', 'Game_3.slp'],
+      ['Elsewhere', 'Game_4.slp'],
+    ];
+    await Promise.all(fileNames.map(parts => fs.outputFile(replayPath(...parts), parts.join('/'))));
+  });
+
+  afterEach(async () => {
+    await fs.remove(folderPath);
+  });
+
+  it('holds deleted replays in a hidden folder of their own replay root', async () => {
+    const fullPaths = [
+      replayPath('Slippi', 'Game_1.slp'),
+      replayPath('Slippi', '2020', 'Game_1.slp'),
+      replayPath('Slippi', 'Netplay', 'Game_2.slp'),
+      replayPath('Tournament', 'Game_3.slp'),
+      replayPath('Elsewhere', 'Game_4.slp'),
+    ];
+    const batch = await recycleBin.recycle(fullPaths, rootFolders);
+
+    expect(batch.entries.map(entry => entry.originalPath)).toEqual(fullPaths);
+    expect(batch.entries.map(entry => path.relative(folderPath, path.dirname(entry.heldPath)))).toEqual([
+      path.join('Slippi', RECYCLE_FOLDER_NAME, batch.id),
+      path.join('Slippi', RECYCLE_FOLDER_NAME, batch.id),
+      path.join('Slippi', 'Netplay', RECYCLE_FOLDER_NAME, batch.id),
+      path.join('Tournament', RECYCLE_FOLDER_NAME, batch.id),
+      path.join('userData', 'DeletedReplays', batch.id),
+    ]);
+    expect(batch.batchPaths).toHaveLength(4);
+
+    // Same names from different folders don't clash
+    const held = await Promise.all(batch.entries.map(entry => fs.readFile(entry.heldPath, 'utf8')));
+    expect(held).toEqual([
+      'Slippi/Game_1.slp',
+      'Slippi/2020/Game_1.slp',
+      'Slippi/Netplay/Game_2.slp',
+      'Tournament/Game_3.slp',
+      'Elsewhere/Game_4.slp',
+    ]);
+    expect(await fs.pathExists(fullPaths[0])).toBe(false);
+  });
+
+  it('puts replays back where they came from and cleans up after itself', async () => {
+    const fullPaths = [replayPath('Slippi', 'Game_1.slp'), replayPath('Tournament', 'Game_3.slp')];
+    const batch = await recycleBin.recycle(fullPaths, rootFolders);
+
+    expect(await recycleBin.restore(batch)).toEqual(fullPaths);
+    expect(await fs.readFile(fullPaths[0], 'utf8')).toBe('Slippi/Game_1.slp');
+    expect(await fs.readdir(replayPath('Slippi', RECYCLE_FOLDER_NAME))).toEqual([]);
+    expect(await recycleBin.loadBatches(rootFolders)).toEqual([]);
+  });
+
+  it('puts the parts of a batch back together when loading it', async () => {
+    const fullPaths = [
+      replayPath('Slippi', 'Game_1.slp'),
+      replayPath('Tournament', 'Game_3.slp'),
+      replayPath('Elsewhere', 'Game_4.slp'),
+    ];
+    const batch = await recycleBin.recycle(fullPaths, rootFolders);
+
+    const batches = await new ReplayRecycleBin(fallbackDirPath).loadBatches(rootFolders);
+    expect(batches).toHaveLength(1);
+    expect(batches[0].id).toBe(batch.id);
+    expect(batches[0].deletedAt).toBe(batch.deletedAt);
+    expect(batches[0].entries).toEqual(expect.arrayContaining(batch.entries));
+    expect(batches[0].entries).toHaveLength(3);
+
+    await recycleBin.removeBatch(batches[0]);
+    expect(await recycleBin.loadBatches(rootFolders)).toEqual([]);
+    await Promise.all(batch.batchPaths.map(async batchPath => {
+      expect(await fs.pathExists(batchPath)).toBe(false);
+    }));
+  });
+
+  it('keeps what the OS trash refuses to take', async () => {
+    shell.moveItemToTrash.mockReturnValue(false);
+    const batch = await recycleBin.recycle([replayPath('Slippi', 'Game_1.slp')], rootFolders);
+
+    await recycleBin.moveToTrash(batch);
+    expect(shell.moveItemToTrash).toHaveBeenCalledWith(batch.entries[0].heldPath);
+    expect(await fs.pathExists(batch.entries[0].heldPath)).toBe(true);
+    expect(await recycleBin.loadBatches(rootFolders)).toHaveLength(1);
+  });
+
+  it('leaves out replays that could not be moved', async () => {
+    const missingPath = replayPath('Tournament', 'Missing.slp');
+    const batch = await recycleBin.recycle([replayPath('Slippi', 'Game_1.slp'), missingPath], rootFolders);
+
+    expect(batch.entries.map(entry => entry.originalPath)).toEqual([replayPath('Slippi', 'Game_1.slp')]);
+    expect(batch.batchPaths).toEqual([replayPath('Slippi', RECYCLE_FOLDER_NAME, batch.id)]);
+    expect(await fs.readdir(replayPath('Tournament', RECYCLE_FOLDER_NAME))).toEqual([]);
+  });
+});
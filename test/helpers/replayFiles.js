@@ -0,0 +1,42 @@
+import path from 'path';
+import moment from 'moment';
+
+// Fox on port 1 against Falco on port 2
+export const defaultPlayers = [
+  { playerIndex: 0, port: 1, characterId: 2, characterColor: 0, startStocks: 4, type: 0 },
+  { playerIndex: 1, port: 2, characterId: 20, characterColor: 1, startStocks: 4, type: 0 },
+];
+
+export const netplayMetadata = {
+  players: {
+    0: { names: { netplay: "Mango", code: "MANG#0" } },
+    1: { names: { netplay: "Zain", code: "ZAIN#0" } },
+  },
+};
+
+/**
+ * Stands in for an indexed game with whatever parts of the record a test needs, a game on
+ * Battlefield between the default players when nothing is given.
+ */
+export function createGame(record) {
+  const { settings, metadata, stats, endState } = record || {};
+  return {
+    getSettings: () => settings || { stageId: 31, players: defaultPlayers },
+    getMetadata: () => metadata || {},
+    getStats: () => stats || null,
+    getEndState: () => endState || null,
+    isEndStateLoaded: () => endState !== undefined,
+  };
+}
+
+// A row of the replay list, anything besides the path, game and start time is copied over as is
+export function createFile(fullPath, options) {
+  const { game, startTime, ...fields } = options || {};
+  return {
+    fullPath: fullPath,
+    fileName: path.basename(fullPath),
+    game: game || createGame(),
+    startTime: startTime ? moment(startTime) : null,
+    ...fields,
+  };
+}
@@ -0,0 +1,97 @@
+import _ from 'lodash';
+import { encodeUbjson, RAW_HEADER, METADATA_HEADER } from '../../app/workers/slpFormat';
+
+// Payload sizes of the events a replay built here can contain
+export const messageSizes = {
+  0x36: 0x1a4, // Game Start
+  0x37: 0x3f, // Pre-frame update
+  0x38: 0x37, // Post-frame update
+  0x39: 2, // Game End
+  0x3a: 8, // Frame Start
+  0x3c: 8, // Frame Bookend
+};
+
+export const FIRST_FRAME = -123;
+
+function createEvent(command, fill) {
+  const event = Buffer.alloc(messageSizes[command] + 1);
+  event.writeUInt8(command, 0);
+  if (fill) {
+    fill(event);
+  }
+  return event;
+}
+
+function createMessageSizes() {
+  const entries = _.map(messageSizes, (size, command) => (
+    Buffer.from([Number(command), size >> 8, size & 0xff])
+  ));
+  return Buffer.concat([Buffer.from([0x35, (entries.length * 3) + 1]), ...entries]);
+}
+
+function createGameStart(players) {
+  return createEvent(0x36, event => {
+    // Version 3.0.0 on Battlefield
+    event.writeUInt8(3, 1);
+    event.writeUInt16BE(31, 0x13);
+    _.times(4, index => {
+      const player = players[index];
+      const offset = 0x65 + (index * 0x24);
+      event.writeUInt8(player ? player.characterId : 0, offset);
+      event.writeUInt8(player ? 0 : 3, offset + 1);
+      event.writeUInt8(4, offset + 2);
+    });
+  });
+}
+
+function createFrame(frame, players) {
+  const playerEvents = _.flatMap(players, (player, index) => [
+    createEvent(0x37, event => {
+      event.writeInt32BE(frame, 1);
+      event.writeUInt8(index, 5);
+    }),
+    createEvent(0x38, event => {
+      event.writeInt32BE(frame, 1);
+      event.writeUInt8(index, 5);
+      event.writeUInt8(player.internalCharacterId, 7);
+      event.writeUInt8(4, 0x21);
+    }),
+  ]);
+
+  return Buffer.concat([
+    createEvent(0x3a, event => event.writeInt32BE(frame, 1)),
+    ...playerEvents,
+    createEvent(0x3c, event => event.writeInt32BE(frame, 1)),
+  ]);
+}
+
+/**
+ * Builds the bytes of a small two player replay. The options leave out the parts that a recording
+ * which never got finished would be missing.
+ */
+export function createReplayBuffer(options) {
+  const {
+    frameCount = 100,
+    hasGameEnd = true,
+    metadata = { lastFrame: FIRST_FRAME + frameCount - 1 },
+    isLengthWritten = true,
+    players = [
+      { characterId: 2, internalCharacterId: 1 },
+      { characterId: 20, internalCharacterId: 22 },
+    ],
+  } = options || {};
+
+  const raw = Buffer.concat([
+    createMessageSizes(),
+    createGameStart(players),
+    ..._.times(frameCount, index => createFrame(FIRST_FRAME + index, players)),
+    hasGameEnd ? createEvent(0x39, event => event.writeUInt8(2, 1)) : Buffer.alloc(0),
+  ]);
+
+  const rawLength = Buffer.alloc(4);
+  rawLength.writeUInt32BE(isLengthWritten ? raw.length : 0, 0);
+
+  // The writer only closes the file off once the game is over
+  const endParts = metadata ? [METADATA_HEADER, encodeUbjson(metadata), Buffer.from("}")] : [];
+  return Buffer.concat([RAW_HEADER, rawLength, raw, ...endParts]);
+}
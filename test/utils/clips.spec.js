@@ -0,0 +1,28 @@
+import { Frames } from '@slippi/slippi-js';
+import { getConversionClip, getStockLossClip, padClip } from '../../app/utils/clips';
+
+describe('clips', () => {
+  it('plays conversions still going at the end of the game to the end', () => {
+    expect(getConversionClip({ startFrame: 300, endFrame: 420 })).toEqual({ startFrame: 300, endFrame: 420 });
+    expect(getConversionClip({ startFrame: 300, endFrame: null })).toEqual({ startFrame: 300, endFrame: null });
+  });
+
+  it('starts stock losses at the conversion that took the stock', () => {
+    const stock = { playerIndex: 1, endFrame: 900 };
+    const conversions = [
+      { playerIndex: 1, opponentIndex: 0, startFrame: 700, endFrame: 900, didKill: true },
+      { playerIndex: 0, opponentIndex: 1, startFrame: 800, endFrame: 900, didKill: true },
+    ];
+
+    expect(getStockLossClip(stock, conversions)).toEqual({ startFrame: 800, endFrame: 900 });
+    expect(getStockLossClip(stock, [])).toEqual({ startFrame: 900, endFrame: 900 });
+    expect(getStockLossClip({ playerIndex: 1, endFrame: null }, conversions)).toBeNull();
+  });
+
+  it('pads clips without going back past the start of the game', () => {
+    const clipSettings = { leadInSeconds: 2, leadOutSeconds: 1.5 };
+
+    expect(padClip({ startFrame: 600, endFrame: 900 }, clipSettings)).toEqual({ startFrame: 480, endFrame: 990 });
+    expect(padClip({ startFrame: -100, endFrame: null }, clipSettings)).toEqual({ startFrame: Frames.FIRST, endFrame: null });
+  });
+});
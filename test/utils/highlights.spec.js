@@ -0,0 +1,70 @@
+import {
+  findHighlights, sortHighlights, defaultHighlightCriteria, HighlightSort,
+} from '../../app/utils/highlights';
+import { createGame, createFile, netplayMetadata } from '../helpers/replayFiles';
+
+function createConversion(playerIndex, startFrame, startPercent, currentPercent, didKill) {
+  return {
+    playerIndex: playerIndex,
+    opponentIndex: 1 - playerIndex,
+    startFrame: startFrame,
+    endFrame: startFrame + 200,
+    startPercent: startPercent,
+    currentPercent: currentPercent,
+    moves: [{}, {}, {}],
+    didKill: didKill,
+  };
+}
+
+function createConversionsFile(fullPath, startTime, conversions) {
+  return createFile(fullPath, {
+    startTime: startTime,
+    game: createGame({
+      metadata: netplayMetadata,
+      stats: { conversions: conversions },
+    }),
+  });
+}
+
+function findFileHighlights(file, criteria) {
+  return findHighlights(file, file.game, { ...defaultHighlightCriteria, ...criteria });
+}
+
+describe('highlights', () => {
+  const file = createConversionsFile('/replays/Game_1.slp', '2020-01-01T12:00:00', [
+    createConversion(0, 100, 0, 40, false),
+    createConversion(0, 600, 0, 110, true),
+    createConversion(1, 1200, 30, 120, true),
+  ]);
+
+  it('keeps the conversions that do enough damage', () => {
+    const highlights = findFileHighlights(file, {});
+    expect(highlights.map(highlight => highlight.clip)).toEqual([
+      { startFrame: 600, endFrame: 800 },
+      { startFrame: 1200, endFrame: 1400 },
+    ]);
+    expect(highlights[0].playerName).toBe("Mango");
+    expect(highlights[0].damage).toBe(110);
+  });
+
+  it('limits zero to deaths to conversions that took the whole stock', () => {
+    const highlights = findFileHighlights(file, { minDamage: 0, zeroToDeathOnly: true });
+    expect(highlights.map(highlight => highlight.clip.startFrame)).toEqual([600]);
+  });
+
+  it('limits highlights to the conversions of a player by connect code', () => {
+    const highlights = findFileHighlights(file, { playerCode: " zain#0 " });
+    expect(highlights.map(highlight => highlight.playerName)).toEqual(["Zain"]);
+  });
+
+  it('sorts by game start time with unknown start times last, or by damage', () => {
+    const undated = createConversionsFile('/replays/Game_0.slp', null, [createConversion(0, 50, 0, 200, true)]);
+    const highlights = findFileHighlights(undated, {}).concat(findFileHighlights(file, {}));
+
+    const chronological = sortHighlights(highlights, HighlightSort.CHRONOLOGICAL);
+    expect(chronological.map(highlight => highlight.clip.startFrame)).toEqual([600, 1200, 50]);
+
+    const byDamage = sortHighlights(highlights, HighlightSort.DAMAGE);
+    expect(byDamage.map(highlight => highlight.damage)).toEqual([200, 110, 90]);
+  });
+});
@@ -0,0 +1,35 @@
+import { isShortcutEvent } from '../../app/utils/keyboard';
+
+function keyDownOn(html, selector, modifiers) {
+  document.body.innerHTML = html;
+  return {
+    key: " ",
+    target: document.querySelector(selector),
+    ...modifiers,
+  };
+}
+
+describe('isShortcutEvent', () => {
+  it('takes plain key presses on the page', () => {
+    expect(isShortcutEvent(keyDownOn('<div><span>Replay</span></div>', 'span'))).toBe(true);
+  });
+
+  it('leaves modifier combinations to the menu accelerators', () => {
+    expect(isShortcutEvent(keyDownOn('<div></div>', 'div', { ctrlKey: true }))).toBe(false);
+  });
+
+  it('leaves keys alone while typing', () => {
+    expect(isShortcutEvent(keyDownOn('<input />', 'input'))).toBe(false);
+    expect(isShortcutEvent(keyDownOn('<textarea></textarea>', 'textarea'))).toBe(false);
+  });
+
+  it('leaves space and enter to focused buttons', () => {
+    expect(isShortcutEvent(keyDownOn('<button type="button">Play</button>', 'button'))).toBe(false);
+    expect(isShortcutEvent(keyDownOn('<div role="button"><i></i></div>', 'i'))).toBe(false);
+  });
+
+  it('leaves keys to open dropdowns', () => {
+    const html = '<div role="listbox"><div class="item">Tag</div></div>';
+    expect(isShortcutEvent(keyDownOn(html, '.item'))).toBe(false);
+  });
+});
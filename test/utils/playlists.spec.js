@@ -0,0 +1,58 @@
+import {
+  parseQueueJson, addQueueEntries, moveQueueEntry, moveEntryPaths,
+} from '../../app/utils/playlists';
+
+const entry = (entryPath, fields) => ({
+  path: entryPath,
+  gameStartAt: "",
+  gameStation: "",
+  ...fields,
+});
+
+describe('playlists', () => {
+  it('reads the queue out of a comm file and drops entries without a path', () => {
+    const entries = parseQueueJson({
+      mode: "queue",
+      queue: [
+        { path: "/replays/Game_1.slp", gameStartAt: "2020-01-01", startFrame: 120, endFrame: "x" },
+        { gameStation: "Station" },
+        null,
+      ],
+    });
+
+    expect(entries).toEqual([
+      entry("/replays/Game_1.slp", { gameStartAt: "2020-01-01", startFrame: 120 }),
+    ]);
+    expect(() => parseQueueJson({ mode: "normal" })).toThrow();
+  });
+
+  it('keeps clips of the same replay apart when adding entries', () => {
+    const replay = entry("/replays/Game_1.slp");
+    const clip = entry("/replays/Game_1.slp", { startFrame: 100, endFrame: 400 });
+
+    const entries = addQueueEntries([replay], [replay, clip, clip]);
+    expect(entries).toEqual([replay, clip]);
+  });
+
+  it('moves entries within the playlist bounds', () => {
+    const entries = ["a", "b", "c"].map(name => entry(name));
+
+    expect(moveQueueEntry(entries, 0, 2).map(e => e.path)).toEqual(["b", "c", "a"]);
+    expect(moveQueueEntry(entries, 0, -1)).toBe(entries);
+  });
+
+  it('points every entry of a moved replay at its new path', () => {
+    const entries = [
+      entry("/replays/Game_1.slp"),
+      entry("/replays/Game_1.slp", { startFrame: 100 }),
+      entry("/replays/Game_2.slp"),
+    ];
+
+    const movedEntries = moveEntryPaths(entries, "/replays/Game_1.slp", "/replays/Game_1.slp.gz");
+    expect(movedEntries.map(e => e.path)).toEqual([
+      "/replays/Game_1.slp.gz", "/replays/Game_1.slp.gz", "/replays/Game_2.slp",
+    ]);
+    expect(movedEntries[1].startFrame).toBe(100);
+    expect(moveEntryPaths(entries, "/replays/Game_3.slp", "/elsewhere.slp")).toBe(entries);
+  });
+});
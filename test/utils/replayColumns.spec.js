@@ -0,0 +1,14 @@
+import { tableNeedsEndStates, defaultTableLayout } from '../../app/utils/replayColumns';
+
+describe('tableNeedsEndStates', () => {
+  it("isn't needed for the default columns", () => {
+    expect(tableNeedsEndStates(defaultTableLayout)).toBe(false);
+    expect(tableNeedsEndStates({ columns: ['players', 'stage', 'duration'] })).toBe(false);
+  });
+
+  it('is needed when the end of the game is shown, sorted on or used to score sets', () => {
+    expect(tableNeedsEndStates({ columns: ['details', 'winner'] })).toBe(true);
+    expect(tableNeedsEndStates({ columns: ['details'], sortColumn: 'stocks' })).toBe(true);
+    expect(tableNeedsEndStates({ columns: ['details'], groupSets: true })).toBe(true);
+  });
+});
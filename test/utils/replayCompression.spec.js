@@ -0,0 +1,90 @@
+import os from 'os';
+import fs from 'fs-extra';
+import path from 'path';
+import log from 'electron-log';
+import {
+  compressReplay, getReplaySize, createReplayReadStream, getPlayableReplayPath, clearPlayableReplays,
+} from '../../app/utils/replayCompression';
+
+jest.mock('electron-log', () => ({
+  warn: jest.fn(),
+}));
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('error', reject);
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+describe('replayCompression', () => {
+  let folderPath;
+  const contents = Buffer.from('{U\u0003raw[$U#l'.repeat(500));
+
+  beforeEach(async () => {
+    folderPath = await fs.mkdtemp(path.join(os.tmpdir(), 'replay-compression-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(folderPath);
+  });
+
+  it('reads compressed replays as their original size and contents', async () => {
+    const fullPath = path.join(folderPath, 'Game_1.slp');
+    await fs.writeFile(fullPath, contents);
+
+    const { compressedPath, compressedSize } = await compressReplay(fullPath);
+    expect(compressedPath).toBe(`${fullPath}.gz`);
+    expect(compressedSize).toBeLessThan(contents.length);
+
+    expect(await getReplaySize(compressedPath, compressedSize)).toBe(contents.length);
+    expect(await readStream(createReplayReadStream(compressedPath))).toEqual(contents);
+  });
+
+  it('reads uncompressed replays as they are', async () => {
+    const fullPath = path.join(folderPath, 'Game_2.slp');
+    await fs.writeFile(fullPath, contents);
+
+    expect(await getReplaySize(fullPath, contents.length)).toBe(contents.length);
+    expect(await readStream(createReplayReadStream(fullPath))).toEqual(contents);
+  });
+
+  it('extracts compressed replays with the same name to different files', async () => {
+    const firstPath = path.join(folderPath, 'a', 'Game_3.slp');
+    const secondPath = path.join(folderPath, 'b', 'Game_3.slp');
+    await fs.outputFile(firstPath, contents);
+    await fs.outputFile(secondPath, Buffer.concat([contents, contents]));
+    await compressReplay(firstPath);
+    await compressReplay(secondPath);
+
+    const playablePaths = await Promise.all([
+      getPlayableReplayPath(`${firstPath}.gz`),
+      getPlayableReplayPath(`${secondPath}.gz`),
+    ]);
+    expect(playablePaths[0]).not.toBe(playablePaths[1]);
+    expect(await fs.readFile(playablePaths[0])).toEqual(contents);
+    expect((await fs.readFile(playablePaths[1])).length).toBe(contents.length * 2);
+
+    await Promise.all(playablePaths.map(playablePath => fs.remove(playablePath)));
+  });
+
+  it('plays uncompressed replays from where they are', async () => {
+    const fullPath = path.join(folderPath, 'Game_1.slp');
+    expect(await getPlayableReplayPath(fullPath)).toBe(fullPath);
+  });
+
+  it('keeps going when an extracted replay is still open', async () => {
+    const emptyDir = jest.spyOn(fs, 'emptyDir').mockImplementation(() => (
+      Promise.reject(new Error("EBUSY: resource busy or locked"))
+    ));
+
+    try {
+      await expect(clearPlayableReplays()).resolves.toBeUndefined();
+      expect(log.warn).toHaveBeenCalled();
+    } finally {
+      emptyDir.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,41 @@
+import { needsDiagnosis, getRepairedFilePath } from '../../app/utils/replayDiagnostics';
+import { createGame } from '../helpers/replayFiles';
+
+describe('needsDiagnosis', () => {
+  const finishedMetadata = { lastFrame: 1000 };
+
+  it('picks up replays that could not be read', () => {
+    expect(needsDiagnosis({ hasError: true, game: createGame() })).toBe(true);
+  });
+
+  it('picks up replays that are missing their metadata', () => {
+    expect(needsDiagnosis({ hasError: false, game: createGame() })).toBe(true);
+    expect(needsDiagnosis({ hasError: false, game: createGame({ metadata: null }) })).toBe(true);
+  });
+
+  it('picks up replays without a game end', () => {
+    const game = createGame({
+      metadata: finishedMetadata,
+      endState: { gameEndMethod: null },
+    });
+    expect(needsDiagnosis({ hasError: false, game: game })).toBe(true);
+  });
+
+  it('leaves out finished replays', () => {
+    const withEndState = createGame({
+      metadata: finishedMetadata,
+      endState: { gameEndMethod: 2 },
+    });
+    expect(needsDiagnosis({ hasError: false, game: withEndState })).toBe(false);
+
+    // Without an end state there's nothing to say the game end is missing
+    const withoutEndState = createGame({ metadata: finishedMetadata });
+    expect(needsDiagnosis({ hasError: false, game: withoutEndState })).toBe(false);
+  });
+});
+
+describe('getRepairedFilePath', () => {
+  it('writes repaired copies uncompressed next to the original', () => {
+    expect(getRepairedFilePath('/replays/Game_1.slp.gz')).toBe('/replays/Game_1_repaired.slp');
+  });
+});
@@ -0,0 +1,85 @@
+import { findDuplicateGroups } from '../../app/utils/replayDuplicates';
+import { createGame, createFile, netplayMetadata } from '../helpers/replayFiles';
+
+const completeMetadata = {
+  ...netplayMetadata,
+  playedOn: 'dolphin',
+};
+
+// Start times are in seconds, copies of the same game start within a few seconds of each other
+function createCopy(fullPath, startSeconds, lastFrame, metadata) {
+  return createFile(fullPath, {
+    startTime: startSeconds * 1000,
+    lastFrame: lastFrame,
+    game: createGame({ metadata: metadata }),
+  });
+}
+
+function getGroupPaths(groups) {
+  return groups.map(group => group.files.map(file => file.fullPath));
+}
+
+describe('findDuplicateGroups', () => {
+  it('groups copies of the same game with the complete copy first', () => {
+    const files = [
+      createCopy('/a/truncated.slp', 1000, 1000, {}),
+      createCopy('/b/complete.slp', 1002, 5000, completeMetadata),
+      createCopy('/c/other.slp', 2000, 5000, completeMetadata),
+    ];
+
+    const groups = findDuplicateGroups(files, {});
+    expect(getGroupPaths(groups)).toEqual([['/b/complete.slp', '/a/truncated.slp']]);
+    expect(groups[0].isExact).toBe(false);
+  });
+
+  it('skips files that failed to parse instead of failing the whole scan', () => {
+    const files = [
+      createCopy('/a/game.slp', 1000, 5000, completeMetadata),
+      createCopy('/b/game.slp', 1000, 5000, completeMetadata),
+      createFile('/c/corrupt.slp', { hasError: true }),
+    ];
+
+    const groups = findDuplicateGroups(files, {});
+    expect(groups).toHaveLength(1);
+    expect(groups[0].files.map(file => file.fullPath).sort()).toEqual(['/a/game.slp', '/b/game.slp']);
+  });
+
+  it('still groups errored files by hash', () => {
+    const files = [
+      createFile('/a/corrupt.slp', { hasError: true }),
+      createFile('/b/corrupt.slp', { hasError: true }),
+    ];
+
+    const groups = findDuplicateGroups(files, {
+      '/a/corrupt.slp': 'abc',
+      '/b/corrupt.slp': 'abc',
+    });
+    expect(groups).toHaveLength(1);
+    expect(groups[0].isExact).toBe(true);
+  });
+
+  it('keeps games with different players apart even when they started together', () => {
+    const otherPlayers = {
+      playedOn: 'dolphin',
+      players: {
+        0: { names: { netplay: "Hbox", code: "HBOX#0" } },
+        1: { names: { netplay: "Zain", code: "ZAIN#0" } },
+      },
+    };
+    const files = [
+      createCopy('/a/game.slp', 1000, 5000, completeMetadata),
+      createCopy('/b/game.slp', 1001, 5000, otherPlayers),
+    ];
+
+    expect(findDuplicateGroups(files, {})).toEqual([]);
+  });
+
+  it('does not offer a copy that ran longer than the one that would be kept', () => {
+    const files = [
+      createCopy('/a/complete.slp', 1000, 3000, completeMetadata),
+      createCopy('/b/truncated.slp', 1000, 4000, {}),
+    ];
+
+    expect(findDuplicateGroups(files, {})).toEqual([]);
+  });
+});
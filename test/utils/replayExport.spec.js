@@ -0,0 +1,83 @@
+import {
+  getArchiveFileNames, getPlayerAliases, buildReplayManifest, MANIFEST_VERSION,
+} from '../../app/utils/replayExport';
+import { createFile, createGame, netplayMetadata } from '../helpers/replayFiles';
+
+describe('getArchiveFileNames', () => {
+  it('numbers repeated names and drops the compression extension', () => {
+    const files = [
+      createFile('/replays/Game_1.slp'),
+      createFile('/replays/Netplay/game_1.slp'),
+      createFile('/replays/Old/Game_1.slp.gz'),
+      createFile('/replays/Old/Game_2.slp.gz'),
+    ];
+
+    expect(getArchiveFileNames(files)).toEqual([
+      'Game_1.slp', 'game_1_2.slp', 'Game_1_3.slp', 'Game_2.slp',
+    ]);
+  });
+});
+
+describe('getPlayerAliases', () => {
+  it('gives the same person the same alias in every game', () => {
+    const swappedMetadata = {
+      players: { 0: netplayMetadata.players[1], 1: netplayMetadata.players[0] },
+    };
+    const files = [
+      createFile('/replays/Game_1.slp', { game: createGame({ metadata: netplayMetadata }) }),
+      createFile('/replays/Game_2.slp', { game: createGame({ metadata: swappedMetadata }) }),
+      createFile('/replays/Game_3.slp'),
+    ];
+
+    const mango = { name: "Anonymous 1", code: "ANON#1" };
+    const zain = { name: "Anonymous 2", code: "ANON#2" };
+    expect(getPlayerAliases(files)).toEqual([
+      { 0: mango, 1: zain },
+      { 0: zain, 1: mango },
+      // Nothing to tell the players apart by
+      {},
+    ]);
+  });
+});
+
+describe('buildReplayManifest', () => {
+  const endState = { gameEndMethod: 2, winnerIndices: [1] };
+  const files = [
+    createFile('/replays/Game_1.slp', {
+      game: createGame({ metadata: netplayMetadata, endState: endState }),
+      startTime: '2020-03-04T05:06:07Z',
+      lastFrame: 3600,
+    }),
+  ];
+
+  it('describes every game in the archive', () => {
+    const manifest = buildReplayManifest(files, ['Game_1.slp'], null);
+
+    expect(manifest).toMatchObject({ version: MANIFEST_VERSION, isAnonymized: false });
+    expect(manifest.games).toEqual([{
+      fileName: 'Game_1.slp',
+      startTime: '2020-03-04T05:06:07.000Z',
+      durationSeconds: 60,
+      duration: expect.any(String),
+      stage: "Battlefield",
+      players: [
+        expect.objectContaining({ port: 1, name: "Mango", code: "MANG#0", character: "Fox" }),
+        expect.objectContaining({ port: 2, name: "Zain", code: "ZAIN#0", character: "Falco" }),
+      ],
+      winner: "Zain",
+    }]);
+    expect(manifest.games[0].players[1].isWinner).toBe(true);
+  });
+
+  it('only names players by their alias when anonymized', () => {
+    const manifest = buildReplayManifest(files, ['Game_1.slp'], getPlayerAliases(files));
+
+    expect(manifest.isAnonymized).toBe(true);
+    expect(manifest.games[0].players).toEqual([
+      expect.objectContaining({ name: "Anonymous 1", code: "ANON#1" }),
+      expect.objectContaining({ name: "Anonymous 2", code: "ANON#2" }),
+    ]);
+    expect(manifest.games[0].winner).toBe("Anonymous 2");
+    expect(JSON.stringify(manifest)).not.toMatch(/Mango|Zain|MANG|ZAIN/);
+  });
+});
@@ -0,0 +1,67 @@
+import moment from 'moment';
+import { planRenames, RenameStatus, sanitizeFileName } from '../../app/utils/replayFileNames';
+import { IndexedGame } from '../../app/domain/ReplayIndex';
+
+jest.mock('electron', () => ({
+  remote: {
+    app: {
+      getPath: () => '/tmp',
+    },
+  },
+}));
+jest.mock('electron-log', () => ({}));
+
+const record = {
+  settings: {
+    stageId: 31,
+    players: [
+      { port: 1, playerIndex: 0, characterId: 2, characterColor: 0 },
+      { port: 2, playerIndex: 1, characterId: 20, characterColor: 1 },
+    ],
+  },
+  metadata: {},
+};
+
+function createFile(fullPath) {
+  const fileName = fullPath.split('/').pop();
+  return {
+    fullPath: fullPath,
+    fileName: fileName,
+    game: new IndexedGame(fullPath, record),
+    startTime: moment('2020-01-02T03:04:05'),
+  };
+}
+
+describe('planRenames', () => {
+  const template = "{date}_{p1Char}_vs_{p2Char}";
+
+  it('keeps the compressed extension', () => {
+    const [rename] = planRenames([createFile('/replays/Game_1.slp.gz')], template, []);
+    expect(rename.newFileName).toBe('2020-01-02_Fox_vs_Falco.slp.gz');
+    expect(rename.status).toBe(RenameStatus.OK);
+  });
+
+  it('allows renames that only change the case of the name', () => {
+    const oldPath = '/replays/2020-01-02_fox_vs_falco.slp';
+    const [rename] = planRenames([createFile(oldPath)], template, [oldPath]);
+    expect(rename.newPath).toBe('/replays/2020-01-02_Fox_vs_Falco.slp');
+    expect(rename.status).toBe(RenameStatus.OK);
+  });
+
+  it('flags renames onto other files', () => {
+    const existingPath = '/replays/2020-01-02_FOX_vs_FALCO.slp';
+    const renames = planRenames(
+      [createFile('/replays/Game_1.slp'), createFile('/other/Game_2.slp'), createFile('/other/Game_3.slp')],
+      template,
+      [existingPath],
+    );
+
+    expect(renames.map(rename => rename.status)).toEqual([
+      RenameStatus.EXISTS, RenameStatus.DUPLICATE, RenameStatus.DUPLICATE,
+    ]);
+  });
+
+  it('leaves out characters that some platforms do not allow in file names', () => {
+    expect(sanitizeFileName('a:b/c. ')).toBe('a_b_c');
+  });
+});
@@ -0,0 +1,55 @@
+import { planOrganize, parseConnectCodes, MoveStatus } from '../../app/utils/replayOrganizer';
+import { createGame, createFile, netplayMetadata } from '../helpers/replayFiles';
+
+function createPlayedFile(fullPath, startTime, metadata) {
+  return createFile(fullPath, {
+    startTime: startTime,
+    game: createGame({ metadata: metadata || netplayMetadata }),
+  });
+}
+
+describe('planOrganize', () => {
+  it('moves replays into the folders of the template', () => {
+    const files = [
+      createPlayedFile('/replays/Game_1.slp', '2020-03-04T12:00:00'),
+      createPlayedFile('/replays/2020/03/Game_2.slp', '2020-03-05T12:00:00'),
+      createPlayedFile('/replays/Game_3.slp', null),
+    ];
+
+    const moves = planOrganize(files, "{year}/{month}", '/replays', [], []);
+    expect(moves.map(move => [move.newPath, move.status])).toEqual([
+      ['/replays/2020/03/Game_1.slp', MoveStatus.OK],
+      ['/replays/2020/03/Game_2.slp', MoveStatus.UNCHANGED],
+      ['/replays/Unknown/Unknown/Game_3.slp', MoveStatus.OK],
+    ]);
+  });
+
+  it('picks out the player with one of my connect codes', () => {
+    const files = [createPlayedFile('/replays/Game_1.slp', '2020-03-04T12:00:00')];
+    const myCodes = parseConnectCodes(" zain#0, ");
+
+    const [move] = planOrganize(files, "{opponentCode}/{myCharacter}", '/replays', myCodes, []);
+    expect(move.newPath).toBe('/replays/MANG#0/Falco/Game_1.slp');
+  });
+
+  it('never plans a move out of the root folder', () => {
+    const files = [createPlayedFile('/replays/Game_1.slp', null, { consoleNick: ".." })];
+
+    const [move] = planOrganize(files, "{console}/../x", '/replays', [], []);
+    expect(move.newPath).toBe('/replays/Unknown/Unknown/x/Game_1.slp');
+  });
+
+  it('leaves broken replays alone and flags collisions', () => {
+    const files = [
+      createFile('/replays/broken.slp', { hasError: true }),
+      createPlayedFile('/replays/a/Game_1.slp', '2020-03-04T12:00:00'),
+      createPlayedFile('/replays/b/Game_1.slp', '2020-03-04T12:00:00'),
+      createPlayedFile('/replays/c/Game_2.slp', '2020-03-04T12:00:00'),
+    ];
+
+    const moves = planOrganize(files, "{year}", '/replays', [], ['/replays/2020/game_2.slp']);
+    expect(moves.map(move => move.status)).toEqual([
+      MoveStatus.SKIPPED, MoveStatus.DUPLICATE, MoveStatus.DUPLICATE, MoveStatus.EXISTS,
+    ]);
+  });
+});
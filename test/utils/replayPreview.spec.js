@@ -0,0 +1,48 @@
+import getReplayPreview from '../../app/utils/replayPreview';
+import { createGame, createFile, defaultPlayers } from '../helpers/replayFiles';
+
+// Players are out of port order to check that the preview sorts them
+const players = [
+  { ...defaultPlayers[1], port: 4 },
+  defaultPlayers[0],
+];
+
+function createEndedFile(endState, lastFrame) {
+  return createFile('/replays/Game_1.slp', {
+    lastFrame: lastFrame,
+    game: createGame({
+      settings: { stageId: 31, players: players },
+      endState: endState,
+    }),
+  });
+}
+
+describe('getReplayPreview', () => {
+  it('shows the players by port with their stocks and percent at the end of the game', () => {
+    const preview = getReplayPreview(createEndedFile({
+      stocks: { 0: 2, 1: 0 },
+      percents: { 0: 87.6 },
+      winnerIndices: [0],
+    }, 6000));
+
+    expect(preview.stageName).toBe("Battlefield");
+    expect(preview.players.map(player => [player.port, player.stocksRemaining, player.percent, player.isWinner]))
+      .toEqual([[1, 2, 87, true], [4, 0, null, false]]);
+  });
+
+  it('places stock losses along the game', () => {
+    const preview = getReplayPreview(createEndedFile({
+      stockLosses: [{ playerIndex: 1, frame: 1500 }, { playerIndex: 0, frame: 7000 }],
+    }, 6000));
+
+    expect(preview.hasTimeline).toBe(true);
+    expect(preview.stockLosses.map(loss => [loss.port, loss.position])).toEqual([[4, 0.25], [1, 1]]);
+  });
+
+  it('has no timeline for replays indexed without stock losses', () => {
+    const preview = getReplayPreview(createEndedFile({}, 6000));
+    expect(preview.hasTimeline).toBe(false);
+    expect(preview.stockLosses).toEqual([]);
+    expect(preview.players[0].stocksRemaining).toBeNull();
+  });
+});
@@ -0,0 +1,55 @@
+import { groupReplaySets } from '../../app/utils/replaySets';
+import { createFile, createGame, defaultPlayers, netplayMetadata } from '../helpers/replayFiles';
+
+// Games of a minute each, a minute apart
+function createGames(count, record, firstIndex) {
+  return Array.from({ length: count }, (value, i) => firstIndex + i).map(index => (
+    createFile(`/replays/Game_${index}.slp`, {
+      game: createGame(record),
+      startTime: `2020-03-04T05:${10 + (index * 2)}:00`,
+      lastFrame: 3600,
+    })
+  ));
+}
+
+describe('groupReplaySets', () => {
+  it('groups games between the same connect codes and keeps score', () => {
+    const files = createGames(3, {
+      metadata: netplayMetadata,
+      endState: { winnerIndices: [0] },
+    }, 0);
+
+    const sets = groupReplaySets(files, 15);
+    expect(sets).toHaveLength(1);
+    expect(sets[0].isGrouped).toBe(true);
+    expect(sets[0].files).toHaveLength(3);
+    expect(sets[0].score).toEqual({ "MANG#0": 3, "ZAIN#0": 0 });
+  });
+
+  it('groups games on in-game tags when there are no codes', () => {
+    const players = defaultPlayers.map((player, index) => ({
+      ...player,
+      nametag: index === 0 ? "ABC" : "XYZ",
+    }));
+    const sets = groupReplaySets(createGames(2, { settings: { stageId: 31, players: players } }, 0), 15);
+
+    expect(sets).toHaveLength(1);
+    expect(sets[0].players.map(player => player.name)).toEqual(["ABC", "XYZ"]);
+  });
+
+  it('leaves games ungrouped when a player has neither a code nor a tag', () => {
+    const players = defaultPlayers.map((player, index) => ({
+      ...player,
+      nametag: index === 0 ? "ABC" : "",
+    }));
+    const files = [
+      ...createGames(2, {}, 0),
+      ...createGames(2, { settings: { stageId: 31, players: players } }, 2),
+    ];
+
+    const sets = groupReplaySets(files, 15);
+    expect(sets).toHaveLength(4);
+    expect(sets.map(set => set.isGrouped)).toEqual([false, false, false, false]);
+    expect(sets.map(set => set.files.length)).toEqual([1, 1, 1, 1]);
+  });
+});
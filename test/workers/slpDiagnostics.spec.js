@@ -0,0 +1,120 @@
+import os from 'os';
+import fs from 'fs-extra';
+import path from 'path';
+import _ from 'lodash';
+import { SlippiGame } from '@slippi/slippi-js';
+import { diagnoseReplay, repairReplay } from '../../app/workers/slpDiagnostics';
+import { createReplayBuffer, FIRST_FRAME } from '../helpers/slpFiles';
+
+describe('slpDiagnostics', () => {
+  let folderPath;
+  let replayPath;
+  let repairedPath;
+
+  beforeEach(async () => {
+    folderPath = await fs.mkdtemp(path.join(os.tmpdir(), 'slp-diagnostics-'));
+    replayPath = path.join(folderPath, 'Game_20200304T050607.slp');
+    repairedPath = path.join(folderPath, 'Game_20200304T050607_repaired.slp');
+  });
+
+  afterEach(async () => {
+    await fs.remove(folderPath);
+  });
+
+  const getProblemCodes = result => _.map(result.problems, 'code');
+
+  it('finds no problems in a finished replay', async () => {
+    await fs.writeFile(replayPath, createReplayBuffer());
+
+    const result = diagnoseReplay(replayPath);
+    expect(result.problems).toEqual([]);
+    expect(result.canRepair).toBe(false);
+    expect(() => repairReplay(replayPath, repairedPath)).toThrow();
+    expect(await fs.pathExists(repairedPath)).toBe(false);
+  });
+
+  it('finishes off a recording that never got finished', async () => {
+    const original = createReplayBuffer({
+      frameCount: 100,
+      hasGameEnd: false,
+      metadata: null,
+      isLengthWritten: false,
+    });
+    await fs.writeFile(replayPath, original);
+
+    const result = diagnoseReplay(replayPath);
+    expect(getProblemCodes(result)).toEqual([
+      'unfinishedRecording', 'missingGameEnd', 'missingMetadata',
+    ]);
+    expect(result.canRepair).toBe(true);
+    expect(result.lastFrame).toBe(FIRST_FRAME + 99);
+
+    const repair = repairReplay(replayPath, repairedPath);
+    expect(repair).toEqual({
+      outputPath: repairedPath,
+      lastFrame: FIRST_FRAME + 99,
+    });
+
+    const repaired = new SlippiGame(repairedPath);
+    expect(repaired.getSettings().players).toHaveLength(2);
+    expect(repaired.getGameEnd()).not.toBeNull();
+    expect(repaired.getLatestFrame().frame).toBe(FIRST_FRAME + 99);
+    expect(repaired.getMetadata()).toMatchObject({
+      lastFrame: FIRST_FRAME + 99,
+      startAt: new Date(2020, 2, 4, 5, 6, 7).toISOString(),
+    });
+    expect(diagnoseReplay(repairedPath).problems).toEqual([]);
+
+    // The original file is left as it was
+    expect((await fs.readFile(replayPath)).equals(original)).toBe(true);
+  });
+
+  it('cuts a truncated replay off after the last complete frame', async () => {
+    const buffer = createReplayBuffer({
+      frameCount: 50,
+      hasGameEnd: false,
+      metadata: null,
+    });
+    await fs.writeFile(replayPath, buffer.slice(0, buffer.length - 20));
+
+    const result = diagnoseReplay(replayPath);
+    expect(getProblemCodes(result)).toEqual(expect.arrayContaining(['truncatedPayload']));
+    expect(result.lastFrame).toBe(FIRST_FRAME + 48);
+
+    repairReplay(replayPath, repairedPath);
+    const repaired = new SlippiGame(repairedPath);
+    expect(repaired.getLatestFrame().frame).toBe(FIRST_FRAME + 48);
+    expect(diagnoseReplay(repairedPath).problems).toEqual([]);
+  });
+
+  it('only adds metadata when all of the game data is there', async () => {
+    await fs.writeFile(replayPath, createReplayBuffer({ metadata: null }));
+
+    const result = diagnoseReplay(replayPath);
+    expect(getProblemCodes(result)).toEqual(['missingMetadata']);
+
+    repairReplay(replayPath, repairedPath);
+    const repaired = new SlippiGame(repairedPath);
+    expect(repaired.getGameEnd().gameEndMethod).toBe(2);
+    expect(repaired.getMetadata().lastFrame).toBe(FIRST_FRAME + 99);
+  });
+
+  it("doesn't repair a replay without a game start", async () => {
+    const buffer = createReplayBuffer({ frameCount: 0, hasGameEnd: false, metadata: null });
+    // Keep the message sizes but cut the file off before the game start is complete
+    await fs.writeFile(replayPath, buffer.slice(0, buffer.length - 100));
+
+    const result = diagnoseReplay(replayPath);
+    expect(result.canRepair).toBe(false);
+    expect(() => repairReplay(replayPath, repairedPath)).toThrow();
+    expect(await fs.pathExists(repairedPath)).toBe(false);
+  });
+
+  it("doesn't overwrite an existing file", async () => {
+    await fs.writeFile(replayPath, createReplayBuffer({ metadata: null }));
+    await fs.writeFile(repairedPath, 'existing');
+
+    expect(() => repairReplay(replayPath, repairedPath)).toThrow();
+    expect(await fs.readFile(repairedPath, 'utf8')).toBe('existing');
+  });
+});
@@ -0,0 +1,161 @@
+import _ from 'lodash';
+import { Frames } from '@slippi/slippi-js';
+import { computeMultiplayerStats } from '../../app/workers/slpMultiplayerStats';
+
+// Action states used by the frames below
+const STANDING = 14;
+const DAMAGED = 75;
+const DYING = 0;
+const A_BUTTON = 0x100;
+
+// A game where every player stands still unless the script says otherwise for a frame
+function createGame(settings, scriptFrame, lastFrame = 60) {
+  const frames = {};
+  _.range(Frames.FIRST, lastFrame + 1).forEach(frameNumber => {
+    const players = {};
+    settings.players.forEach(({ playerIndex }) => {
+      const { pre, post } = scriptFrame(frameNumber, playerIndex) || {};
+      players[playerIndex] = {
+        pre: {
+          frame: frameNumber,
+          playerIndex: playerIndex,
+          physicalButtons: 0,
+          joystickX: 0,
+          joystickY: 0,
+          cStickX: 0,
+          cStickY: 0,
+          physicalLTrigger: 0,
+          physicalRTrigger: 0,
+          ...pre,
+        },
+        post: {
+          frame: frameNumber,
+          playerIndex: playerIndex,
+          actionStateId: STANDING,
+          percent: 0,
+          stocksRemaining: 4,
+          lastHitBy: null,
+          ...post,
+        },
+      };
+    });
+    frames[frameNumber] = { frame: frameNumber, players: players };
+  });
+
+  return {
+    getSettings: () => settings,
+    getFrames: () => frames,
+    getGameEnd: () => ({ gameEndMethod: 2 }),
+  };
+}
+
+function createSettings(isTeams) {
+  return {
+    isTeams: isTeams,
+    players: [
+      { playerIndex: 0, teamId: 0 },
+      { playerIndex: 1, teamId: 0 },
+      { playerIndex: 2, teamId: 1 },
+    ],
+  };
+}
+
+// Player 1 hits player 0 at frame 10 and takes their stock at frame 30, player 2 self destructs
+// at frame 50. Player 0 respawns at frame 35
+function scriptFreeForAll(frameNumber, playerIndex) {
+  if (playerIndex === 0) {
+    if (frameNumber >= 35) {
+      return { post: { stocksRemaining: 3 } };
+    }
+    if (frameNumber >= 30) {
+      return { post: { actionStateId: DYING, stocksRemaining: 3 } };
+    }
+    if (frameNumber >= 10) {
+      const actionStateId = frameNumber <= 20 ? DAMAGED : STANDING;
+      return { post: { actionStateId: actionStateId, percent: 12, lastHitBy: 1 } };
+    }
+  }
+
+  if (playerIndex === 1 && frameNumber === 9) {
+    return {
+      pre: { physicalButtons: A_BUTTON },
+      post: { lastAttackLanded: 13 },
+    };
+  }
+
+  if (playerIndex === 2 && frameNumber >= 50) {
+    return { post: { actionStateId: DYING, stocksRemaining: 3 } };
+  }
+
+  return null;
+}
+
+describe('computeMultiplayerStats', () => {
+  it('works out who punished and killed who', () => {
+    const stats = computeMultiplayerStats(createGame(createSettings(false), scriptFreeForAll));
+
+    expect(stats.conversions).toEqual([
+      expect.objectContaining({
+        playerIndex: 1,
+        opponentIndex: 0,
+        startFrame: 10,
+        endFrame: 30,
+        didKill: true,
+        openingType: "neutral-win",
+        moves: [expect.objectContaining({ hitCount: 1, damage: 12 })],
+      }),
+    ]);
+
+    const stocks = _.groupBy(stats.stocks, 'playerIndex');
+    expect(stocks[0]).toEqual([
+      expect.objectContaining({ endFrame: 30, endPercent: 12, opponentIndex: 1 }),
+      expect.objectContaining({ startFrame: 35, endFrame: null, opponentIndex: null }),
+    ]);
+    expect(stocks[1]).toEqual([expect.objectContaining({ endFrame: null, opponentIndex: null })]);
+
+    // Nobody gets the kill for a self destruct
+    expect(stocks[2]).toEqual([expect.objectContaining({ endFrame: 50, opponentIndex: null })]);
+  });
+
+  it('adds up the overall stats of every player', () => {
+    const stats = computeMultiplayerStats(createGame(createSettings(false), scriptFreeForAll));
+
+    expect(stats.lastFrame).toBe(60);
+    expect(stats.playableFrameCount).toBe(60 - Frames.FIRST_PLAYABLE);
+    expect(stats.gameComplete).toBe(true);
+
+    const overall = _.keyBy(stats.overall, 'playerIndex');
+    expect(overall[0]).toMatchObject({
+      opponentIndices: [1, 2],
+      conversionCount: 0,
+      killCount: 0,
+      neutralWinRatio: { count: 0, total: 1, ratio: 0 },
+    });
+    expect(overall[1]).toMatchObject({
+      opponentIndices: [0, 2],
+      conversionCount: 1,
+      totalDamage: 12,
+      killCount: 1,
+      openingsPerKill: { count: 1, total: 1, ratio: 1 },
+      neutralWinRatio: { count: 1, total: 1, ratio: 1 },
+    });
+    expect(overall[1].inputCounts).toMatchObject({ buttons: 1, total: 1 });
+    expect(overall[2]).toMatchObject({
+      conversionCount: 0,
+      killCount: 0,
+      neutralWinRatio: { count: 0, total: 0, ratio: null },
+    });
+  });
+
+  it("doesn't count hits between teammates", () => {
+    const stats = computeMultiplayerStats(createGame(createSettings(true), scriptFreeForAll));
+
+    expect(stats.conversions).toEqual([]);
+    expect(_.find(stats.stocks, { playerIndex: 0, endFrame: 30 }).opponentIndex).toBeNull();
+
+    const overall = _.keyBy(stats.overall, 'playerIndex');
+    expect(overall[0].opponentIndices).toEqual([2]);
+    expect(overall[2].opponentIndices).toEqual([0, 1]);
+    expect(overall[1].killCount).toBe(0);
+  });
+});